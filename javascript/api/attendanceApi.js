@@ -8,6 +8,7 @@
 import { SERVER_BASE_URL, ENDPOINTS, getTeacherEmail } from '../config/api.js';
 import { serializeTimestamp } from '../utils/helpers.js';
 import { logError } from '../utils/helpers.js';
+import { authJsonFetch } from './authFetch.js';
 
 /**
  * Mark attendance for a student
@@ -102,6 +103,44 @@ export async function saveAttendanceData(classId, studentIds) {
     return response;
 }
 
+function serializeSessionRecord(record) {
+    const joinedAt = serializeTimestamp(record?.joined_at ?? null);
+    const leftAt = serializeTimestamp(record?.left_at ?? null);
+    const normalized = {
+        student_id: record?.student_id !== null && record?.student_id !== undefined
+            ? String(record.student_id).trim() || undefined
+            : undefined,
+        faculty_number: record?.faculty_number !== null && record?.faculty_number !== undefined
+            ? String(record.faculty_number).trim() || undefined
+            : undefined,
+        status: record?.status ? String(record.status) : undefined
+    };
+    if (joinedAt !== undefined) normalized.joined_at = joinedAt;
+    if (leftAt !== undefined) normalized.left_at = leftAt;
+    if (record?.classification) normalized.classification = String(record.classification);
+    if (Array.isArray(record?.flags) && record.flags.length > 0) normalized.flags = record.flags.map(String);
+    if (record?.source) normalized.source = String(record.source);
+    if (record?.override_reason) normalized.override_reason = String(record.override_reason);
+    if (Number.isFinite(record?.present_minutes)) normalized.present_minutes = record.present_minutes;
+    return normalized;
+}
+
+function serializeSessionRecords(records) {
+    return Array.isArray(records)
+        ? records.map(serializeSessionRecord).filter((record) => record.student_id || record.faculty_number)
+        : [];
+}
+
+function serializeSessionDetails(details) {
+    if (!details || typeof details !== 'object') return undefined;
+    const serialized = {};
+    ['date', 'topic', 'room', 'notes'].forEach((field) => {
+        const value = String(details[field] || '').trim();
+        if (value) serialized[field] = value;
+    });
+    return Object.keys(serialized).length > 0 ? serialized : undefined;
+}
+
 /**
  * Save attendance session in a single request (attendance + timestamps).
  * Backend should persist records transactionally.
@@ -109,30 +148,17 @@ export async function saveAttendanceData(classId, studentIds) {
  * @param {Array<Object>} records - Session records
  * @param {Object} [options] - Optional metadata
  * @param {string} [options.className] - Class name
+ * @param {string} [options.clientSessionId] - Client-generated idempotency key (replays reuse it)
+ * @param {{date?: string, topic?: string, room?: string, notes?: string}} [options.session] - Session details
  * @returns {Promise<{ok:boolean,status:number,data:any}>} Result object
  */
-export async function saveAttendanceSession(classId, records, { className } = {}) {
+export async function saveAttendanceSession(classId, records, { className, clientSessionId, session } = {}) {
     const payload = {
         class_id: classId,
         class_name: String(className || '').trim() || undefined,
-        records: Array.isArray(records)
-            ? records.map((record) => {
-                const joinedAt = serializeTimestamp(record?.joined_at ?? null);
-                const leftAt = serializeTimestamp(record?.left_at ?? null);
-                const normalized = {
-                    student_id: record?.student_id !== null && record?.student_id !== undefined
-                        ? String(record.student_id).trim() || undefined
-                        : undefined,
-                    faculty_number: record?.faculty_number !== null && record?.faculty_number !== undefined
-                        ? String(record.faculty_number).trim() || undefined
-                        : undefined,
-                    status: record?.status ? String(record.status) : undefined
-                };
-                if (joinedAt !== undefined) normalized.joined_at = joinedAt;
-                if (leftAt !== undefined) normalized.left_at = leftAt;
-                return normalized;
-            }).filter((record) => record.student_id || record.faculty_number)
-            : []
+        client_session_id: String(clientSessionId || '').trim() || undefined,
+        session: serializeSessionDetails(session),
+        records: serializeSessionRecords(records)
     };
 
     const response = await fetch(SERVER_BASE_URL + ENDPOINTS.finishAttendanceSession, {
@@ -363,3 +389,290 @@ export async function updateCompletedClassesCount(classId) {
 
     throw new Error(`Failed to update completed classes count. Tried: ${errors.join(' | ')}`);
 }
+
+async function requestAttendanceJson(path, { method = 'GET', body, context } = {}) {
+    const response = await fetch(SERVER_BASE_URL + path, {
+        method,
+        headers: method === 'GET'
+            ? { 'Accept': 'application/json' }
+            : { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    let bodyText = '';
+    let data = null;
+    try {
+        bodyText = await response.text();
+        data = bodyText ? JSON.parse(bodyText) : null;
+    } catch (_) {
+        data = null;
+    }
+
+    if (!response.ok) {
+        const error = new Error(`${context} failed: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        error.responseBody = bodyText || null;
+        // Parsed server response (its error/message), named as in authJsonFetch errors.
+        error.body = data;
+        error.payload = body || null;
+        throw error;
+    }
+    return data || {};
+}
+
+/**
+ * Send an audited change with the teacher's bearer token. The server takes the
+ * teacher's identity for the audit trail from the token, never from the body.
+ * @param {string} path - Endpoint path
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.body - Request body
+ * @param {string} options.context - Label for error messages
+ * @returns {Promise<Object>} Response data
+ */
+async function requestAuthenticatedAttendanceJson(path, { method, body, context }) {
+    try {
+        return (await authJsonFetch(SERVER_BASE_URL + path, {
+            method,
+            headers: { 'Accept': 'application/json' },
+            body: JSON.stringify(body)
+        })) || {};
+    } catch (err) {
+        err.message = `${context} failed: ${err.message}`;
+        throw err;
+    }
+}
+
+/**
+ * List saved attendance sessions of a class (newest first)
+ * @param {number} classId - Class ID
+ * @returns {Promise<{sessions: Array<Object>}>} Sessions with details and present/late/absent counts
+ */
+export async function fetchAttendanceSessions(classId) {
+    return requestAttendanceJson(ENDPOINTS.attendanceSessions(classId), {
+        context: 'Attendance sessions fetch'
+    });
+}
+
+/**
+ * Fetch one saved attendance session with its records
+ * @param {string|number} sessionId - Session ID
+ * @returns {Promise<{session: Object, records: Array<Object>}>} Session details and records
+ */
+export async function fetchAttendanceSession(sessionId) {
+    return requestAttendanceJson(ENDPOINTS.attendanceSession(sessionId), {
+        context: 'Attendance session fetch'
+    });
+}
+
+/**
+ * Replace the records (and details) of a saved session after corrections
+ * @param {string|number} sessionId - Session ID
+ * @param {number} classId - Class ID
+ * @param {Array<Object>} records - Corrected session records
+ * @param {{date?: string, topic?: string, room?: string, notes?: string}} [session] - Session details
+ * @returns {Promise<Object>} Response data
+ */
+export async function updateAttendanceSession(sessionId, classId, records, session) {
+    return requestAttendanceJson(ENDPOINTS.attendanceSession(sessionId), {
+        method: 'PUT',
+        body: {
+            class_id: classId,
+            session: serializeSessionDetails(session),
+            records: serializeSessionRecords(records)
+        },
+        context: 'Attendance session update'
+    });
+}
+
+function serializeRecordIdentity(classId, entry) {
+    return {
+        class_id: classId,
+        record_id: entry?.id !== null && entry?.id !== undefined ? String(entry.id) : undefined,
+        session_id: entry?.sessionId !== null && entry?.sessionId !== undefined ? String(entry.sessionId) : undefined,
+        student_id: entry?.studentId !== null && entry?.studentId !== undefined ? String(entry.studentId).trim() || undefined : undefined,
+        faculty_number: String(entry?.facultyNumber || '').trim() || undefined,
+        // Original times identify the entry on servers without record IDs and go into the audit trail.
+        original: {
+            joined_at: serializeTimestamp(entry?.joinAt ?? null) ?? null,
+            left_at: serializeTimestamp(entry?.leaveAt ?? null) ?? null
+        }
+    };
+}
+
+/**
+ * Correct the join/leave times of a saved attendance entry.
+ * The server records the change (the signed-in teacher, when, old and new values, reason) in the audit trail.
+ * @param {number} classId - Class ID
+ * @param {{id?: string|number, sessionId?: string|number, studentId?: string|number, facultyNumber?: string, joinAt: number|null, leaveAt: number|null}} entry - Entry as loaded from the history
+ * @param {Object} changes - New values
+ * @param {number|null} changes.joinedAt - New join timestamp (ms)
+ * @param {number|null} changes.leftAt - New leave timestamp (ms)
+ * @param {string} changes.reason - Why the entry was changed
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function updateAttendanceRecord(classId, entry, { joinedAt, leftAt, reason }) {
+    return requestAuthenticatedAttendanceJson(ENDPOINTS.attendanceRecords, {
+        method: 'PATCH',
+        body: {
+            ...serializeRecordIdentity(classId, entry),
+            joined_at: serializeTimestamp(joinedAt ?? null) ?? null,
+            left_at: serializeTimestamp(leftAt ?? null) ?? null,
+            reason: String(reason || '').trim()
+        },
+        context: 'Attendance record update'
+    });
+}
+
+/**
+ * Delete a saved attendance entry (recorded in the audit trail)
+ * @param {number} classId - Class ID
+ * @param {Object} entry - Entry as loaded from the history (see updateAttendanceRecord)
+ * @param {string} reason - Why the entry was deleted
+ * @returns {Promise<Object>} Response data
+ */
+export async function deleteAttendanceRecord(classId, entry, reason) {
+    return requestAuthenticatedAttendanceJson(ENDPOINTS.attendanceRecords, {
+        method: 'DELETE',
+        body: {
+            ...serializeRecordIdentity(classId, entry),
+            reason: String(reason || '').trim()
+        },
+        context: 'Attendance record delete'
+    });
+}
+
+/**
+ * Fetch the change log of a student's attendance entries in a class
+ * @param {number} classId - Class ID
+ * @param {Object} student - Student identifiers
+ * @param {string|number} [student.studentId] - Student ID
+ * @param {string} [student.facultyNumber] - Faculty number
+ * @returns {Promise<{changes: Array<Object>}>} Changes (action, changed_by, changed_at, before/after times, reason), newest first
+ */
+export async function fetchAttendanceRecordAudit(classId, { studentId, facultyNumber } = {}) {
+    return requestAttendanceJson(ENDPOINTS.attendanceRecordAudit(classId, { studentId, facultyNumber }), {
+        context: 'Attendance record audit fetch'
+    });
+}
+
+/**
+ * Mark a student excused for a saved session
+ * @param {string|number} sessionId - Session ID
+ * @param {number} classId - Class ID
+ * @param {Object} student - Student identifiers and excuse note
+ * @param {string|number} [student.studentId] - Student ID
+ * @param {string} [student.facultyNumber] - Faculty number
+ * @param {string} student.note - Why the absence is excused
+ * @returns {Promise<Object>} Updated session record
+ */
+export async function excuseAttendanceAbsence(sessionId, classId, { studentId, facultyNumber, note } = {}) {
+    return requestAttendanceJson(ENDPOINTS.attendanceExcuses, {
+        method: 'POST',
+        body: {
+            session_id: sessionId,
+            class_id: classId,
+            student_id: studentId !== null && studentId !== undefined ? String(studentId).trim() || undefined : undefined,
+            faculty_number: String(facultyNumber || '').trim() || undefined,
+            note: String(note || '').trim()
+        },
+        context: 'Attendance excuse'
+    });
+}
+
+/**
+ * List absence justifications submitted by students of a class
+ * @param {number} classId - Class ID
+ * @param {Object} [options] - Filters
+ * @param {'pending'|'approved'|'rejected'} [options.status] - Only justifications with this status
+ * @returns {Promise<{justifications: Array<Object>}>} Justifications (text, attachment_url, session date, status)
+ */
+export async function fetchAttendanceJustifications(classId, { status } = {}) {
+    return requestAttendanceJson(ENDPOINTS.attendanceJustifications({ classId, status }), {
+        context: 'Attendance justifications fetch'
+    });
+}
+
+/**
+ * Approve or reject a justification. Approving marks the absence excused;
+ * the server records the signed-in teacher as the reviewer.
+ * @param {string|number} justificationId - Justification ID
+ * @param {'approved'|'rejected'} status - Decision
+ * @param {string} [note] - Optional note for the student
+ * @returns {Promise<Object>} Updated justification
+ */
+export async function reviewAttendanceJustification(justificationId, status, note) {
+    return requestAuthenticatedAttendanceJson(ENDPOINTS.attendanceJustification(justificationId), {
+        method: 'PATCH',
+        body: {
+            status: status === 'approved' ? 'approved' : 'rejected',
+            review_note: String(note || '').trim() || undefined
+        },
+        context: 'Attendance justification review'
+    });
+}
+
+/**
+ * Open (or join) the shared live attendance session for a class.
+ * The server returns the already open session when another device started it first.
+ * @param {number} classId - Class ID
+ * @param {string} deviceId - Stable identifier of this browser
+ * @returns {Promise<{session_id: string, devices?: number, checkin_secret?: string}>} Live session info (checkin_secret signs projected student check-in codes)
+ */
+export async function openLiveAttendanceSession(classId, deviceId) {
+    return requestAttendanceJson(ENDPOINTS.liveAttendanceSession, {
+        method: 'POST',
+        body: { class_id: classId, device_id: deviceId },
+        context: 'Live attendance session open'
+    });
+}
+
+/**
+ * Push scan events from this device to a live session
+ * @param {string} sessionId - Live session ID
+ * @param {string} deviceId - Stable identifier of this browser
+ * @param {Array<{faculty_number: string, mode: 'joining'|'leaving', at: number, retracted?: boolean}>} events - Scan events (retracted withdraws an earlier scan)
+ * @returns {Promise<Object>} Response data
+ */
+export async function pushLiveAttendanceEvents(sessionId, deviceId, events) {
+    return requestAttendanceJson(ENDPOINTS.pushLiveAttendanceEvents, {
+        method: 'POST',
+        body: {
+            session_id: sessionId,
+            device_id: deviceId,
+            events: (Array.isArray(events) ? events : []).map((event) => ({
+                faculty_number: event.faculty_number,
+                mode: event.mode,
+                at: serializeTimestamp(event.at),
+                retracted: event.retracted ? true : undefined
+            }))
+        },
+        context: 'Live attendance events push'
+    });
+}
+
+/**
+ * Fetch scan events of a live session (from all devices) after a cursor
+ * @param {string} sessionId - Live session ID
+ * @param {string|number|null} since - Cursor returned by the previous call
+ * @returns {Promise<{events: Array, cursor?: string|number, closed?: boolean, devices?: number}>} Events page
+ */
+export async function fetchLiveAttendanceEvents(sessionId, since) {
+    return requestAttendanceJson(ENDPOINTS.liveAttendanceEvents(sessionId, since), {
+        context: 'Live attendance events fetch'
+    });
+}
+
+/**
+ * Close a live session once its attendance has been saved
+ * @param {string} sessionId - Live session ID
+ * @param {string} deviceId - Identifier of the device that finished the session
+ * @returns {Promise<Object>} Response data
+ */
+export async function closeLiveAttendanceSession(sessionId, deviceId) {
+    return requestAttendanceJson(ENDPOINTS.closeLiveAttendanceSession, {
+        method: 'POST',
+        body: { session_id: sessionId, device_id: deviceId },
+        context: 'Live attendance session close'
+    });
+}
@@ -355,6 +355,135 @@ export async function renameClassById(classId, newName, teacherEmail) {
         handleMutationApiError('/classes', err);
     }
 }
+/**
+ * Update the schedule of a class (scheduled start/end and grace windows)
+ * @param {number} classId - Class ID
+ * @param {Object|null} schedule - Normalized schedule (null clears it)
+ * @param {string} teacherEmail - Teacher email
+ * @returns {Promise<{success: boolean}>} Response data
+ */
+export async function updateClassScheduleById(classId, schedule, teacherEmail) {
+    if (!classId) {
+        throw new Error('classId is required');
+    }
+    if (!teacherEmail) {
+        throw new Error('teacherEmail is required');
+    }
+
+    try {
+        return await authJsonFetch(`${SERVER_BASE_URL + ENDPOINTS.updateClass}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                classId: Number(classId),
+                teacherEmail,
+                scheduled_start: schedule?.start || null,
+                scheduled_end: schedule?.end || null,
+                late_grace_minutes: schedule ? schedule.lateGraceMinutes : null,
+                early_leave_grace_minutes: schedule ? schedule.earlyLeaveGraceMinutes : null
+            })
+        });
+    } catch (err) {
+        handleMutationApiError('/classes', err);
+    }
+}
+
+/**
+ * Update the minimum attendance requirement of a class
+ * @param {number} classId - Class ID
+ * @param {Object|null} requirement - Normalized requirement (null clears it)
+ * @param {string} teacherEmail - Teacher email
+ * @returns {Promise<{success: boolean}>} Response data
+ */
+export async function updateClassAttendanceRequirementById(classId, requirement, teacherEmail) {
+    if (!classId) {
+        throw new Error('classId is required');
+    }
+    if (!teacherEmail) {
+        throw new Error('teacherEmail is required');
+    }
+
+    try {
+        return await authJsonFetch(`${SERVER_BASE_URL + ENDPOINTS.updateClass}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                classId: Number(classId),
+                teacherEmail,
+                min_attendance_type: requirement?.type || null,
+                min_attendance_value: requirement ? requirement.value : null,
+                planned_sessions: requirement?.plannedSessions ?? null
+            })
+        });
+    } catch (err) {
+        handleMutationApiError('/classes', err);
+    }
+}
+
+/**
+ * Update the minimum presence policy of a class
+ * @param {number} classId - Class ID
+ * @param {Object|null} policy - Normalized policy (null clears it)
+ * @param {string} teacherEmail - Teacher email
+ * @returns {Promise<{success: boolean}>} Response data
+ */
+export async function updateClassPresencePolicyById(classId, policy, teacherEmail) {
+    if (!classId) {
+        throw new Error('classId is required');
+    }
+    if (!teacherEmail) {
+        throw new Error('teacherEmail is required');
+    }
+
+    try {
+        return await authJsonFetch(`${SERVER_BASE_URL + ENDPOINTS.updateClass}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                classId: Number(classId),
+                teacherEmail,
+                min_presence_type: policy?.type || null,
+                min_presence_value: policy ? policy.value : null
+            })
+        });
+    } catch (err) {
+        handleMutationApiError('/classes', err);
+    }
+}
+
+/**
+ * Update the recurring weekly meetings of a class
+ * @param {number} classId - Class ID
+ * @param {Array<Object>|null} meetings - Normalized meetings (null clears them)
+ * @param {string} teacherEmail - Teacher email
+ * @returns {Promise<{success: boolean}>} Response data
+ */
+export async function updateClassMeetingsById(classId, meetings, teacherEmail) {
+    if (!classId) {
+        throw new Error('classId is required');
+    }
+    if (!teacherEmail) {
+        throw new Error('teacherEmail is required');
+    }
+
+    try {
+        return await authJsonFetch(`${SERVER_BASE_URL + ENDPOINTS.updateClass}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                classId: Number(classId),
+                teacherEmail,
+                meetings: (meetings || []).map((meeting) => ({
+                    weekday: meeting.weekday,
+                    start_time: meeting.start,
+                    end_time: meeting.end,
+                    room: meeting.room || null,
+                    start_date: meeting.startDate || null,
+                    end_date: meeting.endDate || null
+                }))
+            })
+        });
+    } catch (err) {
+        handleMutationApiError('/classes', err);
+    }
+}
+
 /**
  * Delete a class by ID
  * @param {number} classId - Class ID
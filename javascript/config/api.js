@@ -19,6 +19,41 @@ export const ENDPOINTS = {
     updateClass: '/classes',
     attendance: '/attendance',
     finishAttendanceSession: '/attendance/finish',
+    liveAttendanceSession: '/attendance/live',
+    liveAttendanceEvents: (sessionId, since) => {
+        const params = new URLSearchParams();
+        params.append('session_id', String(sessionId));
+        if (since !== null && since !== undefined && String(since).trim() !== '') {
+            params.append('since', String(since));
+        }
+        return `/attendance/live/events?${params.toString()}`;
+    },
+    pushLiveAttendanceEvents: '/attendance/live/events',
+    closeLiveAttendanceSession: '/attendance/live/close',
+    liveAttendanceCheckin: '/attendance/live/checkin',
+    attendanceSessions: (classId) => `/attendance/sessions?class_id=${encodeURIComponent(classId)}`,
+    attendanceSession: (sessionId) => `/attendance/sessions/${encodeURIComponent(sessionId)}`,
+    attendanceExcuses: '/attendance/excuses',
+    attendanceRecords: '/attendance/records',
+    attendanceRecordAudit: (classId, { studentId, facultyNumber } = {}) => {
+        const params = new URLSearchParams();
+        params.append('class_id', String(classId));
+        if (studentId) params.append('student_id', String(studentId));
+        if (facultyNumber) params.append('faculty_number', String(facultyNumber));
+        return `/attendance/records/audit?${params.toString()}`;
+    },
+    attendanceJustifications: ({ classId, status, studentId, facultyNumber } = {}) => {
+        const params = new URLSearchParams();
+        if (classId !== null && classId !== undefined && String(classId).trim() !== '') params.append('class_id', String(classId));
+        if (status) params.append('status', String(status));
+        if (studentId) params.append('student_id', String(studentId));
+        if (facultyNumber) params.append('faculty_number', String(facultyNumber));
+        const query = params.toString();
+        return query ? `/attendance/justifications?${query}` : '/attendance/justifications';
+    },
+    attendanceJustification: (justificationId) => `/attendance/justifications/${encodeURIComponent(justificationId)}`,
+    attendanceCertificates: '/attendance/certificates',
+    attendanceCertificate: (code) => `/attendance/certificates/${encodeURIComponent(code)}`,
     class_students: '/class_students',
     students: '/students',
     checkStudentEmail: '/students/check-email',
@@ -0,0 +1,25 @@
+/**
+ * Card Formats Configuration Module
+ *
+ * Describes the barcodes printed on university ID cards so the scanner can
+ * read a faculty number from them (see utils/scanPayloadParsers.js).
+ * Add one entry per card layout used at the institution.
+ */
+
+/**
+ * @typedef {Object} CardFormat
+ * @property {string} id - Unique identifier (used in logs)
+ * @property {string} label - Human readable name
+ * @property {string} pattern - Regular expression matched against the decoded text (case-insensitive)
+ * @property {number|string} [group=1] - Capture group (index or name) holding the faculty number
+ * @property {Array<string>} barcodeFormats - Barcode formats the card uses (BarcodeDetector names, e.g. 'code_128')
+ * @property {boolean} [trusted=true] - Accept the card for students with a signed QR secret.
+ *   A card is shown in person, so it is trusted by default; set false for formats that are easy to copy.
+ */
+
+/**
+ * Card formats recognized by the teacher scanner.
+ * Example: { id: 'uni-id', label: 'University ID card', pattern: '^UNI-(\\d{8})$', barcodeFormats: ['code_128'] }
+ * @type {Array<CardFormat>}
+ */
+export const CARD_FORMATS = [];
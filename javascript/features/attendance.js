@@ -17,19 +17,60 @@ import {
     getCurrentClass,
     clearAttendanceState,
     clearStudentTimestamps,
-    getAttendanceDotIndex
+    getAttendanceDotIndex,
+    getClassSchedule,
+    getClassPresencePolicy,
+    getAttendanceOverrides,
+    ensureAttendanceOverrides,
+    getAttendanceSessionDetails,
+    setAttendanceSessionDetails,
+    getClassMeetings
 } from '../state/appState.js';
 import { loadClassStudentsFromStorage, getStudentInfoForFacultyNumber, resolveStudentFacultyNumber } from '../storage/studentStorage.js';
-import { fetchClassAttendance, saveStudentTimestamps, updateCompletedClassesCount, saveAttendanceData, saveAttendanceSession } from '../api/attendanceApi.js';
+import {
+    fetchClassAttendance,
+    saveStudentTimestamps,
+    updateCompletedClassesCount,
+    saveAttendanceData,
+    saveAttendanceSession,
+    updateAttendanceSession
+} from '../api/attendanceApi.js';
 import { updateAttendanceDot } from '../ui/attendanceUI.js';
-import { getActiveClassName, logError } from '../utils/helpers.js';
+import { getActiveClassName, logError, createClientId } from '../utils/helpers.js';
 import { openConfirmOverlay, getOverlay, hideOverlay } from '../ui/overlays.js';
 import { closeScanner } from './scanner.js';
+import { enqueueAttendanceSession } from './attendanceOutbox.js';
+import { recordLiveScan, retractLiveScan, flushLiveSession, closeLiveSession } from './liveSession.js';
+import { logScanResult } from './scanLog.js';
+import { addScannedStudentToClass } from './studentManagement.js';
+import { fetchAllStudents } from '../api/studentApi.js';
+import { isSignedQrPayload, resolveStudentQrSecret, verifyStudentQrToken } from '../utils/qrToken.js';
+import { classifyAttendance, normalizeClassSchedule } from '../utils/attendanceClassification.js';
+import { resolveSessionLengthMs, evaluatePresence } from '../utils/presencePolicy.js';
+import { findMeetingToday, resolveScheduleForDay } from '../utils/classMeetings.js';
+import { loadAutoLeaveMinMinutes } from '../storage/scannerSettingsStorage.js';
+import { parseScannedPayload } from '../utils/scanPayloadParsers.js';
+import { getClassIdByNameFromStorage, getStoredClassesMap, loadClassScheduleFromStorage } from '../storage/classStorage.js';
+import {
+    saveScannerDraftToStorage,
+    loadScannerDraftFromStorage,
+    removeScannerDraftFromStorage,
+    listScannerDraftsFromStorage,
+    takeLegacyScannerDraftFromStorage
+} from '../storage/scannerDraftStorage.js';
 
 const recentScanTimestamps = new Map();
+// Unknown students already offered to the teacher in this scanner run (`${className}|${facultyNumber}`)
+const unknownStudentPrompts = new Set();
+let unknownStudentPromptOpen = false;
 const SCAN_DEBOUNCE_MS = 1500;
-const SCANNER_DRAFT_KEY_PREFIX = 'scanner:draft:';
-const SCANNER_DRAFT_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24h safety window
+// Drafts are kept until resumed, saved or discarded; past this age the draft manager flags them.
+export const SCANNER_DRAFT_STALE_AGE_MS = 24 * 60 * 60 * 1000;
+const DRAFT_ATTENDANCE_STATUSES = new Set(['joined', 'completed', 'absent', 'excused']);
+export const MANUAL_OVERRIDE_STATUSES = ['joined', 'completed', 'absent', 'excused'];
+export const MANUAL_OVERRIDE_REASON_MAX_LENGTH = 200;
+export const SESSION_DETAIL_MAX_LENGTHS = { topic: 120, room: 60, notes: 1000 };
+const SESSION_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 function i18nText(key, fallback) {
     try {
@@ -59,12 +100,54 @@ function showInvalidQrToast() {
     showScanToast(i18nText('err_invalid_qr', 'Invalid QR code.'), 'error');
 }
 
-function scannerDraftKey(className) {
-    return `${SCANNER_DRAFT_KEY_PREFIX}${String(className || '').trim()}`;
+function showRejectedQrToast(reason) {
+    if (reason === 'expired') {
+        showScanToast(i18nText('err_qr_expired', 'QR code expired. Ask the student to show the live code.'), 'error');
+        return;
+    }
+    if (reason === 'unverifiable') {
+        showScanToast(
+            i18nText('err_qr_unverifiable', 'This QR code cannot be checked against the class list. Mark the student by hand.'),
+            'error'
+        );
+        return;
+    }
+    showScanToast(i18nText('err_qr_forged', 'QR code could not be verified.'), 'error');
 }
 
-function isDraftFresh(savedAt) {
-    return Number.isFinite(savedAt) && (Date.now() - savedAt) <= SCANNER_DRAFT_MAX_AGE_MS;
+function resolveDraftClassId(className) {
+    const cls = String(className || '').trim();
+    if (!cls) return null;
+    return getClassIdByName(cls) || getClassIdByNameFromStorage(cls) || null;
+}
+
+/**
+ * Load the stored draft of a class, moving a draft saved under the old class-name key
+ * @param {string} className - Class name
+ * @param {number|string|null} classId - Class ID
+ * @returns {Object|null} Draft or null
+ */
+function loadDraftForClass(className, classId) {
+    if (!classId) return null;
+    const draft = loadScannerDraftFromStorage(classId);
+    if (draft) return draft;
+    const legacy = takeLegacyScannerDraftFromStorage(className);
+    if (!legacy) return null;
+    saveScannerDraftToStorage(classId, { ...legacy, className: String(className).trim() });
+    return loadScannerDraftFromStorage(classId);
+}
+
+function notifyScannerDraftChanged(className, classId) {
+    document.dispatchEvent(new CustomEvent('scannerDraftChanged', {
+        detail: { className: String(className || ''), classId: classId !== null && classId !== undefined ? String(classId) : null }
+    }));
+}
+
+function isDraftEmpty(draft) {
+    return normalizeDraftAttendanceEntries(draft?.attendance).length === 0
+        && normalizeDraftTimestampEntries(draft?.timestamps).length === 0
+        && normalizeDraftOverrideEntries(draft?.overrides).length === 0
+        && !draft?.session?.reopened;
 }
 
 function normalizeDraftAttendanceEntries(entries) {
@@ -75,12 +158,32 @@ function normalizeDraftAttendanceEntries(entries) {
         const studentId = String(entry[0] || '').trim();
         const status = entry[1];
         if (!studentId) return;
-        if (status !== 'joined' && status !== 'completed') return;
+        if (!DRAFT_ATTENDANCE_STATUSES.has(status)) return;
         normalized.push([studentId, status]);
     });
     return normalized;
 }
 
+function normalizeDraftOverrideEntries(entries) {
+    if (!Array.isArray(entries)) return [];
+    const normalized = [];
+    entries.forEach((entry) => {
+        if (!Array.isArray(entry) || entry.length < 2) return;
+        const facultyNumber = String(entry[0] || '').trim();
+        const override = entry[1];
+        if (!facultyNumber || !override || typeof override !== 'object') return;
+        if (!MANUAL_OVERRIDE_STATUSES.includes(override.status)) return;
+        const reason = String(override.reason || '').trim();
+        if (!reason) return;
+        normalized.push([facultyNumber, {
+            status: override.status,
+            reason,
+            at: Number.isFinite(override.at) ? override.at : Date.now()
+        }]);
+    });
+    return normalized;
+}
+
 function normalizeDraftTimestampEntries(entries) {
     if (!Array.isArray(entries)) return [];
     const normalized = [];
@@ -97,30 +200,99 @@ function normalizeDraftTimestampEntries(entries) {
     return normalized;
 }
 
+function formatSessionDate(timestamp) {
+    const d = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Normalize session details from the scanner form, a draft or the server
+ * @param {Object|null} raw - Raw details (id, date "YYYY-MM-DD", topic, room, notes, reopened)
+ * @returns {{id: string, date: string, topic: string, room: string, notes: string, reopened: boolean}} Details; a missing ID starts a new session
+ */
+export function normalizeAttendanceSessionDetails(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const date = String(source.date || source.session_date || '').trim().slice(0, 10);
+    const clip = (value, max) => String(value || '').trim().slice(0, max);
+    return {
+        id: String(source.id ?? source.session_id ?? '').trim() || createClientId(),
+        date: SESSION_DATE_PATTERN.test(date) ? date : formatSessionDate(Date.now()),
+        topic: clip(source.topic, SESSION_DETAIL_MAX_LENGTHS.topic),
+        room: clip(source.room, SESSION_DETAIL_MAX_LENGTHS.room),
+        notes: clip(source.notes, SESSION_DETAIL_MAX_LENGTHS.notes),
+        reopened: Boolean(source.reopened)
+    };
+}
+
+/**
+ * Get details of the session running in the scanner, starting a new session if there is none.
+ * A new session takes its room from the class's meeting today, if the timetable has one.
+ * @param {string} className - Class name
+ * @returns {{id: string, date: string, topic: string, room: string, notes: string, reopened: boolean}} Session details
+ */
+export function ensureAttendanceSessionDetails(className) {
+    let details = getAttendanceSessionDetails(className);
+    if (!details) {
+        const meeting = findMeetingToday(getClassMeetings(resolveDraftClassId(className)));
+        details = normalizeAttendanceSessionDetails({ room: meeting?.room || '' });
+        setAttendanceSessionDetails(className, details);
+    }
+    return details;
+}
+
+/**
+ * Update date/topic/room/notes of the running session (scanner form)
+ * @param {string} className - Class name
+ * @param {{date?: string, topic?: string, room?: string, notes?: string}} changes - Changed fields
+ * @returns {Object} Updated session details
+ */
+export function updateAttendanceSessionDetails(className, changes) {
+    const current = ensureAttendanceSessionDetails(className);
+    const next = normalizeAttendanceSessionDetails({
+        ...current,
+        ...changes,
+        id: current.id,
+        reopened: current.reopened
+    });
+    setAttendanceSessionDetails(className, next);
+    saveScannerDraftForClass(className);
+    return next;
+}
+
 export function saveScannerDraftForClass(className) {
-    const key = scannerDraftKey(className);
     if (!String(className || '').trim()) return false;
+    const classId = resolveDraftClassId(className);
+    if (!classId) {
+        logError('saveScannerDraftForClass', new Error('Missing class ID'), { className });
+        return false;
+    }
     try {
-        const classLabel = String(className);
+        const classLabel = String(className).trim();
         const attendanceMap = getAttendanceState(className) || new Map();
         const timestampsMap = getStudentTimestamps() || new Map();
         const attendance = normalizeDraftAttendanceEntries(Array.from(attendanceMap.entries()));
         const timestamps = normalizeDraftTimestampEntries(Array.from(timestampsMap.entries()));
-        if (attendance.length === 0 && timestamps.length === 0) {
-            if (localStorage.getItem(key) !== null) {
-                localStorage.removeItem(key);
-                document.dispatchEvent(new CustomEvent('scannerDraftChanged', { detail: { className: classLabel } }));
-            }
+        const overrides = normalizeDraftOverrideEntries(Array.from((getAttendanceOverrides(className) || new Map()).entries()));
+        const session = getAttendanceSessionDetails(className) || null;
+        // A reopened session is worth keeping even if every student ended up absent.
+        if (attendance.length === 0 && timestamps.length === 0 && !session?.reopened) {
+            if (removeScannerDraftFromStorage(classId)) notifyScannerDraftChanged(classLabel, classId);
             return false;
         }
+        const now = Date.now();
+        const previous = loadScannerDraftFromStorage(classId);
         const payload = {
             className: classLabel,
-            savedAt: Date.now(),
+            createdAt: Number.isFinite(previous?.createdAt) ? previous.createdAt : now,
+            savedAt: now,
             attendance,
-            timestamps
+            timestamps,
+            overrides,
+            session
         };
-        localStorage.setItem(key, JSON.stringify(payload));
-        document.dispatchEvent(new CustomEvent('scannerDraftChanged', { detail: { className: classLabel } }));
+        if (!saveScannerDraftToStorage(classId, payload)) return false;
+        notifyScannerDraftChanged(classLabel, classId);
         return true;
     } catch (_) {
         return false;
@@ -128,20 +300,14 @@ export function saveScannerDraftForClass(className) {
 }
 
 export function restoreScannerDraftForClass(className) {
-    const key = scannerDraftKey(className);
     if (!String(className || '').trim()) return false;
     try {
-        const raw = localStorage.getItem(key);
-        if (!raw) return false;
-        const parsed = JSON.parse(raw);
-        const savedAt = Number(parsed?.savedAt || 0);
-        if (!isDraftFresh(savedAt)) {
-            clearScannerDraftForClass(className);
-            return false;
-        }
+        const parsed = loadDraftForClass(className, resolveDraftClassId(className));
+        if (!parsed) return false;
         const attendanceEntries = normalizeDraftAttendanceEntries(parsed?.attendance);
         const timestampEntries = normalizeDraftTimestampEntries(parsed?.timestamps);
-        if (attendanceEntries.length === 0 && timestampEntries.length === 0) {
+        const reopened = Boolean(parsed?.session?.reopened);
+        if (attendanceEntries.length === 0 && timestampEntries.length === 0 && !reopened) {
             clearScannerDraftForClass(className);
             return false;
         }
@@ -155,7 +321,15 @@ export function restoreScannerDraftForClass(className) {
         timestampEntries.forEach(([facultyNumber, ts]) => {
             setStudentTimestamp(String(facultyNumber), ts.joined_at, ts.left_at);
         });
-        return attendanceEntries.length > 0 || timestampEntries.length > 0;
+
+        const overrides = ensureAttendanceOverrides(className);
+        normalizeDraftOverrideEntries(parsed?.overrides).forEach(([facultyNumber, override]) => {
+            overrides.set(facultyNumber, override);
+        });
+        if (parsed?.session) {
+            setAttendanceSessionDetails(className, normalizeAttendanceSessionDetails(parsed.session));
+        }
+        return true;
     } catch (_) {
         return false;
     }
@@ -163,34 +337,62 @@ export function restoreScannerDraftForClass(className) {
 
 export function clearScannerDraftForClass(className) {
     if (!String(className || '').trim()) return;
-    try {
-        localStorage.removeItem(scannerDraftKey(className));
-        document.dispatchEvent(new CustomEvent('scannerDraftChanged', { detail: { className: String(className) } }));
-    } catch (_) {}
+    const classId = resolveDraftClassId(className);
+    takeLegacyScannerDraftFromStorage(className);
+    removeScannerDraftFromStorage(classId);
+    notifyScannerDraftChanged(className, classId);
 }
 
 export function hasScannerDraftForClass(className) {
-    const key = scannerDraftKey(className);
     if (!String(className || '').trim()) return false;
-    try {
-        const raw = localStorage.getItem(key);
-        if (!raw) return false;
-        const parsed = JSON.parse(raw);
-        const savedAt = Number(parsed?.savedAt || 0);
-        if (!isDraftFresh(savedAt)) {
-            clearScannerDraftForClass(className);
-            return false;
-        }
-        const attendanceEntries = normalizeDraftAttendanceEntries(parsed?.attendance);
-        const timestampEntries = normalizeDraftTimestampEntries(parsed?.timestamps);
-        const hasDraft = attendanceEntries.length > 0 || timestampEntries.length > 0;
-        if (!hasDraft) {
-            clearScannerDraftForClass(className);
-        }
-        return hasDraft;
-    } catch (_) {
+    const classId = resolveDraftClassId(className);
+    const parsed = loadDraftForClass(className, classId);
+    if (!parsed) return false;
+    if (isDraftEmpty(parsed)) {
+        if (removeScannerDraftFromStorage(classId)) notifyScannerDraftChanged(className, classId);
         return false;
     }
+    return true;
+}
+
+/**
+ * Summarize the current teacher's scanner drafts for the draft manager
+ * @returns {Array<{classId: string, className: string, classKnown: boolean, createdAt: number|null, savedAt: number|null, stale: boolean,
+ *   counts: {scanned: number, joined: number, completed: number, absent: number, excused: number, overrides: number},
+ *   session: {date: string, topic: string, reopened: boolean}|null}>} Drafts, newest first
+ */
+export function listScannerDrafts() {
+    const classNamesById = getStoredClassesMap();
+    return listScannerDraftsFromStorage()
+        .filter((draft) => !isDraftEmpty(draft))
+        .map((draft) => {
+            const counts = { scanned: 0, joined: 0, completed: 0, absent: 0, excused: 0, overrides: 0 };
+            normalizeDraftAttendanceEntries(draft.attendance).forEach(([, status]) => { counts[status] += 1; });
+            counts.scanned = normalizeDraftTimestampEntries(draft.timestamps).length;
+            counts.overrides = normalizeDraftOverrideEntries(draft.overrides).length;
+            const savedAt = Number.isFinite(draft.savedAt) ? draft.savedAt : null;
+            // Prefer the current name so a renamed class still finds its draft.
+            const storedName = classNamesById
+                ? Array.from(classNamesById.entries()).find(([id]) => String(id) === String(draft.classId))?.[1]
+                : null;
+            return {
+                classId: String(draft.classId),
+                className: String(storedName || draft.className || '').trim(),
+                // Without a stored class list there is nothing to check against.
+                classKnown: !classNamesById || Boolean(storedName),
+                createdAt: Number.isFinite(draft.createdAt) ? draft.createdAt : savedAt,
+                savedAt,
+                stale: savedAt === null || Date.now() - savedAt > SCANNER_DRAFT_STALE_AGE_MS,
+                counts,
+                session: draft.session
+                    ? {
+                        date: String(draft.session.date || ''),
+                        topic: String(draft.session.topic || ''),
+                        reopened: Boolean(draft.session.reopened)
+                    }
+                    : null
+            };
+        });
 }
 
 /**
@@ -244,10 +446,40 @@ export function initAttendanceStateForClass(className, students) {
  */
 export function deriveStudentIdFromPayload(payload) {
     if (!payload || typeof payload !== 'object') return null;
-    const id = payload.facultyNumber || payload.faculty_number || payload.email || null;
+    const id = payload.fn || payload.facultyNumber || payload.faculty_number || payload.email || null;
     return id || null;
 }
 
+/**
+ * Verify signature and freshness of a scanned QR payload against the class roster.
+ * Students whose roster entry carries a QR secret must present a valid signed token;
+ * students without one (server not issuing secrets yet) keep the legacy static QR.
+ * A signed token is never accepted without a secret to check it against.
+ * @param {Object} payload - Parsed QR code payload
+ * @param {string} className - Class name
+ * @param {string} studentFacultyNumber - Faculty number derived from the payload
+ * @returns {Promise<{ok: boolean, reason: string}>} Verification result
+ */
+export async function verifyScannedPayload(payload, className, studentFacultyNumber) {
+    const storedStudents = loadClassStudentsFromStorage(className) || [];
+    const info = getStudentInfoForFacultyNumber(studentFacultyNumber, storedStudents);
+    const secret = resolveStudentQrSecret(info);
+    if (!secret) {
+        return isSignedQrPayload(payload)
+            ? { ok: false, reason: 'unverifiable' }
+            : { ok: true, reason: 'legacy' };
+    }
+    if (!isSignedQrPayload(payload)) {
+        return { ok: false, reason: 'forged' };
+    }
+    try {
+        return await verifyStudentQrToken(payload, secret);
+    } catch (e) {
+        logError('verifyScannedPayload', e, { className, studentFacultyNumber });
+        return { ok: false, reason: 'forged' };
+    }
+}
+
 /**
  * Update attendance state for a student
  * @param {string} className - Class name
@@ -268,7 +500,8 @@ export function updateAttendanceState(className, studentFacultyNumber, mode, upd
     let next = current;
 
     if (mode === 'joining') {
-        if (current === 'none') {
+        // A scan is stronger evidence than a manual absent/excused mark.
+        if (current === 'none' || current === 'absent' || current === 'excused') {
             next = 'joined';
             setStudentTimestamp(studentFacultyNumber, Date.now(), null);
         }
@@ -290,6 +523,8 @@ export function updateAttendanceState(className, studentFacultyNumber, mode, upd
     let changed = false;
     if (next !== current) {
         map.set(studentFacultyNumber, next);
+        // Once a scan moves the student on, the record is scan-backed again.
+        getAttendanceOverrides(className)?.delete(studentFacultyNumber);
         // Update UI dot
         updateAttendanceDot(studentFacultyNumber, next);
         changed = true;
@@ -299,57 +534,320 @@ export function updateAttendanceState(className, studentFacultyNumber, mode, upd
     return { changed, next };
 }
 
+/**
+ * Manually set a student's attendance status (e.g. phone died, excused absence)
+ * @param {string} className - Class name
+ * @param {string} studentFacultyNumber - Student faculty number
+ * @param {'joined'|'completed'|'absent'|'excused'} status - New status
+ * @param {string} reason - Required reason for the override
+ * @returns {{ok: boolean, error?: string}} Result
+ */
+export function applyManualAttendanceOverride(className, studentFacultyNumber, status, reason) {
+    const cls = String(className || '').trim();
+    const facultyNumber = String(studentFacultyNumber || '').trim();
+    const trimmedReason = String(reason || '').trim();
+    if (!cls || !facultyNumber) return { ok: false, error: 'missing_student' };
+    if (!MANUAL_OVERRIDE_STATUSES.includes(status)) return { ok: false, error: 'invalid_status' };
+    if (!trimmedReason) return { ok: false, error: 'reason_required' };
+    if (trimmedReason.length > MANUAL_OVERRIDE_REASON_MAX_LENGTH) return { ok: false, error: 'reason_too_long' };
+    if (!isStudentInClass(cls, facultyNumber)) return { ok: false, error: 'not_in_class' };
+
+    const now = Date.now();
+    const ts = getStudentTimestamp(facultyNumber);
+    const joinedAt = Number.isFinite(ts?.joined_at) ? ts.joined_at : null;
+    const leftAt = Number.isFinite(ts?.left_at) ? ts.left_at : null;
+
+    if (status === 'joined') {
+        setStudentTimestamp(facultyNumber, joinedAt ?? now, null);
+    } else if (status === 'completed') {
+        setStudentTimestamp(facultyNumber, joinedAt ?? now, leftAt ?? now);
+    } else {
+        setStudentTimestamp(facultyNumber, null, null);
+    }
+
+    ensureAttendanceState(cls).set(facultyNumber, status);
+    ensureAttendanceOverrides(cls).set(facultyNumber, { status, reason: trimmedReason, at: now });
+    updateAttendanceDot(facultyNumber, status);
+
+    const updated = getStudentTimestamp(facultyNumber);
+    if (status === 'joined' || status === 'completed') {
+        recordLiveScan(cls, facultyNumber, 'joining', updated.joined_at);
+    }
+    if (status === 'completed') {
+        recordLiveScan(cls, facultyNumber, 'leaving', updated.left_at);
+    }
+    saveScannerDraftForClass(cls);
+    return { ok: true };
+}
+
+function snapshotStudentAttendance(className, facultyNumber) {
+    const ts = getStudentTimestamp(facultyNumber);
+    const override = getAttendanceOverrides(className)?.get(facultyNumber) || null;
+    return {
+        status: getAttendanceState(className)?.get(facultyNumber) || 'none',
+        joined_at: Number.isFinite(ts?.joined_at) ? ts.joined_at : null,
+        left_at: Number.isFinite(ts?.left_at) ? ts.left_at : null,
+        override: override ? { ...override } : null
+    };
+}
+
+function isSameAttendanceSnapshot(a, b) {
+    return Boolean(a && b)
+        && a.status === b.status
+        && a.joined_at === b.joined_at
+        && a.left_at === b.left_at;
+}
+
+function resolveScanLogName(payload, facultyNumber, storedStudents) {
+    const info = getStudentInfoForFacultyNumber(facultyNumber, storedStudents);
+    return info?.full_name || info?.fullName || info?.name || payload?.n || payload?.name || facultyNumber;
+}
+
+/**
+ * Apply a verified, non-debounced scan to the running session (state, live session, draft, log)
+ */
+function applyVerifiedScan(className, studentFacultyNumber, mode, logEntry, updateStudentInfoCountFn) {
+    const now = Date.now();
+    const before = snapshotStudentAttendance(className, studentFacultyNumber);
+    const result = updateAttendanceState(className, studentFacultyNumber, mode, updateStudentInfoCountFn);
+    if (result?.changed) {
+        const ts = getStudentTimestamp(studentFacultyNumber);
+        recordLiveScan(className, studentFacultyNumber, mode, mode === 'leaving' ? ts?.left_at : ts?.joined_at);
+    } else if (mode === 'leaving' && result?.next === 'none') {
+        // Another device may have registered the join; let the shared session decide.
+        recordLiveScan(className, studentFacultyNumber, mode, now);
+    }
+    saveScannerDraftForClass(className);
+    if (result?.changed) {
+        logScanResult({
+            ...logEntry,
+            result: result.next,
+            undo: { before, after: snapshotStudentAttendance(className, studentFacultyNumber) }
+        });
+        const tone = mode === 'leaving' ? 'error' : 'success';
+        // In auto mode the teacher did not pick the direction, so spell it out.
+        const message = logEntry.auto
+            ? `${logEntry.name} · ${result.next === 'completed'
+                ? i18nText('scanner_auto_left', 'Left')
+                : i18nText('scanner_auto_joined', 'Joined')}`
+            : logEntry.name;
+        showScanToast(message, tone);
+    } else {
+        logScanResult({ ...logEntry, result: 'unchanged' });
+    }
+    return result;
+}
+
+/**
+ * Decide what an auto mode scan means for a student: a student who is not
+ * present joins, a joined student leaves once the minimum interval has passed.
+ * @param {string} className - Class name
+ * @param {string} studentFacultyNumber - Student faculty number
+ * @param {number} minIntervalMs - Minimum time between the join and the leave scan
+ * @param {number} [now] - Scan time
+ * @returns {{mode: 'joining'|'leaving', waitMs: number}} Resolved mode; waitMs > 0 means the leave scan came too early
+ */
+function resolveAutoScanMode(className, studentFacultyNumber, minIntervalMs, now = Date.now()) {
+    const current = getAttendanceState(className)?.get(studentFacultyNumber) || 'none';
+    if (current === 'none' || current === 'absent' || current === 'excused') {
+        return { mode: 'joining', waitMs: 0 };
+    }
+    if (current === 'joined') {
+        const joinedAt = getStudentTimestamp(studentFacultyNumber)?.joined_at;
+        // Without a join time (e.g. a manual mark) there is nothing to wait for.
+        const waitMs = Number.isFinite(joinedAt) ? joinedAt + minIntervalMs - now : 0;
+        return waitMs > 0 ? { mode: 'joining', waitMs } : { mode: 'leaving', waitMs: 0 };
+    }
+    return { mode: 'leaving', waitMs: 0 };
+}
+
+/**
+ * Find the faculty number of a student in the student directory by email
+ * @param {string} email - Scanned email
+ * @returns {Promise<string|null>} Faculty number or null if no directory student has the email
+ */
+async function resolveDirectoryFacultyNumber(email) {
+    const wanted = String(email || '').trim().toLowerCase();
+    if (!wanted) return null;
+    const find = (students) => (Array.isArray(students) ? students : [])
+        .find((student) => String(student?.email || '').trim().toLowerCase() === wanted) || null;
+    try {
+        // Students who registered after the directory was cached would not be found otherwise.
+        const student = find(await fetchAllStudents()) || find(await fetchAllStudents({ forceRefresh: true }));
+        return student ? String(resolveStudentFacultyNumber(student) || '').trim() || null : null;
+    } catch (e) {
+        logError('resolveDirectoryFacultyNumber', e, { email: wanted });
+        return null;
+    }
+}
+
+/**
+ * Ask whether a scanned student who is not on the roster should be added and marked present.
+ * Asks once per student while the scanner runs; a dismissed prompt is not repeated.
+ */
+function promptAddUnknownStudent(className, studentFacultyNumber, payload, logEntry, updateStudentInfoCountFn, trustedEntry = false) {
+    const promptKey = `${className}|${studentFacultyNumber}`;
+    // One prompt at a time; other unknown students are offered on their next scan.
+    if (unknownStudentPromptOpen || unknownStudentPrompts.has(promptKey)) return;
+    unknownStudentPrompts.add(promptKey);
+    unknownStudentPromptOpen = true;
+
+    const name = logEntry.name && logEntry.name !== studentFacultyNumber
+        ? `${logEntry.name} (${studentFacultyNumber})`
+        : studentFacultyNumber;
+    const message = i18nText('scanner_unknown_student_prompt', '{name} is not in this class. Add and mark present?')
+        .replace('{name}', name);
+
+    openConfirmOverlay(message, async () => {
+        unknownStudentPromptOpen = false;
+        let added = false;
+        try {
+            added = await addScannedStudentToClass(className, studentFacultyNumber);
+        } catch (e) {
+            logError('promptAddUnknownStudent', e, { className, studentFacultyNumber });
+        }
+        if (!added || !isStudentInClass(className, studentFacultyNumber)) {
+            showScanToast(i18nText('scanner_unknown_student_failed', 'Could not add the student to this class.'), 'error');
+            // Allow another attempt on the next scan.
+            unknownStudentPrompts.delete(promptKey);
+            return;
+        }
+
+        ensureAttendanceState(className).set(studentFacultyNumber, 'none');
+        if (!getStudentTimestamp(studentFacultyNumber)) setStudentTimestamp(studentFacultyNumber, null, null);
+
+        // The roster entry may carry a QR secret now; hold the scan to the same check as any other.
+        const verification = trustedEntry
+            ? { ok: true, reason: 'manual' }
+            : await verifyScannedPayload(payload, className, studentFacultyNumber);
+        if (!verification.ok) {
+            showRejectedQrToast(verification.reason);
+            logScanResult({ ...logEntry, result: verification.reason === 'expired' ? 'expired' : 'rejected' });
+            return;
+        }
+        recentScanTimestamps.set(`${className}|${studentFacultyNumber}|joining`, Date.now());
+        applyVerifiedScan(
+            className,
+            studentFacultyNumber,
+            'joining',
+            { ...logEntry, mode: 'joining', auto: logEntry.mode === 'auto' },
+            updateStudentInfoCountFn
+        );
+    }, () => {
+        unknownStudentPromptOpen = false;
+    }, {
+        title: i18nText('scanner_unknown_student_title', 'Student not in class'),
+        okText: i18nText('scanner_unknown_student_add', 'Add and mark present'),
+        cancelText: i18nText('scanner_unknown_student_ignore', 'Ignore')
+    });
+}
+
 /**
  * Handle scanned QR code
- * @param {string} data - Scanned QR code data (JSON string)
- * @param {'joining'|'leaving'} mode - Scan mode
+ * @param {string} data - Decoded scan text (QR JSON, ID card barcode, email or faculty number; see utils/scanPayloadParsers.js)
+ * @param {'joining'|'leaving'|'auto'} mode - Scan mode; auto is resolved per student (see resolveAutoScanMode)
  * @param {string} className - Class name
  * @param {Function} updateStudentInfoCountFn - Callback to update student info count
+ * @param {Object} [options] - Scan options
+ * @param {'camera'|'reader'|'manual'} [options.source='camera'] - Where the code came from: the camera, a USB reader or the manual entry form
+ * @returns {Promise<void>} Resolves once the scan has been processed
  */
-export function handleScannedCode(data, mode, className, updateStudentInfoCountFn) {
-    // Parse JSON payload from student QR (expects facultyNumber, name, email)
-    let payload = null;
-    try {
-        payload = JSON.parse(data);
-    } catch (_) {
-        console.error('[handleScannedCode] Failed to parse JSON from scanned data');
+export async function handleScannedCode(data, mode, className, updateStudentInfoCountFn, { source = 'camera' } = {}) {
+    // Resolve active class (fallback if className missing)
+    const activeClass = (className || getActiveClassName()).trim();
+    const storedStudents = activeClass ? (loadClassStudentsFromStorage(activeClass) || []) : [];
+
+    // Student QR JSON (signed token or legacy facultyNumber/name/email), ID card barcode, email or faculty number
+    const parsed = parseScannedPayload(data, { students: storedStudents });
+    if (!parsed) {
+        console.error('[handleScannedCode] Unrecognized scanned data');
         showInvalidQrToast();
+        logScanResult({ className, facultyNumber: null, name: '', mode, result: 'invalid' });
         return;
     }
 
+    const payload = parsed.payload;
     const studentFacultyNumber = deriveStudentIdFromPayload(payload);
 
     if (studentFacultyNumber) {
-        // Resolve active class (fallback if className missing)
-        const activeClass = (className || getActiveClassName()).trim();
-
         if (!activeClass) {
             // Ignoring scan – no active class context
             return;
-        } else if (!isStudentInClass(activeClass, studentFacultyNumber)) {
-            // Ignoring scan for unassigned student
+        }
+
+        // Printed ID cards and typed entries carry no signature; the teacher vouches for them.
+        // QR codes are verified the same way whether the camera or a USB reader decoded them.
+        const trustedEntry = !isSignedQrPayload(payload)
+            && (source === 'manual' || (parsed.trusted && parsed.parserId.startsWith('card:')));
+        const logEntry = {
+            className: activeClass,
+            facultyNumber: studentFacultyNumber,
+            name: resolveScanLogName(payload, studentFacultyNumber, storedStudents),
+            mode
+        };
+
+        if (!isStudentInClass(activeClass, studentFacultyNumber)) {
+            if (studentFacultyNumber !== (payload.fn || payload.facultyNumber || payload.faculty_number)) {
+                // Only an email was scanned. Students are added by faculty number, so look it up in the
+                // directory and handle the scan again; an email nobody registered with is not offered.
+                const facultyNumber = await resolveDirectoryFacultyNumber(studentFacultyNumber);
+                if (facultyNumber) {
+                    return handleScannedCode(JSON.stringify({ ...payload, facultyNumber }), mode, className, updateStudentInfoCountFn, { source });
+                }
+                logScanResult({ ...logEntry, result: 'not_in_class' });
+                return;
+            }
+            // Not on the roster: log it and offer to add the student on the spot
+            logScanResult({ ...logEntry, result: 'not_in_class' });
+            promptAddUnknownStudent(activeClass, studentFacultyNumber, payload, logEntry, updateStudentInfoCountFn, trustedEntry);
             return;
         } else {
-            const scanKey = `${activeClass}|${studentFacultyNumber}|${mode}`;
+            const verification = trustedEntry
+                ? { ok: true, reason: 'manual' }
+                : await verifyScannedPayload(payload, activeClass, studentFacultyNumber);
+            if (!verification.ok) {
+                showRejectedQrToast(verification.reason);
+                logScanResult({ ...logEntry, result: verification.reason === 'expired' ? 'expired' : 'rejected' });
+                return;
+            }
+
             const now = Date.now();
+            let scanMode = mode;
+            let scanEntry = logEntry;
+            let autoWaitMs = 0;
+            if (mode === 'auto') {
+                const minMinutes = loadAutoLeaveMinMinutes();
+                const resolved = resolveAutoScanMode(activeClass, studentFacultyNumber, minMinutes * 60000, now);
+                scanMode = resolved.mode;
+                scanEntry = { ...logEntry, mode: scanMode, auto: true };
+                autoWaitMs = resolved.waitMs;
+            }
+
+            const scanKey = `${activeClass}|${studentFacultyNumber}|${scanMode}`;
             const lastSeenAt = recentScanTimestamps.get(scanKey) || 0;
             if (now - lastSeenAt < SCAN_DEBOUNCE_MS) {
+                logScanResult({ ...scanEntry, result: 'debounced' });
                 return;
             }
             recentScanTimestamps.set(scanKey, now);
 
-            const result = updateAttendanceState(activeClass, studentFacultyNumber, mode, updateStudentInfoCountFn);
-            saveScannerDraftForClass(activeClass);
-            if (result?.changed) {
-                const storedStudents = loadClassStudentsFromStorage(activeClass) || [];
-                const info = getStudentInfoForFacultyNumber(studentFacultyNumber, storedStudents);
-                const name = info?.full_name || info?.fullName || info?.name || studentFacultyNumber;
-                const tone = mode === 'leaving' ? 'error' : 'success';
-                showScanToast(name, tone);
+            if (autoWaitMs > 0) {
+                const minutesLeft = Math.ceil(autoWaitMs / 60000);
+                showScanToast(
+                    i18nText('scanner_auto_too_soon', '{name} already joined. Leaving counts in {minutes} min.')
+                        .replace('{name}', scanEntry.name)
+                        .replace('{minutes}', String(minutesLeft)),
+                    'warning'
+                );
+                logScanResult({ ...scanEntry, result: 'too_soon' });
+                return;
             }
+
+            applyVerifiedScan(activeClass, studentFacultyNumber, scanMode, scanEntry, updateStudentInfoCountFn);
         }
     } else {
         showInvalidQrToast();
+        logScanResult({ className, facultyNumber: null, name: '', mode, result: 'invalid' });
     }
 
     // For UX feedback, briefly flash camera border
@@ -360,6 +858,87 @@ export function handleScannedCode(data, mode, className, updateStudentInfoCountF
     }
 }
 
+/**
+ * Forget which unknown students were already offered (new scanner run)
+ */
+export function resetUnknownStudentPrompts() {
+    unknownStudentPrompts.clear();
+    unknownStudentPromptOpen = false;
+}
+
+/**
+ * Roll back the attendance change made by one scan (scan log undo)
+ * @param {string} className - Class name
+ * @param {string} studentFacultyNumber - Student faculty number
+ * @param {'joining'|'leaving'} mode - Mode of the scan being undone
+ * @param {{before: Object, after: Object}} undo - Student snapshots taken around the scan
+ * @returns {{ok: boolean, reason?: 'superseded'|'missing'}} Result; superseded if a later change touched the student
+ */
+export function undoScannedAttendanceChange(className, studentFacultyNumber, mode, undo) {
+    const cls = String(className || '').trim();
+    const facultyNumber = String(studentFacultyNumber || '').trim();
+    if (!cls || !facultyNumber || !undo?.before || !undo?.after) return { ok: false, reason: 'missing' };
+    if (!isSameAttendanceSnapshot(snapshotStudentAttendance(cls, facultyNumber), undo.after)) {
+        return { ok: false, reason: 'superseded' };
+    }
+
+    const { before, after } = undo;
+    ensureAttendanceState(cls).set(facultyNumber, before.status);
+    setStudentTimestamp(facultyNumber, before.joined_at, before.left_at);
+    if (before.override) {
+        ensureAttendanceOverrides(cls).set(facultyNumber, { ...before.override });
+    } else {
+        getAttendanceOverrides(cls)?.delete(facultyNumber);
+    }
+    updateAttendanceDot(facultyNumber, before.status);
+
+    retractLiveScan(cls, facultyNumber, mode, mode === 'leaving' ? after.left_at : after.joined_at);
+    // Let the corrected scan go through immediately instead of being debounced.
+    recentScanTimestamps.delete(`${cls}|${facultyNumber}|${mode}`);
+    saveScannerDraftForClass(cls);
+    return { ok: true };
+}
+
+/**
+ * Load a saved session into the scanner state so the teacher can correct it.
+ * Finishing the scanner afterwards replaces the saved session instead of adding a new one.
+ * @param {string} className - Class name
+ * @param {Object} session - Saved session details (id, date, topic, room, notes)
+ * @param {Array<Object>} records - Saved records (faculty_number, status, joined_at/left_at in ms, source, override_reason)
+ * @returns {{ok: boolean, reason?: 'draft_exists'|'missing_session'}} Result; a running scanner session is never overwritten
+ */
+export function loadAttendanceSessionForCorrection(className, session, records) {
+    const cls = String(className || '').trim();
+    const sessionId = String(session?.id ?? '').trim();
+    if (!cls || !sessionId) return { ok: false, reason: 'missing_session' };
+    if (hasScannerDraftForClass(cls)) return { ok: false, reason: 'draft_exists' };
+
+    clearAttendanceState(cls);
+    clearStudentTimestamps();
+    const map = ensureAttendanceState(cls);
+    const overrides = ensureAttendanceOverrides(cls);
+    (Array.isArray(records) ? records : []).forEach((record) => {
+        const facultyNumber = String(record?.faculty_number || '').trim();
+        if (!facultyNumber || !DRAFT_ATTENDANCE_STATUSES.has(record.status)) return;
+        map.set(facultyNumber, record.status);
+        setStudentTimestamp(
+            facultyNumber,
+            Number.isFinite(record.joined_at) ? record.joined_at : null,
+            Number.isFinite(record.left_at) ? record.left_at : null
+        );
+        if (record.source === 'manual') {
+            overrides.set(facultyNumber, {
+                status: record.status,
+                reason: String(record.override_reason || '').trim() || i18nText('attendance_override_saved', 'Set manually'),
+                at: Date.now()
+            });
+        }
+    });
+    setAttendanceSessionDetails(cls, normalizeAttendanceSessionDetails({ ...session, id: sessionId, reopened: true }));
+    saveScannerDraftForClass(cls);
+    return { ok: true };
+}
+
 /**
  * Get student attendance count for a class (async, uses cache)
  * @param {string} className - Class name
@@ -396,7 +975,26 @@ function shouldFallbackToLegacyAttendanceSave(error) {
     return status === 404 || status === 405 || status === 501;
 }
 
-function buildAttendanceSessionRecords(attendanceMap, timestamps, storedStudents) {
+/**
+ * Resolve the schedule a session is held to: the class timetable's meeting on the
+ * session day (dated by its first scan), otherwise the class-wide schedule
+ * @param {number|string} classId - Class ID
+ * @param {Map<string, {joined_at: number|null, left_at: number|null}>|null} timestamps - Timestamps of the session
+ * @returns {Object|null} Normalized schedule or null
+ */
+function resolveSessionSchedule(classId, timestamps) {
+    let firstScan = null;
+    if (timestamps && typeof timestamps.forEach === 'function') {
+        timestamps.forEach((ts) => {
+            const scannedAt = Number.isFinite(ts?.joined_at) ? ts.joined_at : ts?.left_at;
+            if (Number.isFinite(scannedAt) && (firstScan === null || scannedAt < firstScan)) firstScan = scannedAt;
+        });
+    }
+    const schedule = getClassSchedule(classId) || normalizeClassSchedule(loadClassScheduleFromStorage(classId));
+    return resolveScheduleForDay(schedule, getClassMeetings(classId), firstScan ?? Date.now());
+}
+
+function buildAttendanceSessionRecords(attendanceMap, timestamps, storedStudents, schedule = null, overrides = null, presencePolicy = null) {
     const keys = new Set();
     if (attendanceMap && typeof attendanceMap.forEach === 'function') {
         attendanceMap.forEach((_, facultyNumber) => {
@@ -411,6 +1009,7 @@ function buildAttendanceSessionRecords(attendanceMap, timestamps, storedStudents
         });
     }
 
+    const sessionLengthMs = presencePolicy ? resolveSessionLengthMs(schedule, timestamps) : null;
     const records = [];
     keys.forEach((facultyNumber) => {
         const status = attendanceMap?.get(facultyNumber) || 'none';
@@ -425,118 +1024,331 @@ function buildAttendanceSessionRecords(attendanceMap, timestamps, storedStudents
             ? String(studentIdRaw).trim() || null
             : null;
 
+        const timing = classifyAttendance({ joinedAt, leftAt }, schedule, { final: true });
+        const override = overrides?.get(facultyNumber) || null;
+        // A manual "completed" is the teacher's call; only scanned stays are held to the minimum.
+        const presence = status === 'completed' && !override
+            ? evaluatePresence({ joinedAt, leftAt }, presencePolicy, sessionLengthMs)
+            : null;
+
         records.push({
             student_id: studentId,
             faculty_number: facultyNumber,
-            status,
+            status: presence?.partial ? 'partial' : status,
             joined_at: joinedAt,
-            left_at: leftAt
+            left_at: leftAt,
+            present_minutes: presence ? presence.presentMinutes : null,
+            classification: timing ? timing.classification : null,
+            flags: timing ? timing.flags : [],
+            source: override ? 'manual' : 'scan',
+            override_reason: override ? override.reason : null
         });
     });
 
     return records;
 }
 
+function isRetryableSaveStatus(status) {
+    const code = Number(status || 0);
+    return !code || code === 408 || code === 429 || code >= 500;
+}
+
+/**
+ * Replace the records of a reopened session (no legacy fallback: old servers cannot edit sessions)
+ */
+async function persistCorrectedAttendanceSession(classId, className, records, session) {
+    try {
+        await updateAttendanceSession(session.id, classId, records, session);
+        return { ok: true, retryable: false, status: null };
+    } catch (e) {
+        const status = Number(e?.status || 0) || null;
+        logError('persistAttendanceSessionRecords', e, {
+            className,
+            classId,
+            action: 'updateAttendanceSession',
+            sessionId: session.id,
+            records: records.length
+        });
+        return { ok: false, retryable: isRetryableSaveStatus(status), status };
+    }
+}
+
+/**
+ * Persist finished session records to the server.
+ * Uses the transactional /attendance/finish endpoint and falls back to the legacy
+ * per-student endpoints where it is not deployed yet. Reopened sessions are updated in place.
+ * @param {number} classId - Class ID
+ * @param {string} className - Class name
+ * @param {Array<Object>} sessionRecords - Records built from the scanner session
+ * @param {Object} [options] - Optional metadata
+ * @param {string} [options.clientSessionId] - Idempotency key (reused when the outbox replays)
+ * @param {Object|null} [options.session] - Session details (see normalizeAttendanceSessionDetails)
+ * @param {{attendanceSaved?: boolean}|null} [options.progress] - Legacy steps an earlier attempt already completed (skipped on replay)
+ * @returns {Promise<{ok: boolean, retryable: boolean, status: number|null, progress: {attendanceSaved?: boolean}}>}
+ *   Save result, with the legacy steps completed so far
+ */
+export async function persistAttendanceSessionRecords(classId, className, sessionRecords, { clientSessionId, session = null, progress = null } = {}) {
+    const records = Array.isArray(sessionRecords) ? sessionRecords : [];
+    const done = { ...(progress || {}) };
+    if (session?.reopened) {
+        return { ...(await persistCorrectedAttendanceSession(classId, className, records, session)), progress: done };
+    }
+    let persistedTransactionally = false;
+    try {
+        await saveAttendanceSession(classId, records, { className, clientSessionId, session });
+        persistedTransactionally = true;
+    } catch (e) {
+        const fallbackToLegacy = shouldFallbackToLegacyAttendanceSave(e);
+        logError('persistAttendanceSessionRecords', e, {
+            className,
+            classId,
+            action: 'saveAttendanceSession',
+            records: records.length,
+            fallbackToLegacy
+        });
+        if (!fallbackToLegacy) {
+            const status = Number(e?.status || 0) || null;
+            return { ok: false, retryable: isRetryableSaveStatus(status), status, progress: done };
+        }
+        console.warn('[persistAttendanceSessionRecords] saveAttendanceSession unavailable, falling back to legacy endpoints.', {
+            className: String(className || '').trim(),
+            classId,
+            status: e?.status ?? null
+        });
+    }
+
+    if (!persistedTransactionally) {
+        // Legacy fallback for environments where /attendance/finish is not deployed yet.
+        const completedIds = records
+            .filter((record) => record.status === 'completed')
+            .map((record) => record.student_id || record.faculty_number);
+        try {
+            // saveAttendanceData counts attendance up, so a replay must not post it twice.
+            if (completedIds.length > 0 && !done.attendanceSaved) {
+                const response = await saveAttendanceData(classId, completedIds);
+                if (!response?.ok) {
+                    logError(
+                        'persistAttendanceSessionRecords',
+                        new Error(`Attendance save failed with status ${response?.status ?? 'unknown'}`),
+                        { className, classId, action: 'saveAttendanceData', completedIds: completedIds.length }
+                    );
+                    const status = Number(response?.status || 0) || null;
+                    return { ok: false, retryable: isRetryableSaveStatus(status), status, progress: done };
+                }
+                done.attendanceSaved = true;
+            }
+        } catch (e) {
+            logError('persistAttendanceSessionRecords', e, { className, classId, action: 'saveAttendanceData' });
+            return { ok: false, retryable: true, status: null, progress: done };
+        }
+
+        const timestamps = new Map();
+        records.forEach((record) => {
+            if (record.joined_at === null && record.left_at === null) return;
+            timestamps.set(record.faculty_number, { joined_at: record.joined_at, left_at: record.left_at });
+        });
+        if (timestamps.size > 0) {
+            try {
+                const result = await saveStudentTimestamps(classId, timestamps);
+                if (result.failed > 0) {
+                    logError('persistAttendanceSessionRecords', new Error(`Failed to save timestamps for ${result.failed} student(s)`), {
+                        className,
+                        classId,
+                        action: 'saveStudentTimestamps',
+                        result
+                    });
+                    const statuses = (result.errors || []).map((err) => Number(err?.status) || 0);
+                    return { ok: false, retryable: statuses.some(isRetryableSaveStatus), status: statuses.find(Boolean) || null, progress: done };
+                }
+            } catch (e) {
+                logError('persistAttendanceSessionRecords', e, { className, classId, action: 'saveStudentTimestamps' });
+                return { ok: false, retryable: true, status: null, progress: done };
+            }
+        }
+    }
+
+    try {
+        await updateCompletedClassesCount(classId);
+    } catch (e) {
+        logError('persistAttendanceSessionRecords', e, { className, classId, action: 'updateCompletedClassesCount' });
+    }
+    return { ok: true, retryable: false, status: null, progress: done };
+}
+
+/**
+ * Save a finished session, parking it in the offline outbox when the server does not take it
+ * @param {number|string} classId - Class ID
+ * @param {string} className - Class name
+ * @param {Array<Object>} sessionRecords - Records built from the scanner session
+ * @param {Object} session - Session details (see normalizeAttendanceSessionDetails)
+ * @returns {Promise<'saved'|'queued_offline'|'queued_review'|'failed'>} Outcome
+ */
+async function saveOrQueueAttendanceSession(classId, className, sessionRecords, session) {
+    // The session ID doubles as the idempotency key, so a retried Finish cannot save twice.
+    const clientSessionId = session.id;
+    const result = await persistAttendanceSessionRecords(classId, className, sessionRecords, { clientSessionId, session });
+    if (result.ok) return 'saved';
+    // Park the session in the offline outbox instead of blocking the teacher on Finish.
+    try {
+        await enqueueAttendanceSession({
+            classId,
+            className,
+            records: sessionRecords,
+            clientSessionId,
+            session,
+            progress: result.progress,
+            retryable: result.retryable,
+            lastStatus: result.status
+        });
+        return result.retryable ? 'queued_offline' : 'queued_review';
+    } catch (e) {
+        logError('saveOrQueueAttendanceSession', e, { className, classId, action: 'enqueueAttendanceSession' });
+        return 'failed';
+    }
+}
+
+/**
+ * Save a stored scanner draft without opening the scanner (draft manager)
+ * @param {number|string} classId - Class ID
+ * @param {string} className - Current class name
+ * @returns {Promise<{ok: boolean, outcome?: 'saved'|'queued_offline'|'queued_review', reason?: 'missing_draft'|'scanner_open'|'save_failed'}>} Result
+ */
+export async function finishStoredScannerDraft(classId, className) {
+    const cls = String(className || '').trim();
+    if (isScannerOpenForClass(cls)) return { ok: false, reason: 'scanner_open' };
+    const draft = loadScannerDraftFromStorage(classId);
+    if (!draft || isDraftEmpty(draft)) return { ok: false, reason: 'missing_draft' };
+
+    const attendanceMap = new Map(normalizeDraftAttendanceEntries(draft.attendance));
+    const timestamps = new Map(normalizeDraftTimestampEntries(draft.timestamps));
+    const overrides = new Map(normalizeDraftOverrideEntries(draft.overrides));
+    const sessionRecords = buildAttendanceSessionRecords(
+        attendanceMap,
+        timestamps,
+        loadClassStudentsFromStorage(cls) || [],
+        resolveSessionSchedule(classId, timestamps),
+        overrides,
+        getClassPresencePolicy(classId)
+    );
+    const session = normalizeAttendanceSessionDetails(draft.session);
+    const outcome = await saveOrQueueAttendanceSession(classId, cls, sessionRecords, session);
+    if (outcome === 'failed') return { ok: false, reason: 'save_failed' };
+
+    dropStoredScannerDraft(classId, cls);
+    return { ok: true, outcome };
+}
+
+/**
+ * Discard a stored scanner draft without opening the scanner (draft manager)
+ * @param {number|string} classId - Class ID
+ * @param {string} className - Current class name (empty for a deleted class)
+ * @returns {{ok: boolean, reason?: 'scanner_open'}} Result
+ */
+export function discardStoredScannerDraft(classId, className) {
+    const cls = String(className || '').trim();
+    if (isScannerOpenForClass(cls)) return { ok: false, reason: 'scanner_open' };
+    dropStoredScannerDraft(classId, cls);
+    return { ok: true };
+}
+
+/**
+ * Save a past session imported from a sign-in sheet
+ * @param {number|string} classId - Class ID
+ * @param {string} className - Class name
+ * @param {Array<{facultyNumber: string, joinedAt: number|null, leftAt: number|null}>} rows - Matched students (one row each)
+ * @param {{date: string, topic?: string, notes?: string}} details - Session details
+ * @returns {Promise<'saved'|'queued_offline'|'queued_review'|'failed'>} Outcome
+ */
+export async function saveImportedAttendanceSession(classId, className, rows, details) {
+    const cls = String(className || '').trim();
+    const attendanceMap = new Map();
+    const timestamps = new Map();
+    (Array.isArray(rows) ? rows : []).forEach(({ facultyNumber, joinedAt, leftAt }) => {
+        const key = String(facultyNumber || '').trim();
+        if (!key) return;
+        const joined = Number.isFinite(joinedAt) ? joinedAt : null;
+        const left = Number.isFinite(leftAt) ? leftAt : null;
+        // A signature without a leave time is a join scan that was never followed by a leave scan.
+        attendanceMap.set(key, joined !== null && left === null ? 'joined' : 'completed');
+        if (joined !== null || left !== null) timestamps.set(key, { joined_at: joined, left_at: left });
+    });
+    const sessionRecords = buildAttendanceSessionRecords(
+        attendanceMap,
+        timestamps,
+        loadClassStudentsFromStorage(cls) || [],
+        resolveSessionSchedule(classId, timestamps),
+        null,
+        getClassPresencePolicy(classId)
+    ).map((record) => ({ ...record, source: 'import' }));
+    const session = normalizeAttendanceSessionDetails({
+        date: details?.date,
+        topic: details?.topic,
+        notes: details?.notes
+    });
+    return saveOrQueueAttendanceSession(classId, cls, sessionRecords, session);
+}
+
+function isScannerOpenForClass(className) {
+    const scannerOverlay = getOverlay('scannerOverlay');
+    return Boolean(className && scannerOverlay && isOverlayVisible(scannerOverlay)
+        && scannerOverlay.dataset.activeClassName === className);
+}
+
+function dropStoredScannerDraft(classId, className) {
+    // Also drop what a minimized scanner of this class still holds in memory.
+    if (className) {
+        clearAttendanceState(className);
+        if (String(getCurrentClass().name || '').trim() === className) clearStudentTimestamps();
+    }
+    removeScannerDraftFromStorage(classId);
+    notifyScannerDraftChanged(className, classId);
+}
+
 /**
  * Open confirmation dialog for closing scanner
  * @param {string} className - Class name
  * @param {Function} onClosed - Callback when scanner is closed
  */
 export async function openCloseScannerConfirm(className, onClosed) {
+    const correctingSession = Boolean(getAttendanceSessionDetails(className)?.reopened);
     openConfirmOverlay(
-        i18nText('scanner_finish_message', 'Attendance data will be saved.'),
+        correctingSession
+            ? i18nText('scanner_finish_correction_message', 'The saved session will be replaced with these corrections.')
+            : i18nText('scanner_finish_message', 'Attendance data will be saved.'),
         async () => {
             try {
                 let saveFailed = false;
+                let queuedOffline = false;
+                let queuedForReview = false;
                 const classId = getClassIdByName(className);
                 
                 if (!classId) {
                     saveFailed = true;
                     logError('closeScannerConfirm', new Error('Missing class ID'), { className });
                 } else {
+                    // Pull scans from other devices of a shared session before building records.
+                    await flushLiveSession(className);
                     const attendanceMap = getAttendanceState(className) || new Map();
                     const storedStudents = loadClassStudentsFromStorage(className) || [];
                     const timestamps = getStudentTimestamps() || new Map();
-                    const sessionRecords = buildAttendanceSessionRecords(attendanceMap, timestamps, storedStudents);
-
-                    let persistedTransactionally = false;
-                    try {
-                        const sessionResult = await saveAttendanceSession(classId, sessionRecords, { className });
-                        persistedTransactionally = true;
-                    } catch (e) {
-                        const fallbackToLegacy = shouldFallbackToLegacyAttendanceSave(e);
-                        logError('closeScannerConfirm', e, {
-                            className,
-                            classId,
-                            action: 'saveAttendanceSession',
-                            records: sessionRecords.length,
-                            fallbackToLegacy
-                        });
-                        if (!fallbackToLegacy) {
-                            saveFailed = true;
-                        } else {
-                            console.warn('[closeScannerConfirm] saveAttendanceSession unavailable, falling back to legacy endpoints.', {
-                                className: String(className || '').trim(),
-                                classId,
-                                status: e?.status ?? null
-                            });
-                        }
-                    }
-
-                    if (!saveFailed && !persistedTransactionally) {
-                        // Legacy fallback for environments where /attendance/finish is not deployed yet.
-                        try {
-                            const completedIds = [];
-                            attendanceMap.forEach((status, facultyNumber) => {
-                                if (status !== 'completed') return;
-                                const info = getStudentInfoForFacultyNumber(facultyNumber, storedStudents);
-                                const apiStudentId = info?.id || info?.student_id || info?.faculty_number || info?.facultyNumber || facultyNumber;
-                                completedIds.push(apiStudentId);
-                            });
-                            if (completedIds.length > 0) {
-                                const response = await saveAttendanceData(classId, completedIds);
-                                if (!response?.ok) {
-                                    saveFailed = true;
-                                    logError(
-                                        'closeScannerConfirm',
-                                        new Error(`Attendance save failed with status ${response?.status ?? 'unknown'}`),
-                                        { className, classId, action: 'saveAttendanceData', completedIds: completedIds.length }
-                                    );
-                                }
-                            }
-                        } catch (e) {
-                            saveFailed = true;
-                            logError('closeScannerConfirm', e, { className, classId, action: 'saveAttendanceData' });
-                        }
-
-                        if (!saveFailed && timestamps && timestamps.size > 0) {
-                            try {
-                                const result = await saveStudentTimestamps(classId, timestamps);
-                                if (result.failed > 0) {
-                                    saveFailed = true;
-                                    logError('closeScannerConfirm', new Error(`Failed to save timestamps for ${result.failed} student(s)`), {
-                                        className,
-                                        classId,
-                                        action: 'saveStudentTimestamps',
-                                        result
-                                    });
-                                }
-                            } catch (e) {
-                                saveFailed = true;
-                                logError('closeScannerConfirm', e, { className, classId, action: 'saveStudentTimestamps' });
-                            }
-                        }
-                    }
-
-                    if (!saveFailed) {
-                        try {
-                            await updateCompletedClassesCount(classId);
-                        } catch (e) {
-                            logError('closeScannerConfirm', e, { className, classId, action: 'updateCompletedClassesCount' });
-                            // Continue with cleanup
-                        }
-                    }
+                    const sessionRecords = buildAttendanceSessionRecords(
+                        attendanceMap,
+                        timestamps,
+                        storedStudents,
+                        resolveSessionSchedule(classId, timestamps),
+                        getAttendanceOverrides(className),
+                        getClassPresencePolicy(classId)
+                    );
 
+                    const outcome = await saveOrQueueAttendanceSession(
+                        classId,
+                        className,
+                        sessionRecords,
+                        ensureAttendanceSessionDetails(className)
+                    );
+                    saveFailed = outcome === 'failed';
+                    queuedOffline = outcome === 'queued_offline';
+                    queuedForReview = outcome === 'queued_review';
                 }
 
                 if (saveFailed) {
@@ -552,11 +1364,32 @@ export async function openCloseScannerConfirm(className, onClosed) {
                     return;
                 }
 
-                // Save completed successfully, now clear local state and close scanner.
-                showScanToast(
-                    i18nText('scanner_save_success', 'Attendance saved successfully.'),
-                    'success'
-                );
+                // Save completed (or safely queued), now clear local state and close scanner.
+                await closeLiveSession(className);
+                if (queuedOffline) {
+                    showScanToast(
+                        i18nText(
+                            'scanner_save_queued',
+                            'Server unreachable. Attendance was stored on this device and will sync automatically.'
+                        ),
+                        'warning'
+                    );
+                } else if (queuedForReview) {
+                    showScanToast(
+                        i18nText(
+                            'scanner_save_rejected_queued',
+                            'The server rejected this session. It was kept on this device; retry it from the class popup.'
+                        ),
+                        'error'
+                    );
+                } else {
+                    showScanToast(
+                        correctingSession
+                            ? i18nText('scanner_correction_saved', 'Session corrections saved.')
+                            : i18nText('scanner_save_success', 'Attendance saved successfully.'),
+                        'success'
+                    );
+                }
                 clearAttendanceState(className);
                 clearScannerDraftForClass(className);
                 const attendanceOverlay = getOverlay('attendanceOverlay');
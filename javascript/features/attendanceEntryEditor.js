@@ -0,0 +1,388 @@
+/**
+ * Attendance Entry Editor Feature Module
+ *
+ * Lets the teacher correct the join/leave times of a past session entry from
+ * the attendance history overlay, or delete the entry. Every change needs a
+ * reason; the server keeps an audit trail of who changed what.
+ */
+
+import { getClassSchedule, getClassMeetings } from '../state/appState.js';
+import { loadClassScheduleFromStorage } from '../storage/classStorage.js';
+import { updateAttendanceRecord, deleteAttendanceRecord } from '../api/attendanceApi.js';
+import { normalizeClassSchedule, resolveScheduleTime } from '../utils/attendanceClassification.js';
+import { resolveScheduleForDay } from '../utils/classMeetings.js';
+import { showOverlay, hideOverlay, openConfirmOverlay } from '../ui/overlays.js';
+import { logError } from '../utils/helpers.js';
+
+export const ENTRY_EDIT_REASON_MAX_LENGTH = 300;
+
+// Entries may be moved this far outside the session (or scheduled) start and end.
+const SESSION_WINDOW_MARGIN_MINUTES = 30;
+
+let editorOverlay = null;
+let editorTarget = null;
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+function showToast(message, tone = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast-bubble toast-${tone}`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    requestAnimationFrame(() => toast.classList.add('show'));
+
+    setTimeout(() => {
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), 300);
+    }, 1600);
+}
+
+function isUnsupportedStatus(status) {
+    const code = Number(status || 0);
+    return code === 404 || code === 405 || code === 501;
+}
+
+function pad2(value) {
+    return String(value).padStart(2, '0');
+}
+
+function toTimeInputValue(ms) {
+    if (!Number.isFinite(ms)) return '';
+    const d = new Date(ms);
+    return `${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+}
+
+/**
+ * Resolve a time input value on the day of the entry
+ * @param {string} value - "HH:MM" from a time input
+ * @param {number} dayMs - Any timestamp on the entry's day
+ * @param {number|null} original - Original timestamp; kept as is (with seconds) when the minute did not change
+ * @returns {number|null} Timestamp (ms) or null when the input is empty
+ */
+function resolveInputTimestamp(value, dayMs, original) {
+    const time = String(value || '').trim();
+    if (!time) return null;
+    if (Number.isFinite(original) && toTimeInputValue(original) === time) return original;
+    return resolveScheduleTime(time, dayMs);
+}
+
+function resolveDayBounds(dayMs) {
+    const dayStart = new Date(dayMs);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+    return { start: dayStart.getTime(), end: dayEnd.getTime() - 1 };
+}
+
+function resolveScheduledBounds(classId, dayMs) {
+    // A class with a weekly timetable uses that day's meeting.
+    const schedule = resolveScheduleForDay(
+        getClassSchedule(classId) || normalizeClassSchedule(loadClassScheduleFromStorage(classId)),
+        getClassMeetings(classId),
+        dayMs
+    );
+    const scheduledStart = schedule ? resolveScheduleTime(schedule.start, dayMs) : null;
+    const scheduledEnd = schedule ? resolveScheduleTime(schedule.end, dayMs) : null;
+    return scheduledStart !== null && scheduledEnd !== null && scheduledEnd > scheduledStart
+        ? { start: scheduledStart, end: scheduledEnd }
+        : null;
+}
+
+/**
+ * Resolve the window an entry may fall into: the session's own start/end when
+ * known, otherwise the class schedule on that day, otherwise the whole day.
+ * A session whose end was not recorded runs until the scheduled end (or the end of the day).
+ * @param {Object} entry - History entry
+ * @param {number|string|null} classId - Class ID
+ * @param {number} dayMs - Any timestamp on the entry's day
+ * @returns {{start: number, end: number, exact: boolean}} Window bounds (ms)
+ */
+function resolveSessionWindow(entry, classId, dayMs) {
+    const margin = SESSION_WINDOW_MARGIN_MINUTES * 60000;
+    const scheduled = resolveScheduledBounds(classId, dayMs);
+    const day = resolveDayBounds(dayMs);
+    if (Number.isFinite(entry.sessionStartedAt)) {
+        let end = day.end;
+        if (Number.isFinite(entry.sessionEndedAt)) {
+            end = entry.sessionEndedAt + margin;
+        } else if (scheduled && scheduled.end > entry.sessionStartedAt) {
+            end = scheduled.end + margin;
+        }
+        return { start: entry.sessionStartedAt - margin, end, exact: true };
+    }
+    if (scheduled) {
+        return { start: scheduled.start - margin, end: scheduled.end + margin, exact: true };
+    }
+    return { ...day, exact: false };
+}
+
+/**
+ * Validate new entry times
+ * @param {number|null} joinedAt - New join timestamp (ms)
+ * @param {number|null} leftAt - New leave timestamp (ms)
+ * @param {{start: number, end: number}} sessionWindow - Allowed window
+ * @returns {string|null} Error code or null when valid
+ */
+function validateEntryTimes(joinedAt, leftAt, sessionWindow) {
+    if (joinedAt === null && leftAt === null) return 'time_required';
+    if (joinedAt !== null && leftAt !== null && leftAt <= joinedAt) return 'leave_before_join';
+    const outside = (ms) => ms !== null && (ms < sessionWindow.start || ms > sessionWindow.end);
+    if (outside(joinedAt) || outside(leftAt)) return 'outside_session';
+    return null;
+}
+
+function setEditorError(message) {
+    const errorEl = editorOverlay?.querySelector('#attendanceEntryEditorError');
+    if (errorEl) errorEl.textContent = message || '';
+}
+
+function setEditorBusy(busy) {
+    editorOverlay?.querySelectorAll('input, textarea, .attendance-entry-editor-actions button').forEach((el) => {
+        el.disabled = busy;
+    });
+}
+
+function isConfirmOverlayVisible() {
+    return document.getElementById('confirmOverlay')?.style.visibility === 'visible';
+}
+
+/**
+ * Ensure attendance entry editor overlay exists
+ * @returns {HTMLElement} Overlay element
+ */
+function ensureAttendanceEntryEditorOverlay() {
+    if (editorOverlay) return editorOverlay;
+    editorOverlay = document.createElement('div');
+    editorOverlay.id = 'attendanceEntryEditorOverlay';
+    editorOverlay.className = 'overlay';
+    editorOverlay.style.visibility = 'hidden';
+    editorOverlay.innerHTML = `
+        <div class="ready-class-popup attendance-entry-editor-popup" role="dialog" aria-modal="true" aria-labelledby="attendanceEntryEditorTitle">
+            <div class="overlay-top-bar">
+                <h2 id="attendanceEntryEditorTitle">Edit entry</h2>
+                <button type="button" id="closeAttendanceEntryEditorBtn" class="close-small" aria-label="Close">×</button>
+            </div>
+            <p id="attendanceEntryEditorStudent" class="attendance-entry-editor-student"></p>
+            <p id="attendanceEntryEditorDate" class="attendance-entry-editor-date"></p>
+            <div class="attendance-entry-editor-times">
+                <label class="attendance-entry-editor-field">
+                    <span id="attendanceEntryEditorJoinLabel">Joined</span>
+                    <input type="time" id="attendanceEntryEditorJoin" />
+                </label>
+                <label class="attendance-entry-editor-field">
+                    <span id="attendanceEntryEditorLeaveLabel">Left</span>
+                    <input type="time" id="attendanceEntryEditorLeave" />
+                </label>
+            </div>
+            <p id="attendanceEntryEditorWindow" class="class-options-hint"></p>
+            <label for="attendanceEntryEditorReason" id="attendanceEntryEditorReasonLabel" class="attendance-entry-editor-reason-label">Reason</label>
+            <textarea id="attendanceEntryEditorReason" rows="3" maxlength="${ENTRY_EDIT_REASON_MAX_LENGTH}"></textarea>
+            <p id="attendanceEntryEditorError" class="class-options-error" aria-live="polite"></p>
+            <div class="attendance-entry-editor-actions">
+                <button type="button" id="attendanceEntryEditorDeleteBtn" class="role-button attendance-entry-editor-delete">Delete entry</button>
+                <span class="attendance-entry-editor-spacer"></span>
+                <button type="button" id="attendanceEntryEditorCancelBtn" class="role-button">Cancel</button>
+                <button type="button" id="attendanceEntryEditorSaveBtn" class="role-button primary">Save</button>
+            </div>
+        </div>`;
+    document.body.appendChild(editorOverlay);
+
+    editorOverlay.querySelector('#closeAttendanceEntryEditorBtn')?.addEventListener('click', closeAttendanceEntryEditor);
+    editorOverlay.querySelector('#attendanceEntryEditorCancelBtn')?.addEventListener('click', closeAttendanceEntryEditor);
+    editorOverlay.querySelector('#attendanceEntryEditorSaveBtn')?.addEventListener('click', onSaveAttendanceEntry);
+    editorOverlay.querySelector('#attendanceEntryEditorDeleteBtn')?.addEventListener('click', onDeleteAttendanceEntry);
+    editorOverlay.addEventListener('click', (e) => {
+        if (e.target === editorOverlay) closeAttendanceEntryEditor();
+    });
+    // Keep Escape from also closing the attendance history underneath
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && editorOverlay.style.visibility === 'visible' && !isConfirmOverlayVisible()) {
+            e.stopPropagation();
+            closeAttendanceEntryEditor();
+        }
+    }, true);
+    return editorOverlay;
+}
+
+function applyEditorTexts() {
+    const texts = {
+        '#attendanceEntryEditorTitle': i18nText('attendance_entry_edit_title', 'Edit entry'),
+        '#attendanceEntryEditorJoinLabel': i18nText('joined_label', 'Joined'),
+        '#attendanceEntryEditorLeaveLabel': i18nText('left_label', 'Left'),
+        '#attendanceEntryEditorReasonLabel': i18nText('attendance_override_reason', 'Reason (required)'),
+        '#attendanceEntryEditorDeleteBtn': i18nText('attendance_entry_delete', 'Delete entry'),
+        '#attendanceEntryEditorCancelBtn': i18nText('cancel', 'Cancel'),
+        '#attendanceEntryEditorSaveBtn': i18nText('save', 'Save')
+    };
+    Object.entries(texts).forEach(([selector, text]) => {
+        const el = editorOverlay.querySelector(selector);
+        if (el) el.textContent = text;
+    });
+    const reasonInput = editorOverlay.querySelector('#attendanceEntryEditorReason');
+    if (reasonInput) {
+        reasonInput.placeholder = i18nText('attendance_entry_reason_placeholder', 'e.g. Scanner clock was off, student left at the break');
+    }
+}
+
+function readEditorReason() {
+    const reason = String(editorOverlay.querySelector('#attendanceEntryEditorReason')?.value || '').trim();
+    if (!reason) {
+        setEditorError(i18nText('attendance_override_reason_required', 'Please enter a reason.'));
+        return null;
+    }
+    if (reason.length > ENTRY_EDIT_REASON_MAX_LENGTH) {
+        setEditorError(i18nText(
+            'attendance_override_reason_too_long',
+            `Reason must be at most ${ENTRY_EDIT_REASON_MAX_LENGTH} characters.`
+        ));
+        return null;
+    }
+    return reason;
+}
+
+function describeRequestError(e, fallback) {
+    if (isUnsupportedStatus(e?.status)) {
+        return i18nText('attendance_entry_edit_unavailable', 'Editing past entries is not available on this server yet.');
+    }
+    if (Number(e?.status) === 400 || Number(e?.status) === 409 || Number(e?.status) === 422) {
+        const serverMessage = String(e?.body?.error || e?.body?.message || '').trim();
+        if (serverMessage) return serverMessage;
+    }
+    return fallback;
+}
+
+async function onSaveAttendanceEntry() {
+    const target = editorTarget;
+    if (!target) return;
+    setEditorError('');
+    const { entry, dayMs, sessionWindow } = target;
+    const joinedAt = resolveInputTimestamp(editorOverlay.querySelector('#attendanceEntryEditorJoin')?.value, dayMs, entry.joinAt);
+    const leftAt = resolveInputTimestamp(editorOverlay.querySelector('#attendanceEntryEditorLeave')?.value, dayMs, entry.leaveAt);
+
+    const error = validateEntryTimes(joinedAt, leftAt, sessionWindow);
+    if (error) {
+        const messages = {
+            time_required: i18nText('attendance_entry_time_required', 'Enter a join or a leave time, or delete the entry.'),
+            leave_before_join: i18nText('attendance_entry_leave_before_join', 'Leave time must be after the join time.'),
+            outside_session: i18nText('attendance_entry_outside_session', 'Times must fall within the session.')
+        };
+        setEditorError(messages[error]);
+        return;
+    }
+    if (joinedAt === (entry.joinAt ?? null) && leftAt === (entry.leaveAt ?? null)) {
+        setEditorError(i18nText('attendance_entry_unchanged', 'Nothing changed.'));
+        return;
+    }
+    const reason = readEditorReason();
+    if (!reason) return;
+
+    setEditorBusy(true);
+    try {
+        await updateAttendanceRecord(target.classId, entry, { joinedAt, leftAt, reason });
+    } catch (e) {
+        if (editorTarget !== target) return;
+        setEditorBusy(false);
+        if (!isUnsupportedStatus(e?.status)) logError('onSaveAttendanceEntry', e, { className: target.className, classId: target.classId });
+        setEditorError(describeRequestError(e, i18nText('attendance_entry_save_failed', 'Could not save the entry. Please try again.')));
+        return;
+    }
+    if (editorTarget !== target) return;
+    closeAttendanceEntryEditor();
+    showToast(i18nText('attendance_entry_saved', 'Entry updated'));
+    target.onChanged?.({ action: 'update', joinedAt, leftAt, reason });
+}
+
+function onDeleteAttendanceEntry() {
+    const target = editorTarget;
+    if (!target) return;
+    setEditorError('');
+    const reason = readEditorReason();
+    if (!reason) return;
+
+    openConfirmOverlay(
+        i18nText('attendance_entry_delete_message', 'The join and leave scans of this entry are removed. The student counts as absent for the session.'),
+        async () => {
+            if (editorTarget !== target) return;
+            setEditorBusy(true);
+            try {
+                await deleteAttendanceRecord(target.classId, target.entry, reason);
+            } catch (e) {
+                if (editorTarget !== target) return;
+                setEditorBusy(false);
+                if (!isUnsupportedStatus(e?.status)) logError('onDeleteAttendanceEntry', e, { className: target.className, classId: target.classId });
+                setEditorError(describeRequestError(e, i18nText('attendance_entry_delete_failed', 'Could not delete the entry. Please try again.')));
+                return;
+            }
+            if (editorTarget !== target) return;
+            closeAttendanceEntryEditor();
+            showToast(i18nText('attendance_entry_deleted', 'Entry deleted'), 'warning');
+            target.onChanged?.({ action: 'delete', reason });
+        },
+        null,
+        { title: i18nText('attendance_entry_delete_title', 'Delete entry?') }
+    );
+}
+
+/**
+ * Open the editor for one attendance history entry
+ * @param {Object} options - Options
+ * @param {string} options.className - Class name
+ * @param {number|string} options.classId - Class ID
+ * @param {string} [options.studentLabel] - Student name and faculty number shown in the header
+ * @param {Object} options.entry - History entry (joinAt, leaveAt, sessionDate, sessionStartedAt, sessionEndedAt, id, sessionId, studentId, facultyNumber)
+ * @param {function(Object): void} [options.onChanged] - Called after the entry was updated or deleted
+ */
+export function openAttendanceEntryEditor({ className, classId, studentLabel = '', entry, onChanged = null }) {
+    if (!entry || classId === null || classId === undefined) return;
+    const dayMs = [entry.joinAt, entry.leaveAt, entry.sessionStartedAt, entry.sessionDate].find(Number.isFinite);
+    if (!Number.isFinite(dayMs)) return;
+    ensureAttendanceEntryEditorOverlay();
+    applyEditorTexts();
+
+    const sessionWindow = resolveSessionWindow(entry, classId, dayMs);
+    editorTarget = { className: String(className || '').trim(), classId, entry, dayMs, sessionWindow, onChanged };
+
+    const studentEl = editorOverlay.querySelector('#attendanceEntryEditorStudent');
+    if (studentEl) studentEl.textContent = studentLabel;
+    const dateEl = editorOverlay.querySelector('#attendanceEntryEditorDate');
+    if (dateEl) {
+        dateEl.textContent = new Date(dayMs).toLocaleDateString([], {
+            weekday: 'short', year: 'numeric', month: 'short', day: 'numeric'
+        });
+    }
+    const windowEl = editorOverlay.querySelector('#attendanceEntryEditorWindow');
+    if (windowEl) {
+        windowEl.textContent = sessionWindow.exact
+            ? `${i18nText('attendance_entry_window', 'Allowed times')}: ${toTimeInputValue(sessionWindow.start)} – ${toTimeInputValue(sessionWindow.end)}`
+            : '';
+        windowEl.hidden = !sessionWindow.exact;
+    }
+    const joinInput = editorOverlay.querySelector('#attendanceEntryEditorJoin');
+    if (joinInput) joinInput.value = toTimeInputValue(entry.joinAt);
+    const leaveInput = editorOverlay.querySelector('#attendanceEntryEditorLeave');
+    if (leaveInput) leaveInput.value = toTimeInputValue(entry.leaveAt);
+    const reasonInput = editorOverlay.querySelector('#attendanceEntryEditorReason');
+    if (reasonInput) reasonInput.value = '';
+    setEditorError('');
+    setEditorBusy(false);
+
+    showOverlay(editorOverlay, false);
+    joinInput?.focus();
+}
+
+/**
+ * Close the attendance entry editor
+ */
+export function closeAttendanceEntryEditor() {
+    editorTarget = null;
+    if (editorOverlay) hideOverlay(editorOverlay, false);
+}
@@ -0,0 +1,620 @@
+/**
+ * Attendance Import Feature Module
+ *
+ * Backfills a past session from a paper sign-in sheet typed into a
+ * spreadsheet (.xlsx, .ods or .csv): the teacher maps the columns, checks how
+ * the rows were matched to the class roster, resolves unmatched and ambiguous
+ * rows, and saves the result as a regular attendance session.
+ */
+
+import { ensureXlsxLoaded } from './export.js';
+import { saveImportedAttendanceSession } from './attendance.js';
+import { getClassIdByName, getClassMeetings } from '../state/appState.js';
+import { getClassIdByNameFromStorage } from '../storage/classStorage.js';
+import { loadClassStudentsFromStorage, resolveStudentFacultyNumber } from '../storage/studentStorage.js';
+import { fetchClassStudents } from '../api/classApi.js';
+import { showOverlay, hideOverlay } from '../ui/overlays.js';
+import { logError } from '../utils/helpers.js';
+import { resolveLastMeetingDate } from '../utils/classMeetings.js';
+import {
+    IMPORT_FIELDS,
+    guessHeaderRow,
+    guessColumnMapping,
+    parseImportDate,
+    parseImportTime,
+    combineImportDateTime,
+    buildRosterIndex,
+    matchImportRow
+} from '../utils/attendanceImport.js';
+
+const FIELD_LABELS = {
+    facultyNumber: ['import_field_faculty_number', 'Faculty number'],
+    name: ['import_field_name', 'Name'],
+    date: ['import_field_date', 'Date'],
+    joinedAt: ['import_field_joined_at', 'Joined at'],
+    leftAt: ['import_field_left_at', 'Left at']
+};
+const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 2000;
+const MAX_IMPORT_COLUMNS = 50;
+
+let importOverlay = null;
+let importState = null;
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+function showToast(message, tone = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast-bubble toast-${tone}`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    requestAnimationFrame(() => toast.classList.add('show'));
+
+    setTimeout(() => {
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), 300);
+    }, 2400);
+}
+
+function todayDateKey() {
+    const d = new Date();
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function formatMinutes(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Ensure attendance import overlay exists
+ * @returns {HTMLElement} Overlay element
+ */
+function ensureAttendanceImportOverlay() {
+    if (importOverlay) return importOverlay;
+    importOverlay = document.createElement('div');
+    importOverlay.id = 'attendanceImportOverlay';
+    importOverlay.className = 'overlay';
+    importOverlay.style.visibility = 'hidden';
+    const mappingFields = IMPORT_FIELDS.map((field) => `
+                    <label for="attendanceImportColumn-${field}"><span id="attendanceImportColumnLabel-${field}"></span>
+                        <select id="attendanceImportColumn-${field}" data-field="${field}"></select>
+                    </label>`).join('');
+    importOverlay.innerHTML = `
+        <div class="ready-class-popup attendance-import-popup" role="dialog" aria-modal="true" aria-labelledby="attendanceImportTitle">
+            <div class="overlay-top-bar">
+                <h2 id="attendanceImportTitle">Import attendance</h2>
+                <button type="button" id="closeAttendanceImportBtn" class="close-small" aria-label="Close">×</button>
+            </div>
+            <p class="attendance-import-class" id="attendanceImportClassName"></p>
+            <p class="attendance-import-hint" id="attendanceImportIntro"></p>
+            <div class="attendance-import-source">
+                <input type="file" id="attendanceImportFile" accept=".xlsx,.xls,.ods,.csv,text/csv" />
+                <label for="attendanceImportSheet" id="attendanceImportSheetField" hidden><span id="attendanceImportSheetLabel">Sheet</span>
+                    <select id="attendanceImportSheet"></select>
+                </label>
+            </div>
+            <p class="attendance-import-message" id="attendanceImportMessage" role="status" aria-live="polite"></p>
+            <div class="attendance-import-setup" id="attendanceImportSetup" hidden>
+                <fieldset class="attendance-import-mapping">
+                    <legend id="attendanceImportMappingLegend">Columns</legend>${mappingFields}
+                </fieldset>
+                <div class="attendance-import-session">
+                    <label for="attendanceImportDate"><span id="attendanceImportDateLabel">Session date</span>
+                        <input type="date" id="attendanceImportDate" required />
+                    </label>
+                    <label for="attendanceImportTopic"><span id="attendanceImportTopicLabel">Topic</span>
+                        <input type="text" id="attendanceImportTopic" maxlength="120" />
+                    </label>
+                </div>
+                <p class="attendance-import-summary" id="attendanceImportSummary"></p>
+                <div class="attendance-import-preview">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th id="attendanceImportHeadRow">Sheet row</th>
+                                <th id="attendanceImportHeadTimes">Times</th>
+                                <th id="attendanceImportHeadStudent">Student</th>
+                                <th id="attendanceImportHeadMatch">Match</th>
+                            </tr>
+                        </thead>
+                        <tbody id="attendanceImportRows"></tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="attendance-import-actions">
+                <button type="button" id="attendanceImportCancelBtn" class="role-button">Cancel</button>
+                <button type="button" id="attendanceImportSaveBtn" class="role-button primary" disabled>Save session</button>
+            </div>
+        </div>`;
+    document.body.appendChild(importOverlay);
+
+    importOverlay.querySelector('#closeAttendanceImportBtn')?.addEventListener('click', closeAttendanceImport);
+    importOverlay.querySelector('#attendanceImportCancelBtn')?.addEventListener('click', closeAttendanceImport);
+    importOverlay.addEventListener('click', (e) => {
+        if (e.target === importOverlay) closeAttendanceImport();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && importOverlay.style.visibility === 'visible') {
+            e.stopPropagation();
+            closeAttendanceImport();
+        }
+    }, true);
+
+    importOverlay.querySelector('#attendanceImportFile')?.addEventListener('change', (e) => {
+        const file = e.target.files && e.target.files[0];
+        if (file) loadImportFile(file);
+    });
+    importOverlay.querySelector('#attendanceImportSheet')?.addEventListener('change', (e) => {
+        loadImportSheet(e.target.value);
+    });
+    importOverlay.querySelector('.attendance-import-mapping')?.addEventListener('change', (e) => {
+        const field = e.target?.dataset?.field;
+        if (!importState || !field) return;
+        importState.mapping[field] = Number(e.target.value);
+        importState.choices.clear();
+        if (field === 'date') importState.sessionDate = resolveDominantDate(buildImportRows()) || importState.sessionDate;
+        renderImportSetup();
+    });
+    importOverlay.querySelector('#attendanceImportDate')?.addEventListener('change', (e) => {
+        if (!importState) return;
+        importState.sessionDate = parseImportDate(e.target.value);
+        renderImportPreview();
+    });
+    importOverlay.querySelector('#attendanceImportRows')?.addEventListener('change', (e) => {
+        const row = Number(e.target?.dataset?.row);
+        if (!importState || !Number.isInteger(row)) return;
+        importState.choices.set(row, e.target.value);
+        renderImportPreview();
+    });
+    importOverlay.querySelector('#attendanceImportSaveBtn')?.addEventListener('click', onSaveImport);
+    return importOverlay;
+}
+
+function applyImportTexts() {
+    const texts = {
+        attendanceImportTitle: ['import_title', 'Import attendance'],
+        attendanceImportIntro: ['import_intro', 'Upload a sign-in sheet (.xlsx, .ods or .csv). Nothing is saved until you check how the rows were matched to this class.'],
+        attendanceImportSheetLabel: ['import_sheet', 'Sheet'],
+        attendanceImportMappingLegend: ['import_columns', 'Columns'],
+        attendanceImportDateLabel: ['import_session_date', 'Session date'],
+        attendanceImportTopicLabel: ['session_topic', 'Topic'],
+        attendanceImportHeadRow: ['import_sheet_row', 'Sheet row'],
+        attendanceImportHeadTimes: ['import_times', 'Times'],
+        attendanceImportHeadStudent: ['import_student', 'Student'],
+        attendanceImportHeadMatch: ['import_match', 'Match'],
+        attendanceImportCancelBtn: ['cancel', 'Cancel']
+    };
+    Object.entries(texts).forEach(([id, [key, fallback]]) => {
+        const el = importOverlay.querySelector(`#${id}`);
+        if (el) el.textContent = i18nText(key, fallback);
+    });
+    Object.entries(FIELD_LABELS).forEach(([field, [key, fallback]]) => {
+        const el = importOverlay.querySelector(`#attendanceImportColumnLabel-${field}`);
+        if (el) el.textContent = i18nText(key, fallback);
+    });
+}
+
+function setImportMessage(message, tone = null) {
+    const el = importOverlay.querySelector('#attendanceImportMessage');
+    if (!el) return;
+    el.textContent = message || '';
+    if (tone) {
+        el.dataset.tone = tone;
+    } else {
+        delete el.dataset.tone;
+    }
+}
+
+function resolveImportClassId(className) {
+    return getClassIdByName(className) || getClassIdByNameFromStorage(className) || null;
+}
+
+async function loadImportRoster(classId, className) {
+    let students = loadClassStudentsFromStorage(className);
+    if (!Array.isArray(students) || students.length === 0) {
+        students = await fetchClassStudents(classId, className);
+    }
+    return (Array.isArray(students) ? students : [])
+        .map((student) => ({
+            facultyNumber: resolveStudentFacultyNumber(student),
+            name: String(student?.full_name || student?.fullName || student?.name || '').trim()
+        }))
+        .filter((student) => student.facultyNumber)
+        .sort((a, b) => (a.name || a.facultyNumber).localeCompare(b.name || b.facultyNumber));
+}
+
+async function readImportWorkbook(XLSX, file) {
+    const buffer = await file.arrayBuffer();
+    if (!/\.csv$/i.test(file.name) && file.type !== 'text/csv') {
+        return XLSX.read(buffer, { type: 'array', cellDates: true });
+    }
+    let text = new TextDecoder('utf-8').decode(buffer);
+    // Excel on a Bulgarian Windows saves CSV files as Windows-1251.
+    if (text.includes('\uFFFD')) text = new TextDecoder('windows-1251').decode(buffer);
+    // raw keeps "02/03/2026" as typed instead of letting SheetJS read it month first.
+    return XLSX.read(text, { type: 'string', raw: true });
+}
+
+async function loadImportFile(file) {
+    if (!importState) return;
+    const state = importState;
+    state.rows = null;
+    importOverlay.querySelector('#attendanceImportSetup').hidden = true;
+    importOverlay.querySelector('#attendanceImportSheetField').hidden = true;
+    syncImportSaveButton();
+    if (file.size > MAX_IMPORT_FILE_BYTES) {
+        setImportMessage(i18nText('import_file_too_large', 'The file is too large (5 MB at most).'), 'error');
+        return;
+    }
+    setImportMessage(i18nText('import_reading', 'Reading the file…'));
+    try {
+        state.XLSX = await ensureXlsxLoaded();
+        state.workbook = await readImportWorkbook(state.XLSX, file);
+    } catch (e) {
+        logError('attendanceImport:read', e, { className: state.className, fileName: file.name });
+        if (importState === state) {
+            setImportMessage(i18nText('import_read_failed', 'The file could not be read. Save it as .xlsx or .csv and try again.'), 'error');
+        }
+        return;
+    }
+    if (importState !== state) return;
+    state.fileName = file.name;
+
+    const sheetNames = state.workbook.SheetNames || [];
+    const sheetSelect = importOverlay.querySelector('#attendanceImportSheet');
+    sheetSelect.innerHTML = '';
+    sheetNames.forEach((name) => sheetSelect.appendChild(new Option(name, name)));
+    importOverlay.querySelector('#attendanceImportSheetField').hidden = sheetNames.length < 2;
+    loadImportSheet(sheetNames[0]);
+}
+
+function guessColumnFromRoster(rows, field) {
+    // Without a header row, pick the column whose cells match the most students.
+    const hits = new Map();
+    rows.forEach((row) => {
+        row.slice(0, MAX_IMPORT_COLUMNS).forEach((cell, index) => {
+            if (matchImportRow({ [field]: cell }, importState.rosterIndex).status === 'matched') {
+                hits.set(index, (hits.get(index) || 0) + 1);
+            }
+        });
+    });
+    let best = -1;
+    hits.forEach((count, index) => {
+        if (best === -1 || count > hits.get(best)) best = index;
+    });
+    return best;
+}
+
+function loadImportSheet(sheetName) {
+    const state = importState;
+    const sheet = state?.workbook?.Sheets?.[sheetName];
+    if (!sheet) return;
+    const rows = state.XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '', blankrows: false });
+    if (rows.length > MAX_IMPORT_ROWS) {
+        state.rows = null;
+        importOverlay.querySelector('#attendanceImportSetup').hidden = true;
+        setImportMessage(`${i18nText('import_too_many_rows', 'The sheet has too many rows. Rows allowed')}: ${MAX_IMPORT_ROWS}.`, 'error');
+        syncImportSaveButton();
+        return;
+    }
+    state.rows = rows;
+    state.headerRow = guessHeaderRow(rows);
+    state.mapping = guessColumnMapping(state.headerRow >= 0 ? rows[state.headerRow] : []);
+    if (state.mapping.facultyNumber === -1) state.mapping.facultyNumber = guessColumnFromRoster(rows, 'facultyNumber');
+    if (state.mapping.name === -1) state.mapping.name = guessColumnFromRoster(rows, 'name');
+    state.choices.clear();
+    // Sheets without dates are usually last lesson's list, so fall back to the latest scheduled meeting.
+    state.sessionDate = resolveDominantDate(buildImportRows())
+        || resolveLastMeetingDate(getClassMeetings(state.classId))
+        || todayDateKey();
+    setImportMessage('');
+    importOverlay.querySelector('#attendanceImportSetup').hidden = false;
+    renderImportSetup();
+}
+
+function cellAt(row, index) {
+    return index >= 0 && Array.isArray(row) ? row[index] : '';
+}
+
+function buildImportRows() {
+    const { rows, headerRow, mapping } = importState;
+    const result = [];
+    rows.forEach((row, index) => {
+        if (index <= headerRow) return;
+        const facultyNumber = String(cellAt(row, mapping.facultyNumber) ?? '').trim();
+        const name = String(cellAt(row, mapping.name) ?? '').trim();
+        if (!facultyNumber && !name) return;
+        const join = parseImportTime(cellAt(row, mapping.joinedAt));
+        const leave = parseImportTime(cellAt(row, mapping.leftAt));
+        result.push({
+            index,
+            facultyNumber,
+            name,
+            date: parseImportDate(cellAt(row, mapping.date)) || join?.date || leave?.date || '',
+            join,
+            leave,
+            match: matchImportRow({ facultyNumber, name }, importState.rosterIndex)
+        });
+    });
+    return result;
+}
+
+function resolveDominantDate(importRows) {
+    const counts = new Map();
+    importRows.forEach(({ date }) => {
+        if (date) counts.set(date, (counts.get(date) || 0) + 1);
+    });
+    let best = '';
+    counts.forEach((count, date) => {
+        if (!best || count > counts.get(best)) best = date;
+    });
+    return best;
+}
+
+function resolveRowChoice(row) {
+    if (importState.choices.has(row.index)) return importState.choices.get(row.index);
+    return row.match.status === 'matched' ? row.match.candidates[0].facultyNumber : '';
+}
+
+function isOtherDateRow(row) {
+    return Boolean(row.date && importState.sessionDate && row.date !== importState.sessionDate);
+}
+
+function renderImportSetup() {
+    const { rows, headerRow, mapping } = importState;
+    const headerCells = headerRow >= 0 ? rows[headerRow] : [];
+    const columnCount = Math.min(MAX_IMPORT_COLUMNS, rows.reduce((max, row) => Math.max(max, row.length), 0));
+    IMPORT_FIELDS.forEach((field) => {
+        const select = importOverlay.querySelector(`#attendanceImportColumn-${field}`);
+        if (!select) return;
+        select.innerHTML = '';
+        select.appendChild(new Option(i18nText('import_column_none', '— Not in the sheet —'), '-1'));
+        for (let i = 0; i < columnCount; i++) {
+            const title = String(cellAt(headerCells, i) ?? '').trim();
+            select.appendChild(new Option(title ? `${columnLetter(i)}: ${title}` : columnLetter(i), String(i)));
+        }
+        select.value = String(mapping[field]);
+    });
+    importOverlay.querySelector('#attendanceImportDate').value = importState.sessionDate;
+    renderImportPreview();
+}
+
+function buildStudentSelect(row, choice) {
+    const select = document.createElement('select');
+    select.dataset.row = String(row.index);
+    select.setAttribute('aria-label', `${i18nText('import_student_for_row', 'Student for sheet row')} ${row.index + 1}`);
+    select.appendChild(new Option(i18nText('import_skip_row', '— Skip this row —'), ''));
+    const addOptions = (students, label) => {
+        if (students.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        students.forEach((student) => {
+            const text = student.name ? `${student.name} (${student.facultyNumber})` : student.facultyNumber;
+            group.appendChild(new Option(text, student.facultyNumber));
+        });
+        select.appendChild(group);
+    };
+    const candidates = row.match.candidates;
+    addOptions(candidates, i18nText('import_suggested', 'Suggested'));
+    addOptions(
+        importState.roster.filter((student) => !candidates.includes(student)),
+        i18nText('import_all_students', 'All students')
+    );
+    select.value = choice;
+    return select;
+}
+
+function describeRowMatch(row, choice, duplicate) {
+    if (isOtherDateRow(row)) return ['other-date', i18nText('import_match_other_date', 'Other date, skipped')];
+    if (!choice) {
+        if (row.match.status === 'ambiguous') return ['ambiguous', i18nText('import_match_ambiguous', 'Pick the student')];
+        if (row.match.status === 'unmatched') return ['unmatched', i18nText('import_match_unmatched', 'Not in this class')];
+        return ['skipped', i18nText('import_match_skipped', 'Skipped')];
+    }
+    if (duplicate) return ['merged', i18nText('import_match_merged', 'Merged with an earlier row')];
+    if (importState.choices.has(row.index)) return ['matched', i18nText('import_match_manual', 'Chosen by you')];
+    return row.match.by === 'faculty_number'
+        ? ['matched', i18nText('import_match_faculty_number', 'Faculty number')]
+        : ['matched', i18nText('import_match_name', 'Name')];
+}
+
+function describeRowTimes(row) {
+    const join = row.join ? formatMinutes(row.join.minutes) : '';
+    const leave = row.leave ? formatMinutes(row.leave.minutes) : '';
+    if (!join && !leave) return '—';
+    return `${join || '?'} – ${leave || '?'}`;
+}
+
+function renderImportPreview() {
+    const importRows = buildImportRows();
+    const tbody = importOverlay.querySelector('#attendanceImportRows');
+    tbody.innerHTML = '';
+    const seen = new Set();
+    const counts = { students: 0, open: 0, otherDate: 0 };
+    importRows.forEach((row) => {
+        const choice = resolveRowChoice(row);
+        const otherDate = isOtherDateRow(row);
+        const duplicate = Boolean(choice) && !otherDate && seen.has(choice);
+        if (choice && !otherDate) seen.add(choice);
+        if (otherDate) counts.otherDate += 1;
+        else if (!choice && row.match.status !== 'matched') counts.open += 1;
+
+        const [tone, label] = describeRowMatch(row, choice, duplicate);
+        const tr = document.createElement('tr');
+        tr.dataset.match = tone;
+        const sheetCell = document.createElement('td');
+        const sheetName = document.createElement('span');
+        sheetName.className = 'attendance-import-sheet-name';
+        sheetName.textContent = row.name || row.facultyNumber;
+        const sheetMeta = document.createElement('span');
+        sheetMeta.className = 'attendance-import-sheet-meta';
+        sheetMeta.textContent = [`#${row.index + 1}`, row.name ? row.facultyNumber : '', row.date].filter(Boolean).join(' · ');
+        sheetCell.append(sheetName, sheetMeta);
+        const timesCell = document.createElement('td');
+        timesCell.textContent = describeRowTimes(row);
+        const studentCell = document.createElement('td');
+        if (!otherDate) studentCell.appendChild(buildStudentSelect(row, choice));
+        const matchCell = document.createElement('td');
+        const chip = document.createElement('span');
+        chip.className = `attendance-import-chip attendance-import-chip-${tone}`;
+        chip.textContent = label;
+        matchCell.appendChild(chip);
+        tr.append(sheetCell, timesCell, studentCell, matchCell);
+        tbody.appendChild(tr);
+    });
+    counts.students = seen.size;
+    importState.selectedCount = seen.size;
+
+    const parts = [`${i18nText('import_summary_students', 'Students to save')}: ${counts.students}`];
+    if (counts.open > 0) parts.push(`${i18nText('import_summary_open', 'Rows to check')}: ${counts.open}`);
+    if (counts.otherDate > 0) parts.push(`${i18nText('import_summary_other_date', 'Rows from other dates')}: ${counts.otherDate}`);
+    if (importRows.length === 0) parts.push(i18nText('import_summary_empty', 'No rows with a faculty number or name. Check the columns.'));
+    importOverlay.querySelector('#attendanceImportSummary').textContent = parts.join(' · ');
+    syncImportSaveButton();
+}
+
+function syncImportSaveButton() {
+    const saveBtn = importOverlay.querySelector('#attendanceImportSaveBtn');
+    if (!saveBtn) return;
+    const ready = Boolean(importState?.rows && importState.sessionDate && importState.selectedCount > 0);
+    saveBtn.disabled = !ready || Boolean(importState?.saving);
+    saveBtn.textContent = importState?.saving
+        ? i18nText('import_saving', 'Saving…')
+        : i18nText('import_save', 'Save session');
+}
+
+function collectImportedStudents() {
+    const { sessionDate } = importState;
+    const byStudent = new Map();
+    buildImportRows().forEach((row) => {
+        const facultyNumber = resolveRowChoice(row);
+        if (!facultyNumber || isOtherDateRow(row)) return;
+        const joinedAt = row.join ? combineImportDateTime(sessionDate, row.join.minutes) : null;
+        const leftAt = row.leave ? combineImportDateTime(sessionDate, row.leave.minutes) : null;
+        const existing = byStudent.get(facultyNumber);
+        if (!existing) {
+            byStudent.set(facultyNumber, { facultyNumber, joinedAt, leftAt });
+            return;
+        }
+        // Separate sign-in and sign-out rows: keep the first join and the last leave.
+        if (joinedAt !== null && (existing.joinedAt === null || joinedAt < existing.joinedAt)) existing.joinedAt = joinedAt;
+        if (leftAt !== null && (existing.leftAt === null || leftAt > existing.leftAt)) existing.leftAt = leftAt;
+    });
+    return [...byStudent.values()];
+}
+
+async function onSaveImport() {
+    const state = importState;
+    if (!state || state.saving || !state.sessionDate) return;
+    const students = collectImportedStudents();
+    if (students.length === 0) return;
+    state.saving = true;
+    syncImportSaveButton();
+    let outcome = 'failed';
+    try {
+        outcome = await saveImportedAttendanceSession(state.classId, state.className, students, {
+            date: state.sessionDate,
+            topic: importOverlay.querySelector('#attendanceImportTopic')?.value || '',
+            notes: `${i18nText('import_session_note', 'Imported from')} ${state.fileName}`
+        });
+    } catch (e) {
+        logError('attendanceImport:save', e, { className: state.className, students: students.length });
+    }
+    state.saving = false;
+    if (outcome === 'failed') {
+        if (importState === state) {
+            syncImportSaveButton();
+            setImportMessage(i18nText('import_save_failed', 'Could not save the session. Please try again.'), 'error');
+        }
+        return;
+    }
+    const messages = {
+        saved: i18nText('import_saved', 'Imported session saved.'),
+        queued_offline: i18nText('scanner_save_queued', 'Server unreachable. Attendance was stored on this device and will sync automatically.'),
+        queued_review: i18nText('scanner_save_rejected_queued', 'The server rejected this session. It was kept on this device; retry it from the class popup.')
+    };
+    showToast(messages[outcome], outcome === 'saved' ? 'success' : 'warning');
+    closeAttendanceImport();
+}
+
+/**
+ * Open the attendance import for a class
+ * @param {string} className - Class name
+ */
+export async function openAttendanceImport(className) {
+    const cls = String(className || '').trim();
+    if (!cls) return;
+    ensureAttendanceImportOverlay();
+    applyImportTexts();
+    importOverlay.querySelector('#attendanceImportClassName').textContent = cls;
+    importOverlay.querySelector('#attendanceImportFile').value = '';
+    importOverlay.querySelector('#attendanceImportFile').disabled = true;
+    importOverlay.querySelector('#attendanceImportTopic').value = '';
+    importOverlay.querySelector('#attendanceImportSheetField').hidden = true;
+    importOverlay.querySelector('#attendanceImportSetup').hidden = true;
+
+    const state = {
+        className: cls,
+        classId: resolveImportClassId(cls),
+        roster: [],
+        rosterIndex: null,
+        XLSX: null,
+        workbook: null,
+        fileName: '',
+        rows: null,
+        headerRow: -1,
+        mapping: null,
+        sessionDate: '',
+        choices: new Map(),
+        selectedCount: 0,
+        saving: false
+    };
+    importState = state;
+    syncImportSaveButton();
+    showOverlay(importOverlay, false);
+    if (!state.classId) {
+        setImportMessage(i18nText('import_no_class_id', 'This class is not synced yet. Please refresh the page.'), 'error');
+        return;
+    }
+
+    setImportMessage(i18nText('import_loading_students', 'Loading the students of this class…'));
+    try {
+        state.roster = await loadImportRoster(state.classId, cls);
+    } catch (e) {
+        logError('attendanceImport:roster', e, { className: cls, classId: state.classId });
+    }
+    if (importState !== state) return;
+    if (state.roster.length === 0) {
+        setImportMessage(i18nText('import_no_students', 'Add students to this class before importing attendance.'), 'error');
+        return;
+    }
+    state.rosterIndex = buildRosterIndex(state.roster);
+    importOverlay.querySelector('#attendanceImportFile').disabled = false;
+    setImportMessage('');
+}
+
+/**
+ * Close the attendance import
+ */
+export function closeAttendanceImport() {
+    if (importState?.saving) return;
+    importState = null;
+    if (importOverlay) hideOverlay(importOverlay, false);
+}
@@ -0,0 +1,214 @@
+/**
+ * Attendance Outbox Feature Module
+ *
+ * Keeps finished attendance sessions that failed to save (offline, server errors)
+ * in a persistent IndexedDB outbox and replays them with exponential backoff.
+ * Dispatches `attendanceOutboxChanged` so the UI can show per-class sync status.
+ */
+
+import { getTeacherEmail, normalizeEmail } from '../config/api.js';
+import { putOutboxEntry, deleteOutboxEntry, listOutboxEntries } from '../storage/attendanceOutboxStore.js';
+import { persistAttendanceSessionRecords } from './attendance.js';
+import { logError, createClientId } from '../utils/helpers.js';
+
+const OUTBOX_BASE_DELAY_MS = 5 * 1000;
+const OUTBOX_MAX_DELAY_MS = 10 * 60 * 1000;
+
+let outboxEntries = [];
+let replayTimer = null;
+let replayInFlight = null;
+let outboxInitialized = false;
+
+function notifyOutboxChanged() {
+    document.dispatchEvent(new CustomEvent('attendanceOutboxChanged'));
+}
+
+function computeBackoffDelay(attempts) {
+    const exponent = Math.max(0, Number(attempts || 1) - 1);
+    const delay = Math.min(OUTBOX_MAX_DELAY_MS, OUTBOX_BASE_DELAY_MS * Math.pow(2, exponent));
+    // Jitter keeps several tabs/devices from retrying in lockstep.
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function describeSaveFailure(status) {
+    return status ? `HTTP ${status}` : 'network';
+}
+
+async function refreshOutboxEntries() {
+    try {
+        outboxEntries = await listOutboxEntries(getTeacherEmail());
+    } catch (e) {
+        logError('refreshOutboxEntries', e);
+        outboxEntries = [];
+    }
+    notifyOutboxChanged();
+    return outboxEntries;
+}
+
+function scheduleNextReplay() {
+    if (replayTimer) {
+        clearTimeout(replayTimer);
+        replayTimer = null;
+    }
+    const pending = outboxEntries.filter((entry) => entry.status === 'pending');
+    if (pending.length === 0) return;
+    const nextAt = Math.min(...pending.map((entry) => Number(entry.nextAttemptAt) || 0));
+    const delay = Math.max(0, nextAt - Date.now());
+    replayTimer = setTimeout(() => {
+        replayTimer = null;
+        replayAttendanceOutbox();
+    }, delay);
+}
+
+async function runReplay({ ignoreBackoff = false, classId = null } = {}) {
+    const entries = await listOutboxEntries(getTeacherEmail());
+    const now = Date.now();
+    for (const entry of entries) {
+        if (classId !== null && String(entry.classId) !== String(classId)) continue;
+        if (entry.status !== 'pending') continue;
+        if (!ignoreBackoff && (Number(entry.nextAttemptAt) || 0) > now) continue;
+        if (navigator.onLine === false) break;
+
+        const result = await persistAttendanceSessionRecords(entry.classId, entry.className, entry.records, {
+            clientSessionId: entry.clientSessionId,
+            session: entry.session || null,
+            progress: entry.progress || null
+        });
+        if (result.ok) {
+            await deleteOutboxEntry(entry.id);
+            continue;
+        }
+
+        const attempts = (Number(entry.attempts) || 0) + 1;
+        await putOutboxEntry({
+            ...entry,
+            attempts,
+            // Steps that succeeded are not repeated on the next replay.
+            progress: result.progress || entry.progress || null,
+            status: result.retryable ? 'pending' : 'failed',
+            lastError: describeSaveFailure(result.status),
+            lastAttemptAt: Date.now(),
+            nextAttemptAt: Date.now() + computeBackoffDelay(attempts)
+        });
+        // No response at all means the server is still unreachable; leave the rest for the next round.
+        if (result.retryable && !result.status) break;
+    }
+}
+
+/**
+ * Queue a finished session for background sync
+ * @param {Object} session - Session data
+ * @param {number} session.classId - Class ID
+ * @param {string} session.className - Class name
+ * @param {Array<Object>} session.records - Session records (as sent to /attendance/finish)
+ * @param {string} [session.clientSessionId] - Idempotency key used for the first save attempt
+ * @param {Object|null} [session.session] - Session details (date, topic, room, notes; reopened sessions are updated in place)
+ * @param {{attendanceSaved?: boolean}|null} [session.progress] - Legacy save steps the first attempt already completed
+ * @param {boolean} [session.retryable=true] - False if the server rejected the session outright
+ * @param {number|null} [session.lastStatus] - HTTP status of the failed attempt
+ * @returns {Promise<Object>} Stored outbox entry
+ */
+export async function enqueueAttendanceSession({ classId, className, records, clientSessionId, session = null, progress = null, retryable = true, lastStatus = null }) {
+    const teacherEmail = normalizeEmail(getTeacherEmail() || '');
+    if (!teacherEmail) throw new Error('Cannot queue attendance session without a teacher email');
+    const now = Date.now();
+    const entry = {
+        id: createClientId(),
+        teacherEmail,
+        classId,
+        className: String(className || '').trim(),
+        records: Array.isArray(records) ? records : [],
+        clientSessionId: clientSessionId || createClientId(),
+        session: session || null,
+        progress: progress || null,
+        status: retryable ? 'pending' : 'failed',
+        attempts: 1,
+        lastError: describeSaveFailure(lastStatus),
+        createdAt: now,
+        lastAttemptAt: now,
+        nextAttemptAt: now + computeBackoffDelay(1)
+    };
+    await putOutboxEntry(entry);
+    await refreshOutboxEntries();
+    scheduleNextReplay();
+    return entry;
+}
+
+/**
+ * Replay queued sessions that are due (or all pending ones if ignoreBackoff is set)
+ * @param {Object} [options] - Replay options
+ * @param {boolean} [options.ignoreBackoff=false] - Retry pending entries immediately
+ * @param {number|string|null} [options.classId=null] - Only replay entries for this class
+ * @returns {Promise<void>}
+ */
+export function replayAttendanceOutbox(options = {}) {
+    if (replayInFlight) return replayInFlight;
+    replayInFlight = (async () => {
+        try {
+            await runReplay(options);
+        } catch (e) {
+            logError('replayAttendanceOutbox', e);
+        }
+    })().finally(async () => {
+        replayInFlight = null;
+        await refreshOutboxEntries();
+        scheduleNextReplay();
+    });
+    notifyOutboxChanged();
+    return replayInFlight;
+}
+
+/**
+ * Manually retry all queued sessions for a class, including ones marked failed
+ * @param {number|string} classId - Class ID
+ * @returns {Promise<void>}
+ */
+export async function retryAttendanceOutboxForClass(classId) {
+    if (classId === null || classId === undefined || classId === '') return;
+    try {
+        const entries = await listOutboxEntries(getTeacherEmail());
+        for (const entry of entries) {
+            if (String(entry.classId) !== String(classId) || entry.status === 'pending') continue;
+            await putOutboxEntry({ ...entry, status: 'pending', nextAttemptAt: Date.now() });
+        }
+    } catch (e) {
+        logError('retryAttendanceOutboxForClass', e, { classId });
+    }
+    if (replayInFlight) await replayInFlight;
+    await replayAttendanceOutbox({ ignoreBackoff: true, classId });
+}
+
+/**
+ * Get sync status of queued sessions for a class (from the last outbox snapshot)
+ * @param {number|string} classId - Class ID
+ * @returns {{pending: number, failed: number, syncing: boolean}} Sync status
+ */
+export function getAttendanceOutboxStatus(classId) {
+    const status = { pending: 0, failed: 0, syncing: false };
+    if (classId === null || classId === undefined || classId === '') return status;
+    outboxEntries.forEach((entry) => {
+        if (String(entry.classId) !== String(classId)) return;
+        if (entry.status === 'failed') status.failed += 1;
+        else status.pending += 1;
+    });
+    status.syncing = Boolean(replayInFlight) && status.pending > 0;
+    return status;
+}
+
+/**
+ * Load the outbox and start background replay (on load, on reconnect and on backoff timer)
+ * @returns {Promise<void>}
+ */
+export async function initAttendanceOutbox() {
+    if (outboxInitialized) return;
+    outboxInitialized = true;
+
+    window.addEventListener('online', () => {
+        replayAttendanceOutbox({ ignoreBackoff: true });
+    });
+
+    await refreshOutboxEntries();
+    if (navigator.onLine !== false) {
+        replayAttendanceOutbox({ ignoreBackoff: true });
+    }
+}
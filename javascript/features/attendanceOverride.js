@@ -0,0 +1,177 @@
+/**
+ * Attendance Override Feature Module
+ *
+ * Lets the teacher tap a student row in the attendance overlay and set the
+ * status manually (joined/completed/absent/excused) with a required reason.
+ */
+
+import { getAttendanceState, getAttendanceOverrides } from '../state/appState.js';
+import { loadClassStudentsFromStorage, getStudentInfoForFacultyNumber } from '../storage/studentStorage.js';
+import { renderAttendanceForClass } from '../ui/attendanceUI.js';
+import { showOverlay, hideOverlay } from '../ui/overlays.js';
+import {
+    applyManualAttendanceOverride,
+    MANUAL_OVERRIDE_STATUSES,
+    MANUAL_OVERRIDE_REASON_MAX_LENGTH
+} from './attendance.js';
+
+const STATUS_LABELS = {
+    joined: 'Joined',
+    completed: 'Completed',
+    absent: 'Absent',
+    excused: 'Excused'
+};
+
+let overrideOverlay = null;
+let overrideTarget = null;
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+function setOverrideError(message) {
+    const errorEl = overrideOverlay?.querySelector('#attendanceOverrideError');
+    if (errorEl) errorEl.textContent = message || '';
+}
+
+/**
+ * Ensure attendance override overlay exists
+ * @returns {HTMLElement} Overlay element
+ */
+function ensureAttendanceOverrideOverlay() {
+    if (overrideOverlay) return overrideOverlay;
+    overrideOverlay = document.createElement('div');
+    overrideOverlay.id = 'attendanceOverrideOverlay';
+    overrideOverlay.className = 'overlay';
+    overrideOverlay.style.visibility = 'hidden';
+    const choices = MANUAL_OVERRIDE_STATUSES.map((status) => `
+                <label class="attendance-override-choice">
+                    <input type="radio" name="attendanceOverrideStatus" value="${status}" />
+                    <span class="status-dot status-${status}" aria-hidden="true"></span>
+                    <span data-override-label="${status}">${STATUS_LABELS[status]}</span>
+                </label>`).join('');
+    overrideOverlay.innerHTML = `
+        <div class="ready-class-popup attendance-override-popup" role="dialog" aria-modal="true" aria-labelledby="attendanceOverrideTitle">
+            <div class="overlay-top-bar">
+                <h2 id="attendanceOverrideTitle">Set attendance</h2>
+                <button type="button" id="closeAttendanceOverrideBtn" class="close-small" aria-label="Close">×</button>
+            </div>
+            <p id="attendanceOverrideStudent" class="attendance-override-student"></p>
+            <div class="attendance-override-choices" role="radiogroup">${choices}
+            </div>
+            <label for="attendanceOverrideReason" id="attendanceOverrideReasonLabel" class="attendance-override-reason-label">Reason</label>
+            <textarea id="attendanceOverrideReason" rows="3" maxlength="${MANUAL_OVERRIDE_REASON_MAX_LENGTH}"></textarea>
+            <p id="attendanceOverrideError" class="class-options-error" aria-live="polite"></p>
+            <div class="attendance-override-actions">
+                <button type="button" id="attendanceOverrideCancelBtn" class="role-button">Cancel</button>
+                <button type="button" id="attendanceOverrideSaveBtn" class="role-button primary">Save</button>
+            </div>
+        </div>`;
+    document.body.appendChild(overrideOverlay);
+
+    overrideOverlay.querySelector('#closeAttendanceOverrideBtn')?.addEventListener('click', closeAttendanceOverrideEditor);
+    overrideOverlay.querySelector('#attendanceOverrideCancelBtn')?.addEventListener('click', closeAttendanceOverrideEditor);
+    overrideOverlay.querySelector('#attendanceOverrideSaveBtn')?.addEventListener('click', onSaveAttendanceOverride);
+    overrideOverlay.addEventListener('click', (e) => {
+        if (e.target === overrideOverlay) closeAttendanceOverrideEditor();
+    });
+    // Keep Escape from also closing the attendance overlay underneath
+    overrideOverlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            closeAttendanceOverrideEditor();
+        }
+    });
+    return overrideOverlay;
+}
+
+function applyOverrideTexts() {
+    const titleEl = overrideOverlay.querySelector('#attendanceOverrideTitle');
+    if (titleEl) titleEl.textContent = i18nText('attendance_override_title', 'Set attendance');
+    const reasonLabel = overrideOverlay.querySelector('#attendanceOverrideReasonLabel');
+    if (reasonLabel) reasonLabel.textContent = i18nText('attendance_override_reason', 'Reason (required)');
+    const reasonInput = overrideOverlay.querySelector('#attendanceOverrideReason');
+    if (reasonInput) reasonInput.placeholder = i18nText('attendance_override_reason_placeholder', 'e.g. Phone battery died, checked in person');
+    overrideOverlay.querySelectorAll('[data-override-label]').forEach((el) => {
+        const status = el.getAttribute('data-override-label');
+        el.textContent = i18nText(`attendance_status_${status}`, STATUS_LABELS[status] || status);
+    });
+    const cancelBtn = overrideOverlay.querySelector('#attendanceOverrideCancelBtn');
+    if (cancelBtn) cancelBtn.textContent = i18nText('cancel', 'Cancel');
+    const saveBtn = overrideOverlay.querySelector('#attendanceOverrideSaveBtn');
+    if (saveBtn) saveBtn.textContent = i18nText('save', 'Save');
+}
+
+/**
+ * Open the manual override editor for a student
+ * @param {string} className - Class name
+ * @param {string} facultyNumber - Student faculty number
+ * @param {HTMLElement} [listEl] - Attendance list container to re-render after saving
+ */
+export function openAttendanceOverrideEditor(className, facultyNumber, listEl = null) {
+    const cls = String(className || '').trim();
+    const fn = String(facultyNumber || '').trim();
+    if (!cls || !fn) return;
+    ensureAttendanceOverrideOverlay();
+    applyOverrideTexts();
+    overrideTarget = { className: cls, facultyNumber: fn, listEl };
+
+    const info = getStudentInfoForFacultyNumber(fn, loadClassStudentsFromStorage(cls) || []);
+    const fullName = String(info?.full_name || info?.fullName || info?.name || '').trim();
+    const studentEl = overrideOverlay.querySelector('#attendanceOverrideStudent');
+    if (studentEl) studentEl.textContent = `${fullName} ${fn}`.trim();
+
+    const current = getAttendanceState(cls)?.get(fn) || 'none';
+    const existing = getAttendanceOverrides(cls)?.get(fn) || null;
+    overrideOverlay.querySelectorAll('input[name="attendanceOverrideStatus"]').forEach((input) => {
+        input.checked = input.value === (existing?.status || current);
+    });
+    const reasonInput = overrideOverlay.querySelector('#attendanceOverrideReason');
+    if (reasonInput) reasonInput.value = existing?.reason || '';
+    setOverrideError('');
+
+    showOverlay(overrideOverlay, false);
+    reasonInput?.focus();
+}
+
+/**
+ * Close the manual override editor
+ */
+export function closeAttendanceOverrideEditor() {
+    if (overrideOverlay) hideOverlay(overrideOverlay, false);
+    overrideTarget = null;
+}
+
+function onSaveAttendanceOverride() {
+    if (!overrideTarget) return;
+    const selected = overrideOverlay.querySelector('input[name="attendanceOverrideStatus"]:checked');
+    const reason = overrideOverlay.querySelector('#attendanceOverrideReason')?.value || '';
+    if (!selected) {
+        setOverrideError(i18nText('attendance_override_status_required', 'Choose a status.'));
+        return;
+    }
+
+    const { className, facultyNumber, listEl } = overrideTarget;
+    const result = applyManualAttendanceOverride(className, facultyNumber, selected.value, reason);
+    if (!result.ok) {
+        const messages = {
+            reason_required: i18nText('attendance_override_reason_required', 'Please enter a reason.'),
+            reason_too_long: i18nText(
+                'attendance_override_reason_too_long',
+                `Reason must be at most ${MANUAL_OVERRIDE_REASON_MAX_LENGTH} characters.`
+            ),
+            not_in_class: i18nText('student_not_in_class', 'Student is not in this class.')
+        };
+        setOverrideError(messages[result.error] || i18nText('attendance_override_failed', 'Could not update attendance.'));
+        return;
+    }
+
+    if (listEl) renderAttendanceForClass(className, listEl);
+    closeAttendanceOverrideEditor();
+}
@@ -3,7 +3,7 @@
  * 
  * Handles the 2-slide class creation wizard:
  * Slide 1: Class name input
- * Slide 2: Student selection with search/filter
+ * Slide 2: Student selection with search/filter, or from an uploaded/pasted list
  */
 
 import { createClass, fetchClasses, addStudentsToClass } from '../api/classApi.js';
@@ -25,6 +25,8 @@ import { renderClassItem, updateClassStatusUI, flashReadyBadge, attachNewClassBu
 import { getTeacherEmail, SERVER_BASE_URL, ENDPOINTS } from '../config/api.js';
 import { saveClassStudents, resolveStudentFacultyNumber } from '../storage/studentStorage.js';
 import { getStoredClassesMap, saveClassesMap } from '../storage/classStorage.js';
+import { parseRosterList, resolveRosterList } from '../utils/rosterList.js';
+import { ensureXlsxLoaded } from './export.js';
 
 function i18nText(key, fallback) {
     try {
@@ -41,6 +43,7 @@ let createClassSlideIndex = 0;
 let createClassFiltersInitialized = false;
 let lastValidatedName = '';
 let lastValidatedAvailable = false;
+let rosterUploadInitialized = false;
 
 // DOM references (cached on first access)
 function getCreateClassOverlay() { return getOverlay('createClassOverlay'); }
@@ -384,7 +387,11 @@ function renderStudentsInWizard(students) {
     list.style.padding = '0';
     
     const wizardSelections = getWizardSelections();
-    const studentIndex = new Map();
+    // Keep selected students that the current filters hide (e.g. added from an uploaded list).
+    const previousIndex = getWizardStudentIndex();
+    const studentIndex = new Map(Array.from(wizardSelections)
+        .filter((id) => previousIndex.has(id))
+        .map((id) => [id, previousIndex.get(id)]));
     setWizardStudentIndex(studentIndex);
     
     students.forEach((s, idx) => {
@@ -393,6 +400,7 @@ function renderStudentsInWizard(students) {
         const splitNames = (window.Students?.splitNames || (() => ({ fullName: '' })))(s);
         const facultyNumber = resolveStudentFacultyNumber(s);
         const studentId = facultyNumber || splitNames.fullName || `wizard_${idx}`;
+        li.dataset.studentId = studentId;
         
         studentIndex.set(studentId, { fullName: splitNames.fullName, facultyNumber: facultyNumber || '' });
         
@@ -642,6 +650,191 @@ async function fetchFilteredStudents(filters = {}) {
     }
 }
 
+function getRosterUploadResult() { return document.getElementById('createClassRosterResult'); }
+
+async function readRosterFile(file) {
+    if (/\.(csv|txt)$/i.test(file.name) || /^text\//.test(file.type)) {
+        const buffer = await file.arrayBuffer();
+        const text = new TextDecoder('utf-8').decode(buffer);
+        // Excel on a Bulgarian Windows saves CSV files as Windows-1251.
+        return text.includes('\uFFFD') ? new TextDecoder('windows-1251').decode(buffer) : text;
+    }
+    const XLSX = await ensureXlsxLoaded();
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    // Registrar exports may split a course over several sheets.
+    return workbook.SheetNames.flatMap((name) => XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+        header: 1,
+        raw: false,
+        defval: '',
+        blankrows: false
+    }));
+}
+
+function buildWizardDirectory(students) {
+    const splitNames = window.Students?.splitNames || (() => ({ fullName: '' }));
+    return (Array.isArray(students) ? students : [])
+        .map((s) => {
+            const fullName = splitNames(s).fullName || String(s?.full_name || '').trim();
+            const facultyNumber = resolveStudentFacultyNumber(s);
+            return {
+                id: facultyNumber || fullName,
+                facultyNumber,
+                email: String(s?.email || '').trim().toLowerCase(),
+                fullName
+            };
+        })
+        .filter((student) => student.id);
+}
+
+function syncWizardCheckboxes() {
+    const container = getCreateClassStudentContainer();
+    if (!container) return;
+    const wizardSelections = getWizardSelections();
+    container.querySelectorAll('li.list-item[data-student-id]').forEach((li) => {
+        const selected = wizardSelections.has(li.dataset.studentId);
+        const checkbox = li.querySelector('input.studentSelect');
+        if (checkbox) checkbox.checked = selected;
+        li.classList.toggle('selected', selected);
+    });
+}
+
+function renderRosterResultList(title, items) {
+    if (items.length === 0) return null;
+    const section = document.createElement('details');
+    section.className = 'wizard-roster-result-list';
+    const summary = document.createElement('summary');
+    summary.textContent = `${title}: ${items.length}`;
+    const list = document.createElement('ul');
+    items.forEach((text) => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        list.appendChild(li);
+    });
+    section.append(summary, list);
+    return section;
+}
+
+function describeWizardStudent(student) {
+    return [student.fullName, student.facultyNumber].filter(Boolean).join(' ') || student.email;
+}
+
+function renderRosterUploadResult({ matched, unmatched, duplicates }, skippedLines) {
+    const resultEl = getRosterUploadResult();
+    if (!resultEl) return;
+    resultEl.innerHTML = '';
+    const parts = [`${i18nText('roster_upload_selected', 'Selected')}: ${matched.length}`];
+    if (unmatched.length > 0) parts.push(`${i18nText('roster_upload_unmatched', 'Not found')}: ${unmatched.length}`);
+    if (duplicates.length > 0) parts.push(`${i18nText('roster_upload_duplicates', 'Listed twice')}: ${duplicates.length}`);
+    if (skippedLines > 0) parts.push(`${i18nText('roster_upload_skipped', 'Lines without a faculty number or email')}: ${skippedLines}`);
+    const summary = document.createElement('p');
+    summary.className = 'wizard-roster-summary';
+    summary.dataset.tone = unmatched.length > 0 || matched.length === 0 ? 'warning' : 'success';
+    summary.textContent = parts.join(' · ');
+    resultEl.appendChild(summary);
+
+    [
+        renderRosterResultList(i18nText('roster_upload_unmatched_list', 'Not in the student directory'), unmatched),
+        renderRosterResultList(
+            i18nText('roster_upload_duplicates_list', 'Listed twice'),
+            duplicates.map(({ value, student }) => `${value} → ${describeWizardStudent(student)}`)
+        ),
+        renderRosterResultList(
+            i18nText('roster_upload_matched_list', 'Selected students'),
+            matched.map(describeWizardStudent)
+        )
+    ].filter(Boolean).forEach((el) => resultEl.appendChild(el));
+    // Unmatched identifiers are what the teacher has to follow up on.
+    const firstList = resultEl.querySelector('.wizard-roster-result-list');
+    if (firstList && unmatched.length > 0) firstList.open = true;
+}
+
+function setRosterUploadMessage(message, tone = null) {
+    const resultEl = getRosterUploadResult();
+    if (!resultEl) return;
+    resultEl.innerHTML = '';
+    const p = document.createElement('p');
+    p.className = 'wizard-roster-summary';
+    if (tone) p.dataset.tone = tone;
+    p.textContent = message;
+    resultEl.appendChild(p);
+}
+
+/**
+ * Resolve a pasted or uploaded student list and pre-select the matches
+ * @param {string|Array<Array>} source - Pasted text or spreadsheet rows
+ */
+async function applyRosterList(source) {
+    const { entries, skippedLines } = parseRosterList(source);
+    if (entries.length === 0) {
+        setRosterUploadMessage(i18nText('roster_upload_empty', 'No faculty numbers or emails found in the list.'), 'warning');
+        return;
+    }
+    setRosterUploadMessage(i18nText('roster_upload_matching', 'Matching students…'));
+    let directory;
+    try {
+        directory = buildWizardDirectory(await fetchAllStudents());
+    } catch (e) {
+        console.error('[Class Creation] Student directory fetch failed', e);
+        setRosterUploadMessage(i18nText('roster_upload_directory_failed', 'Unable to load the student directory.'), 'error');
+        return;
+    }
+    const result = resolveRosterList(entries, directory);
+    const wizardSelections = getWizardSelections();
+    const wizardIndex = getWizardStudentIndex();
+    result.matched.forEach((student) => {
+        wizardSelections.add(student.id);
+        if (!wizardIndex.has(student.id)) {
+            wizardIndex.set(student.id, { fullName: student.fullName, facultyNumber: student.facultyNumber });
+        }
+    });
+    syncWizardCheckboxes();
+    renderRosterUploadResult(result, skippedLines);
+}
+
+/**
+ * Wire the roster upload controls of slide 2 (once)
+ */
+function ensureRosterUploadInitialized() {
+    if (rosterUploadInitialized) return;
+    rosterUploadInitialized = true;
+
+    const fileInput = document.getElementById('createClassRosterFile');
+    const pasteInput = document.getElementById('createClassRosterPaste');
+    const matchBtn = document.getElementById('createClassRosterMatchBtn');
+
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+        setRosterUploadMessage(i18nText('roster_upload_reading', 'Reading the file…'));
+        try {
+            await applyRosterList(await readRosterFile(file));
+        } catch (e) {
+            console.error('[Class Creation] Roster file read failed', e);
+            setRosterUploadMessage(i18nText('roster_upload_read_failed', 'The file could not be read. Save it as .xlsx or .csv and try again.'), 'error');
+        } finally {
+            fileInput.value = '';
+        }
+    });
+
+    matchBtn?.addEventListener('click', async () => {
+        matchBtn.disabled = true;
+        try {
+            await applyRosterList(pasteInput?.value || '');
+        } finally {
+            matchBtn.disabled = false;
+        }
+    });
+}
+
+function resetRosterUpload() {
+    const pasteInput = document.getElementById('createClassRosterPaste');
+    if (pasteInput) pasteInput.value = '';
+    const resultEl = getRosterUploadResult();
+    if (resultEl) resultEl.innerHTML = '';
+    const details = document.getElementById('createClassRosterUpload');
+    if (details) details.open = false;
+}
+
 /**
  * Open class creation wizard
  */
@@ -692,6 +885,7 @@ export function openClassCreationWizard() {
         }
     }
     
+    ensureRosterUploadInitialized();
     showOverlay(overlay);
     goToSlide(0);
     // Avoid auto-focus to prevent mobile keyboard opening unexpectedly
@@ -711,6 +905,7 @@ export function closeClassCreationWizard() {
     if (nameInput) nameInput.value = '';
     const errorEl = getCreateClassErrorName();
     if (errorEl) errorEl.textContent = '';
+    resetRosterUpload();
     resetCreateClassFilters();
 }
 
@@ -1,13 +1,30 @@
 /**
  * Class Management Feature Module
  * 
- * Handles class rename, delete, and options overlay.
+ * Handles class rename, delete, and options overlay (schedule, attendance requirement, presence policy
+ * and the weekly timetable).
  * Manages class storage migration and UI updates.
  */
 
-import { getClassIdByNameFromStorage, classItemKey, removeClassFromStoredMap } from '../storage/classStorage.js';
+import {
+    getClassIdByNameFromStorage,
+    classItemKey,
+    removeClassFromStoredMap,
+    saveClassScheduleToStorage,
+    saveClassAttendanceRequirementToStorage,
+    saveClassPresencePolicyToStorage,
+    saveClassMeetingsToStorage
+} from '../storage/classStorage.js';
 import { loadClassStudentsFromStorage, saveClassStudents } from '../storage/studentStorage.js';
-import { fetchClassStudents, deleteClassById, renameClassById } from '../api/classApi.js';
+import {
+    fetchClassStudents,
+    deleteClassById,
+    renameClassById,
+    updateClassScheduleById,
+    updateClassAttendanceRequirementById,
+    updateClassPresencePolicyById,
+    updateClassMeetingsById
+} from '../api/classApi.js';
 import {
     getCurrentClass,
     setCurrentClass,
@@ -17,12 +34,36 @@ import {
     getClassStudentAssignments,
     setClassStudentAssignments,
     getClassIdByName,
-    setClassId
+    setClassId,
+    getClassSchedule,
+    setClassSchedule,
+    getClassAttendanceRequirement,
+    setClassAttendanceRequirement,
+    getClassPresencePolicy,
+    setClassPresencePolicy,
+    getClassMeetings,
+    setClassMeetings
 } from '../state/appState.js';
 import { updateClassStatusUI } from '../ui/classUI.js';
 import { openConfirmOverlay, showOverlay, hideOverlay, getOverlay } from '../ui/overlays.js';
 import { getActiveClassName, getRawClassNameFromButton } from '../utils/helpers.js';
 import { getTeacherEmail, normalizeEmail } from '../config/api.js';
+import {
+    normalizeClassSchedule,
+    DEFAULT_LATE_GRACE_MINUTES,
+    DEFAULT_EARLY_LEAVE_GRACE_MINUTES,
+    MAX_GRACE_MINUTES
+} from '../utils/attendanceClassification.js';
+import { normalizeAttendanceRequirement, MAX_REQUIRED_SESSIONS } from '../utils/attendanceRequirement.js';
+import { normalizePresencePolicy, MAX_PRESENCE_MINUTES } from '../utils/presencePolicy.js';
+import {
+    normalizeClassMeetings,
+    formatWeekday,
+    isoWeekday,
+    WEEKDAYS,
+    MAX_CLASS_MEETINGS,
+    MEETING_ROOM_MAX_LENGTH
+} from '../utils/classMeetings.js';
 
 let classOptionsOverlay = null;
 
@@ -48,6 +89,84 @@ function ensureClassOptionsOverlay() {
                 <button type="button" id="classOptionsSaveBtn" class="role-button primary" data-i18n="rename_btn">Rename</button>
             </div>
             <p id="classOptionsError" class="class-options-error" aria-live="polite"></p>
+            <div class="class-options-schedule">
+                <h3 id="classScheduleTitle">Schedule</h3>
+                <div class="class-options-schedule-grid">
+                    <label for="classScheduleStart"><span id="classScheduleStartLabel">Start</span>
+                        <input type="time" id="classScheduleStart" />
+                    </label>
+                    <label for="classScheduleEnd"><span id="classScheduleEndLabel">End</span>
+                        <input type="time" id="classScheduleEnd" />
+                    </label>
+                    <label for="classScheduleLateGrace"><span id="classScheduleLateGraceLabel">Late after (min)</span>
+                        <input type="number" id="classScheduleLateGrace" min="0" max="${MAX_GRACE_MINUTES}" step="1" inputmode="numeric" />
+                    </label>
+                    <label for="classScheduleEarlyGrace"><span id="classScheduleEarlyGraceLabel">Early leave margin (min)</span>
+                        <input type="number" id="classScheduleEarlyGrace" min="0" max="${MAX_GRACE_MINUTES}" step="1" inputmode="numeric" />
+                    </label>
+                </div>
+                <p id="classScheduleError" class="class-options-error" aria-live="polite"></p>
+                <div class="class-options-schedule-actions">
+                    <button type="button" id="classScheduleClearBtn" class="role-button">Clear</button>
+                    <button type="button" id="classScheduleSaveBtn" class="role-button primary">Save schedule</button>
+                </div>
+            </div>
+            <div class="class-options-schedule class-options-requirement">
+                <h3 id="classRequirementTitle">Attendance requirement</h3>
+                <div class="class-options-schedule-grid">
+                    <label for="classRequirementType"><span id="classRequirementTypeLabel">Minimum</span>
+                        <select id="classRequirementType">
+                            <option value="" id="classRequirementTypeNone">None</option>
+                            <option value="percent" id="classRequirementTypePercent">% of sessions</option>
+                            <option value="sessions" id="classRequirementTypeSessions">Number of sessions</option>
+                        </select>
+                    </label>
+                    <label for="classRequirementValue"><span id="classRequirementValueLabel">Required</span>
+                        <input type="number" id="classRequirementValue" min="1" step="1" inputmode="numeric" />
+                    </label>
+                    <label for="classRequirementPlanned"><span id="classRequirementPlannedLabel">Planned sessions (optional)</span>
+                        <input type="number" id="classRequirementPlanned" min="1" max="${MAX_REQUIRED_SESSIONS}" step="1" inputmode="numeric" />
+                    </label>
+                </div>
+                <p id="classRequirementHint" class="class-options-hint"></p>
+                <p id="classRequirementError" class="class-options-error" aria-live="polite"></p>
+                <div class="class-options-schedule-actions">
+                    <button type="button" id="classRequirementClearBtn" class="role-button">Clear</button>
+                    <button type="button" id="classRequirementSaveBtn" class="role-button primary">Save requirement</button>
+                </div>
+            </div>
+            <div class="class-options-schedule class-options-presence">
+                <h3 id="classPresenceTitle">Minimum presence</h3>
+                <div class="class-options-schedule-grid">
+                    <label for="classPresenceType"><span id="classPresenceTypeLabel">Students must stay</span>
+                        <select id="classPresenceType">
+                            <option value="" id="classPresenceTypeNone">No minimum</option>
+                            <option value="minutes" id="classPresenceTypeMinutes">Minutes</option>
+                            <option value="percent" id="classPresenceTypePercent">% of the session</option>
+                        </select>
+                    </label>
+                    <label for="classPresenceValue"><span id="classPresenceValueLabel">At least</span>
+                        <input type="number" id="classPresenceValue" min="1" step="1" inputmode="numeric" />
+                    </label>
+                </div>
+                <p id="classPresenceHint" class="class-options-hint"></p>
+                <p id="classPresenceError" class="class-options-error" aria-live="polite"></p>
+                <div class="class-options-schedule-actions">
+                    <button type="button" id="classPresenceClearBtn" class="role-button">Clear</button>
+                    <button type="button" id="classPresenceSaveBtn" class="role-button primary">Save minimum</button>
+                </div>
+            </div>
+            <div class="class-options-schedule class-options-meetings">
+                <h3 id="classMeetingsTitle">Weekly timetable</h3>
+                <p id="classMeetingsHint" class="class-options-hint"></p>
+                <ul id="classMeetingsList" class="class-meetings-list"></ul>
+                <button type="button" id="classMeetingsAddBtn" class="role-button class-meetings-add">+ Add meeting</button>
+                <p id="classMeetingsError" class="class-options-error" aria-live="polite"></p>
+                <div class="class-options-schedule-actions">
+                    <button type="button" id="classMeetingsClearBtn" class="role-button">Clear</button>
+                    <button type="button" id="classMeetingsSaveBtn" class="role-button primary">Save timetable</button>
+                </div>
+            </div>
             <div class="class-options-footer">
                 <button type="button" id="classOptionsDeleteBtn" class="role-button danger" data-i18n="delete_class_btn">Delete Class</button>
             </div>
@@ -72,6 +191,49 @@ function ensureClassOptionsOverlay() {
     deleteBtn?.addEventListener('click', onDeleteClassFromOptions);
     const nameInput = classOptionsOverlay.querySelector('#classOptionsNameInput');
     nameInput?.addEventListener('input', () => setClassOptionsError(''));
+
+    classOptionsOverlay.querySelector('#classScheduleSaveBtn')?.addEventListener('click', onSaveClassSchedule);
+    classOptionsOverlay.querySelector('#classScheduleClearBtn')?.addEventListener('click', onClearClassSchedule);
+    classOptionsOverlay.querySelectorAll('.class-options-schedule:not(.class-options-requirement):not(.class-options-presence):not(.class-options-meetings) input').forEach((el) => {
+        el.addEventListener('input', () => setClassScheduleError(''));
+    });
+
+    classOptionsOverlay.querySelector('#classRequirementSaveBtn')?.addEventListener('click', onSaveClassAttendanceRequirement);
+    classOptionsOverlay.querySelector('#classRequirementClearBtn')?.addEventListener('click', onClearClassAttendanceRequirement);
+    classOptionsOverlay.querySelectorAll('.class-options-requirement input, .class-options-requirement select').forEach((el) => {
+        el.addEventListener('input', () => {
+            setClassRequirementError('');
+            syncClassRequirementInputs();
+        });
+    });
+
+    classOptionsOverlay.querySelector('#classPresenceSaveBtn')?.addEventListener('click', onSaveClassPresencePolicy);
+    classOptionsOverlay.querySelector('#classPresenceClearBtn')?.addEventListener('click', onClearClassPresencePolicy);
+    classOptionsOverlay.querySelectorAll('.class-options-presence input, .class-options-presence select').forEach((el) => {
+        el.addEventListener('input', () => {
+            setClassPresenceError('');
+            syncClassPresenceInputs();
+        });
+    });
+
+    classOptionsOverlay.querySelector('#classMeetingsSaveBtn')?.addEventListener('click', onSaveClassMeetings);
+    classOptionsOverlay.querySelector('#classMeetingsClearBtn')?.addEventListener('click', onClearClassMeetings);
+    classOptionsOverlay.querySelector('#classMeetingsAddBtn')?.addEventListener('click', () => {
+        const list = classOptionsOverlay.querySelector('#classMeetingsList');
+        if (!list || list.children.length >= MAX_CLASS_MEETINGS) return;
+        list.appendChild(createClassMeetingRow(null));
+        syncClassMeetingsAddButton();
+        setClassMeetingsError('');
+    });
+    const meetingsList = classOptionsOverlay.querySelector('#classMeetingsList');
+    meetingsList?.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest?.('.class-meeting-remove');
+        if (!removeBtn) return;
+        removeBtn.closest('.class-meeting-row')?.remove();
+        syncClassMeetingsAddButton();
+        setClassMeetingsError('');
+    });
+    meetingsList?.addEventListener('input', () => setClassMeetingsError(''));
     
     return classOptionsOverlay;
 }
@@ -92,6 +254,10 @@ export function openClassOptionsOverlay(className) {
     if (titleEl) titleEl.textContent = i18nText('class_options_title', 'Class Options');
     const nameEl = classOptionsOverlay.querySelector('#classOptionsClassName');
     if (nameEl) nameEl.textContent = resolvedName || 'Class';
+    fillClassScheduleForm(resolvedName);
+    fillClassAttendanceRequirementForm(resolvedName);
+    fillClassPresencePolicyForm(resolvedName);
+    fillClassMeetingsForm(resolvedName);
     
     showOverlay(classOptionsOverlay);
 }
@@ -268,7 +434,17 @@ export async function deleteClass(name) {
     // Remove assignments
     setClassStudentAssignments(n, null);
     
-    // Remove class ID
+    // Remove schedule and class ID
+    if (classId) {
+        setClassSchedule(classId, null);
+        saveClassScheduleToStorage(classId, null);
+        setClassAttendanceRequirement(classId, null);
+        saveClassAttendanceRequirementToStorage(classId, null);
+        setClassPresencePolicy(classId, null);
+        saveClassPresencePolicyToStorage(classId, null);
+        setClassMeetings(classId, null);
+        saveClassMeetingsToStorage(classId, null);
+    }
     setClassId(n, null);
 
     // Remove from stored classes map
@@ -351,6 +527,595 @@ async function onSaveClassOptions() {
     }
 }
 
+/**
+ * Fill the schedule section of the options overlay for a class
+ * @param {string} className - Class name
+ */
+function fillClassScheduleForm(className) {
+    if (!classOptionsOverlay) return;
+    const labels = {
+        classScheduleTitle: ['class_schedule_title', 'Schedule'],
+        classScheduleStartLabel: ['class_schedule_start', 'Start'],
+        classScheduleEndLabel: ['class_schedule_end', 'End'],
+        classScheduleLateGraceLabel: ['class_schedule_late_grace', 'Late after (min)'],
+        classScheduleEarlyGraceLabel: ['class_schedule_early_grace', 'Early leave margin (min)'],
+        classScheduleClearBtn: ['class_schedule_clear_btn', 'Clear'],
+        classScheduleSaveBtn: ['class_schedule_save_btn', 'Save schedule']
+    };
+    Object.entries(labels).forEach(([id, [key, fallback]]) => {
+        const el = classOptionsOverlay.querySelector(`#${id}`);
+        if (el) el.textContent = i18nText(key, fallback);
+    });
+
+    const schedule = getClassSchedule(getClassIdByName(className) || getClassIdByNameFromStorage(className));
+    const startInput = classOptionsOverlay.querySelector('#classScheduleStart');
+    const endInput = classOptionsOverlay.querySelector('#classScheduleEnd');
+    const lateInput = classOptionsOverlay.querySelector('#classScheduleLateGrace');
+    const earlyInput = classOptionsOverlay.querySelector('#classScheduleEarlyGrace');
+    if (startInput) startInput.value = schedule?.start || '';
+    if (endInput) endInput.value = schedule?.end || '';
+    if (lateInput) lateInput.value = String(schedule ? schedule.lateGraceMinutes : DEFAULT_LATE_GRACE_MINUTES);
+    if (earlyInput) earlyInput.value = String(schedule ? schedule.earlyLeaveGraceMinutes : DEFAULT_EARLY_LEAVE_GRACE_MINUTES);
+    setClassScheduleError('');
+}
+
+/**
+ * Persist a class schedule on the server and locally
+ * @param {string} className - Class name
+ * @param {Object|null} schedule - Normalized schedule (null clears it)
+ * @returns {Promise<boolean>} True if the schedule was stored
+ */
+async function persistClassSchedule(className, schedule) {
+    const classId = getClassIdByName(className) || getClassIdByNameFromStorage(className);
+    if (!classId) {
+        setClassScheduleError(i18nText('err_class_id_missing', 'Class ID not found. Reload the page and try again.'));
+        return false;
+    }
+    const teacherEmail = getTeacherEmail();
+    let savedOnServer = true;
+    try {
+        if (teacherEmail) {
+            await updateClassScheduleById(classId, schedule, teacherEmail);
+        }
+    } catch (e) {
+        if (e?.redirectingAuth) return false;
+        const status = Number(e?.status || 0);
+        // Servers without schedule support still let the teacher use it on this device.
+        if (status !== 400 && status !== 404 && status !== 405 && status !== 501) {
+            setClassScheduleError(`${i18nText('err_schedule_save_failed', 'Failed to save schedule on server')}: ${e.message}`);
+            return false;
+        }
+        savedOnServer = false;
+        console.warn('[classSchedule] Server did not accept schedule, keeping it on this device only.', { classId, status });
+    }
+
+    setClassSchedule(classId, schedule);
+    saveClassScheduleToStorage(classId, schedule);
+    showClassOptionsToast(
+        savedOnServer
+            ? i18nText('toast_class_schedule_saved', 'Schedule saved')
+            : i18nText('toast_class_schedule_saved_local', 'Schedule saved on this device'),
+        'success'
+    );
+    return true;
+}
+
+/**
+ * Handle save class schedule
+ */
+async function onSaveClassSchedule() {
+    const startValue = classOptionsOverlay?.querySelector('#classScheduleStart')?.value || '';
+    const endValue = classOptionsOverlay?.querySelector('#classScheduleEnd')?.value || '';
+    const lateValue = classOptionsOverlay?.querySelector('#classScheduleLateGrace')?.value ?? '';
+    const earlyValue = classOptionsOverlay?.querySelector('#classScheduleEarlyGrace')?.value ?? '';
+
+    if (!startValue || !endValue) {
+        setClassScheduleError(i18nText('err_schedule_times_required', 'Start and end time are required.'));
+        return;
+    }
+    if (endValue <= startValue) {
+        setClassScheduleError(i18nText('err_schedule_end_before_start', 'End time must be after start time.'));
+        return;
+    }
+    const graces = [lateValue, earlyValue].map((v) => Number(v));
+    if (graces.some((v) => !Number.isInteger(v) || v < 0 || v > MAX_GRACE_MINUTES)) {
+        setClassScheduleError(`${i18nText('err_schedule_grace_range', 'Grace minutes must be whole numbers between 0 and')} ${MAX_GRACE_MINUTES}.`);
+        return;
+    }
+
+    const schedule = normalizeClassSchedule({
+        start: startValue,
+        end: endValue,
+        lateGraceMinutes: graces[0],
+        earlyLeaveGraceMinutes: graces[1]
+    });
+    await persistClassSchedule(getActiveClassName(), schedule);
+}
+
+/**
+ * Handle clear class schedule
+ */
+async function onClearClassSchedule() {
+    const ok = await persistClassSchedule(getActiveClassName(), null);
+    if (ok) fillClassScheduleForm(getActiveClassName());
+}
+
+/**
+ * Fill the attendance requirement section of the options overlay for a class
+ * @param {string} className - Class name
+ */
+function fillClassAttendanceRequirementForm(className) {
+    if (!classOptionsOverlay) return;
+    const labels = {
+        classRequirementTitle: ['class_requirement_title', 'Attendance requirement'],
+        classRequirementTypeLabel: ['class_requirement_type', 'Minimum'],
+        classRequirementTypeNone: ['class_requirement_none', 'None'],
+        classRequirementTypePercent: ['class_requirement_percent', '% of sessions'],
+        classRequirementTypeSessions: ['class_requirement_sessions', 'Number of sessions'],
+        classRequirementValueLabel: ['class_requirement_value', 'Required'],
+        classRequirementPlannedLabel: ['class_requirement_planned', 'Planned sessions (optional)'],
+        classRequirementClearBtn: ['class_requirement_clear_btn', 'Clear'],
+        classRequirementSaveBtn: ['class_requirement_save_btn', 'Save requirement']
+    };
+    Object.entries(labels).forEach(([id, [key, fallback]]) => {
+        const el = classOptionsOverlay.querySelector(`#${id}`);
+        if (el) el.textContent = i18nText(key, fallback);
+    });
+
+    const requirement = getClassAttendanceRequirement(getClassIdByName(className) || getClassIdByNameFromStorage(className));
+    const typeSelect = classOptionsOverlay.querySelector('#classRequirementType');
+    const valueInput = classOptionsOverlay.querySelector('#classRequirementValue');
+    const plannedInput = classOptionsOverlay.querySelector('#classRequirementPlanned');
+    if (typeSelect) typeSelect.value = requirement?.type || '';
+    if (valueInput) valueInput.value = requirement ? String(requirement.value) : '';
+    if (plannedInput) plannedInput.value = requirement?.plannedSessions ? String(requirement.plannedSessions) : '';
+    syncClassRequirementInputs();
+    setClassRequirementError('');
+}
+
+/**
+ * Adjust the value input and hint to the selected requirement type
+ */
+function syncClassRequirementInputs() {
+    const type = classOptionsOverlay?.querySelector('#classRequirementType')?.value || '';
+    const valueInput = classOptionsOverlay?.querySelector('#classRequirementValue');
+    const plannedInput = classOptionsOverlay?.querySelector('#classRequirementPlanned');
+    const hintEl = classOptionsOverlay?.querySelector('#classRequirementHint');
+    if (valueInput) {
+        valueInput.disabled = !type;
+        valueInput.max = type === 'percent' ? '100' : String(MAX_REQUIRED_SESSIONS);
+    }
+    if (plannedInput) plannedInput.disabled = !type;
+    if (hintEl) {
+        hintEl.textContent = type
+            ? i18nText(
+                'class_requirement_hint',
+                'Excused absences do not count. With planned sessions, students who can no longer reach the minimum are flagged.'
+            )
+            : '';
+    }
+}
+
+/**
+ * Persist a class attendance requirement on the server and locally
+ * @param {string} className - Class name
+ * @param {Object|null} requirement - Normalized requirement (null clears it)
+ * @returns {Promise<boolean>} True if the requirement was stored
+ */
+async function persistClassAttendanceRequirement(className, requirement) {
+    const classId = getClassIdByName(className) || getClassIdByNameFromStorage(className);
+    if (!classId) {
+        setClassRequirementError(i18nText('err_class_id_missing', 'Class ID not found. Reload the page and try again.'));
+        return false;
+    }
+    const teacherEmail = getTeacherEmail();
+    let savedOnServer = true;
+    try {
+        if (teacherEmail) {
+            await updateClassAttendanceRequirementById(classId, requirement, teacherEmail);
+        }
+    } catch (e) {
+        if (e?.redirectingAuth) return false;
+        const status = Number(e?.status || 0);
+        // Servers without requirement support still let the teacher use it on this device.
+        if (status !== 400 && status !== 404 && status !== 405 && status !== 501) {
+            setClassRequirementError(`${i18nText('err_requirement_save_failed', 'Failed to save attendance requirement on server')}: ${e.message}`);
+            return false;
+        }
+        savedOnServer = false;
+        console.warn('[classRequirement] Server did not accept attendance requirement, keeping it on this device only.', { classId, status });
+    }
+
+    setClassAttendanceRequirement(classId, requirement);
+    saveClassAttendanceRequirementToStorage(classId, requirement);
+    document.dispatchEvent(new CustomEvent('classAttendanceRequirementChanged', {
+        detail: { className, classId, requirement }
+    }));
+    showClassOptionsToast(
+        savedOnServer
+            ? i18nText('toast_class_requirement_saved', 'Attendance requirement saved')
+            : i18nText('toast_class_requirement_saved_local', 'Attendance requirement saved on this device'),
+        'success'
+    );
+    return true;
+}
+
+/**
+ * Handle save class attendance requirement
+ */
+async function onSaveClassAttendanceRequirement() {
+    const type = classOptionsOverlay?.querySelector('#classRequirementType')?.value || '';
+    const valueText = classOptionsOverlay?.querySelector('#classRequirementValue')?.value ?? '';
+    const plannedText = classOptionsOverlay?.querySelector('#classRequirementPlanned')?.value ?? '';
+
+    if (!type) {
+        await onClearClassAttendanceRequirement();
+        return;
+    }
+    const value = Number(valueText);
+    const maxValue = type === 'percent' ? 100 : MAX_REQUIRED_SESSIONS;
+    if (!Number.isInteger(value) || value < 1 || value > maxValue) {
+        setClassRequirementError(`${i18nText('err_requirement_value_range', 'The minimum must be a whole number between 1 and')} ${maxValue}.`);
+        return;
+    }
+    const planned = plannedText === '' ? null : Number(plannedText);
+    if (planned !== null && (!Number.isInteger(planned) || planned < 1 || planned > MAX_REQUIRED_SESSIONS)) {
+        setClassRequirementError(`${i18nText('err_requirement_planned_range', 'Planned sessions must be a whole number between 1 and')} ${MAX_REQUIRED_SESSIONS}.`);
+        return;
+    }
+    if (type === 'sessions' && planned !== null && value > planned) {
+        setClassRequirementError(i18nText('err_requirement_above_planned', 'The minimum cannot be more than the planned sessions.'));
+        return;
+    }
+
+    const requirement = normalizeAttendanceRequirement({ type, value, plannedSessions: planned });
+    await persistClassAttendanceRequirement(getActiveClassName(), requirement);
+}
+
+/**
+ * Handle clear class attendance requirement
+ */
+async function onClearClassAttendanceRequirement() {
+    const ok = await persistClassAttendanceRequirement(getActiveClassName(), null);
+    if (ok) fillClassAttendanceRequirementForm(getActiveClassName());
+}
+
+/**
+ * Fill the minimum presence section of the options overlay for a class
+ * @param {string} className - Class name
+ */
+function fillClassPresencePolicyForm(className) {
+    if (!classOptionsOverlay) return;
+    const labels = {
+        classPresenceTitle: ['class_presence_title', 'Minimum presence'],
+        classPresenceTypeLabel: ['class_presence_type', 'Students must stay'],
+        classPresenceTypeNone: ['class_presence_none', 'No minimum'],
+        classPresenceTypeMinutes: ['class_presence_minutes', 'Minutes'],
+        classPresenceTypePercent: ['class_presence_percent', '% of the session'],
+        classPresenceValueLabel: ['class_presence_value', 'At least'],
+        classPresenceClearBtn: ['class_presence_clear_btn', 'Clear'],
+        classPresenceSaveBtn: ['class_presence_save_btn', 'Save minimum']
+    };
+    Object.entries(labels).forEach(([id, [key, fallback]]) => {
+        const el = classOptionsOverlay.querySelector(`#${id}`);
+        if (el) el.textContent = i18nText(key, fallback);
+    });
+
+    const policy = getClassPresencePolicy(getClassIdByName(className) || getClassIdByNameFromStorage(className));
+    const typeSelect = classOptionsOverlay.querySelector('#classPresenceType');
+    const valueInput = classOptionsOverlay.querySelector('#classPresenceValue');
+    if (typeSelect) typeSelect.value = policy?.type || '';
+    if (valueInput) valueInput.value = policy ? String(policy.value) : '';
+    syncClassPresenceInputs();
+    setClassPresenceError('');
+}
+
+/**
+ * Adjust the value input and hint to the selected presence policy type
+ */
+function syncClassPresenceInputs() {
+    const type = classOptionsOverlay?.querySelector('#classPresenceType')?.value || '';
+    const valueInput = classOptionsOverlay?.querySelector('#classPresenceValue');
+    const hintEl = classOptionsOverlay?.querySelector('#classPresenceHint');
+    if (valueInput) {
+        valueInput.disabled = !type;
+        valueInput.max = type === 'percent' ? '100' : String(MAX_PRESENCE_MINUTES);
+    }
+    if (hintEl) {
+        const hints = {
+            minutes: ['class_presence_hint_minutes', 'Students who leave sooner after joining count as partial, not present.'],
+            percent: [
+                'class_presence_hint_percent',
+                'The session length is the class schedule, or the time from the first join to the last leave scan. Students who stay shorter count as partial.'
+            ]
+        };
+        hintEl.textContent = hints[type] ? i18nText(...hints[type]) : '';
+    }
+}
+
+/**
+ * Persist a class presence policy on the server and locally
+ * @param {string} className - Class name
+ * @param {Object|null} policy - Normalized policy (null clears it)
+ * @returns {Promise<boolean>} True if the policy was stored
+ */
+async function persistClassPresencePolicy(className, policy) {
+    const classId = getClassIdByName(className) || getClassIdByNameFromStorage(className);
+    if (!classId) {
+        setClassPresenceError(i18nText('err_class_id_missing', 'Class ID not found. Reload the page and try again.'));
+        return false;
+    }
+    const teacherEmail = getTeacherEmail();
+    let savedOnServer = true;
+    try {
+        if (teacherEmail) {
+            await updateClassPresencePolicyById(classId, policy, teacherEmail);
+        }
+    } catch (e) {
+        if (e?.redirectingAuth) return false;
+        const status = Number(e?.status || 0);
+        // Servers without presence policy support still let the teacher use it on this device.
+        if (status !== 400 && status !== 404 && status !== 405 && status !== 501) {
+            setClassPresenceError(`${i18nText('err_presence_save_failed', 'Failed to save minimum presence on server')}: ${e.message}`);
+            return false;
+        }
+        savedOnServer = false;
+        console.warn('[classPresence] Server did not accept presence policy, keeping it on this device only.', { classId, status });
+    }
+
+    setClassPresencePolicy(classId, policy);
+    saveClassPresencePolicyToStorage(classId, policy);
+    document.dispatchEvent(new CustomEvent('classPresencePolicyChanged', {
+        detail: { className, classId, policy }
+    }));
+    showClassOptionsToast(
+        savedOnServer
+            ? i18nText('toast_class_presence_saved', 'Minimum presence saved')
+            : i18nText('toast_class_presence_saved_local', 'Minimum presence saved on this device'),
+        'success'
+    );
+    return true;
+}
+
+/**
+ * Handle save class presence policy
+ */
+async function onSaveClassPresencePolicy() {
+    const type = classOptionsOverlay?.querySelector('#classPresenceType')?.value || '';
+    const valueText = classOptionsOverlay?.querySelector('#classPresenceValue')?.value ?? '';
+
+    if (!type) {
+        await onClearClassPresencePolicy();
+        return;
+    }
+    const value = Number(valueText);
+    const maxValue = type === 'percent' ? 100 : MAX_PRESENCE_MINUTES;
+    if (!Number.isInteger(value) || value < 1 || value > maxValue) {
+        setClassPresenceError(`${i18nText('err_presence_value_range', 'The minimum must be a whole number between 1 and')} ${maxValue}.`);
+        return;
+    }
+
+    await persistClassPresencePolicy(getActiveClassName(), normalizePresencePolicy({ type, value }));
+}
+
+/**
+ * Handle clear class presence policy
+ */
+async function onClearClassPresencePolicy() {
+    const ok = await persistClassPresencePolicy(getActiveClassName(), null);
+    if (ok) fillClassPresencePolicyForm(getActiveClassName());
+}
+
+function resolveLocale() {
+    const lang = (window.i18n && typeof window.i18n.getLanguage === 'function')
+        ? window.i18n.getLanguage()
+        : (document.documentElement.lang || 'en');
+    return lang === 'bg' ? 'bg-BG' : 'en-US';
+}
+
+/**
+ * Build an editable row of the weekly timetable section
+ * @param {Object|null} meeting - Normalized meeting (null for a new row)
+ * @returns {HTMLElement} Row element
+ */
+function createClassMeetingRow(meeting) {
+    const li = document.createElement('li');
+    li.className = 'class-meeting-row';
+    const locale = resolveLocale();
+    // A new row starts on today's weekday at the scheduled lesson times, if the class has them.
+    const schedule = meeting ? null : getClassSchedule(getClassIdByName(getActiveClassName()) || getClassIdByNameFromStorage(getActiveClassName()));
+    const field = (labelKey, labelFallback, control) => {
+        const label = document.createElement('label');
+        const span = document.createElement('span');
+        span.textContent = i18nText(labelKey, labelFallback);
+        label.append(span, control);
+        return label;
+    };
+    const input = (type, className, value) => {
+        const el = document.createElement('input');
+        el.type = type;
+        el.className = className;
+        el.value = value || '';
+        return el;
+    };
+
+    const weekdaySelect = document.createElement('select');
+    weekdaySelect.className = 'class-meeting-weekday';
+    WEEKDAYS.forEach((weekday) => weekdaySelect.appendChild(new Option(formatWeekday(weekday, locale), String(weekday))));
+    weekdaySelect.value = String(meeting ? meeting.weekday : isoWeekday(Date.now()));
+    const roomInput = input('text', 'class-meeting-room', meeting?.room);
+    roomInput.maxLength = MEETING_ROOM_MAX_LENGTH;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'close-small class-meeting-remove';
+    removeBtn.textContent = '×';
+    removeBtn.setAttribute('aria-label', i18nText('class_meetings_remove', 'Remove meeting'));
+
+    li.append(
+        field('class_meetings_weekday', 'Day', weekdaySelect),
+        field('class_meetings_start', 'Start', input('time', 'class-meeting-start', meeting ? meeting.start : schedule?.start)),
+        field('class_meetings_end', 'End', input('time', 'class-meeting-end', meeting ? meeting.end : schedule?.end)),
+        field('class_meetings_room', 'Room', roomInput),
+        field('class_meetings_from', 'From (optional)', input('date', 'class-meeting-from', meeting?.startDate)),
+        field('class_meetings_until', 'Until (optional)', input('date', 'class-meeting-until', meeting?.endDate)),
+        removeBtn
+    );
+    return li;
+}
+
+function syncClassMeetingsAddButton() {
+    const list = classOptionsOverlay?.querySelector('#classMeetingsList');
+    const addBtn = classOptionsOverlay?.querySelector('#classMeetingsAddBtn');
+    if (addBtn && list) addBtn.disabled = list.children.length >= MAX_CLASS_MEETINGS;
+}
+
+/**
+ * Fill the weekly timetable section of the options overlay for a class
+ * @param {string} className - Class name
+ */
+function fillClassMeetingsForm(className) {
+    if (!classOptionsOverlay) return;
+    const labels = {
+        classMeetingsTitle: ['class_meetings_title', 'Weekly timetable'],
+        classMeetingsHint: [
+            'class_meetings_hint',
+            'When the class meets each week. Late arrivals and early leaves are judged against that day\'s meeting; the timetable, "Start now" and the room of new sessions use it too.'
+        ],
+        classMeetingsAddBtn: ['class_meetings_add_btn', '+ Add meeting'],
+        classMeetingsClearBtn: ['class_meetings_clear_btn', 'Clear'],
+        classMeetingsSaveBtn: ['class_meetings_save_btn', 'Save timetable']
+    };
+    Object.entries(labels).forEach(([id, [key, fallback]]) => {
+        const el = classOptionsOverlay.querySelector(`#${id}`);
+        if (el) el.textContent = i18nText(key, fallback);
+    });
+
+    const meetings = getClassMeetings(getClassIdByName(className) || getClassIdByNameFromStorage(className)) || [];
+    const list = classOptionsOverlay.querySelector('#classMeetingsList');
+    if (list) {
+        list.innerHTML = '';
+        meetings.forEach((meeting) => list.appendChild(createClassMeetingRow(meeting)));
+    }
+    syncClassMeetingsAddButton();
+    setClassMeetingsError('');
+}
+
+/**
+ * Persist the recurring meetings of a class on the server and locally
+ * @param {string} className - Class name
+ * @param {Array<Object>|null} meetings - Normalized meetings (null clears them)
+ * @returns {Promise<boolean>} True if the meetings were stored
+ */
+async function persistClassMeetings(className, meetings) {
+    const classId = getClassIdByName(className) || getClassIdByNameFromStorage(className);
+    if (!classId) {
+        setClassMeetingsError(i18nText('err_class_id_missing', 'Class ID not found. Reload the page and try again.'));
+        return false;
+    }
+    const teacherEmail = getTeacherEmail();
+    let savedOnServer = true;
+    try {
+        if (teacherEmail) {
+            await updateClassMeetingsById(classId, meetings, teacherEmail);
+        }
+    } catch (e) {
+        if (e?.redirectingAuth) return false;
+        const status = Number(e?.status || 0);
+        // Servers without timetable support still let the teacher use it on this device.
+        if (status !== 400 && status !== 404 && status !== 405 && status !== 501) {
+            setClassMeetingsError(`${i18nText('err_meetings_save_failed', 'Failed to save timetable on server')}: ${e.message}`);
+            return false;
+        }
+        savedOnServer = false;
+        console.warn('[classMeetings] Server did not accept meetings, keeping them on this device only.', { classId, status });
+    }
+
+    setClassMeetings(classId, meetings);
+    saveClassMeetingsToStorage(classId, meetings);
+    document.dispatchEvent(new CustomEvent('classMeetingsChanged', {
+        detail: { className, classId, meetings }
+    }));
+    showClassOptionsToast(
+        savedOnServer
+            ? i18nText('toast_class_meetings_saved', 'Timetable saved')
+            : i18nText('toast_class_meetings_saved_local', 'Timetable saved on this device'),
+        'success'
+    );
+    return true;
+}
+
+/**
+ * Handle save class meetings
+ */
+async function onSaveClassMeetings() {
+    const rows = Array.from(classOptionsOverlay?.querySelectorAll('#classMeetingsList .class-meeting-row') || []);
+    const raw = [];
+    for (const row of rows) {
+        const value = (selector) => row.querySelector(selector)?.value || '';
+        const meeting = {
+            weekday: Number(value('.class-meeting-weekday')),
+            start: value('.class-meeting-start'),
+            end: value('.class-meeting-end'),
+            room: value('.class-meeting-room'),
+            startDate: value('.class-meeting-from'),
+            endDate: value('.class-meeting-until')
+        };
+        if (!meeting.start || !meeting.end) {
+            setClassMeetingsError(i18nText('err_schedule_times_required', 'Start and end time are required.'));
+            return;
+        }
+        if (meeting.end <= meeting.start) {
+            setClassMeetingsError(i18nText('err_schedule_end_before_start', 'End time must be after start time.'));
+            return;
+        }
+        if (meeting.startDate && meeting.endDate && meeting.endDate < meeting.startDate) {
+            setClassMeetingsError(i18nText('err_meetings_dates_order', 'The "until" date must not be before the "from" date.'));
+            return;
+        }
+        raw.push(meeting);
+    }
+
+    const ok = await persistClassMeetings(getActiveClassName(), normalizeClassMeetings(raw));
+    if (ok) fillClassMeetingsForm(getActiveClassName());
+}
+
+/**
+ * Handle clear class meetings
+ */
+async function onClearClassMeetings() {
+    const ok = await persistClassMeetings(getActiveClassName(), null);
+    if (ok) fillClassMeetingsForm(getActiveClassName());
+}
+
+function setClassMeetingsError(message) {
+    const errorEl = classOptionsOverlay?.querySelector('#classMeetingsError');
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.style.display = message ? 'block' : 'none';
+}
+
+function setClassPresenceError(message) {
+    const errorEl = classOptionsOverlay?.querySelector('#classPresenceError');
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.style.display = message ? 'block' : 'none';
+}
+
+function setClassRequirementError(message) {
+    const errorEl = classOptionsOverlay?.querySelector('#classRequirementError');
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.style.display = message ? 'block' : 'none';
+}
+
+function setClassScheduleError(message) {
+    const errorEl = classOptionsOverlay?.querySelector('#classScheduleError');
+    if (!errorEl) return;
+    errorEl.textContent = message || '';
+    errorEl.style.display = message ? 'block' : 'none';
+}
+
 function setClassOptionsError(message) {
     const errorEl = classOptionsOverlay?.querySelector('#classOptionsError');
     if (!errorEl) return;
@@ -369,7 +1134,8 @@ function applyI18n() {
 function i18nText(key, fallback) {
     try {
         if (window.i18n && typeof window.i18n.t === 'function') {
-            return window.i18n.t(key);
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
         }
     } catch (_) {}
     return fallback || key;
@@ -0,0 +1,142 @@
+/**
+ * Classes Export Feature Module
+ *
+ * Exports the attendance of all of the teacher's classes into one workbook
+ * and shows the progress, plus the classes that could not be exported.
+ */
+
+import { exportAllClassesAttendance } from './export.js';
+import { showOverlay, hideOverlay } from '../ui/overlays.js';
+import { logError } from '../utils/helpers.js';
+
+let exportOverlay = null;
+let exportRunning = false;
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+/**
+ * Ensure classes export overlay exists
+ * @returns {HTMLElement} Overlay element
+ */
+function ensureClassesExportOverlay() {
+    if (exportOverlay) return exportOverlay;
+    exportOverlay = document.createElement('div');
+    exportOverlay.id = 'classesExportOverlay';
+    exportOverlay.className = 'overlay';
+    exportOverlay.style.visibility = 'hidden';
+    exportOverlay.innerHTML = `
+        <div class="ready-class-popup classes-export-popup" role="dialog" aria-modal="true" aria-labelledby="classesExportTitle">
+            <div class="overlay-top-bar">
+                <h2 id="classesExportTitle">Export all classes</h2>
+                <button type="button" id="closeClassesExportBtn" class="close-small" aria-label="Close">×</button>
+            </div>
+            <progress id="classesExportProgress" class="classes-export-progress" max="1" value="0"></progress>
+            <p id="classesExportStatus" class="classes-export-status" role="status" aria-live="polite"></p>
+            <ul id="classesExportFailures" class="classes-export-failures" hidden></ul>
+            <div class="classes-export-actions">
+                <button type="button" id="classesExportDoneBtn" class="role-button primary">Close</button>
+            </div>
+        </div>`;
+    document.body.appendChild(exportOverlay);
+
+    exportOverlay.querySelector('#closeClassesExportBtn')?.addEventListener('click', closeClassesExport);
+    exportOverlay.querySelector('#classesExportDoneBtn')?.addEventListener('click', closeClassesExport);
+    exportOverlay.addEventListener('click', (e) => {
+        if (e.target === exportOverlay) closeClassesExport();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && exportOverlay.style.visibility === 'visible') {
+            e.stopPropagation();
+            closeClassesExport();
+        }
+    }, true);
+    return exportOverlay;
+}
+
+function setExportStatus(message, tone = null) {
+    const status = exportOverlay.querySelector('#classesExportStatus');
+    if (!status) return;
+    status.textContent = message || '';
+    if (tone) {
+        status.dataset.tone = tone;
+    } else {
+        delete status.dataset.tone;
+    }
+}
+
+function renderExportProgress({ done, total, className }) {
+    const progress = exportOverlay.querySelector('#classesExportProgress');
+    if (progress) {
+        progress.max = Math.max(1, total);
+        progress.value = done;
+    }
+    if (className) {
+        setExportStatus(`${i18nText('classes_export_progress', 'Exporting')} ${done + 1} / ${total}: ${className}`);
+    }
+}
+
+function renderExportFailures(failed) {
+    const list = exportOverlay.querySelector('#classesExportFailures');
+    if (!list) return;
+    list.innerHTML = '';
+    failed.forEach(({ className, message }) => {
+        const li = document.createElement('li');
+        const name = document.createElement('strong');
+        name.textContent = className;
+        li.append(name, document.createTextNode(` — ${message}`));
+        list.appendChild(li);
+    });
+    list.hidden = failed.length === 0;
+}
+
+function describeExportResult({ total, exported, failed }) {
+    if (total === 0) return [i18nText('classes_export_none', 'You have no classes to export yet.'), 'error'];
+    if (exported === 0) return [i18nText('classes_export_all_failed', 'No class could be exported. Please try again.'), 'error'];
+    const done = `${i18nText('classes_export_done', 'Exported classes')}: ${exported} / ${total}.`;
+    if (failed.length === 0) return [done, 'success'];
+    return [`${done} ${i18nText('classes_export_some_failed', 'These classes could not be exported:')}`, 'warning'];
+}
+
+/**
+ * Open the classes export and start exporting
+ */
+export async function openClassesExport() {
+    ensureClassesExportOverlay();
+    exportOverlay.querySelector('#classesExportTitle').textContent =
+        i18nText('classes_export_title', 'Export all classes');
+    exportOverlay.querySelector('#classesExportDoneBtn').textContent = i18nText('close', 'Close');
+    showOverlay(exportOverlay, false);
+    // A second click while exporting only brings the progress back.
+    if (exportRunning) return;
+
+    exportRunning = true;
+    renderExportFailures([]);
+    renderExportProgress({ done: 0, total: 1, className: '' });
+    setExportStatus(i18nText('classes_export_loading', 'Loading your classes…'));
+    try {
+        const result = await exportAllClassesAttendance({ onProgress: renderExportProgress });
+        const [message, tone] = describeExportResult(result);
+        setExportStatus(message, tone);
+        renderExportFailures(result.failed);
+    } catch (e) {
+        logError('classesExport', e);
+        setExportStatus(i18nText('classes_export_failed', 'The export failed. Please try again.'), 'error');
+    } finally {
+        exportRunning = false;
+    }
+}
+
+/**
+ * Close the classes export (a running export keeps going in the background)
+ */
+export function closeClassesExport() {
+    if (exportOverlay) hideOverlay(exportOverlay, false);
+}
@@ -0,0 +1,334 @@
+/**
+ * Draft Manager Feature Module
+ *
+ * Lists the teacher's unsaved scanner sessions (drafts) across all classes
+ * with their age and counts. Each draft can be resumed in the scanner, saved
+ * as a finished session, exported to a spreadsheet or discarded.
+ */
+
+import {
+    listScannerDrafts,
+    finishStoredScannerDraft,
+    discardStoredScannerDraft
+} from './attendance.js';
+import { exportScannerDraftAttendance } from './export.js';
+import { showOverlay, hideOverlay, openConfirmOverlay } from '../ui/overlays.js';
+import { logError } from '../utils/helpers.js';
+
+const COUNT_LABELS = {
+    scanned: 'Scanned',
+    completed: 'Completed',
+    joined: 'Joined',
+    absent: 'Absent',
+    excused: 'Excused',
+    overrides: 'Manual changes'
+};
+
+let draftOverlay = null;
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+function showToast(message, tone = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast-bubble toast-${tone}`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    requestAnimationFrame(() => toast.classList.add('show'));
+
+    setTimeout(() => {
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), 300);
+    }, 1600);
+}
+
+function resolveLocale() {
+    const lang = (window.i18n && typeof window.i18n.getLanguage === 'function')
+        ? window.i18n.getLanguage()
+        : (document.documentElement.lang || 'en');
+    return lang === 'bg' ? 'bg-BG' : 'en-US';
+}
+
+/**
+ * Format how long ago a draft was changed ("5 minutes ago", "2 days ago")
+ * @param {number|null} savedAt - Last change timestamp (ms)
+ * @returns {string} Relative time
+ */
+function formatDraftAge(savedAt) {
+    if (!Number.isFinite(savedAt)) return '';
+    const minutes = Math.max(0, Math.round((Date.now() - savedAt) / 60000));
+    const rtf = new Intl.RelativeTimeFormat(resolveLocale(), { numeric: 'auto' });
+    if (minutes < 60) return rtf.format(-minutes, 'minute');
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return rtf.format(-hours, 'hour');
+    return rtf.format(-Math.round(hours / 24), 'day');
+}
+
+function formatDraftSessionDate(date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date || ''));
+    if (!match) return '';
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+        .toLocaleDateString(resolveLocale(), { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Ensure draft manager overlay exists
+ * @returns {HTMLElement} Overlay element
+ */
+function ensureDraftManagerOverlay() {
+    if (draftOverlay) return draftOverlay;
+    draftOverlay = document.createElement('div');
+    draftOverlay.id = 'draftManagerOverlay';
+    draftOverlay.className = 'overlay';
+    draftOverlay.style.visibility = 'hidden';
+    draftOverlay.innerHTML = `
+        <div class="ready-class-popup draft-manager-popup" role="dialog" aria-modal="true" aria-labelledby="draftManagerTitle">
+            <div class="overlay-top-bar">
+                <h2 id="draftManagerTitle">Unsaved sessions</h2>
+                <button type="button" id="closeDraftManagerBtn" class="close-small" aria-label="Close">×</button>
+            </div>
+            <p id="draftManagerHint" class="class-options-hint"></p>
+            <p id="draftManagerEmpty" class="draft-manager-empty" hidden></p>
+            <ul id="draftManagerList" class="draft-manager-list"></ul>
+        </div>`;
+    document.body.appendChild(draftOverlay);
+
+    draftOverlay.querySelector('#closeDraftManagerBtn')?.addEventListener('click', closeDraftManager);
+    draftOverlay.addEventListener('click', (e) => {
+        if (e.target === draftOverlay) closeDraftManager();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && draftOverlay.style.visibility === 'visible'
+            && document.getElementById('confirmOverlay')?.style.visibility !== 'visible') {
+            e.stopPropagation();
+            closeDraftManager();
+        }
+    }, true);
+
+    draftOverlay.querySelector('#draftManagerList')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-draft-action]');
+        const item = button?.closest('.draft-manager-item');
+        if (!button || !item) return;
+        const draft = listScannerDrafts().find((entry) => entry.classId === item.dataset.classId);
+        if (!draft) {
+            renderDraftList();
+            return;
+        }
+        handleDraftAction(button.dataset.draftAction, draft, item);
+    });
+    // Keep the list current while the scanner saves drafts in the background
+    document.addEventListener('scannerDraftChanged', () => {
+        if (draftOverlay.style.visibility === 'visible') renderDraftList();
+    });
+    return draftOverlay;
+}
+
+function buildDraftCounts(counts) {
+    const parts = Object.keys(COUNT_LABELS)
+        .filter((key) => key === 'scanned' || counts[key] > 0)
+        .map((key) => `${i18nText(`draft_count_${key}`, COUNT_LABELS[key])}: ${counts[key]}`);
+    return parts.join(' · ');
+}
+
+function buildDraftActionButton(action, label, className = 'role-button') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.dataset.draftAction = action;
+    button.textContent = label;
+    return button;
+}
+
+function buildDraftItem(draft) {
+    const li = document.createElement('li');
+    li.className = 'draft-manager-item';
+    if (draft.stale) li.classList.add('draft-manager-item-stale');
+    li.dataset.classId = draft.classId;
+
+    const header = document.createElement('div');
+    header.className = 'draft-manager-item-header';
+    const name = document.createElement('span');
+    name.className = 'draft-manager-item-class';
+    name.textContent = draft.className || i18nText('draft_unknown_class', 'Unknown class');
+    header.appendChild(name);
+    if (draft.session?.reopened) {
+        const badge = document.createElement('span');
+        badge.className = 'draft-manager-badge';
+        badge.textContent = i18nText('draft_correction', 'Correction');
+        header.appendChild(badge);
+    }
+    if (draft.stale) {
+        const badge = document.createElement('span');
+        badge.className = 'draft-manager-badge draft-manager-badge-stale';
+        badge.textContent = i18nText('draft_stale', 'Older than a day');
+        header.appendChild(badge);
+    }
+
+    const meta = document.createElement('p');
+    meta.className = 'draft-manager-item-meta';
+    meta.textContent = [
+        formatDraftSessionDate(draft.session?.date),
+        draft.session?.topic,
+        `${i18nText('draft_last_change', 'Last change')} ${formatDraftAge(draft.savedAt)}`
+    ].filter(Boolean).join(' · ');
+
+    const counts = document.createElement('p');
+    counts.className = 'draft-manager-item-counts';
+    counts.textContent = buildDraftCounts(draft.counts);
+
+    const actions = document.createElement('div');
+    actions.className = 'draft-manager-item-actions';
+    const resume = buildDraftActionButton('resume', i18nText('draft_resume', 'Resume'), 'role-button primary');
+    const finish = buildDraftActionButton('finish', i18nText('draft_finish', 'Finish & save'), 'role-button secondary-green');
+    const exportBtn = buildDraftActionButton('export', i18nText('draft_export', 'Export'));
+    const discard = buildDraftActionButton('discard', i18nText('draft_discard', 'Discard'), 'role-button danger');
+    // A deleted class can no longer be scanned or saved; its draft can only be exported or dropped.
+    resume.disabled = !draft.classKnown;
+    finish.disabled = !draft.classKnown;
+    actions.append(resume, finish, exportBtn, discard);
+
+    li.append(header, meta, counts, actions);
+    return li;
+}
+
+function renderDraftList() {
+    if (!draftOverlay) return;
+    const list = draftOverlay.querySelector('#draftManagerList');
+    const empty = draftOverlay.querySelector('#draftManagerEmpty');
+    if (!list) return;
+    const drafts = listScannerDrafts();
+    list.innerHTML = '';
+    drafts.forEach((draft) => list.appendChild(buildDraftItem(draft)));
+    if (empty) {
+        empty.textContent = i18nText('draft_manager_empty', 'No unsaved scanner sessions on this device.');
+        empty.hidden = drafts.length > 0;
+    }
+}
+
+function setItemBusy(item, busy) {
+    item.querySelectorAll('button').forEach((button) => {
+        if (busy) {
+            button.dataset.wasDisabled = button.disabled ? 'true' : 'false';
+            button.disabled = true;
+        } else {
+            button.disabled = button.dataset.wasDisabled === 'true';
+        }
+    });
+}
+
+function scannerOpenMessage() {
+    return i18nText('draft_scanner_open', 'This session is open in the scanner. Finish or discard it there.');
+}
+
+async function handleDraftAction(action, draft, item) {
+    if (action === 'resume') {
+        closeDraftManager();
+        document.dispatchEvent(new CustomEvent('resumeScannerDraftRequested', {
+            detail: { className: draft.className, classId: draft.classId }
+        }));
+        return;
+    }
+
+    if (action === 'export') {
+        setItemBusy(item, true);
+        try {
+            await exportScannerDraftAttendance(draft.classId, draft.className);
+        } catch (e) {
+            logError('draftManager:export', e, { classId: draft.classId, className: draft.className });
+            showToast(i18nText('draft_export_failed', 'Could not export the session.'), 'error');
+        } finally {
+            setItemBusy(item, false);
+        }
+        return;
+    }
+
+    if (action === 'finish') {
+        openConfirmOverlay(
+            i18nText('draft_finish_message', 'The session is saved with the scans below, as if it was finished in the scanner.'),
+            async () => {
+                setItemBusy(item, true);
+                const result = await finishStoredScannerDraft(draft.classId, draft.className);
+                if (!result.ok) {
+                    setItemBusy(item, false);
+                    showToast(result.reason === 'scanner_open'
+                        ? scannerOpenMessage()
+                        : i18nText('draft_finish_failed', 'Could not save the session. The draft was kept.'), 'error');
+                    renderDraftList();
+                    return;
+                }
+                const messages = {
+                    saved: i18nText('scanner_save_success', 'Attendance saved successfully.'),
+                    queued_offline: i18nText('scanner_save_queued', 'Server unreachable. Attendance was stored on this device and will sync automatically.'),
+                    queued_review: i18nText('scanner_save_rejected_queued', 'The server rejected this session. It was kept on this device; retry it from the class popup.')
+                };
+                showToast(messages[result.outcome], result.outcome === 'saved' ? 'success' : 'warning');
+                renderDraftList();
+            },
+            null,
+            {
+                title: `${i18nText('draft_finish_title', 'Save session?')} ${draft.className}`.trim(),
+                okText: i18nText('draft_finish', 'Finish & save'),
+                okClass: 'confirm-accept'
+            }
+        );
+        return;
+    }
+
+    if (action === 'discard') {
+        openConfirmOverlay(
+            i18nText('draft_discard_message', 'The scans of this session are deleted from this device. This cannot be undone.'),
+            () => {
+                const result = discardStoredScannerDraft(draft.classId, draft.className);
+                if (!result.ok) {
+                    showToast(scannerOpenMessage(), 'error');
+                    return;
+                }
+                showToast(i18nText('draft_discarded', 'Session discarded'), 'warning');
+                renderDraftList();
+            },
+            null,
+            { title: i18nText('draft_discard_title', 'Discard session?') }
+        );
+    }
+}
+
+/**
+ * Number of unsaved scanner drafts (for the class list button badge)
+ * @returns {number} Draft count
+ */
+export function countScannerDrafts() {
+    return listScannerDrafts().length;
+}
+
+/**
+ * Open the draft manager
+ */
+export function openDraftManager() {
+    ensureDraftManagerOverlay();
+    draftOverlay.querySelector('#draftManagerTitle').textContent =
+        i18nText('draft_manager_title', 'Unsaved sessions');
+    const hint = draftOverlay.querySelector('#draftManagerHint');
+    if (hint) {
+        hint.textContent = i18nText(
+            'draft_manager_hint',
+            'Scanner sessions that were not finished yet. They stay on this device until you save or discard them.'
+        );
+    }
+    renderDraftList();
+    showOverlay(draftOverlay, false);
+}
+
+/**
+ * Close the draft manager
+ */
+export function closeDraftManager() {
+    if (draftOverlay) hideOverlay(draftOverlay, false);
+}
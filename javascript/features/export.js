@@ -1,14 +1,43 @@
 /**
  * Export Feature Module
  * 
- * Handles attendance table export to XLSX format.
+ * Handles attendance table export: XLSX/ODS workbooks with the semester
+ * matrix (students by sessions, with totals) plus the raw timestamp log, CSV of
+ * the raw log for import tools, and a printable PDF report. Also exports
+ * single unsaved scanner drafts. Everything is generated in the browser.
  */
 
 import { getActiveClassName } from '../utils/helpers.js';
-import { getClassIdByNameFromStorage } from '../storage/classStorage.js';
-import { loadClassStudentsFromStorage } from '../storage/studentStorage.js';
-import { fetchClassStudents } from '../api/classApi.js';
-import { fetchClassAttendanceTimestamps } from '../api/attendanceApi.js';
+import { getTeacherEmail } from '../config/api.js';
+import {
+    getClassIdByNameFromStorage,
+    loadClassScheduleFromStorage,
+    loadClassAttendanceRequirementFromStorage
+} from '../storage/classStorage.js';
+import { fetchClasses, fetchClassStudents } from '../api/classApi.js';
+import { fetchClassAttendanceTimestamps, fetchAttendanceSessions } from '../api/attendanceApi.js';
+import { getClassSchedule, getClassAttendanceRequirement, getClassMeetings } from '../state/appState.js';
+import { loadScannerDraftFromStorage } from '../storage/scannerDraftStorage.js';
+import {
+    loadClassStudentsFromStorage,
+    getStudentInfoForFacultyNumber,
+    resolveStudentFacultyNumber
+} from '../storage/studentStorage.js';
+import {
+    classifyAttendance,
+    normalizeClassSchedule,
+    ATTENDANCE_CLASSIFICATION_LABELS
+} from '../utils/attendanceClassification.js';
+import {
+    computeAttendanceStanding,
+    normalizeAttendanceRequirement,
+    ATTENDANCE_STANDING_LABELS
+} from '../utils/attendanceRequirement.js';
+import { buildCsv, encodeCsv, CSV_DELIMITERS, CSV_ENCODINGS } from '../utils/csvFormat.js';
+import { loadScriptFromSources, ensurePdfMakeLoaded } from '../utils/scriptLoader.js';
+import { resolveScheduleForDay } from '../utils/classMeetings.js';
+
+export const ATTENDANCE_EXPORT_FORMATS = ['xlsx', 'ods', 'csv', 'pdf'];
 
 // Cache for XLSX load promise
 let xlsxLoadPromise = null;
@@ -17,7 +46,7 @@ let xlsxLoadPromise = null;
  * Ensure XLSX library is loaded
  * @returns {Promise<Object>} XLSX library object
  */
-function ensureXlsxLoaded() {
+export function ensureXlsxLoaded() {
     if (window.XLSX && window.XLSX.utils) return Promise.resolve(window.XLSX);
     if (xlsxLoadPromise) return xlsxLoadPromise;
     const sources = [
@@ -29,33 +58,7 @@ function ensureXlsxLoaded() {
         'https://unpkg.com/xlsx/dist/xlsx.full.min.js',
         'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js'
     ];
-    xlsxLoadPromise = new Promise((resolve, reject) => {
-        let i = 0;
-        const tryNext = () => {
-            if (i >= sources.length) {
-                console.error('[Attendance Export] Failed to load XLSX library from all sources.');
-                reject(new Error('XLSX load failure'));
-                return;
-            }
-            const src = sources[i++];
-            const script = document.createElement('script');
-            script.src = src;
-            script.async = true;
-            script.onload = () => {
-                if (window.XLSX) {
-                    resolve(window.XLSX);
-                } else {
-                    tryNext();
-                }
-            };
-            script.onerror = () => {
-                script.remove();
-                tryNext();
-            };
-            document.head.appendChild(script);
-        };
-        tryNext();
-    });
+    xlsxLoadPromise = loadScriptFromSources(sources, () => window.XLSX, 'XLSX');
     return xlsxLoadPromise;
 }
 
@@ -131,13 +134,57 @@ function sanitizeSheetName(value, fallback = 'Attendance') {
     return (cleaned || fallback).slice(0, 31);
 }
 
+const EXCUSED_STATUS_LABEL = 'Excused';
+const ABSENT_STATUS_LABEL = 'Absent';
+const PARTIAL_STATUS_LABEL = 'Partial';
+
+// Semester matrix cell marks, best first: a student scanned twice in one
+// session keeps the better mark.
+const MATRIX_MARKS = {
+    present: 'P',
+    late: 'L',
+    partial: 'PT',
+    excused: 'E',
+    absent: 'A'
+};
+const MATRIX_MARK_RANK = { present: 5, late: 4, partial: 3, excused: 2, absent: 1 };
+const MATRIX_LEGEND = 'P = Present · L = Late · PT = Partial · E = Excused · A = Absent';
+// Students whose standing is one of these are flagged in the matrix.
+const BELOW_REQUIREMENT_STANDINGS = new Set(['at_risk', 'failed']);
+const BELOW_REQUIREMENT_FLAG = 'Below requirement';
+
+function parseSessionDate(value) {
+    // "YYYY-MM-DD" is a calendar day; Date.parse would read it as UTC midnight.
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim().slice(0, 10));
+    if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+    return parseTimestamp(value);
+}
+
+function rowStatus(row) {
+    return String(row?.status || '').trim().toLowerCase();
+}
+
+function isExcusedRow(row) {
+    return rowStatus(row) === 'excused';
+}
+
+function resolveEntryClassification(row, joinedAt, leftAt, schedule) {
+    const stored = String(row?.classification || '').trim();
+    if (ATTENDANCE_CLASSIFICATION_LABELS[stored]) return stored;
+    const timing = classifyAttendance({ joinedAt, leftAt }, schedule, { final: true });
+    return timing ? timing.classification : '';
+}
+
 /**
  * Collect attendance entries for a class
  * @param {string} className - Class name
+ * @param {Object} [options] - Options
+ * @param {number|string|null} [options.classId=null] - Class ID (looked up by name when omitted)
+ * @param {boolean} [options.fallbackToRoster=true] - List the roster without times when the server fails; otherwise rethrow
  * @returns {Array<Object>} Array of attendance entries
  */
-async function collectAttendanceEntriesForClass(className) {
-    const classId = getClassIdByNameFromStorage(className);
+async function collectAttendanceEntriesForClass(className, { classId: knownClassId = null, fallbackToRoster = true } = {}) {
+    const classId = knownClassId ?? getClassIdByNameFromStorage(className);
     if (!classId) return [];
 
     try {
@@ -147,13 +194,32 @@ async function collectAttendanceEntriesForClass(className) {
             return [];
         }
 
-        return timestamps.map((row) => ({
-            studentName: row.full_name || row.fullName || '',
-            facultyNumber: row.faculty_number || row.facultyNumber || '',
-            joinedAt: parseTimestamp(row.joined_at || row.joinedAt),
-            leftAt: parseTimestamp(row.left_at || row.leftAt)
-        }));
+        const schedule = getClassSchedule(classId) || normalizeClassSchedule(loadClassScheduleFromStorage(classId));
+        const meetings = getClassMeetings(classId);
+        return timestamps.map((row) => {
+            const joinedAt = parseTimestamp(row.joined_at || row.joinedAt);
+            const leftAt = parseTimestamp(row.left_at || row.leftAt);
+            // Excused absences have no scans; they are dated by their session.
+            const excused = isExcusedRow(row);
+            const sessionId = String(row.session_id ?? row.sessionId ?? '').trim();
+            return {
+                studentName: row.full_name || row.fullName || '',
+                facultyNumber: row.faculty_number || row.facultyNumber || '',
+                joinedAt,
+                leftAt,
+                sessionId: sessionId || null,
+                sessionDate: parseSessionDate(row.session_date || row.date),
+                excused,
+                absent: rowStatus(row) === 'absent',
+                partial: rowStatus(row) === 'partial',
+                note: excused ? String(row.excuse_note || row.override_reason || '').trim() : '',
+                classification: excused
+                    ? ''
+                    : resolveEntryClassification(row, joinedAt, leftAt, resolveScheduleForDay(schedule, meetings, joinedAt))
+            };
+        });
     } catch (e) {
+        if (!fallbackToRoster) throw e;
         console.warn('[Attendance Export] Failed to fetch timestamps, falling back to local data.', e);
     }
 
@@ -171,7 +237,12 @@ async function collectAttendanceEntriesForClass(className) {
         studentName: s.fullName || s.full_name || '',
         facultyNumber: s.facultyNumber || s.faculty_number || '',
         joinedAt: null,
-        leftAt: null
+        leftAt: null,
+        sessionId: null,
+        sessionDate: null,
+        excused: false,
+        note: '',
+        classification: ''
     }));
 }
 
@@ -182,8 +253,8 @@ async function collectAttendanceEntriesForClass(className) {
  */
 function sortAttendanceEntries(entries) {
     entries.sort((a, b) => {
-        const aDate = new Date(a.joinedAt);
-        const bDate = new Date(b.joinedAt);
+        const aDate = new Date(a.joinedAt ?? a.sessionDate);
+        const bDate = new Date(b.joinedAt ?? b.sessionDate);
         const diff = aDate - bDate;
         if (diff !== 0) return diff;
         return (a.studentName || '').localeCompare(b.studentName || '');
@@ -191,6 +262,13 @@ function sortAttendanceEntries(entries) {
     return entries;
 }
 
+function describeEntryStatus(entry) {
+    if (entry.excused) return EXCUSED_STATUS_LABEL;
+    if (entry.absent) return ABSENT_STATUS_LABEL;
+    if (entry.partial) return PARTIAL_STATUS_LABEL;
+    return ATTENDANCE_CLASSIFICATION_LABELS[entry.classification] || '';
+}
+
 /**
  * Build worksheet data array
  * @param {string} className - Class name
@@ -204,7 +282,9 @@ function buildWorksheetData(className, entries) {
         'Faculty Number',
         'Joined At',
         'Left At',
-        'Date'
+        'Status',
+        'Date',
+        'Note'
     ];
     return [
         [title],
@@ -215,19 +295,48 @@ function buildWorksheetData(className, entries) {
         e.facultyNumber,
         formatTime(e.joinedAt),
         formatTime(e.leftAt),
-        formatDate(e.joinedAt ?? e.leftAt)
+        describeEntryStatus(e),
+        formatDate(e.joinedAt ?? e.leftAt ?? e.sessionDate),
+        e.note || ''
     ])
     ];
 }
 
 /**
- * Generate and download attendance XLSX file
+ * Build the download file name of an export
+ * @param {string} filePrefix - File name prefix
+ * @param {string} className - Class name
+ * @param {string} extension - File extension
+ * @returns {string} File name
+ */
+function buildExportFileName(filePrefix, className, extension) {
+    const safeClass = sanitizeFileNamePart(className, 'class');
+    return `${filePrefix}_${safeClass}_${formatDate(Date.now())}.${extension}`;
+}
+
+function downloadBlob(data, filename, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Generate and download attendance workbook (XLSX or ODS)
  * @param {string} className - Class name
  * @param {Array<Object>} entries - Attendance entries
+ * @param {Object} [options] - Options
+ * @param {string} [options.filePrefix='attendance_export'] - File name prefix
+ * @param {Object|null} [options.matrix=null] - Semester matrix; when given it is the first sheet and the entries follow as the raw log
+ * @param {'xlsx'|'ods'} [options.bookType='xlsx'] - Workbook format
  */
-async function generateAndDownloadAttendanceXlsx(className, entries) {
+async function generateAndDownloadAttendanceWorkbook(className, entries, { filePrefix = 'attendance_export', matrix = null, bookType = 'xlsx' } = {}) {
     const XLSX = await ensureXlsxLoaded().catch(err => {
-        console.error('[Attendance Export] XLSX load failed. Cannot generate .xlsx.', err);
+        console.error(`[Attendance Export] XLSX load failed. Cannot generate .${bookType}.`, err);
         return null;
     });
     if (!XLSX) {
@@ -236,25 +345,453 @@ async function generateAndDownloadAttendanceXlsx(className, entries) {
     }
     const wsData = buildWorksheetData(className, entries);
     const wb = XLSX.utils.book_new();
+    if (matrix) appendSemesterMatrixSheet(XLSX, wb, matrix);
     const ws = XLSX.utils.aoa_to_sheet(wsData);
     ws['!merges'] = ws['!merges'] || [];
-    ws['!merges'].push({ s: { r: 0, c: 0 }, e: { r: 0, c: 4 } });
-    const sheetName = sanitizeSheetName(`Attendance ${className || ''}`, 'Attendance');
+    ws['!merges'].push({ s: { r: 0, c: 0 }, e: { r: 0, c: 6 } });
+    const sheetName = matrix
+        ? 'Raw log'
+        : sanitizeSheetName(`Attendance ${className || ''}`, 'Attendance');
+    XLSX.utils.book_append_sheet(wb, ws, sheetName);
+    XLSX.writeFile(wb, buildExportFileName(filePrefix, className, bookType), { bookType });
+}
+
+/**
+ * Download the raw attendance log as CSV
+ * @param {string} className - Class name
+ * @param {Array<Object>} entries - Attendance entries
+ * @param {Object} [options] - Options
+ * @param {string} [options.delimiter='comma'] - Key of CSV_DELIMITERS
+ * @param {string} [options.encoding='utf-8-bom'] - One of CSV_ENCODINGS
+ */
+function downloadAttendanceCsv(className, entries, { delimiter = 'comma', encoding = 'utf-8-bom' } = {}) {
+    // Import tools expect the header on the first line, so the title rows are left out.
+    const rows = buildWorksheetData(className, entries).slice(2);
+    const resolvedEncoding = CSV_ENCODINGS.includes(encoding) ? encoding : 'utf-8-bom';
+    const bytes = encodeCsv(buildCsv(rows, CSV_DELIMITERS[delimiter] || CSV_DELIMITERS.comma), resolvedEncoding);
+    const charset = resolvedEncoding === 'windows-1251' ? 'windows-1251' : 'utf-8';
+    downloadBlob(bytes, buildExportFileName('attendance_export', className, 'csv'), `text/csv;charset=${charset}`);
+}
+
+/**
+ * Describe the dates an export covers ("2026-02-16 – 2026-06-05")
+ * @param {Array<Object>} entries - Attendance entries
+ * @returns {string} Date range, or an empty string without dated entries
+ */
+function describeEntriesDateRange(entries) {
+    let first = null;
+    let last = null;
+    entries.forEach((entry) => {
+        const at = entry.joinedAt ?? entry.leftAt ?? entry.sessionDate;
+        if (!Number.isFinite(at)) return;
+        if (first === null || at < first) first = at;
+        if (last === null || at > last) last = at;
+    });
+    if (first === null) return '';
+    return first === last || formatDate(first) === formatDate(last)
+        ? formatDate(first)
+        : `${formatDate(first)} – ${formatDate(last)}`;
+}
+
+/**
+ * Build the pdfmake document of the printable attendance report
+ * @param {string} className - Class name
+ * @param {Array<Object>} entries - Attendance entries
+ * @returns {Object} pdfmake document definition
+ */
+function buildAttendancePdfDefinition(className, entries) {
+    const [, , header, ...rows] = buildWorksheetData(className, entries);
+    const name = String(className || '').trim() || 'N/A';
+    const now = Date.now();
+    const signatureField = (label) => ({
+        stack: [
+            { text: '______________________________', margin: [0, 0, 0, 2] },
+            { text: label, style: 'signatureLabel' }
+        ]
+    });
+    return {
+        pageSize: 'A4',
+        pageOrientation: 'landscape',
+        pageMargins: [36, 40, 36, 48],
+        info: { title: `Attendance ${name}` },
+        content: [
+            { text: `Class: ${name}`, style: 'title' },
+            { text: `Period: ${describeEntriesDateRange(entries) || 'No recorded sessions'}`, style: 'meta' },
+            { text: `Generated: ${formatDate(now)} ${formatTime(now)}`, style: 'meta', margin: [0, 0, 0, 12] },
+            {
+                table: {
+                    // The header row repeats on every page.
+                    headerRows: 1,
+                    widths: ['*', 'auto', 'auto', 'auto', 'auto', 'auto', '*'],
+                    body: [
+                        header.map((text) => ({ text, style: 'tableHeader' })),
+                        ...rows.map((row) => row.map((cell) => String(cell ?? '')))
+                    ]
+                },
+                layout: 'lightHorizontalLines'
+            },
+            {
+                unbreakable: true,
+                margin: [0, 36, 0, 0],
+                columns: [signatureField('Teacher signature'), signatureField('Date')]
+            }
+        ],
+        footer: (currentPage, pageCount) => ({
+            text: `${name} · Page ${currentPage} of ${pageCount}`,
+            alignment: 'right',
+            fontSize: 8,
+            margin: [36, 16, 36, 0]
+        }),
+        styles: {
+            title: { fontSize: 16, bold: true, margin: [0, 0, 0, 4] },
+            meta: { fontSize: 9, color: '#4b5563' },
+            tableHeader: { bold: true, fillColor: '#f3f4f6' },
+            signatureLabel: { fontSize: 8, color: '#4b5563' }
+        },
+        defaultStyle: { fontSize: 9 }
+    };
+}
+
+/**
+ * Generate and download the printable PDF attendance report
+ * @param {string} className - Class name
+ * @param {Array<Object>} entries - Attendance entries
+ */
+async function generateAndDownloadAttendancePdf(className, entries) {
+    const pdfMake = await ensurePdfMakeLoaded().catch(err => {
+        console.error('[Attendance Export] pdfmake load failed. Cannot generate .pdf.', err);
+        return null;
+    });
+    if (!pdfMake) {
+        alert('Unable to load the PDF library. Attendance export failed.');
+        return;
+    }
+    pdfMake.createPdf(buildAttendancePdfDefinition(className, entries))
+        .download(buildExportFileName('attendance_report', className, 'pdf'));
+}
+
+function entryDateKey(entry) {
+    return formatDate(entry.joinedAt ?? entry.leftAt ?? entry.sessionDate);
+}
+
+/**
+ * Resolve the session columns of the semester matrix: saved sessions, plus
+ * one column per day for entries that match none of them (older servers)
+ * @param {Array<Object>} serverSessions - Raw saved sessions
+ * @param {Array<Object>} entries - Attendance entries
+ * @returns {{columns: Array<{date: string, topic: string}>, resolveColumn: function(Object): Object|null}} Columns oldest first
+ */
+function resolveMatrixColumns(serverSessions, entries) {
+    const columns = [];
+    const byId = new Map();
+    const byDate = new Map();
+    const addColumn = (column, id) => {
+        columns.push(column);
+        if (id) byId.set(id, column);
+        // Entries without a session ID go to the first session of their day.
+        if (column.date && !byDate.has(column.date)) byDate.set(column.date, column);
+    };
+    serverSessions.forEach((raw) => {
+        const id = String(raw?.id ?? raw?.session_id ?? '').trim();
+        const date = formatDate(parseSessionDate(raw?.date ?? raw?.session_date) ?? parseTimestamp(raw?.started_at));
+        if (!id && !date) return;
+        addColumn({ date, topic: String(raw?.topic || '').trim(), startedAt: parseTimestamp(raw?.started_at) }, id);
+    });
+
+    const resolveColumn = (entry) => {
+        if (entry.sessionId && byId.has(entry.sessionId)) return byId.get(entry.sessionId);
+        const date = entryDateKey(entry);
+        return date ? byDate.get(date) || null : null;
+    };
+    entries.forEach((entry) => {
+        if (resolveColumn(entry)) return;
+        const date = entryDateKey(entry);
+        if (date) addColumn({ date, topic: '', startedAt: null }, null);
+    });
+
+    columns.sort((a, b) => a.date.localeCompare(b.date) || (a.startedAt ?? 0) - (b.startedAt ?? 0));
+    return { columns, resolveColumn };
+}
+
+function resolveEntryMark(entry) {
+    if (entry.excused) return 'excused';
+    if (entry.absent) return 'absent';
+    if (entry.partial) return 'partial';
+    if (entry.joinedAt === null && entry.leftAt === null) return 'absent';
+    return entry.classification === 'late' ? 'late' : 'present';
+}
+
+function toRatio(numerator, denominator) {
+    return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+/**
+ * Build the semester matrix: one row per student, one column per session
+ * @param {Object} data - Matrix data
+ * @param {string} data.className - Class name
+ * @param {Array<Object>} data.roster - Class students
+ * @param {Array<Object>} data.entries - Attendance entries
+ * @param {Array<Object>} data.sessions - Raw saved sessions
+ * @param {Object|null} data.requirement - Normalized attendance requirement
+ * @returns {{rows: Array<Array>, headerRow: number, sessionCount: number, percentColumns: Array<number>, percentRows: Array<number>, belowRequirementRows: Array<number>, totals: Object}} Matrix sheet data and class totals
+ */
+function buildSemesterMatrix({ className, roster, entries, sessions, requirement }) {
+    const { columns, resolveColumn } = resolveMatrixColumns(sessions, entries);
+    const students = new Map();
+    roster.forEach((student) => {
+        const facultyNumber = String(resolveStudentFacultyNumber(student) || '').trim();
+        if (!facultyNumber || students.has(facultyNumber)) return;
+        students.set(facultyNumber, {
+            name: String(student?.full_name || student?.fullName || student?.name || '').trim(),
+            marks: new Map()
+        });
+    });
+    entries.forEach((entry) => {
+        const facultyNumber = String(entry.facultyNumber || '').trim();
+        const column = resolveColumn(entry);
+        if (!facultyNumber || !column) return;
+        // Students removed from the class since keep their row.
+        if (!students.has(facultyNumber)) {
+            students.set(facultyNumber, { name: String(entry.studentName || '').trim(), marks: new Map() });
+        }
+        const marks = students.get(facultyNumber).marks;
+        const mark = resolveEntryMark(entry);
+        const current = marks.get(column);
+        if (!current || MATRIX_MARK_RANK[mark] > MATRIX_MARK_RANK[current]) marks.set(column, mark);
+    });
+
+    const held = columns.length;
+    const header = [
+        'Student Name',
+        'Faculty Number',
+        ...columns.map((column) => [column.date, column.topic].filter(Boolean).join(' ')),
+        'Attended',
+        'Late',
+        'Partial',
+        'Excused',
+        'Absent',
+        'Attendance %',
+        'Standing',
+        BELOW_REQUIREMENT_FLAG
+    ];
+    const rows = [
+        [`Class: ${String(className || '').trim() || 'N/A'}`],
+        [MATRIX_LEGEND],
+        [],
+        header
+    ];
+    const headerRow = rows.length - 1;
+    const belowRequirementRows = [];
+    const presentPerColumn = columns.map(() => 0);
+    const excusedPerColumn = columns.map(() => 0);
+    let attendedTotal = 0;
+    let excusedTotal = 0;
+
+    const sorted = Array.from(students.entries())
+        .sort(([aNumber, a], [bNumber, b]) => (a.name || aNumber).localeCompare(b.name || bNumber));
+    sorted.forEach(([facultyNumber, student]) => {
+        const counts = { present: 0, late: 0, partial: 0, excused: 0, absent: 0 };
+        const cells = columns.map((column, index) => {
+            const mark = student.marks.get(column) || 'absent';
+            counts[mark] += 1;
+            if (mark === 'present' || mark === 'late') presentPerColumn[index] += 1;
+            if (mark === 'excused') excusedPerColumn[index] += 1;
+            return MATRIX_MARKS[mark];
+        });
+        const attended = counts.present + counts.late;
+        attendedTotal += attended;
+        excusedTotal += counts.excused;
+        const standing = computeAttendanceStanding({ attended, held, excused: counts.excused }, requirement);
+        const belowRequirement = Boolean(standing && BELOW_REQUIREMENT_STANDINGS.has(standing.status));
+        if (belowRequirement) belowRequirementRows.push(rows.length);
+        rows.push([
+            student.name,
+            facultyNumber,
+            ...cells,
+            attended,
+            counts.late,
+            counts.partial,
+            counts.excused,
+            counts.absent,
+            toRatio(attended, held - counts.excused),
+            standing ? ATTENDANCE_STANDING_LABELS[standing.status] : '',
+            belowRequirement ? 'Yes' : ''
+        ]);
+    });
+
+    rows.push([]);
+    rows.push(['Present', '', ...presentPerColumn]);
+    rows.push([
+        'Attendance %',
+        '',
+        ...presentPerColumn.map((present, index) => toRatio(present, students.size - excusedPerColumn[index]))
+    ]);
+    const percentRows = [rows.length - 1];
+    const percentColumns = [2 + columns.length + 5];
+    const totals = {
+        students: students.size,
+        sessions: held,
+        attended: attendedTotal,
+        excused: excusedTotal,
+        rate: toRatio(attendedTotal, students.size * held - excusedTotal),
+        belowRequirement: belowRequirementRows.length
+    };
+    return { rows, headerRow, sessionCount: columns.length, percentColumns, percentRows, belowRequirementRows, totals };
+}
+
+/**
+ * Append the semester matrix sheet to a workbook. Students below the attendance
+ * requirement are flagged in the last column, which the header autofilter can filter on.
+ * @param {Object} XLSX - XLSX library
+ * @param {Object} wb - Workbook
+ * @param {Object} matrix - Matrix from buildSemesterMatrix
+ * @param {string} [sheetName='Semester matrix'] - Sheet name (must be unique in the workbook)
+ */
+function appendSemesterMatrixSheet(XLSX, wb, matrix, sheetName = 'Semester matrix') {
+    const { rows, headerRow, sessionCount, percentColumns, percentRows } = matrix;
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+    const lastColumn = 2 + sessionCount + 7;
+    const setCell = (r, c, update) => {
+        const cell = ws[XLSX.utils.encode_cell({ r, c })];
+        if (cell) update(cell);
+    };
+    const percentFormat = (cell) => {
+        if (typeof cell.v === 'number') cell.z = '0%';
+    };
+    for (let r = headerRow + 1; r < rows.length; r++) {
+        percentColumns.forEach((c) => setCell(r, c, percentFormat));
+    }
+    percentRows.forEach((r) => {
+        for (let c = 2; c < 2 + sessionCount; c++) setCell(r, c, percentFormat);
+    });
+    if (matrix.totals.students > 0) {
+        ws['!autofilter'] = {
+            ref: XLSX.utils.encode_range({ s: { r: headerRow, c: 0 }, e: { r: headerRow + matrix.totals.students, c: lastColumn } })
+        };
+    }
+    ws['!merges'] = [
+        { s: { r: 0, c: 0 }, e: { r: 0, c: lastColumn } },
+        { s: { r: 1, c: 0 }, e: { r: 1, c: lastColumn } }
+    ];
+    ws['!cols'] = [
+        { wch: 28 },
+        { wch: 16 },
+        ...Array.from({ length: sessionCount }, () => ({ wch: 12 })),
+        ...Array.from({ length: 6 }, () => ({ wch: 12 })),
+        { wch: 22 },
+        { wch: 18 }
+    ];
     XLSX.utils.book_append_sheet(wb, ws, sheetName);
-    const safeClass = sanitizeFileNamePart(className, 'class');
-    const today = new Date();
-    const yyyy = today.getFullYear();
-    const mm = String(today.getMonth() + 1).padStart(2, '0');
-    const dd = String(today.getDate()).padStart(2, '0');
-    const filename = `attendance_export_${safeClass}_${yyyy}-${mm}-${dd}.xlsx`;
-    XLSX.writeFile(wb, filename);
+}
+
+/**
+ * Collect the semester matrix of a class
+ * @param {string} className - Class name
+ * @param {Array<Object>} entries - Attendance entries of the class
+ * @param {Object} [options] - Options
+ * @param {number|string|null} [options.classId=null] - Class ID (looked up by name when omitted)
+ * @returns {Promise<Object>} Matrix from buildSemesterMatrix
+ */
+async function collectSemesterMatrix(className, entries, { classId: knownClassId = null } = {}) {
+    const classId = knownClassId ?? getClassIdByNameFromStorage(className);
+    let roster = loadClassStudentsFromStorage(className);
+    if ((!roster || roster.length === 0) && classId) {
+        roster = await fetchClassStudents(classId, className).catch(() => []);
+    }
+
+    let sessions = [];
+    if (classId) {
+        try {
+            const data = await fetchAttendanceSessions(classId);
+            sessions = Array.isArray(data?.sessions) ? data.sessions : [];
+        } catch (e) {
+            // Older servers have no saved sessions; columns then come from the timestamp dates.
+            console.warn('[Attendance Export] Failed to fetch sessions, using timestamp dates.', e);
+        }
+    }
+
+    const requirement = classId
+        ? getClassAttendanceRequirement(classId)
+            || normalizeAttendanceRequirement(loadClassAttendanceRequirementFromStorage(classId))
+        : null;
+    return buildSemesterMatrix({
+        className,
+        roster: Array.isArray(roster) ? roster : [],
+        entries,
+        sessions,
+        requirement
+    });
+}
+
+/**
+ * Collect attendance entries from an unsaved scanner draft
+ * @param {Object} draft - Stored draft (attendance, timestamps and overrides as [facultyNumber, value] pairs)
+ * @param {string} className - Class name
+ * @param {number|string} classId - Class ID
+ * @returns {Array<Object>} Attendance entries
+ */
+function collectScannerDraftEntries(draft, className, classId) {
+    const toMap = (entries) => new Map((Array.isArray(entries) ? entries : [])
+        .filter((entry) => Array.isArray(entry) && entry.length >= 2 && String(entry[0] || '').trim())
+        .map(([key, value]) => [String(key).trim(), value]));
+    const statuses = toMap(draft?.attendance);
+    const timestamps = toMap(draft?.timestamps);
+    const overrides = toMap(draft?.overrides);
+    const roster = loadClassStudentsFromStorage(className) || [];
+    const schedule = getClassSchedule(classId) || normalizeClassSchedule(loadClassScheduleFromStorage(classId));
+    const meetings = getClassMeetings(classId);
+    const sessionDate = parseSessionDate(draft?.session?.date);
+
+    const facultyNumbers = new Set([...statuses.keys(), ...timestamps.keys()]);
+    return Array.from(facultyNumbers).map((facultyNumber) => {
+        const info = getStudentInfoForFacultyNumber(facultyNumber, roster);
+        const ts = timestamps.get(facultyNumber) || {};
+        const joinedAt = Number.isFinite(ts.joined_at) ? ts.joined_at : null;
+        const leftAt = Number.isFinite(ts.left_at) ? ts.left_at : null;
+        const status = statuses.get(facultyNumber) || '';
+        const excused = status === 'excused';
+        const timing = excused
+            ? null
+            : classifyAttendance({ joinedAt, leftAt }, resolveScheduleForDay(schedule, meetings, joinedAt), { final: true });
+        return {
+            studentName: info?.full_name || info?.fullName || '',
+            facultyNumber,
+            joinedAt,
+            leftAt,
+            sessionId: null,
+            sessionDate,
+            excused,
+            absent: status === 'absent',
+            partial: false,
+            note: String(overrides.get(facultyNumber)?.reason || '').trim(),
+            classification: timing ? timing.classification : ''
+        };
+    });
+}
+
+/**
+ * Download an unsaved scanner draft as an attendance table
+ * @param {number|string} classId - Class ID
+ * @param {string} className - Class name
+ * @returns {Promise<boolean>} False if there is no draft for the class
+ */
+export async function exportScannerDraftAttendance(classId, className) {
+    const draft = loadScannerDraftFromStorage(classId);
+    if (!draft) return false;
+    const entries = collectScannerDraftEntries(draft, className, classId);
+    await generateAndDownloadAttendanceWorkbook(className, sortAttendanceEntries(entries), { filePrefix: 'attendance_draft' });
+    return true;
 }
 
 /**
  * Handle download attendance table
  * @param {string} className - Class name (optional)
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format='xlsx'] - One of ATTENDANCE_EXPORT_FORMATS
+ * @param {string} [options.delimiter='comma'] - CSV delimiter (key of CSV_DELIMITERS)
+ * @param {string} [options.encoding='utf-8-bom'] - CSV encoding (one of CSV_ENCODINGS)
  */
-export async function handleDownloadAttendanceTable(className) {
+export async function handleDownloadAttendanceTable(className, { format = 'xlsx', delimiter = 'comma', encoding = 'utf-8-bom' } = {}) {
     const resolvedNow = getActiveClassName();
     const targetClass = (className || resolvedNow || '').trim();
     if (!targetClass) {
@@ -264,5 +801,117 @@ export async function handleDownloadAttendanceTable(className) {
     }
     const entries = await collectAttendanceEntriesForClass(targetClass);
     const sorted = sortAttendanceEntries(entries);
-    await generateAndDownloadAttendanceXlsx(targetClass, sorted);
+    if (format === 'csv') {
+        downloadAttendanceCsv(targetClass, sorted, { delimiter, encoding });
+        return;
+    }
+    if (format === 'pdf') {
+        await generateAndDownloadAttendancePdf(targetClass, sorted);
+        return;
+    }
+    const matrix = await collectSemesterMatrix(targetClass, sorted);
+    await generateAndDownloadAttendanceWorkbook(targetClass, sorted, {
+        matrix,
+        bookType: format === 'ods' ? 'ods' : 'xlsx'
+    });
+}
+
+/**
+ * Pick a sheet name that is not used yet in a workbook (Excel compares them case-insensitively)
+ * @param {string} name - Wanted name
+ * @param {Set<string>} usedNames - Lower-cased names already taken; the result is added
+ * @returns {string} Sheet name
+ */
+function uniqueSheetName(name, usedNames) {
+    const base = sanitizeSheetName(name, 'Class').replace(/^'+|'+$/g, '') || 'Class';
+    let candidate = base;
+    for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function buildClassesOverviewSheet(XLSX, results) {
+    const now = Date.now();
+    const header = ['Class', 'Sheet', 'Students', 'Sessions', 'Attended', 'Excused', 'Attendance %', 'Below requirement', 'Status'];
+    const rows = [
+        ['All classes'],
+        [`Generated: ${formatDate(now)} ${formatTime(now)}`],
+        [],
+        header,
+        ...results.map(({ className, sheetName, totals, error }) => (error
+            ? [className, '', '', '', '', '', '', '', `Failed: ${error}`]
+            : [
+                className,
+                sheetName,
+                totals.students,
+                totals.sessions,
+                totals.attended,
+                totals.excused,
+                totals.rate,
+                totals.belowRequirement,
+                'OK'
+            ]))
+    ];
+    const ws = XLSX.utils.aoa_to_sheet(rows);
+    const rateColumn = header.indexOf('Attendance %');
+    for (let r = 4; r < rows.length; r++) {
+        const cell = ws[XLSX.utils.encode_cell({ r, c: rateColumn })];
+        if (cell && typeof cell.v === 'number') cell.z = '0%';
+    }
+    ws['!cols'] = [{ wch: 28 }, { wch: 24 }, ...Array.from({ length: 6 }, () => ({ wch: 12 })), { wch: 40 }];
+    return ws;
+}
+
+/**
+ * Export every class of the teacher into one workbook: an overview sheet
+ * with per-class totals, then one semester matrix sheet per class. A class
+ * that fails is listed in the overview and the result instead of aborting
+ * the whole export.
+ * @param {Object} [options] - Options
+ * @param {function({done: number, total: number, className: string}): void} [options.onProgress] - Called before each class and once at the end
+ * @returns {Promise<{total: number, exported: number, failed: Array<{className: string, message: string}>, downloaded: boolean}>} Export result
+ */
+export async function exportAllClassesAttendance({ onProgress } = {}) {
+    const teacherEmail = getTeacherEmail();
+    if (!teacherEmail) throw new Error('Teacher email not found');
+    const XLSX = await ensureXlsxLoaded();
+    const data = await fetchClasses(teacherEmail);
+    const classes = (data?.classes || [])
+        .filter((_class) => _class && _class.id !== null && _class.id !== undefined && String(_class.name || '').trim());
+
+    const wb = XLSX.utils.book_new();
+    const usedNames = new Set(['overview']);
+    const results = [];
+    const failed = [];
+    for (let i = 0; i < classes.length; i++) {
+        const classId = classes[i].id;
+        const className = String(classes[i].name).trim();
+        onProgress?.({ done: i, total: classes.length, className });
+        try {
+            const entries = sortAttendanceEntries(
+                await collectAttendanceEntriesForClass(className, { classId, fallbackToRoster: false })
+            );
+            const matrix = await collectSemesterMatrix(className, entries, { classId });
+            const sheetName = uniqueSheetName(className, usedNames);
+            appendSemesterMatrixSheet(XLSX, wb, matrix, sheetName);
+            results.push({ className, sheetName, totals: matrix.totals, error: null });
+        } catch (e) {
+            console.warn('[Attendance Export] Class export failed, continuing with the next class.', { className, classId }, e);
+            const message = e?.message || String(e);
+            failed.push({ className, message });
+            results.push({ className, sheetName: '', totals: null, error: message });
+        }
+    }
+    onProgress?.({ done: classes.length, total: classes.length, className: '' });
+
+    const exported = classes.length - failed.length;
+    if (exported === 0) return { total: classes.length, exported, failed, downloaded: false };
+    // The overview goes first so the workbook opens on it.
+    wb.SheetNames.unshift('Overview');
+    wb.Sheets.Overview = buildClassesOverviewSheet(XLSX, results);
+    XLSX.writeFile(wb, `attendance_all_classes_${formatDate(Date.now())}.xlsx`);
+    return { total: classes.length, exported, failed, downloaded: true };
 }
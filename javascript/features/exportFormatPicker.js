@@ -0,0 +1,190 @@
+/**
+ * Export Format Picker Feature Module
+ *
+ * Lets the teacher choose the attendance export format (XLSX, ODS, CSV or a
+ * printable PDF report) and, for CSV, the delimiter and encoding before the
+ * download starts. The last choice is kept for the rest of the visit.
+ */
+
+import { handleDownloadAttendanceTable, ATTENDANCE_EXPORT_FORMATS } from './export.js';
+import { showOverlay, hideOverlay } from '../ui/overlays.js';
+import { logError } from '../utils/helpers.js';
+
+const FORMAT_LABELS = {
+    xlsx: ['export_format_xlsx', 'Excel workbook (.xlsx)', 'export_format_xlsx_hint', 'Semester matrix and raw log'],
+    ods: ['export_format_ods', 'OpenDocument spreadsheet (.ods)', 'export_format_ods_hint', 'Semester matrix and raw log'],
+    csv: ['export_format_csv', 'CSV (.csv)', 'export_format_csv_hint', 'Raw log for import tools'],
+    pdf: ['export_format_pdf', 'PDF report (.pdf)', 'export_format_pdf_hint', 'Printable, with a signature line']
+};
+
+let pickerOverlay = null;
+let pickerClassName = '';
+let lastOptions = { format: 'xlsx', delimiter: 'comma', encoding: 'utf-8-bom' };
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+/**
+ * Ensure export format picker overlay exists
+ * @returns {HTMLElement} Overlay element
+ */
+function ensureExportFormatOverlay() {
+    if (pickerOverlay) return pickerOverlay;
+    pickerOverlay = document.createElement('div');
+    pickerOverlay.id = 'exportFormatOverlay';
+    pickerOverlay.className = 'overlay';
+    pickerOverlay.style.visibility = 'hidden';
+    const formatOptions = ATTENDANCE_EXPORT_FORMATS.map((format) => `
+                <label class="export-format-option">
+                    <input type="radio" name="exportFormat" value="${format}" />
+                    <span class="export-format-option-text">
+                        <span class="export-format-option-label" id="exportFormatLabel-${format}"></span>
+                        <span class="export-format-option-hint" id="exportFormatHint-${format}"></span>
+                    </span>
+                </label>`).join('');
+    pickerOverlay.innerHTML = `
+        <div class="ready-class-popup export-format-popup" role="dialog" aria-modal="true" aria-labelledby="exportFormatTitle">
+            <div class="overlay-top-bar">
+                <h2 id="exportFormatTitle">Download attendance</h2>
+                <button type="button" id="closeExportFormatBtn" class="close-small" aria-label="Close">×</button>
+            </div>
+            <fieldset class="export-format-options">
+                <legend id="exportFormatLegend">Format</legend>${formatOptions}
+            </fieldset>
+            <div class="export-format-csv" id="exportFormatCsvOptions" hidden>
+                <label for="exportCsvDelimiter"><span id="exportCsvDelimiterLabel">Delimiter</span>
+                    <select id="exportCsvDelimiter">
+                        <option value="comma" id="exportCsvDelimiterComma">Comma (,)</option>
+                        <option value="semicolon" id="exportCsvDelimiterSemicolon">Semicolon (;)</option>
+                        <option value="tab" id="exportCsvDelimiterTab">Tab</option>
+                    </select>
+                </label>
+                <label for="exportCsvEncoding"><span id="exportCsvEncodingLabel">Encoding</span>
+                    <select id="exportCsvEncoding">
+                        <option value="utf-8-bom" id="exportCsvEncodingUtf8Bom">UTF-8 (Excel)</option>
+                        <option value="utf-8" id="exportCsvEncodingUtf8">UTF-8 without BOM</option>
+                        <option value="windows-1251" id="exportCsvEncodingCp1251">Windows-1251 (Cyrillic)</option>
+                    </select>
+                </label>
+            </div>
+            <div class="export-format-actions">
+                <button type="button" id="exportFormatCancelBtn" class="role-button">Cancel</button>
+                <button type="button" id="exportFormatDownloadBtn" class="role-button primary">Download</button>
+            </div>
+        </div>`;
+    document.body.appendChild(pickerOverlay);
+
+    pickerOverlay.querySelector('#closeExportFormatBtn')?.addEventListener('click', closeExportFormatPicker);
+    pickerOverlay.querySelector('#exportFormatCancelBtn')?.addEventListener('click', closeExportFormatPicker);
+    pickerOverlay.addEventListener('click', (e) => {
+        if (e.target === pickerOverlay) closeExportFormatPicker();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && pickerOverlay.style.visibility === 'visible') {
+            e.stopPropagation();
+            closeExportFormatPicker();
+        }
+    }, true);
+    pickerOverlay.querySelectorAll('input[name="exportFormat"]').forEach((input) => {
+        input.addEventListener('change', syncCsvOptions);
+    });
+    pickerOverlay.querySelector('#exportFormatDownloadBtn')?.addEventListener('click', onDownload);
+    return pickerOverlay;
+}
+
+function applyPickerTexts() {
+    const texts = {
+        exportFormatTitle: ['export_format_title', 'Download attendance'],
+        exportFormatLegend: ['export_format_legend', 'Format'],
+        exportCsvDelimiterLabel: ['export_csv_delimiter', 'Delimiter'],
+        exportCsvDelimiterComma: ['export_csv_delimiter_comma', 'Comma (,)'],
+        exportCsvDelimiterSemicolon: ['export_csv_delimiter_semicolon', 'Semicolon (;)'],
+        exportCsvDelimiterTab: ['export_csv_delimiter_tab', 'Tab'],
+        exportCsvEncodingLabel: ['export_csv_encoding', 'Encoding'],
+        exportCsvEncodingUtf8Bom: ['export_csv_encoding_utf8_bom', 'UTF-8 (Excel)'],
+        exportCsvEncodingUtf8: ['export_csv_encoding_utf8', 'UTF-8 without BOM'],
+        exportCsvEncodingCp1251: ['export_csv_encoding_cp1251', 'Windows-1251 (Cyrillic)'],
+        exportFormatCancelBtn: ['cancel', 'Cancel'],
+        exportFormatDownloadBtn: ['export_format_download', 'Download']
+    };
+    Object.entries(texts).forEach(([id, [key, fallback]]) => {
+        const el = pickerOverlay.querySelector(`#${id}`);
+        if (el) el.textContent = i18nText(key, fallback);
+    });
+    Object.entries(FORMAT_LABELS).forEach(([format, [labelKey, label, hintKey, hint]]) => {
+        const labelEl = pickerOverlay.querySelector(`#exportFormatLabel-${format}`);
+        const hintEl = pickerOverlay.querySelector(`#exportFormatHint-${format}`);
+        if (labelEl) labelEl.textContent = i18nText(labelKey, label);
+        if (hintEl) hintEl.textContent = i18nText(hintKey, hint);
+    });
+}
+
+function selectedFormat() {
+    return pickerOverlay.querySelector('input[name="exportFormat"]:checked')?.value || 'xlsx';
+}
+
+function syncCsvOptions() {
+    const csvOptions = pickerOverlay.querySelector('#exportFormatCsvOptions');
+    if (csvOptions) csvOptions.hidden = selectedFormat() !== 'csv';
+}
+
+function setPickerBusy(busy) {
+    pickerOverlay.querySelectorAll('input, select, button').forEach((el) => {
+        el.disabled = busy;
+    });
+    const downloadBtn = pickerOverlay.querySelector('#exportFormatDownloadBtn');
+    if (downloadBtn) {
+        downloadBtn.textContent = busy
+            ? i18nText('export_format_preparing', 'Preparing…')
+            : i18nText('export_format_download', 'Download');
+    }
+}
+
+async function onDownload() {
+    const options = {
+        format: selectedFormat(),
+        delimiter: pickerOverlay.querySelector('#exportCsvDelimiter')?.value || 'comma',
+        encoding: pickerOverlay.querySelector('#exportCsvEncoding')?.value || 'utf-8-bom'
+    };
+    lastOptions = options;
+    setPickerBusy(true);
+    try {
+        await handleDownloadAttendanceTable(pickerClassName, options);
+        closeExportFormatPicker();
+    } catch (e) {
+        logError('exportFormatPicker:download', e, { className: pickerClassName, format: options.format });
+        alert(i18nText('export_failed', 'Attendance export failed.'));
+    } finally {
+        setPickerBusy(false);
+    }
+}
+
+/**
+ * Open the export format picker for a class
+ * @param {string} className - Class name
+ */
+export function openExportFormatPicker(className) {
+    ensureExportFormatOverlay();
+    pickerClassName = String(className || '').trim();
+    applyPickerTexts();
+    const formatInput = pickerOverlay.querySelector(`input[name="exportFormat"][value="${lastOptions.format}"]`);
+    if (formatInput) formatInput.checked = true;
+    pickerOverlay.querySelector('#exportCsvDelimiter').value = lastOptions.delimiter;
+    pickerOverlay.querySelector('#exportCsvEncoding').value = lastOptions.encoding;
+    syncCsvOptions();
+    showOverlay(pickerOverlay, false);
+}
+
+/**
+ * Close the export format picker
+ */
+export function closeExportFormatPicker() {
+    if (pickerOverlay) hideOverlay(pickerOverlay, false);
+}
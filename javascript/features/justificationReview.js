@@ -0,0 +1,319 @@
+/**
+ * Justification Review Feature Module
+ *
+ * Review queue for absence justifications submitted by students (text plus an
+ * optional attachment). Approving one marks the absence excused on the server;
+ * rejecting keeps it absent. The ready popup shows the number of pending items.
+ */
+
+import { SERVER_BASE_URL } from '../config/api.js';
+import { getClassIdByName } from '../state/appState.js';
+import { getClassIdByNameFromStorage } from '../storage/classStorage.js';
+import { loadClassStudentsFromStorage, getStudentInfoForFacultyNumber } from '../storage/studentStorage.js';
+import { fetchAttendanceJustifications, reviewAttendanceJustification } from '../api/attendanceApi.js';
+import { showOverlay, hideOverlay } from '../ui/overlays.js';
+import { logError } from '../utils/helpers.js';
+
+const REVIEW_NOTE_MAX_LENGTH = 300;
+
+let reviewOverlay = null;
+let reviewState = null;
+let reviewRequestSeq = 0;
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+function showToast(message, tone = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast-bubble toast-${tone}`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    requestAnimationFrame(() => toast.classList.add('show'));
+
+    setTimeout(() => {
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), 300);
+    }, 1600);
+}
+
+function isUnsupportedStatus(status) {
+    const code = Number(status || 0);
+    return code === 404 || code === 405 || code === 501;
+}
+
+function resolveReviewClassId(className) {
+    return getClassIdByName(className) || getClassIdByNameFromStorage(className) || null;
+}
+
+function resolveAttachmentUrl(raw) {
+    const value = String(raw || '').trim();
+    if (!value) return null;
+    try {
+        const url = new URL(value, SERVER_BASE_URL);
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+function normalizeJustification(raw, roster) {
+    const id = String(raw?.id ?? raw?.justification_id ?? '').trim();
+    if (!id) return null;
+    const facultyNumber = String(raw?.faculty_number || raw?.facultyNumber || '').trim();
+    const info = facultyNumber ? getStudentInfoForFacultyNumber(facultyNumber, roster) : null;
+    return {
+        id,
+        facultyNumber,
+        name: String(raw?.full_name || raw?.student_name || info?.full_name || '').trim(),
+        date: String(raw?.session_date || raw?.date || '').trim().slice(0, 10),
+        text: String(raw?.text || raw?.reason || raw?.message || '').trim(),
+        attachmentUrl: resolveAttachmentUrl(raw?.attachment_url || raw?.attachmentUrl),
+        attachmentName: String(raw?.attachment_name || raw?.attachmentName || '').trim(),
+        status: ['approved', 'rejected'].includes(raw?.status) ? raw.status : 'pending'
+    };
+}
+
+function formatJustificationDate(date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date || ''));
+    if (!match) return date || '';
+    try {
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+            .toLocaleDateString([], { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+    } catch (_) {
+        return date;
+    }
+}
+
+function notifyPendingCount(className, pending) {
+    document.dispatchEvent(new CustomEvent('attendanceJustificationsChanged', {
+        detail: { className, pending }
+    }));
+}
+
+/**
+ * Ensure justification review overlay exists
+ * @returns {HTMLElement} Overlay element
+ */
+function ensureJustificationReviewOverlay() {
+    if (reviewOverlay) return reviewOverlay;
+    reviewOverlay = document.createElement('div');
+    reviewOverlay.id = 'justificationReviewOverlay';
+    reviewOverlay.className = 'overlay';
+    reviewOverlay.style.visibility = 'hidden';
+    reviewOverlay.innerHTML = `
+        <div class="ready-class-popup justification-review-popup" role="dialog" aria-modal="true" aria-labelledby="justificationReviewTitle">
+            <div class="overlay-top-bar">
+                <h2 id="justificationReviewTitle">Absence justifications</h2>
+                <button type="button" id="closeJustificationReviewBtn" class="close-small" aria-label="Close">×</button>
+            </div>
+            <p id="justificationReviewClassName" class="class-options-name"></p>
+            <p id="justificationReviewMessage" class="justification-review-message" aria-live="polite"></p>
+            <ol id="justificationReviewList" class="justification-review-list"></ol>
+        </div>`;
+    document.body.appendChild(reviewOverlay);
+
+    reviewOverlay.querySelector('#closeJustificationReviewBtn')?.addEventListener('click', closeJustificationReview);
+    reviewOverlay.addEventListener('click', (e) => {
+        if (e.target === reviewOverlay) closeJustificationReview();
+    });
+    // Keep Escape from also closing the class popup underneath
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && reviewOverlay.style.visibility === 'visible') {
+            e.stopPropagation();
+            closeJustificationReview();
+        }
+    }, true);
+
+    reviewOverlay.querySelector('#justificationReviewList')?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-decision]');
+        if (button) decideJustification(button.closest('.justification-item'), button.dataset.decision);
+    });
+    return reviewOverlay;
+}
+
+function setReviewMessage(message) {
+    const el = reviewOverlay.querySelector('#justificationReviewMessage');
+    if (!el) return;
+    el.textContent = message || '';
+    el.hidden = !message;
+}
+
+function buildJustificationItem(item) {
+    const li = document.createElement('li');
+    li.className = 'justification-item';
+    li.dataset.justificationId = item.id;
+
+    const name = document.createElement('p');
+    name.className = 'justification-item-student';
+    name.textContent = [item.name, item.facultyNumber].filter(Boolean).join(' · ');
+
+    const date = document.createElement('p');
+    date.className = 'justification-item-date';
+    date.textContent = item.date
+        ? `${i18nText('justification_absence_on', 'Absence on')} ${formatJustificationDate(item.date)}`
+        : '';
+
+    const text = document.createElement('p');
+    text.className = 'justification-item-text';
+    text.textContent = item.text;
+
+    li.append(name, date, text);
+
+    if (item.attachmentUrl) {
+        const link = document.createElement('a');
+        link.className = 'justification-item-attachment';
+        link.href = item.attachmentUrl;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = item.attachmentName || i18nText('justification_view_attachment', 'View attachment');
+        li.appendChild(link);
+    }
+
+    const note = document.createElement('input');
+    note.type = 'text';
+    note.className = 'justification-item-note';
+    note.maxLength = REVIEW_NOTE_MAX_LENGTH;
+    note.placeholder = i18nText('justification_review_note', 'Note for the student (optional)');
+    note.setAttribute('aria-label', note.placeholder);
+
+    const actions = document.createElement('div');
+    actions.className = 'justification-item-actions';
+    const reject = document.createElement('button');
+    reject.type = 'button';
+    reject.className = 'role-button justification-reject';
+    reject.dataset.decision = 'rejected';
+    reject.textContent = i18nText('justification_reject', 'Reject');
+    const approve = document.createElement('button');
+    approve.type = 'button';
+    approve.className = 'role-button primary';
+    approve.dataset.decision = 'approved';
+    approve.textContent = i18nText('justification_approve', 'Approve');
+    actions.append(reject, approve);
+
+    li.append(note, actions);
+    return li;
+}
+
+function renderJustificationList() {
+    const list = reviewOverlay.querySelector('#justificationReviewList');
+    if (!list || !reviewState) return;
+    list.innerHTML = '';
+    reviewState.items.forEach((item) => list.appendChild(buildJustificationItem(item)));
+    setReviewMessage(reviewState.items.length === 0
+        ? i18nText('justification_review_empty', 'No justifications waiting for review.')
+        : '');
+}
+
+async function loadPendingJustifications(state) {
+    const seq = ++reviewRequestSeq;
+    setReviewMessage(i18nText('justification_review_loading', 'Loading justifications…'));
+    try {
+        const data = await fetchAttendanceJustifications(state.classId, { status: 'pending' });
+        if (seq !== reviewRequestSeq || reviewState !== state) return;
+        const roster = loadClassStudentsFromStorage(state.className) || [];
+        const raw = Array.isArray(data) ? data : (data?.justifications || data?.items || []);
+        state.items = raw
+            .map((item) => normalizeJustification(item, roster))
+            .filter((item) => item && item.status === 'pending')
+            .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+        renderJustificationList();
+        notifyPendingCount(state.className, state.items.length);
+    } catch (e) {
+        if (seq !== reviewRequestSeq || reviewState !== state) return;
+        if (isUnsupportedStatus(e?.status)) {
+            setReviewMessage(i18nText('justification_review_unavailable', 'Absence justifications are not available on this server yet.'));
+            return;
+        }
+        logError('loadPendingJustifications', e, { className: state.className, classId: state.classId });
+        setReviewMessage(i18nText('justification_review_failed', 'Could not load justifications. Please try again.'));
+    }
+}
+
+async function decideJustification(itemEl, decision) {
+    const state = reviewState;
+    if (!state || !itemEl) return;
+    const id = itemEl.dataset.justificationId;
+    const item = state.items.find((entry) => entry.id === id);
+    if (!item) return;
+    const note = itemEl.querySelector('.justification-item-note')?.value || '';
+    const controls = itemEl.querySelectorAll('button, input');
+    controls.forEach((el) => { el.disabled = true; });
+    try {
+        await reviewAttendanceJustification(id, decision, note);
+    } catch (e) {
+        controls.forEach((el) => { el.disabled = false; });
+        logError('decideJustification', e, { className: state.className, justificationId: id, decision });
+        showToast(i18nText('justification_review_save_failed', 'Could not save the decision. Please try again.'), 'error');
+        return;
+    }
+    if (reviewState !== state) return;
+    state.items = state.items.filter((entry) => entry.id !== id);
+    renderJustificationList();
+    notifyPendingCount(state.className, state.items.length);
+    const who = item.name || item.facultyNumber;
+    showToast(decision === 'approved'
+        ? `${who} · ${i18nText('justification_approved', 'Absence excused')}`
+        : `${who} · ${i18nText('justification_rejected', 'Justification rejected')}`,
+    decision === 'approved' ? 'success' : 'warning');
+}
+
+/**
+ * Fetch the number of justifications waiting for review
+ * @param {string} className - Class name
+ * @returns {Promise<number|null>} Pending count, or null if unknown (server without justifications, offline)
+ */
+export async function fetchPendingJustificationCount(className) {
+    const classId = resolveReviewClassId(String(className || '').trim());
+    if (!classId) return null;
+    try {
+        const data = await fetchAttendanceJustifications(classId, { status: 'pending' });
+        const raw = Array.isArray(data) ? data : (data?.justifications || data?.items || []);
+        const pending = raw.filter((item) => !item?.status || item.status === 'pending').length;
+        const total = Number(data?.pending_count);
+        return Number.isFinite(total) && total >= 0 ? total : pending;
+    } catch (e) {
+        if (!isUnsupportedStatus(e?.status)) logError('fetchPendingJustificationCount', e, { className, classId });
+        return null;
+    }
+}
+
+/**
+ * Open the justification review queue of a class
+ * @param {string} className - Class name
+ */
+export function openJustificationReview(className) {
+    const cls = String(className || '').trim();
+    if (!cls) return;
+    ensureJustificationReviewOverlay();
+
+    reviewOverlay.querySelector('#justificationReviewTitle').textContent =
+        i18nText('justification_review_title', 'Absence justifications');
+    const nameEl = reviewOverlay.querySelector('#justificationReviewClassName');
+    if (nameEl) nameEl.textContent = cls;
+    reviewOverlay.querySelector('#justificationReviewList').innerHTML = '';
+
+    reviewState = { className: cls, classId: resolveReviewClassId(cls), items: [] };
+    showOverlay(reviewOverlay, false);
+    if (!reviewState.classId) {
+        setReviewMessage(i18nText('session_history_no_class_id', 'This class is not synced yet. Please refresh the page.'));
+        return;
+    }
+    loadPendingJustifications(reviewState);
+}
+
+/**
+ * Close the justification review queue
+ */
+export function closeJustificationReview() {
+    reviewState = null;
+    reviewRequestSeq += 1;
+    if (reviewOverlay) hideOverlay(reviewOverlay, false);
+}
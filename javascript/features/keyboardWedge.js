@@ -0,0 +1,75 @@
+/**
+ * Keyboard Wedge Feature Module
+ *
+ * USB barcode readers act as keyboards: they "type" the code very fast and
+ * finish with Enter. This module tells such bursts apart from a person typing
+ * and reports each burst as one scan, without needing a focused input.
+ * Inputs marked with data-wedge-capture (the scanner's manual entry) keep
+ * typed text, but a burst typed into them is still reported as a scan.
+ */
+
+// Readers type a character every few milliseconds; people rarely go below ~80ms.
+const WEDGE_MAX_KEY_INTERVAL_MS = 50;
+const WEDGE_MIN_LENGTH = 4;
+
+function isWedgeCaptureTarget(target) {
+    return target instanceof HTMLElement && target.dataset.wedgeCapture === 'true';
+}
+
+function isEditableTarget(target) {
+    if (!target || !(target instanceof HTMLElement)) return false;
+    if (target.isContentEditable) return true;
+    const tag = target.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+}
+
+/**
+ * Listen for keyboard-wedge bursts on the document
+ * @param {function(string): void} onScan - Called with the text of each burst
+ * @param {Object} [options] - Options
+ * @param {function(): boolean} [options.isActive] - Bursts are ignored while this returns false
+ * @returns {function(): void} Detach function
+ */
+export function attachKeyboardWedgeListener(onScan, { isActive = () => true } = {}) {
+    let buffer = '';
+    let lastKeyAt = 0;
+
+    const reset = () => {
+        buffer = '';
+        lastKeyAt = 0;
+    };
+
+    const onKeyDown = (e) => {
+        // Typing into a field is handled by that field.
+        const captureTarget = isWedgeCaptureTarget(e.target) ? e.target : null;
+        if ((!captureTarget && isEditableTarget(e.target)) || !isActive()) {
+            reset();
+            return;
+        }
+        if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+        const now = Date.now();
+        if (lastKeyAt && now - lastKeyAt > WEDGE_MAX_KEY_INTERVAL_MS) buffer = '';
+
+        if (e.key === 'Enter' || e.key === 'Tab') {
+            const text = buffer.trim();
+            reset();
+            if (text.length < WEDGE_MIN_LENGTH) return;
+            // In a capture input only a field filled entirely by the burst is a scan; anything else was typed.
+            if (captureTarget && captureTarget.value.trim() !== text) return;
+            e.preventDefault();
+            if (captureTarget) captureTarget.value = '';
+            onScan(text);
+            return;
+        }
+        if (e.key.length !== 1) return;
+        buffer += e.key;
+        lastKeyAt = now;
+    };
+
+    document.addEventListener('keydown', onKeyDown, true);
+    return () => {
+        document.removeEventListener('keydown', onKeyDown, true);
+        reset();
+    };
+}
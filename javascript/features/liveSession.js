@@ -0,0 +1,445 @@
+/**
+ * Live Session Feature Module
+ *
+ * Lets several devices scan into one shared attendance session for a class.
+ * Each device pushes its join/leave scans to the server and polls the scans of
+ * the other devices. Scans are merged last-writer-wins per student and mode,
+ * and the merged result drives the local attendance state and status dots.
+ */
+
+import {
+    ensureAttendanceState,
+    getAttendanceOverrides,
+    getClassIdByName,
+    getStudentTimestamps,
+    setStudentTimestamp,
+    clearAttendanceState,
+    clearStudentTimestamps
+} from '../state/appState.js';
+import {
+    openLiveAttendanceSession,
+    pushLiveAttendanceEvents,
+    fetchLiveAttendanceEvents,
+    closeLiveAttendanceSession
+} from '../api/attendanceApi.js';
+import { updateAttendanceDot } from '../ui/attendanceUI.js';
+import { getOverlay, hideOverlay } from '../ui/overlays.js';
+import { logError, createClientId } from '../utils/helpers.js';
+import { isStudentInClass, saveScannerDraftForClass, clearScannerDraftForClass } from './attendance.js';
+import { closeScanner } from './scanner.js';
+
+const LIVE_POLL_INTERVAL_MS = 3000;
+const LIVE_DEVICE_ID_KEY = 'scanner:deviceId';
+
+// Active shared session (one per tab, bound to the class open in the scanner)
+let liveSession = null;
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+function showLiveToast(message, tone) {
+    const existing = document.querySelector('.toast-bubble');
+    if (existing) existing.remove();
+    const toast = document.createElement('div');
+    toast.className = `toast-bubble toast-${tone} toast-wide`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+    requestAnimationFrame(() => toast.classList.add('show'));
+    setTimeout(() => {
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), 450);
+    }, 3200);
+}
+
+/**
+ * Get a stable identifier for this browser (used to attribute scans)
+ * @returns {string} Device ID
+ */
+export function getScannerDeviceId() {
+    try {
+        let id = localStorage.getItem(LIVE_DEVICE_ID_KEY);
+        if (!id) {
+            id = createClientId();
+            localStorage.setItem(LIVE_DEVICE_ID_KEY, id);
+        }
+        return id;
+    } catch (_) {
+        return 'local';
+    }
+}
+
+function parseEventTime(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const parsed = Date.parse(String(value || ''));
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+function normalizeEvent(raw) {
+    const facultyNumber = String(raw?.faculty_number || raw?.facultyNumber || '').trim();
+    const mode = raw?.mode === 'leaving' ? 'leaving' : (raw?.mode === 'joining' ? 'joining' : null);
+    const at = parseEventTime(raw?.at ?? raw?.scanned_at);
+    if (!facultyNumber || !mode || at === null) return null;
+    const event = { faculty_number: facultyNumber, mode, at, device_id: String(raw?.device_id || '') };
+    if (raw?.retracted) event.retracted = true;
+    return event;
+}
+
+function isNewerEvent(candidate, existing) {
+    if (!existing) return true;
+    if (candidate.at !== existing.at) return candidate.at > existing.at;
+    // Deterministic tie-break so every device settles on the same winner.
+    return candidate.device_id > existing.device_id;
+}
+
+/**
+ * Merge one scan into the session (last writer wins per student and mode)
+ * @returns {boolean} True if the event replaced the stored one
+ */
+function mergeEvent(session, event) {
+    if (event.device_id) session.devices.add(event.device_id);
+    const key = `${event.faculty_number}|${event.mode}`;
+    if (event.retracted) {
+        // An undone scan only removes itself, never a newer scan from another device.
+        const existing = session.events.get(key);
+        if (!existing || existing.at !== event.at || existing.device_id !== event.device_id) return false;
+        session.events.delete(key);
+        return true;
+    }
+    if (!isNewerEvent(event, session.events.get(key))) return false;
+    session.events.set(key, event);
+    return true;
+}
+
+function applyMergedStudentState(session, facultyNumber) {
+    if (!isStudentInClass(session.className, facultyNumber)) return;
+    const join = session.events.get(`${facultyNumber}|joining`) || null;
+    const leave = session.events.get(`${facultyNumber}|leaving`) || null;
+    const joinedAt = join ? join.at : null;
+    // A leave only completes the visit if it happened after the (latest) join.
+    const leftAt = join && leave && leave.at >= join.at ? leave.at : null;
+    const status = joinedAt === null ? 'none' : (leftAt !== null ? 'completed' : 'joined');
+
+    // Manual marks take part in last-writer-wins too: a mark made after the
+    // latest scan stands, while a newer scan replaces it and drops the mark.
+    const overrides = getAttendanceOverrides(session.className);
+    const override = overrides ? overrides.get(facultyNumber) : null;
+    if (override) {
+        const latestScanAt = Math.max(join ? join.at : 0, leave ? leave.at : 0);
+        if ((Number(override.at) || 0) >= latestScanAt) return;
+        overrides.delete(facultyNumber);
+    }
+
+    ensureAttendanceState(session.className).set(facultyNumber, status);
+    setStudentTimestamp(facultyNumber, joinedAt, leftAt);
+    updateAttendanceDot(facultyNumber, status);
+}
+
+function ensureLiveStatusElement() {
+    const overlay = getOverlay('scannerOverlay');
+    if (!overlay) return null;
+    let el = overlay.querySelector('.scanner-live-status');
+    if (!el) {
+        el = document.createElement('p');
+        el.className = 'scanner-live-status';
+        el.setAttribute('role', 'status');
+        const topBar = overlay.querySelector('.overlay-top-bar');
+        if (topBar && topBar.parentNode) {
+            topBar.parentNode.insertBefore(el, topBar.nextSibling);
+        } else {
+            return null;
+        }
+    }
+    return el;
+}
+
+function updateLiveStatusUI() {
+    const el = ensureLiveStatusElement();
+    if (!el) return;
+    const session = liveSession;
+    if (!session || !session.sessionId) {
+        el.hidden = true;
+        return;
+    }
+    el.hidden = false;
+    el.dataset.state = session.online ? 'online' : 'offline';
+    const deviceCount = Math.max(1, Number(session.deviceCount) || session.devices.size);
+    el.textContent = session.online
+        ? `${i18nText('live_session_shared', 'Shared session')} · ${deviceCount} ${i18nText('live_session_devices', 'device(s)')}`
+        : i18nText('live_session_offline', 'Shared session offline, retrying…');
+}
+
+function scheduleSync(session, delay = LIVE_POLL_INTERVAL_MS) {
+    if (session.timer) clearTimeout(session.timer);
+    session.timer = setTimeout(() => {
+        session.timer = null;
+        syncLiveSession(session);
+    }, delay);
+}
+
+function isLiveSessionUnsupported(error) {
+    const status = Number(error?.status || 0);
+    return status === 404 || status === 405 || status === 501;
+}
+
+function isLiveSessionGone(error) {
+    const status = Number(error?.status || 0);
+    return status === 409 || status === 410;
+}
+
+async function handleRemoteClose(session) {
+    stopLiveSession({ pushPending: false });
+    clearAttendanceState(session.className);
+    clearScannerDraftForClass(session.className);
+    showLiveToast(
+        i18nText('live_session_finished_elsewhere', 'This session was finished on another device.'),
+        'success'
+    );
+    const attendanceOverlay = getOverlay('attendanceOverlay');
+    if (attendanceOverlay && attendanceOverlay.style.visibility === 'visible') {
+        hideOverlay(attendanceOverlay, false);
+    }
+    try {
+        await closeScanner(() => {
+            clearStudentTimestamps();
+            document.dispatchEvent(new CustomEvent('openReadyClassPopup', { detail: { className: session.className } }));
+        });
+    } catch (e) {
+        logError('liveSession', e, { className: session.className, action: 'closeScanner after remote finish' });
+    }
+}
+
+async function runSync(session) {
+    if (!session.sessionId) {
+        const opened = await openLiveAttendanceSession(session.classId, session.deviceId);
+        if (liveSession !== session) return;
+        session.sessionId = opened?.session_id || opened?.sessionId || null;
+        if (!session.sessionId) throw new Error('Live session response missing session_id');
+        // Secret for the projected student check-in code (absent on servers without projector mode)
+        session.checkinSecret = String(opened?.checkin_secret || opened?.checkinSecret || '').trim() || null;
+    }
+
+    if (session.pending.length > 0) {
+        const batch = session.pending.splice(0);
+        try {
+            await pushLiveAttendanceEvents(session.sessionId, session.deviceId, batch);
+        } catch (e) {
+            session.pending.unshift(...batch);
+            throw e;
+        }
+    }
+
+    const page = await fetchLiveAttendanceEvents(session.sessionId, session.cursor);
+    if (liveSession !== session) return;
+    if (page?.closed) {
+        await handleRemoteClose(session);
+        return;
+    }
+
+    const touched = new Set();
+    (Array.isArray(page?.events) ? page.events : []).forEach((raw) => {
+        const event = normalizeEvent(raw);
+        if (event && mergeEvent(session, event)) touched.add(event.faculty_number);
+    });
+    if (page?.cursor !== undefined && page?.cursor !== null) session.cursor = page.cursor;
+    if (page?.devices !== undefined) session.deviceCount = Number(page.devices) || 0;
+
+    if (touched.size > 0) {
+        touched.forEach((facultyNumber) => applyMergedStudentState(session, facultyNumber));
+        saveScannerDraftForClass(session.className);
+    }
+}
+
+async function syncLiveSession(session) {
+    if (!session || liveSession !== session) return;
+    if (session.syncPromise) return session.syncPromise;
+    session.syncPromise = (async () => {
+        try {
+            await runSync(session);
+            session.online = true;
+        } catch (e) {
+            if (!session.sessionId && isLiveSessionUnsupported(e)) {
+                // Server without live sessions: keep scanning on this device only.
+                stopLiveSession({ pushPending: false });
+                return;
+            }
+            if (isLiveSessionGone(e)) {
+                await handleRemoteClose(session);
+                return;
+            }
+            session.online = false;
+            logError('liveSession', e, { className: session.className, sessionId: session.sessionId });
+        } finally {
+            session.syncPromise = null;
+            if (liveSession === session) {
+                updateLiveStatusUI();
+                scheduleSync(session);
+            }
+        }
+    })();
+    return session.syncPromise;
+}
+
+/**
+ * Join the shared live session for a class (seeding it with scans already on this device)
+ * @param {string} className - Class name
+ */
+export function startLiveSession(className) {
+    const cls = String(className || '').trim();
+    if (!cls) return;
+    if (liveSession && liveSession.className === cls) return;
+    stopLiveSession();
+
+    const classId = getClassIdByName(cls);
+    if (!classId) return;
+
+    const deviceId = getScannerDeviceId();
+    const session = {
+        className: cls,
+        classId,
+        deviceId,
+        sessionId: null,
+        checkinSecret: null,
+        cursor: null,
+        events: new Map(),
+        pending: [],
+        devices: new Set([deviceId]),
+        deviceCount: 0,
+        online: false,
+        timer: null,
+        syncPromise: null
+    };
+
+    // Restored drafts already hold scans from this device; share them with the others.
+    const timestamps = getStudentTimestamps();
+    timestamps.forEach((ts, facultyNumber) => {
+        if (!isStudentInClass(cls, facultyNumber)) return;
+        if (Number.isFinite(ts?.joined_at)) {
+            const event = { faculty_number: facultyNumber, mode: 'joining', at: ts.joined_at, device_id: deviceId };
+            mergeEvent(session, event);
+            session.pending.push(event);
+        }
+        if (Number.isFinite(ts?.left_at)) {
+            const event = { faculty_number: facultyNumber, mode: 'leaving', at: ts.left_at, device_id: deviceId };
+            mergeEvent(session, event);
+            session.pending.push(event);
+        }
+    });
+
+    liveSession = session;
+    syncLiveSession(session);
+}
+
+/**
+ * Record a scan made on this device in the shared session
+ * @param {string} className - Class name
+ * @param {string} facultyNumber - Student faculty number
+ * @param {'joining'|'leaving'} mode - Scan mode
+ * @param {number} at - Scan timestamp (ms)
+ */
+export function recordLiveScan(className, facultyNumber, mode, at) {
+    const session = liveSession;
+    if (!session || session.className !== String(className || '').trim()) return;
+    const event = normalizeEvent({ faculty_number: facultyNumber, mode, at, device_id: session.deviceId });
+    if (!event) return;
+    mergeEvent(session, event);
+    session.pending.push(event);
+    if (session.sessionId) scheduleSync(session, 0);
+}
+
+/**
+ * Withdraw a scan made on this device (scan log undo)
+ * @param {string} className - Class name
+ * @param {string} facultyNumber - Student faculty number
+ * @param {'joining'|'leaving'} mode - Scan mode
+ * @param {number} at - Timestamp of the scan being withdrawn (ms)
+ */
+export function retractLiveScan(className, facultyNumber, mode, at) {
+    const session = liveSession;
+    if (!session || session.className !== String(className || '').trim()) return;
+    const event = normalizeEvent({ faculty_number: facultyNumber, mode, at, device_id: session.deviceId, retracted: true });
+    if (!event) return;
+    mergeEvent(session, event);
+
+    const pendingIndex = session.pending.findIndex((pending) => !pending.retracted
+        && pending.faculty_number === event.faculty_number
+        && pending.mode === event.mode
+        && pending.at === event.at);
+    if (pendingIndex !== -1) {
+        // Never reached the server; dropping it is enough.
+        session.pending.splice(pendingIndex, 1);
+        return;
+    }
+    session.pending.push(event);
+    if (session.sessionId) scheduleSync(session, 0);
+}
+
+/**
+ * Get what projector mode needs to sign session check-in codes for a class
+ * @param {string} className - Class name
+ * @returns {{sessionId: string|null, checkinSecret: string|null, online: boolean}|null} Info or null without an active session
+ */
+export function getLiveCheckinInfo(className) {
+    const session = liveSession;
+    if (!session || session.className !== String(className || '').trim()) return null;
+    return {
+        sessionId: session.sessionId,
+        checkinSecret: session.checkinSecret,
+        online: session.online
+    };
+}
+
+/**
+ * Push pending scans and pull the latest ones before finishing
+ * @param {string} className - Class name
+ * @returns {Promise<void>}
+ */
+export async function flushLiveSession(className) {
+    const session = liveSession;
+    if (!session || session.className !== String(className || '').trim()) return;
+    if (session.syncPromise) await session.syncPromise;
+    await syncLiveSession(session);
+}
+
+/**
+ * Close the shared session on the server after its attendance was saved
+ * @param {string} className - Class name
+ * @returns {Promise<void>}
+ */
+export async function closeLiveSession(className) {
+    const session = liveSession;
+    if (!session || session.className !== String(className || '').trim()) return;
+    stopLiveSession({ pushPending: false });
+    if (!session.sessionId) return;
+    try {
+        await closeLiveAttendanceSession(session.sessionId, session.deviceId);
+    } catch (e) {
+        logError('closeLiveSession', e, { className: session.className, sessionId: session.sessionId });
+    }
+}
+
+/**
+ * Stop syncing the shared session on this device (the session stays open for the others)
+ * @param {Object} [options] - Stop options
+ * @param {boolean} [options.pushPending=true] - Send scans that were not pushed yet
+ */
+export function stopLiveSession({ pushPending = true } = {}) {
+    const session = liveSession;
+    if (!session) return;
+    liveSession = null;
+    if (session.timer) {
+        clearTimeout(session.timer);
+        session.timer = null;
+    }
+    if (pushPending && session.sessionId && session.pending.length > 0) {
+        pushLiveAttendanceEvents(session.sessionId, session.deviceId, session.pending.splice(0))
+            .catch((e) => logError('stopLiveSession', e, { className: session.className }));
+    }
+    updateLiveStatusUI();
+}
@@ -0,0 +1,221 @@
+/**
+ * Projector Mode Feature Module
+ *
+ * Shows a full-screen, rotating session QR for the class open in the scanner.
+ * Students scan it from their own phones (studentHomepage.js); the server turns
+ * each check-in into a live session event, so it reaches the attendance state
+ * and status dots through the regular live session polling.
+ */
+
+import { getAttendanceState, getCurrentScanMode } from '../state/appState.js';
+import { loadClassStudentsFromStorage } from '../storage/studentStorage.js';
+import { showOverlay, hideOverlay, isOverlayVisible } from '../ui/overlays.js';
+import { logError } from '../utils/helpers.js';
+import { getLiveCheckinInfo } from './liveSession.js';
+import {
+    createSessionCheckinToken,
+    msUntilNextSessionCheckinWindow,
+    SESSION_CHECKIN_PERIOD_MS
+} from '../utils/qrToken.js';
+
+const PROJECTOR_TICK_MS = 1000;
+const PROJECTOR_QR_SIZE = 640;
+
+let projectorOverlay = null;
+let projectorState = null;
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+/**
+ * Ensure projector overlay exists
+ * @returns {HTMLElement} Overlay element
+ */
+function ensureProjectorOverlay() {
+    if (projectorOverlay) return projectorOverlay;
+    projectorOverlay = document.createElement('div');
+    projectorOverlay.id = 'projectorOverlay';
+    projectorOverlay.className = 'overlay projector-overlay';
+    projectorOverlay.style.visibility = 'hidden';
+    projectorOverlay.innerHTML = `
+        <div class="projector-panel" role="dialog" aria-modal="true" aria-labelledby="projectorClassName">
+            <div class="overlay-top-bar">
+                <h2 id="projectorClassName"></h2>
+                <button type="button" id="closeProjectorBtn" class="close-small" aria-label="Close">×</button>
+            </div>
+            <p id="projectorInstructions" class="projector-instructions"></p>
+            <div id="projectorQr" class="projector-qr" aria-live="off"></div>
+            <div class="projector-meta">
+                <span id="projectorMode" class="projector-mode"></span>
+                <span id="projectorCountdown" class="projector-countdown"></span>
+                <span id="projectorCount" class="projector-count" aria-live="polite"></span>
+            </div>
+        </div>`;
+    document.body.appendChild(projectorOverlay);
+
+    projectorOverlay.querySelector('#closeProjectorBtn')?.addEventListener('click', closeProjectorMode);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && projectorOverlay.style.visibility === 'visible') {
+            e.stopPropagation();
+            closeProjectorMode();
+        }
+    }, true);
+    return projectorOverlay;
+}
+
+function setProjectorMessage(message) {
+    const qrEl = projectorOverlay.querySelector('#projectorQr');
+    if (!qrEl) return;
+    qrEl.innerHTML = '';
+    const p = document.createElement('p');
+    p.className = 'projector-message';
+    p.textContent = message;
+    qrEl.appendChild(p);
+}
+
+function renderProjectorQr(text) {
+    const qrEl = projectorOverlay.querySelector('#projectorQr');
+    if (!qrEl) return false;
+    if (typeof window.kjua !== 'function') return false;
+    const svg = window.kjua({
+        render: 'svg',
+        text,
+        size: PROJECTOR_QR_SIZE,
+        quiet: 2,
+        level: 'M'
+    });
+    if (!svg) return false;
+    qrEl.innerHTML = '';
+    qrEl.appendChild(svg);
+    return true;
+}
+
+function updateProjectorCount(className) {
+    const countEl = projectorOverlay.querySelector('#projectorCount');
+    if (!countEl) return;
+    const students = loadClassStudentsFromStorage(className) || [];
+    const stateMap = getAttendanceState(className);
+    let present = 0;
+    if (stateMap) {
+        stateMap.forEach((status) => {
+            if (status === 'joined' || status === 'completed') present += 1;
+        });
+    }
+    countEl.textContent = `${present} / ${students.length} ${i18nText('projector_checked_in', 'checked in')}`;
+}
+
+function updateProjectorMode(mode) {
+    const modeEl = projectorOverlay.querySelector('#projectorMode');
+    if (modeEl) {
+        modeEl.dataset.mode = mode;
+        modeEl.textContent = mode === 'leaving'
+            ? i18nText('leaving', 'Leaving')
+            : i18nText('joining', 'Joining');
+    }
+}
+
+async function refreshProjectorCode(state) {
+    const info = getLiveCheckinInfo(state.className);
+    if (!info) {
+        setProjectorMessage(i18nText('projector_unavailable', 'Student check-in codes are not available on this server yet.'));
+        state.codeKey = '';
+        return;
+    }
+    if (!info.sessionId) {
+        setProjectorMessage(i18nText('projector_connecting', 'Connecting to the shared session…'));
+        state.codeKey = '';
+        return;
+    }
+    if (!info.checkinSecret) {
+        setProjectorMessage(i18nText('projector_unavailable', 'Student check-in codes are not available on this server yet.'));
+        state.codeKey = '';
+        return;
+    }
+
+    // Self check-in codes carry an explicit direction; auto mode projects the joining code.
+    const mode = getCurrentScanMode() === 'leaving' ? 'leaving' : 'joining';
+    const now = Date.now();
+    const codeKey = `${info.sessionId}|${mode}|${Math.floor(now / SESSION_CHECKIN_PERIOD_MS)}`;
+    if (codeKey === state.codeKey) return;
+
+    try {
+        const text = await createSessionCheckinToken({ sessionId: info.sessionId, mode }, info.checkinSecret, now);
+        if (projectorState !== state) return;
+        if (!renderProjectorQr(text)) {
+            setProjectorMessage(i18nText('projector_qr_failed', 'Unable to generate QR code'));
+            return;
+        }
+        state.codeKey = codeKey;
+        updateProjectorMode(mode);
+    } catch (e) {
+        logError('refreshProjectorCode', e, { className: state.className });
+        setProjectorMessage(i18nText('projector_qr_failed', 'Unable to generate QR code'));
+    }
+}
+
+function tickProjector(state) {
+    if (projectorState !== state) return;
+    if (!isOverlayVisible('scannerOverlay')) {
+        // The code belongs to the running scanner session; finishing or minimizing it ends projection.
+        closeProjectorMode();
+        return;
+    }
+    const countdownEl = projectorOverlay.querySelector('#projectorCountdown');
+    if (countdownEl) {
+        const seconds = Math.ceil(msUntilNextSessionCheckinWindow() / 1000);
+        countdownEl.textContent = `${i18nText('projector_next_code', 'New code in')} ${seconds}s`;
+    }
+    updateProjectorCount(state.className);
+    refreshProjectorCode(state).finally(() => {
+        if (projectorState === state) {
+            state.timer = setTimeout(() => tickProjector(state), PROJECTOR_TICK_MS);
+        }
+    });
+}
+
+/**
+ * Show the rotating session QR for students to scan
+ * @param {string} className - Class open in the scanner
+ */
+export function openProjectorMode(className) {
+    const cls = String(className || '').trim();
+    if (!cls) return;
+    closeProjectorMode();
+    ensureProjectorOverlay();
+
+    const titleEl = projectorOverlay.querySelector('#projectorClassName');
+    if (titleEl) titleEl.textContent = cls;
+    const instructionsEl = projectorOverlay.querySelector('#projectorInstructions');
+    if (instructionsEl) {
+        instructionsEl.textContent = i18nText(
+            'projector_instructions',
+            'Open StudentCheck on your phone, tap "Scan class code" and point the camera at this code.'
+        );
+    }
+    setProjectorMessage(i18nText('projector_connecting', 'Connecting to the shared session…'));
+
+    projectorState = { className: cls, codeKey: '', timer: null };
+    showOverlay(projectorOverlay, false);
+    tickProjector(projectorState);
+}
+
+/**
+ * Hide the projector view (the scanner and shared session keep running)
+ */
+export function closeProjectorMode() {
+    const state = projectorState;
+    projectorState = null;
+    if (state?.timer) clearTimeout(state.timer);
+    if (projectorOverlay) {
+        hideOverlay(projectorOverlay, false);
+        const qrEl = projectorOverlay.querySelector('#projectorQr');
+        if (qrEl) qrEl.innerHTML = '';
+    }
+}
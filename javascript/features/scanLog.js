@@ -0,0 +1,201 @@
+/**
+ * Scan Log Feature Module
+ *
+ * Keeps a short, newest-first log of the scans made in the scanner overlay
+ * (who, mode and outcome) and lets the teacher undo a mistaken join/leave.
+ * Repeated identical outcomes (a QR held in front of the camera) are collapsed.
+ */
+
+import { undoScannedAttendanceChange } from './attendance.js';
+
+const SCAN_LOG_MAX_ENTRIES = 50;
+
+const RESULT_LABELS = {
+    joined: 'Joined',
+    completed: 'Left',
+    unchanged: 'No change',
+    too_soon: 'Too soon to leave',
+    debounced: 'Debounced',
+    not_in_class: 'Ignored: not in class',
+    expired: 'Rejected: expired code',
+    rejected: 'Rejected: not verified',
+    invalid: 'Invalid QR code'
+};
+
+let scanLogEntries = [];
+let scanLogSeq = 0;
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+function formatLogTime(timestamp) {
+    try {
+        return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    } catch (_) {
+        return '';
+    }
+}
+
+function describeResult(entry) {
+    const label = i18nText(`scan_log_${entry.result}`, RESULT_LABELS[entry.result] || entry.result);
+    return entry.undone ? `${label} (${i18nText('scan_log_undone', 'undone')})` : label;
+}
+
+function describeMode(entry) {
+    if (entry.mode === 'auto') return i18nText('scan_mode_auto', 'Auto');
+    const label = entry.mode === 'leaving' ? i18nText('leaving', 'Leaving') : i18nText('joining', 'Joining');
+    return entry.auto ? `${label} (${i18nText('scan_mode_auto', 'Auto').toLowerCase()})` : label;
+}
+
+function isSameOutcome(a, b) {
+    return Boolean(a && b)
+        && !a.undo && !b.undo
+        && a.className === b.className
+        && a.facultyNumber === b.facultyNumber
+        && a.mode === b.mode
+        && a.auto === b.auto
+        && a.result === b.result;
+}
+
+function getScanLogList() {
+    return document.getElementById('scanLogList');
+}
+
+function buildScanLogRow(entry) {
+    const li = document.createElement('li');
+    li.className = 'scan-log-entry';
+    li.dataset.result = entry.result;
+    if (entry.undone) li.classList.add('is-undone');
+
+    const time = document.createElement('span');
+    time.className = 'scan-log-time';
+    time.textContent = formatLogTime(entry.at);
+
+    const name = document.createElement('span');
+    name.className = 'scan-log-name';
+    name.textContent = entry.name || i18nText('scan_log_unknown', 'Unknown');
+    if (entry.facultyNumber && entry.name !== entry.facultyNumber) name.title = entry.facultyNumber;
+
+    const mode = document.createElement('span');
+    mode.className = 'scan-log-mode';
+    mode.dataset.mode = entry.mode;
+    mode.textContent = describeMode(entry);
+
+    const result = document.createElement('span');
+    result.className = 'scan-log-result';
+    result.textContent = entry.count > 1 ? `${describeResult(entry)} ×${entry.count}` : describeResult(entry);
+
+    li.append(time, name, mode, result);
+
+    if (entry.undo && !entry.undone) {
+        const undoBtn = document.createElement('button');
+        undoBtn.type = 'button';
+        undoBtn.className = 'scan-log-undo';
+        undoBtn.dataset.entryId = String(entry.id);
+        undoBtn.textContent = i18nText('scan_log_undo', 'Undo');
+        li.appendChild(undoBtn);
+    }
+    if (entry.error) {
+        const error = document.createElement('span');
+        error.className = 'scan-log-error';
+        error.textContent = entry.error;
+        li.appendChild(error);
+    }
+    return li;
+}
+
+function renderScanLog() {
+    const list = getScanLogList();
+    if (!list) return;
+    if (list.dataset.undoBound !== 'true') {
+        list.dataset.undoBound = 'true';
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('.scan-log-undo');
+            if (btn) undoScanLogEntry(Number(btn.dataset.entryId));
+        });
+    }
+    list.innerHTML = '';
+    if (scanLogEntries.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'scan-log-empty';
+        empty.textContent = i18nText('scan_log_empty', 'No scans yet.');
+        list.appendChild(empty);
+        return;
+    }
+    scanLogEntries.forEach((entry) => list.appendChild(buildScanLogRow(entry)));
+}
+
+/**
+ * Record the outcome of a scan
+ * @param {Object} entry - Log entry
+ * @param {string} entry.className - Class name
+ * @param {string|null} entry.facultyNumber - Student faculty number (null for unreadable codes)
+ * @param {string} entry.name - Student display name
+ * @param {'joining'|'leaving'|'auto'} entry.mode - Scan mode (auto only when the scan could not be resolved to a student)
+ * @param {boolean} [entry.auto] - The mode was picked by auto mode rather than by the teacher
+ * @param {string} entry.result - joined|completed|unchanged|too_soon|debounced|not_in_class|expired|rejected|invalid
+ * @param {{before: Object, after: Object}} [entry.undo] - Snapshots that make the change undoable
+ */
+export function logScanResult({ className, facultyNumber, name, mode, auto = false, result, undo = null }) {
+    const entry = {
+        id: ++scanLogSeq,
+        at: Date.now(),
+        className: String(className || '').trim(),
+        facultyNumber: facultyNumber ? String(facultyNumber) : null,
+        name: String(name || '').trim(),
+        mode: (mode === 'leaving' || mode === 'auto') ? mode : 'joining',
+        auto: Boolean(auto),
+        result,
+        undo,
+        undone: false,
+        count: 1,
+        error: ''
+    };
+
+    const latest = scanLogEntries[0];
+    if (isSameOutcome(latest, entry)) {
+        latest.count += 1;
+        latest.at = entry.at;
+    } else {
+        scanLogEntries.unshift(entry);
+        if (scanLogEntries.length > SCAN_LOG_MAX_ENTRIES) scanLogEntries.length = SCAN_LOG_MAX_ENTRIES;
+    }
+    renderScanLog();
+}
+
+/**
+ * Undo the attendance change recorded by a log entry
+ * @param {number} entryId - Log entry ID
+ * @returns {boolean} True if the change was rolled back
+ */
+export function undoScanLogEntry(entryId) {
+    const entry = scanLogEntries.find((item) => item.id === entryId);
+    if (!entry || !entry.undo || entry.undone) return false;
+
+    const outcome = undoScannedAttendanceChange(entry.className, entry.facultyNumber, entry.mode, entry.undo);
+    if (outcome.ok) {
+        entry.undone = true;
+        entry.error = '';
+    } else {
+        entry.error = outcome.reason === 'superseded'
+            ? i18nText('scan_log_undo_superseded', 'A later change for this student must be undone first.')
+            : i18nText('scan_log_undo_failed', 'Unable to undo this scan.');
+    }
+    renderScanLog();
+    return outcome.ok;
+}
+
+/**
+ * Clear the log (scanner closed or switched to another class)
+ */
+export function clearScanLog() {
+    scanLogEntries = [];
+    renderScanLog();
+}
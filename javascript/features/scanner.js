@@ -8,8 +8,8 @@
 import {
     getCurrentScanMode,
     setCurrentScanMode,
-    getHtml5QrCode,
-    setHtml5QrCode,
+    getScannerEngine,
+    setScannerEngine,
     getLastScanAt,
     setLastScanAt,
     getCurrentClass,
@@ -22,14 +22,33 @@ import {
     initAttendanceStateForClass,
     handleScannedCode,
     saveScannerDraftForClass,
-    restoreScannerDraftForClass
+    restoreScannerDraftForClass,
+    resetUnknownStudentPrompts,
+    ensureAttendanceSessionDetails,
+    updateAttendanceSessionDetails,
+    SESSION_DETAIL_MAX_LENGTHS
 } from './attendance.js';
 import { showOverlay, hideOverlay, getOverlay, openConfirmOverlay } from '../ui/overlays.js';
+import { createScannerEngine } from './scannerEngine.js';
+import { startLiveSession, stopLiveSession } from './liveSession.js';
+import { clearScanLog } from './scanLog.js';
+import { attachKeyboardWedgeListener } from './keyboardWedge.js';
+import { parseScannedPayload, getScanBarcodeFormats } from '../utils/scanPayloadParsers.js';
+import {
+    loadScannerInputMode,
+    saveScannerInputMode,
+    loadScannerScanMode,
+    saveScannerScanMode,
+    loadAutoLeaveMinMinutes,
+    saveAutoLeaveMinMinutes,
+    MIN_AUTO_LEAVE_MIN_MINUTES,
+    MAX_AUTO_LEAVE_MIN_MINUTES
+} from '../storage/scannerSettingsStorage.js';
 
-// Cache for html5-qrcode load promise
-let html5qrcodeLoadPromise = null;
 let scannerLifecycleCleanup = null;
+let keyboardWedgeCleanup = null;
 let activeScannerClassName = '';
+let activeScanCallback = null;
 
 function t(key, fallback) {
     try {
@@ -74,6 +93,118 @@ function bindScannerLifecyclePersistence(className) {
     };
 }
 
+/**
+ * Turn reader/typed text into text the scan payload parsers recognize.
+ * Accepts anything the camera accepts (QR JSON, ID card, email, roster faculty number).
+ * Typed entry also accepts an exact roster name or any other faculty number (offered as an unknown student).
+ * @param {string} className - Class name
+ * @param {string} rawText - Reader or typed text
+ * @param {'reader'|'manual'} source - USB reader or the manual entry form
+ * @returns {string|null} Scan text or null if empty
+ */
+function buildKeyboardScanData(className, rawText, source) {
+    const text = String(rawText || '').trim();
+    if (!text) return null;
+
+    const students = loadClassStudentsFromStorage(className) || [];
+    // A reader hands over exactly what it decoded; only the teacher's own typing is interpreted.
+    if (source !== 'manual' || parseScannedPayload(text, { students })) return text;
+
+    const lowered = text.toLowerCase();
+    const byName = students.find((student) => {
+        const name = String(student?.full_name || student?.fullName || student?.name || '').trim().toLowerCase();
+        return name && name === lowered;
+    });
+    const facultyNumber = byName ? String(resolveStudentFacultyNumber(byName) || '').trim() : text;
+    return JSON.stringify({ facultyNumber });
+}
+
+/**
+ * Resolve where keyboard text counts as coming from. Only a typed faculty number,
+ * roster name or ID card is the teacher's own entry; QR payloads and emails
+ * typed or pasted into the form are verified like any reader scan.
+ * @param {string} className - Class name
+ * @param {string} rawText - Reader or typed text
+ * @param {'reader'|'manual'} source - USB reader or the manual entry form
+ * @returns {'reader'|'manual'} Source passed to handleScannedCode
+ */
+function resolveKeyboardScanSource(className, rawText, source) {
+    if (source !== 'manual') return source;
+    const students = loadClassStudentsFromStorage(className) || [];
+    const parsed = parseScannedPayload(String(rawText || '').trim(), { students });
+    if (!parsed) return 'manual';
+    return parsed.parserId === 'faculty_number' || parsed.parserId.startsWith('card:') ? 'manual' : 'reader';
+}
+
+function submitKeyboardScan(rawText, source = 'reader') {
+    const className = resolveActiveScannerClassName();
+    const scanSource = resolveKeyboardScanSource(className, rawText, source);
+    const data = buildKeyboardScanData(className, rawText, scanSource);
+    if (!className || !data) return;
+    handleScannedCode(data, getCurrentScanMode(), className, null, { source: scanSource });
+}
+
+function fillScannerRosterList(className) {
+    const datalist = document.getElementById('scannerRosterList');
+    if (!datalist) return;
+    datalist.innerHTML = '';
+    (loadClassStudentsFromStorage(className) || []).forEach((student) => {
+        const facultyNumber = String(resolveStudentFacultyNumber(student) || '').trim();
+        if (!facultyNumber) return;
+        const option = document.createElement('option');
+        option.value = facultyNumber;
+        option.label = String(student?.full_name || student?.fullName || student?.name || '').trim();
+        datalist.appendChild(option);
+    });
+}
+
+function bindManualEntryForm(scannerOverlay) {
+    const form = scannerOverlay.querySelector('#scannerManualEntry');
+    if (!form || form.dataset.manualBound === 'true') return;
+    form.dataset.manualBound = 'true';
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = form.querySelector('#scannerManualInput');
+        if (!input) return;
+        submitKeyboardScan(input.value, 'manual');
+        input.value = '';
+        input.focus();
+    });
+}
+
+/**
+ * Switch between the camera and the reader/keyboard input
+ * @param {'camera'|'keyboard'} mode - Input mode
+ * @returns {Promise<void>} Resolves once the camera is started or stopped
+ */
+export function setScannerInputMode(mode) {
+    const inputMode = mode === 'keyboard' ? 'keyboard' : 'camera';
+    saveScannerInputMode(inputMode);
+    const scannerOverlay = getOverlay('scannerOverlay');
+    const cam = document.getElementById('cameraContainer');
+    const form = document.getElementById('scannerManualEntry');
+    if (scannerOverlay) scannerOverlay.dataset.inputMode = inputMode;
+    scannerOverlay?.querySelectorAll('input[name="scanInput"]').forEach((radio) => {
+        radio.checked = radio.value === inputMode;
+    });
+    if (cam) cam.hidden = inputMode === 'keyboard';
+    if (form) form.hidden = inputMode !== 'keyboard';
+
+    const className = resolveActiveScannerClassName();
+    if (inputMode === 'keyboard') {
+        if (className) initScannerClassState(className);
+        fillScannerRosterList(className);
+        document.getElementById('scannerManualInput')?.focus();
+        // The camera is not needed while a reader is used; release it.
+        const engine = getScannerEngine();
+        if (!engine) return Promise.resolve();
+        setScannerEngine(null);
+        return engine.stop().catch(() => {}).then(() => stopAllCameraTracks());
+    }
+    if (getScannerEngine() || !className || !activeScanCallback) return Promise.resolve();
+    return initializeScanner(getCurrentScanMode(), className, activeScanCallback);
+}
+
 function resolveActiveScannerClassName() {
     const overlay = getOverlay('scannerOverlay');
     const fromOverlay = String(overlay?.dataset?.activeClassName || '').trim();
@@ -103,77 +234,21 @@ export function stopAllCameraTracks() {
     } catch (_) { }
 }
 
-/**
- * Stop media tracks held by html5-qrcode (best-effort)
- * @param {Object} html5QrCode - Html5Qrcode instance
- */
-function stopHtml5QrCodeStream(html5QrCode) {
-    if (!html5QrCode) return;
-    try {
-        const track = typeof html5QrCode.getRunningTrack === 'function'
-            ? html5QrCode.getRunningTrack()
-            : null;
-        if (track && typeof track.stop === 'function') track.stop();
-    } catch (_) {}
-    try {
-        const stream = html5QrCode._localMediaStream || html5QrCode._mediaStream;
-        if (stream && typeof stream.getTracks === 'function') {
-            stream.getTracks().forEach(t => {
-                try { t.stop(); } catch (_) { }
-            });
-        }
-    } catch (_) {}
-}
-
-/**
- * Ensure html5-qrcode library is loaded
- * @returns {Promise<Object>} Html5Qrcode constructor
- */
-function ensureHtml5QrcodeLoaded() {
-    if (window.Html5Qrcode) return Promise.resolve(window.Html5Qrcode);
-    if (html5qrcodeLoadPromise) return html5qrcodeLoadPromise;
-    const sources = [
-        'https://unpkg.com/html5-qrcode@latest/minified/html5-qrcode.min.js',
-        'https://unpkg.com/html5-qrcode@latest/html5-qrcode.min.js',
-        'https://cdn.jsdelivr.net/npm/html5-qrcode@latest/minified/html5-qrcode.min.js',
-        'https://cdn.jsdelivr.net/npm/html5-qrcode@latest/html5-qrcode.min.js'
-    ];
-    html5qrcodeLoadPromise = new Promise((resolve, reject) => {
-        const tryNext = (i) => {
-            if (i >= sources.length) {
-                reject(new Error('Failed to load html5-qrcode library'));
-                return;
-            }
-            const script = document.createElement('script');
-            script.src = sources[i];
-            script.async = true;
-            script.onload = () => resolve(window.Html5Qrcode);
-            script.onerror = () => { script.remove(); tryNext(i + 1); };
-            document.head.appendChild(script);
-        };
-        tryNext(0);
-    });
-    return html5qrcodeLoadPromise;
-}
-
 /**
  * Handle radio button change for scan mode
- * @param {'joining'|'leaving'} mode - Scan mode
+ * @param {'joining'|'leaving'|'auto'} mode - Scan mode
  */
 export function handleRadioChange(mode) {
     setCurrentScanMode(mode);
     const cam = document.getElementById('cameraContainer');
-    if (cam) cam.setAttribute('data-mode', mode);
+    if (cam) cam.setAttribute('data-mode', getCurrentScanMode());
 }
 
 /**
- * Initialize scanner with QR code reader
- * @param {'joining'|'leaving'} mode - Scan mode
+ * Make sure every roster student has an attendance state and a timestamp slot
  * @param {string} className - Class name
- * @param {Function} onScanCallback - Callback for scanned codes
- * @returns {Promise<void>} Initialization promise
  */
-export function initializeScanner(mode, className, onScanCallback) {
+function initScannerClassState(className) {
     const classStudents = loadClassStudentsFromStorage(className) || [];
     initAttendanceStateForClass(className, classStudents);
 
@@ -186,17 +261,24 @@ export function initializeScanner(mode, className, onScanCallback) {
             setStudentTimestamp(facultyNumber, null, null);
         }
     });
+}
 
-    return ensureHtml5QrcodeLoaded().then((Html5Qrcode) => {
-        const container = document.getElementById('qr-reader');
-        if (!container) {
-            throw new Error('QR container not found');
-        }
+/**
+ * Initialize scanner with QR code reader
+ * @param {'joining'|'leaving'|'auto'} mode - Scan mode
+ * @param {string} className - Class name
+ * @param {Function} onScanCallback - Callback for scanned codes
+ * @returns {Promise<void>} Initialization promise
+ */
+export function initializeScanner(mode, className, onScanCallback) {
+    initScannerClassState(className);
 
-        const html5QrCode = new Html5Qrcode('qr-reader');
-        setHtml5QrCode(html5QrCode);
+    return createScannerEngine('qr-reader', { formats: getScanBarcodeFormats() }).then((engine) => {
+        // Switched to the reader/keyboard input while the engine was loading
+        if (getOverlay('scannerOverlay')?.dataset.inputMode === 'keyboard') return;
+        setScannerEngine(engine);
 
-        const onScanSuccess = (decodedText, decodedResult) => {
+        const onScanSuccess = (decodedText) => {
             const now = Date.now();
             const lastScan = getLastScanAt();
             if (now - lastScan > 300) {
@@ -208,23 +290,9 @@ export function initializeScanner(mode, className, onScanCallback) {
             }
         };
 
-        const onScanError = (errorMessage, error) => {
-            // Ignore frequent decode errors
-            return;
-        };
-
-        return html5QrCode.start(
-            { facingMode: 'environment' },
-            {
-                fps: 24,
-                qrbox: { width: 220, height: 220 },
-                aspectRatio: 1.0,
-                disableFlip: true
-            },
-            onScanSuccess,
-            onScanError
-        ).catch((e) => {
+        return engine.start(onScanSuccess).catch((e) => {
             console.error('Scanner initialization error:', e);
+            const container = document.getElementById('qr-reader');
             if (container) {
                 container.innerHTML = '<p style="color:#b91c1c; text-align:center;">Unable to start camera scanner.</p>';
             }
@@ -244,6 +312,14 @@ export function closeScanner(onClosed) {
             scannerLifecycleCleanup = null;
         }
         activeScannerClassName = '';
+        activeScanCallback = null;
+        if (typeof keyboardWedgeCleanup === 'function') {
+            keyboardWedgeCleanup();
+            keyboardWedgeCleanup = null;
+        }
+        stopLiveSession();
+        clearScanLog();
+        resetUnknownStudentPrompts();
         const scannerOverlay = getOverlay('scannerOverlay');
         if (scannerOverlay) {
             delete scannerOverlay.dataset.activeClassName;
@@ -256,22 +332,11 @@ export function closeScanner(onClosed) {
     };
 
     try {
-        const html5QrCode = getHtml5QrCode();
-        if (html5QrCode) {
-            stopHtml5QrCodeStream(html5QrCode);
-            return html5QrCode.stop().then(() => {
-                stopHtml5QrCodeStream(html5QrCode);
-                stopAllCameraTracks();
-                html5QrCode.clear();
-                setHtml5QrCode(null);
-                finish();
-            }).catch(() => {
-                try {
-                    html5QrCode.clear();
-                } catch (_) { }
-                stopHtml5QrCodeStream(html5QrCode);
+        const engine = getScannerEngine();
+        if (engine) {
+            setScannerEngine(null);
+            return engine.stop().catch(() => {}).then(() => {
                 stopAllCameraTracks();
-                setHtml5QrCode(null);
                 finish();
             });
         }
@@ -280,7 +345,7 @@ export function closeScanner(onClosed) {
         return Promise.resolve();
     } catch (_) {
         // If stop throws (e.g., scanner never started), still finish cleanly.
-        setHtml5QrCode(null);
+        setScannerEngine(null);
         stopAllCameraTracks();
         finish();
         return Promise.resolve();
@@ -289,12 +354,89 @@ export function closeScanner(onClosed) {
 
 /**
  * Set scan mode
- * @param {'joining'|'leaving'} mode - Scan mode
+ * @param {'joining'|'leaving'|'auto'} mode - Scan mode
  */
 export function setScanMode(mode) {
     setCurrentScanMode(mode);
+    const scanMode = getCurrentScanMode();
     const cam = document.getElementById('cameraContainer');
-    if (cam) cam.setAttribute('data-mode', mode);
+    if (cam) cam.setAttribute('data-mode', scanMode);
+    document.querySelectorAll('#scannerOverlay input[name="scanMode"]').forEach((radio) => {
+        radio.checked = radio.value === scanMode;
+    });
+    const autoSettings = document.getElementById('scannerAutoSettings');
+    if (autoSettings) autoSettings.hidden = scanMode !== 'auto';
+}
+
+function bindAutoLeaveSetting(scannerOverlay) {
+    const input = scannerOverlay.querySelector('#scannerAutoLeaveMinutes');
+    if (!input) return;
+    input.min = String(MIN_AUTO_LEAVE_MIN_MINUTES);
+    input.max = String(MAX_AUTO_LEAVE_MIN_MINUTES);
+    input.value = String(loadAutoLeaveMinMinutes());
+    if (input.dataset.autoLeaveBound === 'true') return;
+    input.dataset.autoLeaveBound = 'true';
+    input.addEventListener('change', () => {
+        input.value = String(saveAutoLeaveMinMinutes(input.value));
+    });
+}
+
+function applyAutoModeTexts(scannerOverlay) {
+    const autoLabel = scannerOverlay.querySelector('#scanAutoLabel');
+    if (autoLabel) autoLabel.textContent = t('scan_mode_auto', 'Auto');
+    const settingLabel = scannerOverlay.querySelector('#scannerAutoLeaveLabel');
+    if (settingLabel) settingLabel.textContent = t('scanner_auto_leave_after', 'Count a second scan as leaving after');
+    const unit = scannerOverlay.querySelector('#scannerAutoLeaveUnit');
+    if (unit) unit.textContent = t('minutes_short', 'min');
+}
+
+const SESSION_DETAIL_FIELDS = {
+    date: 'scannerSessionDate',
+    topic: 'scannerSessionTopic',
+    room: 'scannerSessionRoom',
+    notes: 'scannerSessionNotes'
+};
+
+function fillSessionDetailsForm(scannerOverlay, details) {
+    Object.entries(SESSION_DETAIL_FIELDS).forEach(([field, id]) => {
+        const input = scannerOverlay.querySelector(`#${id}`);
+        if (!input) return;
+        input.value = details[field] || '';
+        if (SESSION_DETAIL_MAX_LENGTHS[field]) input.maxLength = SESSION_DETAIL_MAX_LENGTHS[field];
+    });
+    const summary = scannerOverlay.querySelector('#scannerSessionSummary');
+    if (summary) {
+        summary.textContent = details.reopened
+            ? t('scanner_session_correcting', 'Correcting session of {date}').replace('{date}', details.date)
+            : t('scanner_session_details', 'Session details');
+    }
+    const detailsEl = scannerOverlay.querySelector('#scannerSessionDetails');
+    if (detailsEl) detailsEl.dataset.reopened = details.reopened ? 'true' : 'false';
+    const labels = {
+        scannerSessionDateLabel: t('session_date', 'Date'),
+        scannerSessionTopicLabel: t('session_topic', 'Topic'),
+        scannerSessionRoomLabel: t('session_room', 'Room'),
+        scannerSessionNotesLabel: t('session_notes', 'Notes')
+    };
+    Object.entries(labels).forEach(([id, text]) => {
+        const el = scannerOverlay.querySelector(`#${id}`);
+        if (el) el.textContent = text;
+    });
+}
+
+function bindSessionDetailsForm(scannerOverlay) {
+    Object.entries(SESSION_DETAIL_FIELDS).forEach(([field, id]) => {
+        const input = scannerOverlay.querySelector(`#${id}`);
+        if (!input || input.dataset.sessionBound === 'true') return;
+        input.dataset.sessionBound = 'true';
+        input.addEventListener('change', () => {
+            const className = resolveActiveScannerClassName();
+            if (!className) return;
+            const details = updateAttendanceSessionDetails(className, { [field]: input.value });
+            // Show the value as stored (trimmed, or today's date if the field was cleared).
+            input.value = details[field] || '';
+        });
+    });
 }
 
 /**
@@ -361,10 +503,12 @@ export function openScannerOverlay(className) {
         if (r.dataset.modeBound === 'true') return;
         r.dataset.modeBound = 'true';
         r.addEventListener('change', (ev) => {
-            const mode = ev.target.value === 'leaving' ? 'leaving' : 'joining';
-            setScanMode(mode);
+            setScanMode(ev.target.value);
+            saveScannerScanMode(getCurrentScanMode());
         });
     });
+    bindAutoLeaveSetting(scannerOverlay);
+    applyAutoModeTexts(scannerOverlay);
     
     const stopBtn = scannerOverlay.querySelector('#scannerStopBtn');
     if (stopBtn && stopBtn.dataset.stopBound !== 'true') {
@@ -376,6 +520,25 @@ export function openScannerOverlay(className) {
         });
     }
     
+    const inputRadios = scannerOverlay.querySelectorAll('input[name="scanInput"]');
+    inputRadios.forEach(r => {
+        if (r.dataset.inputBound === 'true') return;
+        r.dataset.inputBound = 'true';
+        r.addEventListener('change', (ev) => {
+            setScannerInputMode(ev.target.value);
+        });
+    });
+    bindManualEntryForm(scannerOverlay);
+    
+    const projectorBtn = scannerOverlay.querySelector('#scannerProjectorBtn');
+    if (projectorBtn && projectorBtn.dataset.projectorBound !== 'true') {
+        projectorBtn.dataset.projectorBound = 'true';
+        projectorBtn.addEventListener('click', () => {
+            const activeClassName = resolveActiveScannerClassName();
+            document.dispatchEvent(new CustomEvent('openProjectorModeRequested', { detail: { className: activeClassName } }));
+        });
+    }
+    
     // Close button handlers are delegated on the overlay (see above)
     
     if (readyPopupOverlay) hideOverlay(readyPopupOverlay);
@@ -386,19 +549,31 @@ export function openScannerOverlay(className) {
         titleEl.textContent = displayName;
     }
     
-    setScanMode('joining');
-    const joinRadio = scannerOverlay.querySelector('#scanJoin');
-    const leaveRadio = scannerOverlay.querySelector('#scanLeave');
-    if (joinRadio) joinRadio.checked = true;
-    if (leaveRadio) leaveRadio.checked = false;
+    // Sessions start in joining mode unless the teacher works in auto mode.
+    setScanMode(loadScannerScanMode());
     
+    const sessionDetails = ensureAttendanceSessionDetails(activeScannerClassName);
+    bindSessionDetailsForm(scannerOverlay);
+    fillSessionDetailsForm(scannerOverlay, sessionDetails);
+
+    clearScanLog();
+    resetUnknownStudentPrompts();
     showOverlay(scannerOverlay);
     bindScannerLifecyclePersistence(activeScannerClassName);
+    // Corrections to a saved session are made on this device only.
+    if (!sessionDetails.reopened) startLiveSession(activeScannerClassName);
     
-    initializeScanner('joining', activeScannerClassName, (decodedText, mode, clsName) => {
+    activeScanCallback = (decodedText, mode, clsName) => {
         handleScannedCode(decodedText, mode, clsName, null);
-    }).then(() => {
-        if (restored) {
+    };
+    if (typeof keyboardWedgeCleanup === 'function') keyboardWedgeCleanup();
+    // A USB reader works in both input modes, even when nothing is focused.
+    keyboardWedgeCleanup = attachKeyboardWedgeListener((text) => submitKeyboardScan(text, 'reader'), {
+        isActive: () => scannerOverlay.style.visibility === 'visible'
+    });
+
+    setScannerInputMode(loadScannerInputMode()).then(() => {
+        if (restored && !sessionDetails.reopened) {
             showUnsavedAttendanceNotice();
         }
     });
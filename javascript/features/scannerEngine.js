@@ -0,0 +1,295 @@
+/**
+ * Scanner Engine Module
+ *
+ * Abstracts the camera decoder behind a small start/stop contract.
+ * Prefers the browser's native BarcodeDetector API and falls back to a
+ * version-pinned, self-hosted html5-qrcode build when it is unavailable.
+ * Formats use BarcodeDetector names ('qr_code', 'code_128', ...); QR only by default.
+ */
+
+export const HTML5_QRCODE_VERSION = '2.3.8';
+
+const NATIVE_SCAN_INTERVAL_MS = 1000 / 24;
+const SCAN_BOX_SIZE = 220;
+// 1D barcodes on ID cards are wide and short; a square box would crop them.
+const BARCODE_SCAN_BOX = { width: 300, height: 160 };
+
+// Cache for html5-qrcode load promise
+let html5qrcodeLoadPromise = null;
+
+/**
+ * @typedef {Object} ScannerEngine
+ * @property {'native'|'html5-qrcode'} name - Engine identifier
+ * @property {function(function(string): void): Promise<void>} start - Open the camera and report decoded texts
+ * @property {function(): Promise<void>} stop - Stop decoding and release the camera
+ */
+
+/**
+ * Ensure html5-qrcode library is loaded (self-hosted copy first, pinned CDN builds as backup)
+ * @returns {Promise<Object>} Html5Qrcode constructor
+ */
+function ensureHtml5QrcodeLoaded() {
+    if (window.Html5Qrcode) return Promise.resolve(window.Html5Qrcode);
+    if (html5qrcodeLoadPromise) return html5qrcodeLoadPromise;
+    const sources = [
+        'javascript/html5-qrcode.min.js',
+        '/javascript/html5-qrcode.min.js',
+        './html5-qrcode.min.js',
+        `https://unpkg.com/html5-qrcode@${HTML5_QRCODE_VERSION}/html5-qrcode.min.js`,
+        `https://cdn.jsdelivr.net/npm/html5-qrcode@${HTML5_QRCODE_VERSION}/html5-qrcode.min.js`
+    ];
+    html5qrcodeLoadPromise = new Promise((resolve, reject) => {
+        const tryNext = (i) => {
+            if (i >= sources.length) {
+                html5qrcodeLoadPromise = null;
+                reject(new Error('Failed to load html5-qrcode library'));
+                return;
+            }
+            const script = document.createElement('script');
+            script.src = sources[i];
+            script.async = true;
+            script.onload = () => {
+                if (window.Html5Qrcode) {
+                    resolve(window.Html5Qrcode);
+                } else {
+                    script.remove();
+                    tryNext(i + 1);
+                }
+            };
+            script.onerror = () => { script.remove(); tryNext(i + 1); };
+            document.head.appendChild(script);
+        };
+        tryNext(0);
+    });
+    return html5qrcodeLoadPromise;
+}
+
+/**
+ * Check if the native BarcodeDetector can decode QR codes in this browser
+ * @returns {Promise<boolean>} True if the native path is usable
+ */
+export async function isNativeBarcodeDetectorSupported() {
+    try {
+        if (!('BarcodeDetector' in window)) return false;
+        if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') return false;
+        if (typeof window.BarcodeDetector.getSupportedFormats !== 'function') return true;
+        const formats = await window.BarcodeDetector.getSupportedFormats();
+        return Array.isArray(formats) && formats.includes('qr_code');
+    } catch (_) {
+        return false;
+    }
+}
+
+function resolveScanBox(formats) {
+    const hasLinearFormat = formats.some((format) => format !== 'qr_code');
+    return hasLinearFormat ? BARCODE_SCAN_BOX : { width: SCAN_BOX_SIZE, height: SCAN_BOX_SIZE };
+}
+
+/**
+ * Keep only the formats the native BarcodeDetector can decode
+ * @param {Array<string>} formats - Requested formats
+ * @returns {Promise<Array<string>>} Supported formats (at least QR)
+ */
+async function resolveNativeFormats(formats) {
+    try {
+        if (typeof window.BarcodeDetector.getSupportedFormats !== 'function') return formats;
+        const supported = await window.BarcodeDetector.getSupportedFormats();
+        const usable = formats.filter((format) => supported.includes(format));
+        return usable.length ? usable : ['qr_code'];
+    } catch (_) {
+        return ['qr_code'];
+    }
+}
+
+/**
+ * Map BarcodeDetector format names to html5-qrcode format constants
+ * @param {Array<string>} formats - Requested formats
+ * @returns {Array<number>|null} Format constants, or null if the library does not expose them
+ */
+function toHtml5QrcodeFormats(formats) {
+    const supportedFormats = window.Html5QrcodeSupportedFormats
+        || window.__Html5QrcodeLibrary__?.Html5QrcodeSupportedFormats;
+    if (!supportedFormats) return null;
+    const mapped = formats
+        .map((format) => supportedFormats[String(format).toUpperCase()])
+        .filter((value) => Number.isInteger(value));
+    return mapped.length ? mapped : null;
+}
+
+/**
+ * Stop media tracks held by html5-qrcode (best-effort)
+ * @param {Object} html5QrCode - Html5Qrcode instance
+ */
+function stopHtml5QrCodeStream(html5QrCode) {
+    if (!html5QrCode) return;
+    try {
+        const track = typeof html5QrCode.getRunningTrack === 'function'
+            ? html5QrCode.getRunningTrack()
+            : null;
+        if (track && typeof track.stop === 'function') track.stop();
+    } catch (_) {}
+    try {
+        const stream = html5QrCode._localMediaStream || html5QrCode._mediaStream;
+        if (stream && typeof stream.getTracks === 'function') {
+            stream.getTracks().forEach(t => {
+                try { t.stop(); } catch (_) { }
+            });
+        }
+    } catch (_) {}
+}
+
+/**
+ * Create an engine backed by the native BarcodeDetector API
+ * @param {HTMLElement} container - Element that hosts the camera preview
+ * @param {Array<string>} formats - Formats to decode (supported by the detector)
+ * @returns {ScannerEngine} Scanner engine
+ */
+function createNativeEngine(container, formats) {
+    const detector = new window.BarcodeDetector({ formats });
+    const scanBox = resolveScanBox(formats);
+    let stream = null;
+    let video = null;
+    let frame = null;
+    let loopHandle = null;
+    let running = false;
+
+    const scheduleNext = (tick) => {
+        loopHandle = setTimeout(tick, NATIVE_SCAN_INTERVAL_MS);
+    };
+
+    return {
+        name: 'native',
+        async start(onScan) {
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' },
+                audio: false
+            });
+            video = document.createElement('video');
+            video.className = 'scanner-native-video';
+            video.setAttribute('playsinline', '');
+            video.muted = true;
+            video.srcObject = stream;
+            frame = document.createElement('div');
+            frame.className = 'scanner-native-frame';
+            frame.style.width = `${scanBox.width}px`;
+            frame.style.height = `${scanBox.height}px`;
+            frame.setAttribute('aria-hidden', 'true');
+            container.innerHTML = '';
+            container.classList.add('scanner-native');
+            container.appendChild(video);
+            container.appendChild(frame);
+            await video.play();
+
+            running = true;
+            const tick = async () => {
+                if (!running) return;
+                if (video.readyState >= 2) {
+                    try {
+                        const codes = await detector.detect(video);
+                        if (!running) return;
+                        codes.forEach((code) => {
+                            if (code && code.rawValue) onScan(code.rawValue);
+                        });
+                    } catch (_) {
+                        // Ignore frequent decode errors
+                    }
+                }
+                if (running) scheduleNext(tick);
+            };
+            scheduleNext(tick);
+        },
+        async stop() {
+            running = false;
+            if (loopHandle) {
+                clearTimeout(loopHandle);
+                loopHandle = null;
+            }
+            if (stream) {
+                stream.getTracks().forEach(t => {
+                    try { t.stop(); } catch (_) { }
+                });
+                stream = null;
+            }
+            if (video) {
+                try { video.pause(); } catch (_) { }
+                video.srcObject = null;
+                video.remove();
+                video = null;
+            }
+            if (frame) {
+                frame.remove();
+                frame = null;
+            }
+            container.classList.remove('scanner-native');
+        }
+    };
+}
+
+/**
+ * Create an engine backed by the self-hosted html5-qrcode library
+ * @param {string} containerId - Element ID that hosts the camera preview
+ * @param {Array<string>} formats - Formats to decode
+ * @returns {Promise<ScannerEngine>} Scanner engine
+ */
+async function createHtml5QrcodeEngine(containerId, formats) {
+    const Html5Qrcode = await ensureHtml5QrcodeLoaded();
+    const formatsToSupport = toHtml5QrcodeFormats(formats);
+    const html5QrCode = formatsToSupport
+        ? new Html5Qrcode(containerId, { formatsToSupport, verbose: false })
+        : new Html5Qrcode(containerId);
+    const scanBox = resolveScanBox(formats);
+
+    return {
+        name: 'html5-qrcode',
+        start(onScan) {
+            return html5QrCode.start(
+                { facingMode: 'environment' },
+                {
+                    fps: 24,
+                    qrbox: { width: scanBox.width, height: scanBox.height },
+                    aspectRatio: 1.0,
+                    disableFlip: true
+                },
+                (decodedText) => onScan(decodedText),
+                () => {
+                    // Ignore frequent decode errors
+                }
+            );
+        },
+        async stop() {
+            stopHtml5QrCodeStream(html5QrCode);
+            try {
+                await html5QrCode.stop();
+            } catch (_) {
+                // Scanner was never started or already stopped
+            }
+            stopHtml5QrCodeStream(html5QrCode);
+            try {
+                html5QrCode.clear();
+            } catch (_) { }
+        }
+    };
+}
+
+/**
+ * Create the best available scanner engine for a container
+ * @param {string} containerId - Element ID that hosts the camera preview
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.formats=['qr_code']] - Formats to decode (BarcodeDetector names)
+ * @returns {Promise<ScannerEngine>} Scanner engine
+ */
+export async function createScannerEngine(containerId, { formats = ['qr_code'] } = {}) {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        throw new Error('QR container not found');
+    }
+    const requested = Array.isArray(formats) && formats.length ? formats : ['qr_code'];
+    if (await isNativeBarcodeDetectorSupported()) {
+        try {
+            return createNativeEngine(container, await resolveNativeFormats(requested));
+        } catch (e) {
+            console.warn('[scannerEngine] BarcodeDetector unavailable, using html5-qrcode fallback.', e);
+        }
+    }
+    return createHtml5QrcodeEngine(containerId, requested);
+}
@@ -0,0 +1,632 @@
+/**
+ * Session History Feature Module
+ *
+ * Lists the saved attendance sessions of a class (date, topic, room and
+ * present/late/excused/absent counts), shows who attended a session, lets the
+ * teacher excuse an absence with a note and reopen a session in the scanner
+ * for corrections.
+ */
+
+import { getClassIdByName } from '../state/appState.js';
+import { getClassIdByNameFromStorage } from '../storage/classStorage.js';
+import {
+    loadClassStudentsFromStorage,
+    getStudentInfoForFacultyNumber,
+    resolveStudentFacultyNumber
+} from '../storage/studentStorage.js';
+import { fetchAttendanceSessions, fetchAttendanceSession, excuseAttendanceAbsence } from '../api/attendanceApi.js';
+import { showOverlay, hideOverlay, openConfirmOverlay } from '../ui/overlays.js';
+import { logError } from '../utils/helpers.js';
+import { ATTENDANCE_CLASSIFICATION_LABELS } from '../utils/attendanceClassification.js';
+import { loadAttendanceSessionForCorrection } from './attendance.js';
+import { openScannerOverlay } from './scanner.js';
+
+const STATUS_LABELS = {
+    completed: 'Present',
+    joined: 'Present (no leave scan)',
+    partial: 'Partial',
+    excused: 'Excused',
+    absent: 'Absent'
+};
+
+const EXCUSE_NOTE_MAX_LENGTH = 300;
+
+let historyOverlay = null;
+let historyState = null;
+let historyRequestSeq = 0;
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+function isUnsupportedStatus(status) {
+    const code = Number(status || 0);
+    return code === 404 || code === 405 || code === 501;
+}
+
+function parseTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    // iOS Safari rejects "YYYY-MM-DD HH:MM:SS"; use the ISO separator.
+    const parsed = Date.parse(String(value).replace(' ', 'T'));
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+function toCount(...candidates) {
+    const value = candidates.find((candidate) => candidate !== null && candidate !== undefined && candidate !== '');
+    const num = Number(value);
+    return Number.isFinite(num) && num >= 0 ? Math.round(num) : null;
+}
+
+function normalizeSessionSummary(raw) {
+    const id = String(raw?.id ?? raw?.session_id ?? '').trim();
+    if (!id) return null;
+    const startedAt = parseTime(raw?.started_at ?? raw?.created_at);
+    let date = String(raw?.date || raw?.session_date || '').trim().slice(0, 10);
+    if (!date && startedAt !== null) {
+        const d = new Date(startedAt);
+        date = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+    return {
+        id,
+        date,
+        topic: String(raw?.topic || '').trim(),
+        room: String(raw?.room || '').trim(),
+        notes: String(raw?.notes || '').trim(),
+        startedAt,
+        present: toCount(raw?.present_count, raw?.counts?.present, raw?.present),
+        late: toCount(raw?.late_count, raw?.counts?.late, raw?.late),
+        partial: toCount(raw?.partial_count, raw?.counts?.partial, raw?.partial),
+        excused: toCount(raw?.excused_count, raw?.counts?.excused, raw?.excused),
+        absent: toCount(raw?.absent_count, raw?.counts?.absent, raw?.absent)
+    };
+}
+
+function normalizeSessionRecord(raw) {
+    const facultyNumber = String(raw?.faculty_number || raw?.facultyNumber || '').trim();
+    if (!facultyNumber) return null;
+    return {
+        faculty_number: facultyNumber,
+        student_id: raw?.student_id ?? null,
+        status: String(raw?.status || 'none'),
+        joined_at: parseTime(raw?.joined_at),
+        left_at: parseTime(raw?.left_at),
+        classification: raw?.classification ? String(raw.classification) : null,
+        flags: Array.isArray(raw?.flags) ? raw.flags.map(String) : [],
+        source: raw?.source === 'manual' ? 'manual' : 'scan',
+        override_reason: raw?.override_reason ? String(raw.override_reason) : null,
+        present_minutes: toCount(raw?.present_minutes),
+        excuse_note: raw?.excuse_note ? String(raw.excuse_note) : null
+    };
+}
+
+function isPresentStatus(status) {
+    return status === 'joined' || status === 'completed';
+}
+
+function countSessionRecords(records, rosterSize) {
+    let present = 0;
+    let late = 0;
+    let partial = 0;
+    let excused = 0;
+    records.forEach((record) => {
+        if (isPresentStatus(record.status)) {
+            present += 1;
+            if (record.classification === 'late' || record.flags.includes('late')) late += 1;
+        } else if (record.status === 'partial') {
+            partial += 1;
+        } else if (record.status === 'excused') {
+            excused += 1;
+        }
+    });
+    // Students without a record did not show up.
+    const absent = Math.max(0, Math.max(rosterSize, records.length) - present - partial - excused);
+    return { present, late, partial, excused, absent };
+}
+
+function formatSessionDate(date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date || ''));
+    if (!match) return date || i18nText('session_history_no_date', 'No date');
+    try {
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+            .toLocaleDateString([], { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+    } catch (_) {
+        return date;
+    }
+}
+
+function formatTime(timestamp) {
+    if (!Number.isFinite(timestamp)) return '';
+    try {
+        return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    } catch (_) {
+        return '';
+    }
+}
+
+function resolveHistoryClassId(className) {
+    return getClassIdByName(className) || getClassIdByNameFromStorage(className) || null;
+}
+
+/**
+ * Ensure session history overlay exists
+ * @returns {HTMLElement} Overlay element
+ */
+function ensureSessionHistoryOverlay() {
+    if (historyOverlay) return historyOverlay;
+    historyOverlay = document.createElement('div');
+    historyOverlay.id = 'sessionHistoryOverlay';
+    historyOverlay.className = 'overlay';
+    historyOverlay.style.visibility = 'hidden';
+    historyOverlay.innerHTML = `
+        <div class="ready-class-popup session-history-popup" role="dialog" aria-modal="true" aria-labelledby="sessionHistoryTitle">
+            <div class="overlay-top-bar">
+                <h2 id="sessionHistoryTitle">Session history</h2>
+                <button type="button" id="closeSessionHistoryBtn" class="close-small" aria-label="Close">×</button>
+            </div>
+            <p id="sessionHistoryClassName" class="class-options-name"></p>
+            <p id="sessionHistoryMessage" class="session-history-message" aria-live="polite"></p>
+            <ol id="sessionHistoryList" class="session-history-list"></ol>
+            <div id="sessionHistoryDetail" class="session-history-detail" hidden>
+                <button type="button" id="sessionHistoryBackBtn" class="role-button session-history-back">Back</button>
+                <h3 id="sessionHistoryDetailTitle"></h3>
+                <p id="sessionHistoryDetailMeta" class="session-history-meta"></p>
+                <p id="sessionHistoryDetailNotes" class="session-history-notes"></p>
+                <p id="sessionHistoryDetailCounts" class="session-history-counts"></p>
+                <ul id="sessionHistoryStudents" class="session-history-students"></ul>
+                <p id="sessionHistoryDetailError" class="class-options-error" aria-live="polite"></p>
+                <div class="session-history-actions">
+                    <button type="button" id="sessionHistoryReopenBtn" class="role-button primary">Reopen for corrections</button>
+                </div>
+            </div>
+        </div>`;
+    document.body.appendChild(historyOverlay);
+
+    historyOverlay.querySelector('#closeSessionHistoryBtn')?.addEventListener('click', closeSessionHistory);
+    historyOverlay.addEventListener('click', (e) => {
+        if (e.target === historyOverlay) closeSessionHistory();
+    });
+    // Keep Escape from also closing the class popup underneath
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && historyOverlay.style.visibility === 'visible') {
+            e.stopPropagation();
+            closeSessionHistory();
+        }
+    }, true);
+
+    historyOverlay.querySelector('#sessionHistoryList')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.session-history-item');
+        if (item) openSessionDetail(item.dataset.sessionId);
+    });
+    const studentsList = historyOverlay.querySelector('#sessionHistoryStudents');
+    studentsList?.addEventListener('click', (e) => {
+        const excuseBtn = e.target.closest('.session-history-excuse-btn');
+        if (excuseBtn) {
+            openExcuseForm(excuseBtn);
+            return;
+        }
+        const cancelBtn = e.target.closest('.session-history-excuse-cancel');
+        if (cancelBtn) closeExcuseForm(cancelBtn.closest('form'));
+    });
+    studentsList?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const form = e.target.closest('.session-history-excuse-form');
+        if (form) submitExcuseForm(form);
+    });
+    historyOverlay.querySelector('#sessionHistoryBackBtn')?.addEventListener('click', showSessionList);
+    historyOverlay.querySelector('#sessionHistoryReopenBtn')?.addEventListener('click', onReopenSession);
+    return historyOverlay;
+}
+
+function applyHistoryTexts() {
+    const texts = {
+        sessionHistoryTitle: i18nText('session_history_title', 'Session history'),
+        sessionHistoryBackBtn: i18nText('back', 'Back'),
+        sessionHistoryReopenBtn: i18nText('session_history_reopen', 'Reopen for corrections')
+    };
+    Object.entries(texts).forEach(([id, text]) => {
+        const el = historyOverlay.querySelector(`#${id}`);
+        if (el) el.textContent = text;
+    });
+}
+
+function setHistoryMessage(message) {
+    const el = historyOverlay.querySelector('#sessionHistoryMessage');
+    if (!el) return;
+    el.textContent = message || '';
+    el.hidden = !message;
+}
+
+function setDetailError(message) {
+    const el = historyOverlay.querySelector('#sessionHistoryDetailError');
+    if (el) el.textContent = message || '';
+}
+
+function describeCounts({ present, late, partial, excused, absent }) {
+    const parts = [];
+    if (present !== null) parts.push(`${i18nText('session_count_present', 'Present')}: ${present}`);
+    if (late !== null) parts.push(`${i18nText('session_count_late', 'Late')}: ${late}`);
+    if (partial) parts.push(`${i18nText('session_count_partial', 'Partial')}: ${partial}`);
+    if (excused !== null && excused !== undefined) parts.push(`${i18nText('session_count_excused', 'Excused')}: ${excused}`);
+    if (absent !== null) parts.push(`${i18nText('session_count_absent', 'Absent')}: ${absent}`);
+    return parts;
+}
+
+function describeSessionTitle(session) {
+    return [formatSessionDate(session.date), session.topic].filter(Boolean).join(' · ');
+}
+
+function renderSessionList() {
+    const list = historyOverlay.querySelector('#sessionHistoryList');
+    if (!list || !historyState) return;
+    list.innerHTML = '';
+    historyState.sessions.forEach((session) => {
+        const li = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'session-history-item';
+        button.dataset.sessionId = session.id;
+
+        const title = document.createElement('span');
+        title.className = 'session-history-item-title';
+        title.textContent = describeSessionTitle(session);
+
+        const meta = document.createElement('span');
+        meta.className = 'session-history-item-meta';
+        meta.textContent = session.room;
+
+        const counts = document.createElement('span');
+        counts.className = 'session-history-item-counts';
+        [
+            ['present', session.present],
+            ['late', session.late],
+            ['partial', session.partial],
+            ['excused', session.excused],
+            ['absent', session.absent]
+        ].forEach(([kind, value]) => {
+            // Older servers do not report excused or partial counts; hide the chip rather than show 0.
+            if (value === null || ((kind === 'excused' || kind === 'partial') && !value)) return;
+            const chip = document.createElement('span');
+            chip.className = `session-count session-count-${kind}`;
+            chip.textContent = `${i18nText(`session_count_${kind}`, kind.charAt(0).toUpperCase() + kind.slice(1))}: ${value}`;
+            counts.appendChild(chip);
+        });
+
+        button.append(title, meta, counts);
+        li.appendChild(button);
+        list.appendChild(li);
+    });
+}
+
+function showSessionList() {
+    if (!historyState) return;
+    historyState.detail = null;
+    historyOverlay.querySelector('#sessionHistoryDetail').hidden = true;
+    historyOverlay.querySelector('#sessionHistoryList').hidden = false;
+    if (historyState.sessions.length === 0 && !historyState.loading) {
+        setHistoryMessage(i18nText('session_history_empty', 'No saved sessions yet.'));
+    } else if (!historyState.loading) {
+        setHistoryMessage('');
+    }
+}
+
+async function loadSessionList(state) {
+    const seq = ++historyRequestSeq;
+    state.loading = true;
+    setHistoryMessage(i18nText('session_history_loading', 'Loading sessions…'));
+    try {
+        const data = await fetchAttendanceSessions(state.classId);
+        if (seq !== historyRequestSeq || historyState !== state) return;
+        const rawSessions = Array.isArray(data) ? data : (data?.sessions || data?.items || []);
+        state.sessions = rawSessions
+            .map(normalizeSessionSummary)
+            .filter(Boolean)
+            .sort((a, b) => String(b.date).localeCompare(String(a.date)) || (b.startedAt || 0) - (a.startedAt || 0));
+        state.loading = false;
+        renderSessionList();
+        showSessionList();
+    } catch (e) {
+        if (seq !== historyRequestSeq || historyState !== state) return;
+        state.loading = false;
+        if (isUnsupportedStatus(e?.status)) {
+            setHistoryMessage(i18nText('session_history_unavailable', 'Session history is not available on this server yet.'));
+            return;
+        }
+        logError('loadSessionList', e, { className: state.className, classId: state.classId });
+        setHistoryMessage(i18nText('session_history_failed', 'Could not load sessions. Please try again.'));
+    }
+}
+
+function buildStudentRow(student) {
+    const li = document.createElement('li');
+    li.className = 'session-history-student';
+    li.dataset.status = student.status;
+
+    const name = document.createElement('span');
+    name.className = 'session-history-student-name';
+    name.textContent = student.name ? `${student.name} ${student.facultyNumber}` : student.facultyNumber;
+
+    const status = document.createElement('span');
+    status.className = 'session-history-student-status';
+    const statusKey = STATUS_LABELS[student.status] ? student.status : 'absent';
+    const labels = [i18nText(`session_status_${statusKey}`, STATUS_LABELS[statusKey])];
+    if (student.classification && student.classification !== 'on_time' && isPresentStatus(student.status)) {
+        labels.push(i18nText(
+            `attendance_classification_${student.classification}`,
+            ATTENDANCE_CLASSIFICATION_LABELS[student.classification] || student.classification
+        ));
+    }
+    if (student.status === 'partial' && Number.isFinite(student.present_minutes)) {
+        labels.push(`${student.present_minutes} ${i18nText('minutes_short', 'min')}`);
+    }
+    if (student.source === 'manual') labels.push(i18nText('attendance_manual_tag', 'Manual'));
+    status.textContent = labels.join(' · ');
+
+    const times = document.createElement('span');
+    times.className = 'session-history-student-times';
+    const joined = formatTime(student.joined_at);
+    const left = formatTime(student.left_at);
+    times.textContent = joined || left ? `${joined || '—'} – ${left || '—'}` : '';
+
+    li.append(name, status, times);
+    const excuseNote = student.excuse_note || (student.status === 'excused' ? student.override_reason : null);
+    if (excuseNote) {
+        const note = document.createElement('span');
+        note.className = 'session-history-student-note';
+        note.textContent = excuseNote;
+        li.appendChild(note);
+    } else if (student.override_reason) {
+        li.title = student.override_reason;
+    }
+    if (!isPresentStatus(student.status) && student.status !== 'excused') {
+        const excuseBtn = document.createElement('button');
+        excuseBtn.type = 'button';
+        excuseBtn.className = 'session-history-excuse-btn';
+        excuseBtn.dataset.facultyNumber = student.facultyNumber;
+        excuseBtn.textContent = i18nText('session_history_excuse', 'Excuse');
+        li.appendChild(excuseBtn);
+    }
+    return li;
+}
+
+function buildExcuseForm(facultyNumber) {
+    const form = document.createElement('form');
+    form.className = 'session-history-excuse-form';
+    form.dataset.facultyNumber = facultyNumber;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = 'note';
+    input.required = true;
+    input.maxLength = EXCUSE_NOTE_MAX_LENGTH;
+    input.placeholder = i18nText('session_history_excuse_placeholder', 'Reason (e.g. medical note)');
+    input.setAttribute('aria-label', i18nText('session_history_excuse_note', 'Excuse note'));
+
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'role-button primary';
+    save.textContent = i18nText('save', 'Save');
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'role-button session-history-excuse-cancel';
+    cancel.textContent = i18nText('cancel', 'Cancel');
+
+    form.append(input, save, cancel);
+    return form;
+}
+
+function openExcuseForm(button) {
+    const row = button.closest('.session-history-student');
+    if (!row) return;
+    historyOverlay.querySelectorAll('.session-history-excuse-form').forEach((form) => {
+        form.previousElementSibling?.removeAttribute('hidden');
+        form.remove();
+    });
+    const form = buildExcuseForm(button.dataset.facultyNumber);
+    button.hidden = true;
+    button.after(form);
+    form.querySelector('input')?.focus();
+}
+
+function closeExcuseForm(form) {
+    form.previousElementSibling?.removeAttribute('hidden');
+    form.remove();
+}
+
+async function submitExcuseForm(form) {
+    const state = historyState;
+    const detail = state?.detail;
+    if (!detail) return;
+    const facultyNumber = form.dataset.facultyNumber;
+    const note = String(form.elements.note?.value || '').trim();
+    if (!note) {
+        form.elements.note?.focus();
+        return;
+    }
+    const student = detail.students.find((item) => item.facultyNumber === facultyNumber);
+    form.querySelectorAll('input, button').forEach((el) => { el.disabled = true; });
+    setDetailError('');
+    try {
+        await excuseAttendanceAbsence(detail.session.id, state.classId, {
+            studentId: student?.student_id ?? null,
+            facultyNumber,
+            note
+        });
+    } catch (e) {
+        if (historyState !== state) return;
+        form.querySelectorAll('input, button').forEach((el) => { el.disabled = false; });
+        if (isUnsupportedStatus(e?.status)) {
+            setDetailError(i18nText('session_history_excuse_unavailable', 'Excusing absences is not available on this server yet.'));
+            return;
+        }
+        logError('submitExcuseForm', e, { className: state.className, sessionId: detail.session.id, facultyNumber });
+        setDetailError(i18nText('session_history_excuse_failed', 'Could not excuse this absence. Please try again.'));
+        return;
+    }
+    if (historyState !== state || state.detail !== detail) return;
+
+    const existing = detail.records.find((record) => record.faculty_number === facultyNumber);
+    const wasPartial = existing?.status === 'partial';
+    if (existing) {
+        existing.status = 'excused';
+        existing.excuse_note = note;
+    } else {
+        detail.records.push({
+            ...normalizeSessionRecord({ faculty_number: facultyNumber, student_id: student?.student_id ?? null, status: 'excused', source: 'manual' }),
+            excuse_note: note
+        });
+    }
+    const summary = state.sessions.find((session) => session.id === detail.session.id);
+    if (summary) {
+        if (wasPartial) {
+            if (summary.partial !== null) summary.partial = Math.max(0, summary.partial - 1);
+        } else if (summary.absent !== null) {
+            summary.absent = Math.max(0, summary.absent - 1);
+        }
+        summary.excused = (summary.excused || 0) + 1;
+        renderSessionList();
+    }
+    renderSessionDetail(detail.session, detail.records);
+}
+
+function renderSessionDetail(session, records) {
+    const roster = loadClassStudentsFromStorage(historyState.className) || [];
+    const byFacultyNumber = new Map(records.map((record) => [record.faculty_number, record]));
+    const students = [];
+    roster.forEach((student) => {
+        const facultyNumber = String(resolveStudentFacultyNumber(student) || '').trim();
+        if (!facultyNumber) return;
+        const record = byFacultyNumber.get(facultyNumber);
+        byFacultyNumber.delete(facultyNumber);
+        students.push({
+            ...(record || { status: 'absent', joined_at: null, left_at: null, classification: null, source: 'scan' }),
+            student_id: record?.student_id ?? student?.id ?? student?.student_id ?? null,
+            facultyNumber,
+            name: String(student?.full_name || student?.fullName || student?.name || '').trim()
+        });
+    });
+    // Students removed from the class since keep their record.
+    byFacultyNumber.forEach((record, facultyNumber) => {
+        const info = getStudentInfoForFacultyNumber(facultyNumber, roster);
+        students.push({ ...record, facultyNumber, name: String(info?.full_name || '').trim() });
+    });
+    students.sort((a, b) => Number(isPresentStatus(b.status)) - Number(isPresentStatus(a.status))
+        || (a.name || a.facultyNumber).localeCompare(b.name || b.facultyNumber));
+
+    historyOverlay.querySelector('#sessionHistoryDetailTitle').textContent = describeSessionTitle(session);
+    historyOverlay.querySelector('#sessionHistoryDetailMeta').textContent = session.room
+        ? `${i18nText('session_room', 'Room')}: ${session.room}`
+        : '';
+    historyOverlay.querySelector('#sessionHistoryDetailNotes').textContent = session.notes;
+    historyOverlay.querySelector('#sessionHistoryDetailCounts').textContent =
+        describeCounts(countSessionRecords(records, roster.length)).join(' · ');
+
+    const list = historyOverlay.querySelector('#sessionHistoryStudents');
+    list.innerHTML = '';
+    students.forEach((student) => list.appendChild(buildStudentRow(student)));
+    if (historyState.detail) historyState.detail.students = students;
+}
+
+async function openSessionDetail(sessionId) {
+    if (!historyState) return;
+    const summary = historyState.sessions.find((session) => session.id === sessionId);
+    if (!summary) return;
+    const state = historyState;
+    const seq = ++historyRequestSeq;
+
+    historyOverlay.querySelector('#sessionHistoryList').hidden = true;
+    const detailEl = historyOverlay.querySelector('#sessionHistoryDetail');
+    detailEl.hidden = true;
+    setDetailError('');
+    setHistoryMessage(i18nText('session_history_loading_session', 'Loading session…'));
+
+    try {
+        const data = await fetchAttendanceSession(sessionId);
+        if (seq !== historyRequestSeq || historyState !== state) return;
+        const session = { ...summary, ...(normalizeSessionSummary({ id: sessionId, ...(data?.session || {}) }) || {}) };
+        const records = (Array.isArray(data?.records) ? data.records : [])
+            .map(normalizeSessionRecord)
+            .filter(Boolean);
+        state.detail = { session, records, students: [] };
+        setHistoryMessage('');
+        renderSessionDetail(session, records);
+        detailEl.hidden = false;
+    } catch (e) {
+        if (seq !== historyRequestSeq || historyState !== state) return;
+        logError('openSessionDetail', e, { className: state.className, sessionId });
+        historyOverlay.querySelector('#sessionHistoryList').hidden = false;
+        setHistoryMessage(isUnsupportedStatus(e?.status)
+            ? i18nText('session_history_detail_unavailable', 'Session details are not available on this server yet.')
+            : i18nText('session_history_detail_failed', 'Could not load this session. Please try again.'));
+    }
+}
+
+function onReopenSession() {
+    const detail = historyState?.detail;
+    if (!detail) return;
+    const { className } = historyState;
+    openConfirmOverlay(
+        i18nText(
+            'session_history_reopen_message',
+            'The session opens in the scanner. Finishing it replaces the saved attendance with your corrections.'
+        ),
+        () => {
+            const result = loadAttendanceSessionForCorrection(className, detail.session, detail.records);
+            if (!result.ok) {
+                setDetailError(result.reason === 'draft_exists'
+                    ? i18nText('session_history_reopen_draft', 'Finish or discard the scanner session running for this class first.')
+                    : i18nText('session_history_reopen_failed', 'This session cannot be reopened.'));
+                return;
+            }
+            closeSessionHistory();
+            openScannerOverlay(className);
+        },
+        null,
+        {
+            title: i18nText('session_history_reopen_title', 'Reopen session?'),
+            okText: i18nText('session_history_reopen', 'Reopen for corrections'),
+            cancelText: i18nText('cancel', 'Cancel')
+        }
+    );
+}
+
+/**
+ * Open the session history of a class
+ * @param {string} className - Class name
+ */
+export function openSessionHistory(className) {
+    const cls = String(className || '').trim();
+    if (!cls) return;
+    ensureSessionHistoryOverlay();
+    applyHistoryTexts();
+
+    const nameEl = historyOverlay.querySelector('#sessionHistoryClassName');
+    if (nameEl) nameEl.textContent = cls;
+    historyOverlay.querySelector('#sessionHistoryList').innerHTML = '';
+    historyOverlay.querySelector('#sessionHistoryList').hidden = false;
+    historyOverlay.querySelector('#sessionHistoryDetail').hidden = true;
+
+    historyState = { className: cls, classId: resolveHistoryClassId(cls), sessions: [], detail: null, loading: false };
+    showOverlay(historyOverlay, false);
+    if (!historyState.classId) {
+        setHistoryMessage(i18nText('session_history_no_class_id', 'This class is not synced yet. Please refresh the page.'));
+        return;
+    }
+    loadSessionList(historyState);
+}
+
+/**
+ * Close the session history
+ */
+export function closeSessionHistory() {
+    historyState = null;
+    historyRequestSeq += 1;
+    if (historyOverlay) hideOverlay(historyOverlay, false);
+}
@@ -9,7 +9,13 @@ import { removeStudentFromClass as apiRemoveStudentFromClass, addStudentsToClass
 import { fetchAllStudents } from '../api/studentApi.js';
 import { fetchClassStudents } from '../api/classApi.js';
 import { getStudentAttendanceCountForClass } from './attendance.js';
-import { fetchStudentAttendanceHistory, fetchClassAttendanceTimestamps, fetchClassAttendance } from '../api/attendanceApi.js';
+import {
+    fetchStudentAttendanceHistory,
+    fetchClassAttendanceTimestamps,
+    fetchClassAttendance,
+    fetchAttendanceRecordAudit
+} from '../api/attendanceApi.js';
+import { openAttendanceEntryEditor } from './attendanceEntryEditor.js';
 import {
     getCurrentClass,
     setCurrentClass,
@@ -20,7 +26,8 @@ import {
     getClassIdByName,
     setClassId,
     getAllStudents,
-    setAllStudents
+    setAllStudents,
+    getClassAttendanceRequirement
 } from '../state/appState.js';
 import { loadClassStudentsFromStorage, addNewStudentsToStorage, getStudentInfoForFacultyNumber, resolveStudentFacultyNumber } from '../storage/studentStorage.js';
 import { getClassIdByNameFromStorage, getStoredClassesMap } from '../storage/classStorage.js';
@@ -29,6 +36,11 @@ import { showOverlay, hideOverlay, getOverlay, openConfirmOverlay } from '../ui/
 import { updateClassStatusUI } from '../ui/classUI.js';
 import { renderAttendanceForClass } from '../ui/attendanceUI.js';
 import { getTeacherEmail, SERVER_BASE_URL, ENDPOINTS } from '../config/api.js';
+import {
+    computeAttendanceStanding,
+    resolveHeldSessionsCount,
+    ATTENDANCE_STANDING_LABELS
+} from '../utils/attendanceRequirement.js';
 
 // Module state
 let studentIndex = new Map(); // id -> full student object
@@ -294,10 +306,56 @@ function parseTimestamp(value) {
     return Number.isNaN(parsed) ? null : parsed;
 }
 
+function describeAttendanceRequirement(requirement) {
+    if (!requirement) return '';
+    return requirement.type === 'percent'
+        ? `${requirement.value}% ${i18nText('requirement_of_sessions', 'of sessions')}`
+        : `${requirement.value} ${i18nText('requirement_sessions', 'sessions')}`;
+}
+
+function describeAttendanceStanding(standing) {
+    const parts = [`${i18nText('standing_attended', 'Attended')} ${standing.attended} / ${standing.required}`];
+    if (standing.remaining !== null) {
+        parts.push(`${i18nText('standing_sessions_left', 'Sessions left')}: ${standing.remaining}`);
+    }
+    return parts.join(' · ');
+}
+
+function buildStandingBadge(standing) {
+    const badge = document.createElement('span');
+    badge.className = `student-standing-badge standing-${standing.status}`;
+    badge.textContent = i18nText(`standing_${standing.status}`, ATTENDANCE_STANDING_LABELS[standing.status]);
+    badge.title = describeAttendanceStanding(standing);
+    return badge;
+}
+
+/**
+ * Sessions held so far: the summary total, or the highest per-student count when the server omits it
+ * @param {Object} data - Attendance summary response
+ * @param {Iterable<number>} counts - Per-student attended (and excused) totals
+ * @returns {number} Sessions held
+ */
+function resolveHeldSessions(data, counts) {
+    const held = resolveHeldSessionsCount(data);
+    if (held !== null) return held;
+    let max = 0;
+    for (const count of counts) {
+        if (Number.isFinite(count) && count > max) max = count;
+    }
+    return max;
+}
+
+function parseSessionDate(value) {
+    // "YYYY-MM-DD" is a calendar day; Date.parse would read it as UTC midnight.
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim().slice(0, 10));
+    if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+    return parseTimestamp(value);
+}
+
 function logAttendanceHistoryDebug(stage, payload = {}) {
 }
 
-async function fetchAttendedClassesCount(className, studentId, updateEl) {
+async function fetchAttendedClassesCount(className, studentId, updateEl, standingEl = null) {
     const classId = await resolveClassId(className);
     if (!classId || !studentId) {
         logAttendanceHistoryDebug('fetchAttendedClassesCount:skip', {
@@ -328,6 +386,7 @@ async function fetchAttendedClassesCount(className, studentId, updateEl) {
         const data = await fetchClassAttendance(classId);
         const list = data?.attendances || data?.items || data?.summary || data?.attendance_summary || data?.records || [];
         let count = 0;
+        let excusedCount = 0;
         let matchedByStudentId = false;
         let matchedByFaculty = false;
         let matchedRow = null;
@@ -351,6 +410,8 @@ async function fetchAttendedClassesCount(className, studentId, updateEl) {
                 };
                 const rawCount = Number(row?.count ?? row?.attendance_count ?? row?.attended_classes_count ?? 0);
                 count = Number.isFinite(rawCount) ? rawCount : 0;
+                const rawExcused = Number(row?.excused_count ?? row?.excused ?? 0);
+                excusedCount = Number.isFinite(rawExcused) && rawExcused > 0 ? rawExcused : 0;
             }
         }
 
@@ -359,7 +420,7 @@ async function fetchAttendedClassesCount(className, studentId, updateEl) {
         if (count > 0) {
             try {
                 const sessions = await loadAttendanceLog(className, studentId);
-                if (!Array.isArray(sessions) || sessions.length === 0) {
+                if (!Array.isArray(sessions) || !sessions.some((sess) => !sess.excused)) {
                     logAttendanceHistoryDebug('fetchAttendedClassesCount:count-reset', {
                         className: String(className || '').trim(),
                         classId,
@@ -387,6 +448,25 @@ async function fetchAttendedClassesCount(className, studentId, updateEl) {
 
         if (updateEl && updateEl.isConnected) {
             updateEl.textContent = `${i18nText('attended_classes_label', 'Attended Classes')}: ${Number.isFinite(count) ? count : 0}`;
+            if (excusedCount > 0) {
+                updateEl.textContent += ` · ${i18nText('excused_absences_label', 'Excused')}: ${excusedCount}`;
+            }
+        }
+
+        const requirement = getClassAttendanceRequirement(classId);
+        if (standingEl && standingEl.isConnected && requirement) {
+            const rowTotals = Array.isArray(list)
+                ? list.map((item) => Number(item?.count ?? item?.attendance_count ?? item?.attended_classes_count ?? 0)
+                    + Number(item?.excused_count ?? 0))
+                : [];
+            const standing = computeAttendanceStanding({
+                attended: count,
+                held: resolveHeldSessions(data, rowTotals),
+                excused: excusedCount
+            }, requirement);
+            standingEl.textContent = `${i18nText('attendance_requirement_label', 'Attendance requirement')}: ${describeAttendanceRequirement(requirement)} · ${describeAttendanceStanding(standing)} `;
+            standingEl.appendChild(buildStandingBadge(standing));
+            standingEl.hidden = false;
         }
     } catch (error) {
         logAttendanceHistoryDebug('fetchAttendedClassesCount:error', {
@@ -431,7 +511,9 @@ function getAttendanceHistoryOverlay() { return getOverlay('attendanceHistoryOve
  * Load attendance log for a student
  * @param {string} className - Class name
  * @param {string} studentId - Student ID
- * @returns {Promise<Array<{joinAt:number|null, leaveAt:number|null}>>}
+ * @returns {Promise<Array<{joinAt:number|null, leaveAt:number|null, excused:boolean, sessionDate:number|null, note:string,
+ *   id:string|null, sessionId:string|null, sessionStartedAt:number|null, sessionEndedAt:number|null,
+ *   studentId:string, facultyNumber:string, editedBy:string, editedAt:number|null}>>}
  */
 async function loadAttendanceLog(className, studentId) {
     const classId = await resolveClassId(className);
@@ -467,8 +549,26 @@ async function loadAttendanceLog(className, studentId) {
         const leftAt = parseTimestamp(
             row.left_at ?? row.leftAt ?? row.leave_time ?? row.leaveTime ?? row.out_time ?? row.outTime
         );
-        return { joinAt: joinedAt, leaveAt: leftAt };
+        const excused = String(row.status || '').trim().toLowerCase() === 'excused';
+        const recordId = row.id ?? row.record_id ?? row.timestamp_id ?? row.attendance_id ?? null;
+        const sessionId = row.session_id ?? row.sessionId ?? null;
+        return {
+            joinAt: joinedAt,
+            leaveAt: leftAt,
+            excused,
+            sessionDate: parseSessionDate(row.session_date ?? row.date),
+            note: excused ? String(row.excuse_note || row.override_reason || '').trim() : '',
+            id: recordId !== null ? String(recordId) : null,
+            sessionId: sessionId !== null ? String(sessionId) : null,
+            sessionStartedAt: parseTimestamp(row.session_started_at ?? row.sessionStartedAt),
+            sessionEndedAt: parseTimestamp(row.session_ended_at ?? row.sessionEndedAt),
+            studentId: String(row.student_id ?? row.studentId ?? studentKey).trim(),
+            facultyNumber: String(row.faculty_number ?? row.facultyNumber ?? facultyKey).trim(),
+            editedBy: String(row.edited_by || row.editedBy || '').trim(),
+            editedAt: parseTimestamp(row.edited_at ?? row.editedAt)
+        };
     };
+    const isLogEntry = (r) => r.joinAt || r.leaveAt || (r.excused && r.sessionDate);
 
     try {
         const numericStudentId = /^\d+$/.test(String(studentId || '')) ? String(studentId) : '';
@@ -486,7 +586,7 @@ async function loadAttendanceLog(className, studentId) {
             facultyNumber: facultyKey
         });
         const raw = data?.records || data?.sessions || data?.history || data?.attendance || data?.items || [];
-        const normalizedSessions = Array.isArray(raw) ? raw.map(normalize).filter(r => r.joinAt || r.leaveAt) : [];
+        const normalizedSessions = Array.isArray(raw) ? raw.map(normalize).filter(isLogEntry) : [];
         logAttendanceHistoryDebug('loadAttendanceLog:response-history', {
             className: String(className || '').trim(),
             classId,
@@ -534,7 +634,7 @@ async function loadAttendanceLog(className, studentId) {
             return (studentKey && rowStudentId && rowStudentId === studentKey)
                 || (facultyKey && rowFaculty && rowFaculty === facultyKey);
         });
-        const normalizedSessions = filtered.map(normalize).filter(r => r.joinAt || r.leaveAt);
+        const normalizedSessions = filtered.map(normalize).filter(isLogEntry);
         logAttendanceHistoryDebug('loadAttendanceLog:response-fallback', {
             className: String(className || '').trim(),
             classId,
@@ -669,14 +769,20 @@ export async function renderManageStudentsForClass(className) {
             // Fetch attendance counts so each student card can show their total.
             // Build a map of numeric student_id -> count (falls back to 0 for missing entries).
             let attendanceCountMap = new Map();
+            let excusedCountMap = new Map();
+            let attendanceSummary = null;
+            let requirement = null;
             try {
                 const classId = await resolveClassId(className);
                 if (classId) {
+                    requirement = getClassAttendanceRequirement(classId);
                     const attData = await fetchClassAttendance(classId);
+                    attendanceSummary = attData;
                     const attList = attData?.items || attData?.attendance || [];
                     attList.forEach(r => {
                         const sid = String(r.student_id ?? '').trim();
                         if (sid) attendanceCountMap.set(sid, Number(r.attendance_count ?? r.count ?? 0));
+                        if (sid) excusedCountMap.set(sid, Number(r.excused_count ?? 0) || 0);
                     });
 
                     // Validate counts against actual records to remove inconsistencies.
@@ -707,6 +813,14 @@ export async function renderManageStudentsForClass(className) {
                 // Non-fatal: proceed without counts
             }
 
+            // Standing against the class attendance requirement (badges only for at risk / failed).
+            const heldSessions = requirement
+                ? resolveHeldSessions(
+                    attendanceSummary,
+                    Array.from(attendanceCountMap, ([sid, count]) => count + (excusedCountMap.get(sid) || 0))
+                )
+                : 0;
+
             const ul = document.createElement('ul');
             ul.style.listStyle = 'none';
             ul.style.padding = '0';
@@ -749,6 +863,16 @@ export async function renderManageStudentsForClass(className) {
                 countEl.textContent = i18nText('attendance_count_label', 'Attended') + ': ' + attCount;
                 wrap.appendChild(countEl);
 
+                const standing = computeAttendanceStanding({
+                    attended: attCount,
+                    held: heldSessions,
+                    excused: excusedCountMap.get(numericId) ?? 0
+                }, requirement);
+                if (standing && (standing.status === 'at_risk' || standing.status === 'failed')) {
+                    li.classList.add(`student-${standing.status.replace('_', '-')}`);
+                    wrap.appendChild(buildStandingBadge(standing));
+                }
+
                 li.appendChild(wrap);
                 li.addEventListener('click', () => openStudentInfoOverlay(studentId, className));
 
@@ -1035,7 +1159,13 @@ function buildStudentInfoContent(studentObj, studentId, className) {
     attendedP.style.fontSize = '1.15rem';
     attendedP.style.letterSpacing = '.5px';
     wrapper.appendChild(attendedP);
-    fetchAttendedClassesCount(className || current.name, studentId, attendedP);
+
+    const standingP = document.createElement('p');
+    standingP.className = 'student-standing';
+    standingP.hidden = true;
+    standingP.style.margin = '6px 0 0 0';
+    wrapper.appendChild(standingP);
+    fetchAttendedClassesCount(className || current.name, studentId, attendedP, standingP);
 
     // Attendance History button
     const historyBtn = document.createElement('button');
@@ -1180,6 +1310,43 @@ export async function removeStudentFromClass(facultyNumber, className) {
     }
 }
 
+function resolveHistoryLocale() {
+    const lang = (window.i18n && typeof window.i18n.getLanguage === 'function')
+        ? window.i18n.getLanguage()
+        : (document.documentElement.lang || 'en');
+    return lang === 'bg' ? 'bg-BG' : 'en-US';
+}
+
+/**
+ * Fill an attendance history item for an excused absence (no scans, only the session date and note)
+ * @param {HTMLLIElement} li - List item
+ * @param {{sessionDate:number|null, note:string}} sess - Excused entry
+ * @returns {HTMLLIElement} The list item
+ */
+function buildExcusedHistoryItem(li, sess) {
+    li.classList.add('attendance-history-item-excused');
+    const row = document.createElement('div');
+    row.className = 'att-row';
+    const label = document.createElement('span');
+    label.className = 'att-label att-label-excused';
+    label.textContent = i18nText('excused_label', 'Excused');
+    const value = document.createElement('span');
+    value.className = 'att-value';
+    value.textContent = new Date(sess.sessionDate).toLocaleDateString(resolveHistoryLocale(), {
+        year: 'numeric', month: 'short', day: 'numeric', weekday: 'short'
+    });
+    row.appendChild(label);
+    row.appendChild(value);
+    li.appendChild(row);
+    if (sess.note) {
+        const note = document.createElement('p');
+        note.className = 'att-note';
+        note.textContent = sess.note;
+        li.appendChild(note);
+    }
+    return li;
+}
+
 /**
  * Render attendance history list
  * @param {string} className - Class name
@@ -1191,6 +1358,9 @@ async function renderAttendanceHistoryList(className, studentId) {
 
     container.innerHTML = '<p class="muted" style="text-align:center;">Loading...</p>';
     const sessions = await loadAttendanceLog(className, studentId);
+    const classId = await resolveClassId(className);
+    const info = studentIndex.get(String(studentId)) || {};
+    const studentLabel = [getStudentFullName(info), info.faculty_number || studentId].filter(Boolean).join(' ');
     logAttendanceHistoryDebug('renderAttendanceHistoryList:result', {
         className: String(className || '').trim(),
         studentId: String(studentId || '').trim(),
@@ -1212,14 +1382,15 @@ async function renderAttendanceHistoryList(className, studentId) {
     sessions.slice().reverse().forEach((sess) => {
         const li = document.createElement('li');
         li.className = 'attendance-history-item';
+        if (sess.excused && !sess.joinAt && !sess.leaveAt) {
+            ul.appendChild(buildExcusedHistoryItem(li, sess));
+            return;
+        }
         const joined = new Date(sess.joinAt || sess.leaveAt || Date.now());
         const left = new Date(sess.leaveAt || sess.joinAt || Date.now());
         const timeOpts = { hour: 'numeric', minute: '2-digit' };
         const dateOpts = { year: 'numeric', month: 'short', day: 'numeric', weekday: 'short' };
-        const lang = (window.i18n && typeof window.i18n.getLanguage === 'function')
-            ? window.i18n.getLanguage()
-            : (document.documentElement.lang || 'en');
-        const locale = lang === 'bg' ? 'bg-BG' : 'en-US';
+        const locale = resolveHistoryLocale();
         const joinTime = joined.toLocaleTimeString(locale, timeOpts);
         const leaveTime = left.toLocaleTimeString(locale, timeOpts);
         const joinDate = joined.toLocaleDateString(locale, dateOpts);
@@ -1249,9 +1420,112 @@ async function renderAttendanceHistoryList(className, studentId) {
 
         li.appendChild(row1);
         li.appendChild(row2);
+        if (sess.editedBy || sess.editedAt) {
+            const edited = document.createElement('p');
+            edited.className = 'att-edited';
+            const when = sess.editedAt ? new Date(sess.editedAt).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' }) : '';
+            edited.textContent = [i18nText('attendance_entry_edited', 'Edited'), sess.editedBy, when].filter(Boolean).join(' · ');
+            li.appendChild(edited);
+        }
+        if (classId) {
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'role-button att-edit-btn';
+            editBtn.textContent = i18nText('edit', 'Edit');
+            editBtn.addEventListener('click', () => {
+                openAttendanceEntryEditor({
+                    className,
+                    classId,
+                    studentLabel,
+                    entry: sess,
+                    onChanged: () => renderAttendanceHistoryList(className, studentId)
+                });
+            });
+            li.appendChild(editBtn);
+        }
         ul.appendChild(li);
     });
     container.appendChild(ul);
+    if (classId) renderAttendanceChangeLog(container, classId, sessions[0]);
+}
+
+/**
+ * Describe one side (before or after) of an audited change
+ * @param {Object|null} times - {joined_at, left_at}
+ * @param {string} locale - Display locale
+ * @returns {string} "HH:MM – HH:MM" or a dash when the entry did not exist
+ */
+function describeAuditTimes(times, locale) {
+    const joined = parseTimestamp(times?.joined_at ?? times?.joinedAt);
+    const left = parseTimestamp(times?.left_at ?? times?.leftAt);
+    if (!joined && !left) return '—';
+    const format = (ms) => (ms ? new Date(ms).toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' }) : '?');
+    return `${format(joined)} – ${format(left)}`;
+}
+
+/**
+ * Append the change log (audit trail) of the student's entries below the history list
+ * @param {HTMLElement} container - History list container
+ * @param {number} classId - Class ID
+ * @param {{studentId:string, facultyNumber:string}} identity - Student identifiers (from any loaded entry)
+ */
+async function renderAttendanceChangeLog(container, classId, identity) {
+    let changes = [];
+    try {
+        const data = await fetchAttendanceRecordAudit(classId, {
+            studentId: /^\d+$/.test(identity?.studentId || '') ? identity.studentId : null,
+            facultyNumber: identity?.facultyNumber
+        });
+        changes = Array.isArray(data) ? data : (data?.changes || data?.items || []);
+    } catch (e) {
+        // Servers without an audit trail simply show no change log.
+        if (![404, 405, 501].includes(Number(e?.status))) {
+            console.warn('[renderAttendanceChangeLog] Failed to load change log', e);
+        }
+        return;
+    }
+    if (!Array.isArray(changes) || changes.length === 0 || !container.isConnected) return;
+
+    const locale = resolveHistoryLocale();
+    const section = document.createElement('section');
+    section.className = 'attendance-change-log';
+    const heading = document.createElement('h3');
+    heading.textContent = i18nText('attendance_change_log', 'Change log');
+    section.appendChild(heading);
+
+    const list = document.createElement('ul');
+    changes.forEach((change) => {
+        const item = document.createElement('li');
+        const action = String(change?.action || '').toLowerCase() === 'delete'
+            ? i18nText('attendance_change_deleted', 'Deleted')
+            : i18nText('attendance_change_updated', 'Changed');
+        const changedAt = parseTimestamp(change?.changed_at ?? change?.changedAt);
+        const meta = document.createElement('p');
+        meta.className = 'attendance-change-meta';
+        meta.textContent = [
+            changedAt ? new Date(changedAt).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' }) : '',
+            String(change?.changed_by || change?.changedBy || '').trim()
+        ].filter(Boolean).join(' · ');
+
+        const what = document.createElement('p');
+        what.className = 'attendance-change-what';
+        const before = describeAuditTimes(change?.before, locale);
+        what.textContent = String(change?.action || '').toLowerCase() === 'delete'
+            ? `${action}: ${before}`
+            : `${action}: ${before} → ${describeAuditTimes(change?.after, locale)}`;
+
+        item.append(meta, what);
+        const reasonText = String(change?.reason || '').trim();
+        if (reasonText) {
+            const reason = document.createElement('p');
+            reason.className = 'att-note';
+            reason.textContent = reasonText;
+            item.appendChild(reason);
+        }
+        list.appendChild(item);
+    });
+    section.appendChild(list);
+    container.appendChild(section);
 }
 
 /**
@@ -1902,11 +2176,12 @@ async function renderAddStudentsList(className, options = {}) {
 /**
  * Finalize adding students to class
  * @param {string} className - Class name
+ * @returns {Promise<boolean>} True if at least one student was added
  */
 export async function finalizeAddStudentsToClass(className) {
     if (!className || addStudentsSelections.size === 0) {
         closeAddStudentsToClass();
-        return;
+        return false;
     }
 
     const assignSet = ensureClassStudentAssignments(className);
@@ -1962,13 +2237,13 @@ export async function finalizeAddStudentsToClass(className) {
     });
     if (newlyAddedStudents.length === 0) {
         closeAddStudentsToClass();
-        return;
+        return false;
     }
 
     const classId = await resolveClassId(className);
     if (!classId) {
         alert('Failed to add students to class: Missing class id');
-        return;
+        return false;
     }
 
     try {
@@ -2014,7 +2289,7 @@ export async function finalizeAddStudentsToClass(className) {
             // Continue even if verification fails - server may still be processing
         }
     } catch (error) {
-        if (error?.redirectingAuth) return;
+        if (error?.redirectingAuth) return false;
         console.error('[finalizeAddStudentsToClass] Failed to add students to class', {
             className,
             classId,
@@ -2022,7 +2297,7 @@ export async function finalizeAddStudentsToClass(className) {
             status: error.status
         });
         alert(`Failed to add students to class: ${error.message}`);
-        return;
+        return false;
     }
 
     if (newlyAddedStudents.length > 0) {
@@ -2054,6 +2329,38 @@ export async function finalizeAddStudentsToClass(className) {
     }
 
     closeAddStudentsToClass();
+    return true;
+}
+
+/**
+ * Add a student who was scanned but is not on the roster (scanner prompt).
+ * Goes through the same path as the add-students overlay.
+ * @param {string} className - Class name
+ * @param {string} studentKey - Faculty number (or student ID) from the scanned QR
+ * @returns {Promise<boolean>} True if the student is now on the roster
+ */
+export async function addScannedStudentToClass(className, studentKey) {
+    const key = normalizeStudentKey(studentKey);
+    if (!className || !key) return false;
+
+    // Students who registered after the directory was cached would not be found otherwise.
+    const cached = await fetchAllStudents();
+    if (!findStudentByKey(key, cached)) {
+        await fetchAllStudents({ forceRefresh: true });
+    }
+
+    addStudentsReturnToManage = false;
+    addStudentsSelections.clear();
+    addStudentsSelections.add(key);
+    const added = await finalizeAddStudentsToClass(className);
+    addStudentsSelections.clear();
+
+    // Closing the (hidden) add overlay releases the body scroll lock the scanner relies on.
+    const scannerOverlay = getOverlay('scannerOverlay');
+    if (scannerOverlay && isOverlayVisible(scannerOverlay)) {
+        document.body.style.overflow = 'hidden';
+    }
+    return added;
 }
 
 /**
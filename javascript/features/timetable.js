@@ -0,0 +1,226 @@
+/**
+ * Timetable Feature Module
+ *
+ * Weekly timetable of the teacher's classes built from their recurring
+ * meetings, and the "start now" lookup of the class scheduled at the current
+ * time. Starting a class is requested with a startScheduledClassRequested
+ * event; teacherHomepage opens the scanner for it.
+ */
+
+import { getClassMeetings } from '../state/appState.js';
+import { getStoredClassesMap } from '../storage/classStorage.js';
+import {
+    buildWeekTimetable,
+    startOfWeek,
+    formatWeekday,
+    formatDateKey,
+    findCurrentMeeting
+} from '../utils/classMeetings.js';
+import { showOverlay, hideOverlay } from '../ui/overlays.js';
+
+let timetableOverlay = null;
+let shownWeekStart = null;
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+function resolveLocale() {
+    const lang = (window.i18n && typeof window.i18n.getLanguage === 'function')
+        ? window.i18n.getLanguage()
+        : (document.documentElement.lang || 'en');
+    return lang === 'bg' ? 'bg-BG' : 'en-US';
+}
+
+/**
+ * Collect the teacher's classes with their recurring meetings
+ * @returns {Array<{classId: string, className: string, meetings: Array<Object>|null}>} Classes
+ */
+function collectClassMeetings() {
+    const classesMap = getStoredClassesMap();
+    if (!classesMap) return [];
+    return Array.from(classesMap.entries()).map(([classId, className]) => ({
+        classId,
+        className,
+        meetings: getClassMeetings(classId)
+    }));
+}
+
+/**
+ * Find the class scheduled at the current time (or starting shortly)
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {{classId, className, meeting, startsAt: number, endsAt: number}|null} Meeting or null
+ */
+export function findClassToStartNow(now = Date.now()) {
+    return findCurrentMeeting(collectClassMeetings(), now);
+}
+
+/**
+ * Ask the homepage to open the scanner for a scheduled class
+ * @param {string} className - Class name
+ * @param {string|number} classId - Class ID
+ */
+export function requestStartScheduledClass(className, classId) {
+    document.dispatchEvent(new CustomEvent('startScheduledClassRequested', {
+        detail: { className, classId }
+    }));
+}
+
+/**
+ * Ensure timetable overlay exists
+ * @returns {HTMLElement} Overlay element
+ */
+function ensureTimetableOverlay() {
+    if (timetableOverlay) return timetableOverlay;
+    timetableOverlay = document.createElement('div');
+    timetableOverlay.id = 'timetableOverlay';
+    timetableOverlay.className = 'overlay';
+    timetableOverlay.style.visibility = 'hidden';
+    timetableOverlay.innerHTML = `
+        <div class="ready-class-popup timetable-popup" role="dialog" aria-modal="true" aria-labelledby="timetableTitle">
+            <div class="overlay-top-bar">
+                <h2 id="timetableTitle">Timetable</h2>
+                <button type="button" id="closeTimetableBtn" class="close-small" aria-label="Close">×</button>
+            </div>
+            <div class="timetable-nav">
+                <button type="button" id="timetablePrevBtn" class="role-button" aria-label="Previous week">‹</button>
+                <span id="timetableRange" class="timetable-range"></span>
+                <button type="button" id="timetableNextBtn" class="role-button" aria-label="Next week">›</button>
+                <button type="button" id="timetableTodayBtn" class="role-button">This week</button>
+            </div>
+            <p id="timetableEmpty" class="timetable-empty" hidden></p>
+            <div id="timetableGrid" class="timetable-grid"></div>
+        </div>`;
+    document.body.appendChild(timetableOverlay);
+
+    timetableOverlay.querySelector('#closeTimetableBtn')?.addEventListener('click', closeTimetable);
+    timetableOverlay.querySelector('#timetablePrevBtn')?.addEventListener('click', () => shiftWeek(-1));
+    timetableOverlay.querySelector('#timetableNextBtn')?.addEventListener('click', () => shiftWeek(1));
+    timetableOverlay.querySelector('#timetableTodayBtn')?.addEventListener('click', () => {
+        shownWeekStart = startOfWeek(Date.now());
+        renderTimetable();
+    });
+    timetableOverlay.querySelector('#timetableGrid')?.addEventListener('click', (e) => {
+        const startBtn = e.target.closest?.('.timetable-start-btn');
+        if (!startBtn) return;
+        const className = startBtn.dataset.className;
+        const classId = startBtn.dataset.classId;
+        closeTimetable();
+        requestStartScheduledClass(className, classId);
+    });
+    timetableOverlay.addEventListener('click', (e) => {
+        if (e.target === timetableOverlay) closeTimetable();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && timetableOverlay.style.visibility === 'visible') {
+            e.stopPropagation();
+            closeTimetable();
+        }
+    }, true);
+    document.addEventListener('classMeetingsChanged', () => {
+        if (timetableOverlay.style.visibility === 'visible') renderTimetable();
+    });
+    return timetableOverlay;
+}
+
+function shiftWeek(weeks) {
+    const next = new Date(shownWeekStart);
+    next.setDate(next.getDate() + weeks * 7);
+    shownWeekStart = startOfWeek(next);
+    renderTimetable();
+}
+
+function buildMeetingCard({ classId, className, meeting }, isToday) {
+    const card = document.createElement('li');
+    card.className = 'timetable-item';
+    const time = document.createElement('span');
+    time.className = 'timetable-item-time';
+    time.textContent = `${meeting.start}–${meeting.end}`;
+    const name = document.createElement('strong');
+    name.className = 'timetable-item-name';
+    name.textContent = className;
+    card.append(time, name);
+    if (meeting.room) {
+        const room = document.createElement('span');
+        room.className = 'timetable-item-room';
+        room.textContent = meeting.room;
+        card.appendChild(room);
+    }
+    if (isToday) {
+        const startBtn = document.createElement('button');
+        startBtn.type = 'button';
+        startBtn.className = 'role-button primary timetable-start-btn';
+        startBtn.dataset.className = className;
+        startBtn.dataset.classId = String(classId);
+        startBtn.textContent = i18nText('timetable_start_btn', 'Start');
+        card.appendChild(startBtn);
+    }
+    return card;
+}
+
+function renderTimetable() {
+    const locale = resolveLocale();
+    const classes = collectClassMeetings();
+    const days = buildWeekTimetable(classes, shownWeekStart);
+    const todayKey = formatDateKey(Date.now());
+    const dateFormat = new Intl.DateTimeFormat(locale, { day: 'numeric', month: 'short' });
+
+    const range = timetableOverlay.querySelector('#timetableRange');
+    if (range) range.textContent = `${dateFormat.format(days[0].date)} – ${dateFormat.format(days[6].date)}`;
+
+    const grid = timetableOverlay.querySelector('#timetableGrid');
+    grid.innerHTML = '';
+    days.forEach((day) => {
+        const column = document.createElement('section');
+        column.className = 'timetable-day';
+        if (day.dateKey === todayKey) column.classList.add('is-today');
+        const heading = document.createElement('h3');
+        heading.className = 'timetable-day-title';
+        heading.textContent = `${formatWeekday(day.weekday, locale, 'short')} ${dateFormat.format(day.date)}`;
+        const list = document.createElement('ul');
+        list.className = 'timetable-day-items';
+        day.items.forEach((item) => list.appendChild(buildMeetingCard(item, day.dateKey === todayKey)));
+        column.append(heading, list);
+        grid.appendChild(column);
+    });
+
+    const empty = timetableOverlay.querySelector('#timetableEmpty');
+    const hasMeetings = classes.some(({ meetings }) => Array.isArray(meetings) && meetings.length > 0);
+    if (empty) {
+        empty.hidden = hasMeetings;
+        empty.textContent = i18nText(
+            'timetable_empty',
+            'No class has a weekly timetable yet. Set one in a class\'s options to see it here.'
+        );
+    }
+}
+
+/**
+ * Open the weekly timetable on the current week
+ */
+export function openTimetable() {
+    ensureTimetableOverlay();
+    timetableOverlay.querySelector('#timetableTitle').textContent = i18nText('timetable_title', 'Timetable');
+    timetableOverlay.querySelector('#timetableTodayBtn').textContent = i18nText('timetable_this_week', 'This week');
+    timetableOverlay.querySelector('#timetablePrevBtn')
+        ?.setAttribute('aria-label', i18nText('timetable_prev_week', 'Previous week'));
+    timetableOverlay.querySelector('#timetableNextBtn')
+        ?.setAttribute('aria-label', i18nText('timetable_next_week', 'Next week'));
+    shownWeekStart = startOfWeek(Date.now());
+    renderTimetable();
+    showOverlay(timetableOverlay, false);
+}
+
+/**
+ * Close the weekly timetable
+ */
+export function closeTimetable() {
+    if (!timetableOverlay) return;
+    hideOverlay(timetableOverlay, false);
+}
@@ -12,6 +12,18 @@ const classIdByName = new Map();
 // Attendance count cache: classId -> Map<studentId, count>
 const attendanceCountCache = new Map();
 
+// Class schedules: classId -> { start, end, lateGraceMinutes, earlyLeaveGraceMinutes }
+const classSchedules = new Map();
+
+// Class attendance requirements: classId -> { type: 'percent'|'sessions', value, plannedSessions }
+const classAttendanceRequirements = new Map();
+
+// Class presence policies: classId -> { type: 'minutes'|'percent', value }
+const classPresencePolicies = new Map();
+
+// Recurring class meetings: classId -> [{ weekday, start, end, room, startDate, endDate }]
+const classMeetings = new Map();
+
 // Classes with students assigned (ready for scanning)
 const readyClasses = new Set();
 
@@ -31,15 +43,21 @@ const wizardStudentIndex = new Map(); // id -> { fullName, facultyNumber }
 // Student timestamp tracking: faculty_number -> { joined_at, left_at }
 let studentTimestamps = new Map();
 
-// Attendance state per class: Map<className, Map<studentId, 'none'|'joined'|'completed'>>
+// Attendance state per class: Map<className, Map<studentId, 'none'|'joined'|'completed'|'absent'|'excused'>>
 const attendanceState = new Map();
 
+// Manual overrides per class: Map<className, Map<studentId, { status, reason, at }>>
+const attendanceOverrides = new Map();
+
+// Details of the session running in the scanner: Map<className, { id, date, topic, room, notes, reopened }>
+const attendanceSessionDetails = new Map();
+
 // UI dot index for attendance overlay: Map<studentId, HTMLElement>
 let attendanceDotIndex = new Map();
 
 // Scanner state
 let currentScanMode = 'joining';
-let html5QrCode = null;
+let scannerEngine = null;
 let lastScanAt = 0;
 
 // All students cache (shared across modules)
@@ -94,6 +112,108 @@ export function setAttendanceCountCache(classId, counts) {
     attendanceCountCache.set(classId, counts);
 }
 
+// ========== Class Schedules ==========
+
+/**
+ * Get schedule (scheduled start/end and grace windows) for a class
+ * @param {number|string} classId - Class ID
+ * @returns {Object|null} Normalized schedule or null if none is set
+ */
+export function getClassSchedule(classId) {
+    if (classId === null || classId === undefined) return null;
+    return classSchedules.get(String(classId)) || null;
+}
+
+/**
+ * Set schedule for a class
+ * @param {number|string} classId - Class ID
+ * @param {Object|null} schedule - Normalized schedule (null removes it)
+ */
+export function setClassSchedule(classId, schedule) {
+    if (classId === null || classId === undefined) return;
+    if (schedule) {
+        classSchedules.set(String(classId), schedule);
+    } else {
+        classSchedules.delete(String(classId));
+    }
+}
+
+// ========== Class Attendance Requirements ==========
+
+/**
+ * Get minimum attendance requirement for a class
+ * @param {number|string} classId - Class ID
+ * @returns {Object|null} Normalized requirement or null if none is set
+ */
+export function getClassAttendanceRequirement(classId) {
+    if (classId === null || classId === undefined) return null;
+    return classAttendanceRequirements.get(String(classId)) || null;
+}
+
+/**
+ * Set minimum attendance requirement for a class
+ * @param {number|string} classId - Class ID
+ * @param {Object|null} requirement - Normalized requirement (null removes it)
+ */
+export function setClassAttendanceRequirement(classId, requirement) {
+    if (classId === null || classId === undefined) return;
+    if (requirement) {
+        classAttendanceRequirements.set(String(classId), requirement);
+    } else {
+        classAttendanceRequirements.delete(String(classId));
+    }
+}
+
+/**
+ * Get minimum presence policy (time between join and leave) for a class
+ * @param {number|string} classId - Class ID
+ * @returns {Object|null} Normalized policy or null if none is set
+ */
+export function getClassPresencePolicy(classId) {
+    if (classId === null || classId === undefined) return null;
+    return classPresencePolicies.get(String(classId)) || null;
+}
+
+/**
+ * Set minimum presence policy for a class
+ * @param {number|string} classId - Class ID
+ * @param {Object|null} policy - Normalized policy (null removes it)
+ */
+export function setClassPresencePolicy(classId, policy) {
+    if (classId === null || classId === undefined) return;
+    if (policy) {
+        classPresencePolicies.set(String(classId), policy);
+    } else {
+        classPresencePolicies.delete(String(classId));
+    }
+}
+
+// ========== Class Meetings ==========
+
+/**
+ * Get recurring weekly meetings for a class
+ * @param {number|string} classId - Class ID
+ * @returns {Array<Object>|null} Normalized meetings or null if none are set
+ */
+export function getClassMeetings(classId) {
+    if (classId === null || classId === undefined) return null;
+    return classMeetings.get(String(classId)) || null;
+}
+
+/**
+ * Set recurring weekly meetings for a class
+ * @param {number|string} classId - Class ID
+ * @param {Array<Object>|null} meetings - Normalized meetings (null removes them)
+ */
+export function setClassMeetings(classId, meetings) {
+    if (classId === null || classId === undefined) return;
+    if (meetings) {
+        classMeetings.set(String(classId), meetings);
+    } else {
+        classMeetings.delete(String(classId));
+    }
+}
+
 // ========== Ready Classes Management ==========
 
 /**
@@ -333,11 +453,52 @@ export function ensureAttendanceState(className) {
 }
 
 /**
- * Clear attendance state for a class
+ * Clear attendance state (including manual overrides and session details) for a class
  * @param {string} className - Class name
  */
 export function clearAttendanceState(className) {
     attendanceState.delete(className);
+    attendanceOverrides.delete(className);
+    attendanceSessionDetails.delete(className);
+}
+
+/**
+ * Get manual attendance overrides for a class
+ * @param {string} className - Class name
+ * @returns {Map<studentId, {status: string, reason: string, at: number}>|undefined} Overrides map
+ */
+export function getAttendanceOverrides(className) {
+    return attendanceOverrides.get(className);
+}
+
+/**
+ * Ensure manual attendance overrides map exists for a class
+ * @param {string} className - Class name
+ * @returns {Map<studentId, {status: string, reason: string, at: number}>} Overrides map
+ */
+export function ensureAttendanceOverrides(className) {
+    if (!attendanceOverrides.has(className)) {
+        attendanceOverrides.set(className, new Map());
+    }
+    return attendanceOverrides.get(className);
+}
+
+/**
+ * Get details of the attendance session running in the scanner
+ * @param {string} className - Class name
+ * @returns {{id: string, date: string, topic: string, room: string, notes: string, reopened: boolean}|undefined} Session details
+ */
+export function getAttendanceSessionDetails(className) {
+    return attendanceSessionDetails.get(className);
+}
+
+/**
+ * Set details of the attendance session running in the scanner
+ * @param {string} className - Class name
+ * @param {{id: string, date: string, topic: string, room: string, notes: string, reopened: boolean}} details - Session details
+ */
+export function setAttendanceSessionDetails(className, details) {
+    attendanceSessionDetails.set(className, details);
 }
 
 // ========== Attendance Dot Index ==========
@@ -369,7 +530,7 @@ export function clearAttendanceDotIndex() {
 
 /**
  * Get current scan mode
- * @returns {'joining'|'leaving'} Scan mode
+ * @returns {'joining'|'leaving'|'auto'} Scan mode; auto picks joining or leaving per student
  */
 export function getCurrentScanMode() {
     return currentScanMode;
@@ -377,26 +538,26 @@ export function getCurrentScanMode() {
 
 /**
  * Set current scan mode
- * @param {'joining'|'leaving'} mode - Scan mode
+ * @param {'joining'|'leaving'|'auto'} mode - Scan mode
  */
 export function setCurrentScanMode(mode) {
-    currentScanMode = (mode === 'leaving') ? 'leaving' : 'joining';
+    currentScanMode = (mode === 'leaving' || mode === 'auto') ? mode : 'joining';
 }
 
 /**
- * Get Html5Qrcode instance
- * @returns {Html5Qrcode|null} QR code scanner instance
+ * Get active scanner engine
+ * @returns {Object|null} Scanner engine (see features/scannerEngine.js)
  */
-export function getHtml5QrCode() {
-    return html5QrCode;
+export function getScannerEngine() {
+    return scannerEngine;
 }
 
 /**
- * Set Html5Qrcode instance
- * @param {Html5Qrcode|null} instance - QR code scanner instance
+ * Set active scanner engine
+ * @param {Object|null} engine - Scanner engine
  */
-export function setHtml5QrCode(instance) {
-    html5QrCode = instance;
+export function setScannerEngine(engine) {
+    scannerEngine = engine;
 }
 
 /**
@@ -0,0 +1,88 @@
+/**
+ * Attendance Outbox Storage Module
+ *
+ * Handles IndexedDB operations for finished attendance sessions that could not
+ * be saved to the server yet. Entries survive reloads and are replayed later.
+ */
+
+import { normalizeEmail } from '../config/api.js';
+
+const DB_NAME = 'studentcheck';
+const DB_VERSION = 1;
+const OUTBOX_STORE = 'attendanceOutbox';
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openOutboxDb() {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                const store = db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+                store.createIndex('teacherEmail', 'teacherEmail', { unique: false });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    }).catch((e) => {
+        dbPromise = null;
+        throw e;
+    });
+    return dbPromise;
+}
+
+async function withStore(mode, callback) {
+    const db = await openOutboxDb();
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const result = await requestToPromise(callback(tx.objectStore(OUTBOX_STORE)));
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+    return result;
+}
+
+/**
+ * Insert or replace an outbox entry
+ * @param {Object} entry - Outbox entry (must have an id)
+ * @returns {Promise<void>}
+ */
+export async function putOutboxEntry(entry) {
+    if (!entry || !entry.id) throw new Error('Outbox entry requires an id');
+    await withStore('readwrite', (store) => store.put(entry));
+}
+
+/**
+ * Delete an outbox entry
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+export async function deleteOutboxEntry(id) {
+    await withStore('readwrite', (store) => store.delete(id));
+}
+
+/**
+ * List outbox entries for a teacher, oldest first
+ * @param {string} teacherEmail - Teacher email
+ * @returns {Promise<Array<Object>>} Outbox entries
+ */
+export async function listOutboxEntries(teacherEmail) {
+    const email = normalizeEmail(teacherEmail || '');
+    if (!email) return [];
+    const entries = await withStore('readonly', (store) => store.index('teacherEmail').getAll(email));
+    return (Array.isArray(entries) ? entries : []).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
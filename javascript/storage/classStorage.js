@@ -97,4 +97,192 @@ export function removeClassFromStoredMap(className) {
             saveClassesMap(storedClassesMap);
         }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Generate localStorage key for a class schedule
+ * @param {number|string} classId - Class ID
+ * @returns {string|null} Storage key or null if email unavailable
+ */
+function classScheduleKey(classId) {
+    const email = getTeacherEmail();
+    if (!email || classId === null || classId === undefined) return null;
+    return `teacher:class:schedule:${normalizeEmail(email)}:${classId}`;
+}
+
+/**
+ * Save class schedule to localStorage
+ * @param {number|string} classId - Class ID
+ * @param {Object|null} schedule - Normalized schedule (null removes it)
+ */
+export function saveClassScheduleToStorage(classId, schedule) {
+    const key = classScheduleKey(classId);
+    if (!key) return;
+    try {
+        if (schedule) {
+            localStorage.setItem(key, JSON.stringify(schedule));
+        } else {
+            localStorage.removeItem(key);
+        }
+    } catch (e) {
+        console.error('Error saving class schedule to storage:', e);
+    }
+}
+
+/**
+ * Load class schedule from localStorage
+ * @param {number|string} classId - Class ID
+ * @returns {Object|null} Stored schedule or null
+ */
+export function loadClassScheduleFromStorage(classId) {
+    const key = classScheduleKey(classId);
+    if (!key) return null;
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.error('Error loading class schedule from storage:', e);
+        return null;
+    }
+}
+
+/**
+ * Generate localStorage key for a class attendance requirement
+ * @param {number|string} classId - Class ID
+ * @returns {string|null} Storage key or null if email unavailable
+ */
+function classAttendanceRequirementKey(classId) {
+    const email = getTeacherEmail();
+    if (!email || classId === null || classId === undefined) return null;
+    return `teacher:class:attendanceRequirement:${normalizeEmail(email)}:${classId}`;
+}
+
+/**
+ * Save class attendance requirement to localStorage
+ * @param {number|string} classId - Class ID
+ * @param {Object|null} requirement - Normalized requirement (null removes it)
+ */
+export function saveClassAttendanceRequirementToStorage(classId, requirement) {
+    const key = classAttendanceRequirementKey(classId);
+    if (!key) return;
+    try {
+        if (requirement) {
+            localStorage.setItem(key, JSON.stringify(requirement));
+        } else {
+            localStorage.removeItem(key);
+        }
+    } catch (e) {
+        console.error('Error saving class attendance requirement to storage:', e);
+    }
+}
+
+/**
+ * Load class attendance requirement from localStorage
+ * @param {number|string} classId - Class ID
+ * @returns {Object|null} Stored requirement or null
+ */
+export function loadClassAttendanceRequirementFromStorage(classId) {
+    const key = classAttendanceRequirementKey(classId);
+    if (!key) return null;
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.error('Error loading class attendance requirement from storage:', e);
+        return null;
+    }
+}
+
+/**
+ * Generate localStorage key for a class presence policy
+ * @param {number|string} classId - Class ID
+ * @returns {string|null} Storage key or null if email unavailable
+ */
+function classPresencePolicyKey(classId) {
+    const email = getTeacherEmail();
+    if (!email || classId === null || classId === undefined) return null;
+    return `teacher:class:presencePolicy:${normalizeEmail(email)}:${classId}`;
+}
+
+/**
+ * Save class presence policy to localStorage
+ * @param {number|string} classId - Class ID
+ * @param {Object|null} policy - Normalized policy (null removes it)
+ */
+export function saveClassPresencePolicyToStorage(classId, policy) {
+    const key = classPresencePolicyKey(classId);
+    if (!key) return;
+    try {
+        if (policy) {
+            localStorage.setItem(key, JSON.stringify(policy));
+        } else {
+            localStorage.removeItem(key);
+        }
+    } catch (e) {
+        console.error('Error saving class presence policy to storage:', e);
+    }
+}
+
+/**
+ * Load class presence policy from localStorage
+ * @param {number|string} classId - Class ID
+ * @returns {Object|null} Stored policy or null
+ */
+export function loadClassPresencePolicyFromStorage(classId) {
+    const key = classPresencePolicyKey(classId);
+    if (!key) return null;
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.error('Error loading class presence policy from storage:', e);
+        return null;
+    }
+}
+
+/**
+ * Generate localStorage key for the recurring meetings of a class
+ * @param {number|string} classId - Class ID
+ * @returns {string|null} Storage key or null if email unavailable
+ */
+function classMeetingsKey(classId) {
+    const email = getTeacherEmail();
+    if (!email || classId === null || classId === undefined) return null;
+    return `teacher:class:meetings:${normalizeEmail(email)}:${classId}`;
+}
+
+/**
+ * Save class meetings to localStorage
+ * @param {number|string} classId - Class ID
+ * @param {Array<Object>|null} meetings - Normalized meetings (null removes them)
+ */
+export function saveClassMeetingsToStorage(classId, meetings) {
+    const key = classMeetingsKey(classId);
+    if (!key) return;
+    try {
+        if (meetings) {
+            localStorage.setItem(key, JSON.stringify(meetings));
+        } else {
+            localStorage.removeItem(key);
+        }
+    } catch (e) {
+        console.error('Error saving class meetings to storage:', e);
+    }
+}
+
+/**
+ * Load class meetings from localStorage
+ * @param {number|string} classId - Class ID
+ * @returns {Array<Object>|null} Stored meetings or null
+ */
+export function loadClassMeetingsFromStorage(classId) {
+    const key = classMeetingsKey(classId);
+    if (!key) return null;
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.error('Error loading class meetings from storage:', e);
+        return null;
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * Scanner Draft Storage Module
+ *
+ * Handles localStorage operations for unsaved scanner sessions (drafts).
+ * Drafts are keyed by teacher email and class ID, so teachers sharing a
+ * device and renamed classes keep their own drafts. Drafts do not expire;
+ * the teacher resumes, saves or discards them from the draft manager.
+ */
+
+import { normalizeEmail, getTeacherEmail } from '../config/api.js';
+
+const SCANNER_DRAFT_KEY_PREFIX = 'teacher:scanner:draft:';
+// Drafts saved before they were keyed by teacher and class ID
+const LEGACY_SCANNER_DRAFT_KEY_PREFIX = 'scanner:draft:';
+
+/**
+ * Generate localStorage key prefix for the current teacher's drafts
+ * @returns {string|null} Key prefix or null if email unavailable
+ */
+function teacherDraftKeyPrefix() {
+    const email = getTeacherEmail();
+    if (!email) return null;
+    return `${SCANNER_DRAFT_KEY_PREFIX}${normalizeEmail(email)}:`;
+}
+
+/**
+ * Generate localStorage key for a class draft
+ * @param {number|string} classId - Class ID
+ * @returns {string|null} Storage key or null if email or class ID unavailable
+ */
+function scannerDraftKey(classId) {
+    const prefix = teacherDraftKeyPrefix();
+    if (!prefix || classId === null || classId === undefined || String(classId).trim() === '') return null;
+    return `${prefix}${String(classId).trim()}`;
+}
+
+function parseDraft(raw) {
+    if (!raw) return null;
+    try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Save a scanner draft to localStorage
+ * @param {number|string} classId - Class ID
+ * @param {Object} draft - Draft payload (className, savedAt, attendance, timestamps, overrides, session)
+ * @returns {boolean} True if saved
+ */
+export function saveScannerDraftToStorage(classId, draft) {
+    const key = scannerDraftKey(classId);
+    if (!key || !draft) return false;
+    try {
+        localStorage.setItem(key, JSON.stringify({ ...draft, classId: String(classId) }));
+        return true;
+    } catch (e) {
+        console.error('Error saving scanner draft to storage:', e);
+        return false;
+    }
+}
+
+/**
+ * Load a scanner draft from localStorage
+ * @param {number|string} classId - Class ID
+ * @returns {Object|null} Stored draft or null
+ */
+export function loadScannerDraftFromStorage(classId) {
+    const key = scannerDraftKey(classId);
+    if (!key) return null;
+    try {
+        return parseDraft(localStorage.getItem(key));
+    } catch (e) {
+        console.error('Error loading scanner draft from storage:', e);
+        return null;
+    }
+}
+
+/**
+ * Remove a scanner draft from localStorage
+ * @param {number|string} classId - Class ID
+ * @returns {boolean} True if a draft was removed
+ */
+export function removeScannerDraftFromStorage(classId) {
+    const key = scannerDraftKey(classId);
+    if (!key) return false;
+    try {
+        if (localStorage.getItem(key) === null) return false;
+        localStorage.removeItem(key);
+        return true;
+    } catch (e) {
+        console.error('Error removing scanner draft from storage:', e);
+        return false;
+    }
+}
+
+/**
+ * List the current teacher's scanner drafts
+ * @returns {Array<Object>} Stored drafts (with classId), newest first
+ */
+export function listScannerDraftsFromStorage() {
+    const prefix = teacherDraftKeyPrefix();
+    if (!prefix) return [];
+    const drafts = [];
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(prefix)) continue;
+            const draft = parseDraft(localStorage.getItem(key));
+            if (draft) drafts.push({ ...draft, classId: key.slice(prefix.length) });
+        }
+    } catch (e) {
+        console.error('Error listing scanner drafts from storage:', e);
+    }
+    return drafts.sort((a, b) => Number(b.savedAt || 0) - Number(a.savedAt || 0));
+}
+
+/**
+ * Take a draft saved under the old class-name key, removing it from localStorage
+ * @param {string} className - Class name
+ * @returns {Object|null} Legacy draft or null
+ */
+export function takeLegacyScannerDraftFromStorage(className) {
+    const name = String(className || '').trim();
+    if (!name) return null;
+    const key = `${LEGACY_SCANNER_DRAFT_KEY_PREFIX}${name}`;
+    try {
+        const draft = parseDraft(localStorage.getItem(key));
+        localStorage.removeItem(key);
+        return draft;
+    } catch (_) {
+        return null;
+    }
+}
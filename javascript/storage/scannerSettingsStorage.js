@@ -0,0 +1,98 @@
+/**
+ * Scanner Settings Storage Module
+ *
+ * Handles localStorage operations for the teacher's scanner preferences
+ * (input mode, scan mode and the auto mode leave interval). Settings are per
+ * browser, not per class.
+ */
+
+const SCANNER_INPUT_MODE_KEY = 'scanner:inputMode';
+const SCANNER_SCAN_MODE_KEY = 'scanner:scanMode';
+const SCANNER_AUTO_LEAVE_MINUTES_KEY = 'scanner:autoLeaveMinMinutes';
+
+export const DEFAULT_AUTO_LEAVE_MIN_MINUTES = 10;
+export const MIN_AUTO_LEAVE_MIN_MINUTES = 1;
+export const MAX_AUTO_LEAVE_MIN_MINUTES = 240;
+
+/**
+ * Load the scanner input mode
+ * @returns {'camera'|'keyboard'} Input mode (camera by default)
+ */
+export function loadScannerInputMode() {
+    try {
+        return localStorage.getItem(SCANNER_INPUT_MODE_KEY) === 'keyboard' ? 'keyboard' : 'camera';
+    } catch (_) {
+        return 'camera';
+    }
+}
+
+/**
+ * Save the scanner input mode
+ * @param {'camera'|'keyboard'} mode - Input mode
+ */
+export function saveScannerInputMode(mode) {
+    try {
+        localStorage.setItem(SCANNER_INPUT_MODE_KEY, mode === 'keyboard' ? 'keyboard' : 'camera');
+    } catch (_) {}
+}
+
+/**
+ * Load the scan mode the scanner opens with.
+ * Only auto is remembered; an explicit leaving mode is never carried into a new session.
+ * @returns {'joining'|'auto'} Scan mode
+ */
+export function loadScannerScanMode() {
+    try {
+        return localStorage.getItem(SCANNER_SCAN_MODE_KEY) === 'auto' ? 'auto' : 'joining';
+    } catch (_) {
+        return 'joining';
+    }
+}
+
+/**
+ * Save the scan mode chosen by the teacher
+ * @param {'joining'|'leaving'|'auto'} mode - Scan mode
+ */
+export function saveScannerScanMode(mode) {
+    try {
+        localStorage.setItem(SCANNER_SCAN_MODE_KEY, mode === 'auto' ? 'auto' : 'joining');
+    } catch (_) {}
+}
+
+/**
+ * Clamp a minute value to the allowed auto leave interval range
+ * @param {*} value - Raw value (number or input text)
+ * @returns {number} Whole minutes, or the default if the value is not a number
+ */
+export function normalizeAutoLeaveMinMinutes(value) {
+    const num = Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(num)) {
+        return DEFAULT_AUTO_LEAVE_MIN_MINUTES;
+    }
+    return Math.min(MAX_AUTO_LEAVE_MIN_MINUTES, Math.max(MIN_AUTO_LEAVE_MIN_MINUTES, Math.round(num)));
+}
+
+/**
+ * Load the minimum time between a student's join and leave scans in auto mode
+ * @returns {number} Minutes
+ */
+export function loadAutoLeaveMinMinutes() {
+    try {
+        return normalizeAutoLeaveMinMinutes(localStorage.getItem(SCANNER_AUTO_LEAVE_MINUTES_KEY));
+    } catch (_) {
+        return DEFAULT_AUTO_LEAVE_MIN_MINUTES;
+    }
+}
+
+/**
+ * Save the auto mode leave interval
+ * @param {*} minutes - Minutes (clamped to the allowed range)
+ * @returns {number} Stored minutes
+ */
+export function saveAutoLeaveMinMinutes(minutes) {
+    const normalized = normalizeAutoLeaveMinMinutes(minutes);
+    try {
+        localStorage.setItem(SCANNER_AUTO_LEAVE_MINUTES_KEY, String(normalized));
+    } catch (_) {}
+    return normalized;
+}
@@ -1,6 +1,20 @@
 import { SERVER_BASE_URL, ENDPOINTS } from './config/api.js';
+import { createStudentQrToken, resolveStudentQrSecret, msUntilNextQrTokenWindow, isSessionCheckinPayload } from './utils/qrToken.js';
+import { createScannerEngine } from './features/scannerEngine.js';
+import { normalizeAttendanceRequirement, computeAttendanceStanding, ATTENDANCE_STANDING_LABELS } from './utils/attendanceRequirement.js';
+import { ensurePdfMakeLoaded } from './utils/scriptLoader.js';
 
 
+function i18nText(key, fallback) {
+	try {
+		if (window.i18n && typeof window.i18n.t === 'function') {
+			const value = window.i18n.t(key);
+			if (value && value !== key) return value;
+		}
+	} catch (_) {}
+	return fallback || key;
+}
+
 function deriveDisplayName(loginData) {
 	if (!loginData) return null;
 	// Try common locations for a name
@@ -116,6 +130,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
 	if (nameElement) nameElement.textContent = displayName;
 	if (facultyNumberElement) facultyNumberElement.textContent = facultyNumber;
+	certificateStudentName = studentData.full_name || deriveDisplayName(parsedData) || '';
 
 
 
@@ -131,6 +146,25 @@ document.addEventListener('DOMContentLoaded', () => {
 	}
 
 
+	const scanClassCodeBtn = document.getElementById('scanClassCodeBtn');
+	if (scanClassCodeBtn) {
+		scanClassCodeBtn.addEventListener('click', () => {
+
+			openCheckinOverlay(studentData);
+
+		});
+	}
+
+	const closeCheckinOverlayBtn = document.getElementById('closeCheckinOverlayBtn');
+	if (closeCheckinOverlayBtn) {
+		closeCheckinOverlayBtn.addEventListener('click', () => {
+
+			closeCheckinOverlay();
+
+		});
+	}
+
+
 	const logoutBtn = document.getElementById('logoutBtn');
 	if (logoutBtn) {
 		logoutBtn.addEventListener('click', () => {
@@ -149,6 +183,11 @@ document.addEventListener('DOMContentLoaded', () => {
 	const overlayBackground = document.querySelector('.overlay-background');
 	if (overlayBackground) {
 		overlayBackground.addEventListener('click', () => {
+			const checkinOverlay = document.getElementById('checkin-overlay');
+			if (checkinOverlay && checkinOverlay.style.display === 'block') {
+				closeCheckinOverlay();
+				return;
+			}
 			const classDetailsOverlay = document.getElementById('class-details-overlay');
 			if (classDetailsOverlay && classDetailsOverlay.style.display === 'block') {
 				closeClassDetailsOverlay();
@@ -174,6 +213,9 @@ document.addEventListener('DOMContentLoaded', () => {
 		console.error("Error: Unable to load close class details overlay button.");
 	}
 
+	bindJustificationForm();
+	bindCertificateButton();
+
 
 
 
@@ -182,9 +224,23 @@ document.addEventListener('DOMContentLoaded', () => {
 
 	const qrContainer = document.getElementById('qrContainer');
 	if (qrContainer && typeof kjua === 'function') {
-		qrContainer.innerHTML = '';
 
-		// Build compact payload with short keys to reduce size
+		startStudentQrRotation(qrContainer, studentData);
+
+	} else if (qrContainer) {
+		displayErrorInQRContainer(qrContainer, 'QR library not loaded');
+	}
+
+	revealPage();
+
+});
+
+// Student QR functions ==========================================
+
+async function buildStudentQrText(studentData) {
+	const secret = resolveStudentQrSecret(studentData);
+	if (!secret) {
+		// Server has not issued a signing secret yet: keep the legacy static payload.
 		const payload = {
 			name: studentData.full_name,
 			facultyNumber: studentData.faculty_number,
@@ -194,39 +250,78 @@ document.addEventListener('DOMContentLoaded', () => {
 		// remove empty fields
 		Object.keys(payload).forEach(k => { if (!payload[k]) delete payload[k]; });
 
-		let qrData = JSON.stringify(payload);
+		return { text: JSON.stringify(payload), rotating: false };
+	}
 
-			let kjuaData = kjua({
-					render: 'svg',
-					text: qrData,
-					size: 256,
-					quiet: 2,
-					level: 'L'
-			});
-		
-		if (kjuaData) {
-			// Ensure the QR code is responsive and cannot exceed container bounds
-			kjuaData.style.maxWidth = '100%';
-			kjuaData.style.height = 'auto';
-			
-			// Create a flex context so it sits neatly in the page flow
-			qrContainer.style.display = 'flex';
-			qrContainer.style.justifyContent = 'center';
-			qrContainer.style.position = 'relative';
-			qrContainer.style.zIndex = '1'; // Force below chat overlays
+	const text = await createStudentQrToken({
+		facultyNumber: studentData.faculty_number,
+		name: studentData.full_name
+	}, secret);
+	return { text, rotating: true };
+}
 
-			qrContainer.appendChild(kjuaData);
-		} else {
+function renderStudentQr(qrContainer, qrData) {
+	let kjuaData = kjua({
+			render: 'svg',
+			text: qrData,
+			size: 256,
+			quiet: 2,
+			level: 'L'
+	});
+
+	if (!kjuaData) return false;
+
+	// Ensure the QR code is responsive and cannot exceed container bounds
+	kjuaData.style.maxWidth = '100%';
+	kjuaData.style.height = 'auto';
+
+	// Create a flex context so it sits neatly in the page flow
+	qrContainer.style.display = 'flex';
+	qrContainer.style.justifyContent = 'center';
+	qrContainer.style.position = 'relative';
+	qrContainer.style.zIndex = '1'; // Force below chat overlays
+
+	qrContainer.innerHTML = '';
+	qrContainer.appendChild(kjuaData);
+	return true;
+}
+
+function startStudentQrRotation(qrContainer, studentData) {
+	let timerId = null;
+	let rotating = false;
+
+	const refresh = async () => {
+		clearTimeout(timerId);
+		timerId = null;
+
+		let qr = null;
+		try {
+			qr = await buildStudentQrText(studentData);
+		} catch (e) {
+			console.error('[StudentQR] Unable to build signed QR payload', e);
 			displayErrorInQRContainer(qrContainer, 'Unable to generate QR code');
+			return;
 		}
 
-	} else if (qrContainer) {
-		displayErrorInQRContainer(qrContainer, 'QR library not loaded');
-	}
+		rotating = qr.rotating;
+		if (!renderStudentQr(qrContainer, qr.text)) {
+			displayErrorInQRContainer(qrContainer, 'Unable to generate QR code');
+			return;
+		}
 
-	revealPage();
+		if (rotating) {
+			// Re-render right after the window rolls over so the code never goes stale on screen.
+			timerId = setTimeout(refresh, msUntilNextQrTokenWindow() + 50);
+		}
+	};
 
-});
+	// Background tabs throttle timers; re-render immediately when the page is shown again.
+	document.addEventListener('visibilitychange', () => {
+		if (document.visibilityState === 'visible' && rotating) refresh();
+	});
+
+	refresh();
+}
 
 function displayErrorInQRContainer(qrContainer, message) {
 	qrContainer.innerHTML = '';
@@ -241,6 +336,152 @@ function displayErrorInQRContainer(qrContainer, message) {
 
 
 
+// Session Check-in Overlay functions ============================
+
+// Camera engine of the open check-in overlay (null when closed)
+let checkinEngine = null;
+let checkinInFlight = false;
+
+function setCheckinStatus(message, tone) {
+	const statusEl = document.getElementById('checkinStatus');
+	if (!statusEl) return;
+	statusEl.textContent = message || '';
+	if (tone) {
+		statusEl.dataset.tone = tone;
+	} else {
+		delete statusEl.dataset.tone;
+	}
+}
+
+async function openCheckinOverlay(studentData) {
+	const overlay = document.getElementById('checkin-overlay');
+	const background = document.querySelector('.overlay-background');
+	if (!overlay) return;
+
+	overlay.style.display = 'block';
+	if (background) background.style.visibility = 'visible';
+	checkinInFlight = false;
+	setCheckinStatus(i18nText('checkin_point_camera', 'Point your camera at the code on the projector.'));
+
+	await stopCheckinCamera();
+	try {
+		const engine = await createScannerEngine('checkinReader');
+		checkinEngine = engine;
+		await engine.start((decodedText) => {
+			handleCheckinScan(decodedText, studentData);
+		});
+		// Overlay closed while the camera was still starting
+		if (checkinEngine !== engine) await engine.stop().catch(() => {});
+	} catch (e) {
+		console.error('[Checkin] Unable to start camera', e);
+		checkinEngine = null;
+		setCheckinStatus(i18nText('checkin_camera_failed', 'Unable to start the camera. Check camera permissions.'), 'error');
+	}
+}
+
+async function closeCheckinOverlay() {
+	const overlay = document.getElementById('checkin-overlay');
+	const background = document.querySelector('.overlay-background');
+	await stopCheckinCamera();
+	if (overlay) overlay.style.display = 'none';
+	if (background) background.style.visibility = 'hidden';
+}
+
+async function stopCheckinCamera() {
+	const engine = checkinEngine;
+	checkinEngine = null;
+	if (!engine) return;
+	try {
+		await engine.stop();
+	} catch (_) {}
+}
+
+async function handleCheckinScan(decodedText, studentData) {
+	if (checkinInFlight || !checkinEngine) return;
+
+	let payload = null;
+	try {
+		payload = JSON.parse(decodedText);
+	} catch (_) {
+		payload = null;
+	}
+	if (!isSessionCheckinPayload(payload)) {
+		setCheckinStatus(i18nText('checkin_not_class_code', 'This is not a class check-in code.'), 'error');
+		return;
+	}
+
+	checkinInFlight = true;
+	setCheckinStatus(i18nText('checkin_sending', 'Checking in…'));
+	const result = await submitSessionCheckin(payload, studentData);
+	if (result.ok) {
+		await stopCheckinCamera();
+		const message = payload.m === 'leaving'
+			? i18nText('checkin_left', 'Leave recorded')
+			: i18nText('checkin_joined', 'You are checked in');
+		setCheckinStatus(result.className ? `${message}: ${result.className}` : message, 'success');
+		return;
+	}
+
+	setCheckinStatus(result.message, 'error');
+	// Expired codes can simply be scanned again once the projector shows the next one.
+	checkinInFlight = false;
+}
+
+async function submitSessionCheckin(payload, studentData) {
+	const body = {
+		session_id: payload.sid,
+		mode: payload.m === 'leaving' ? 'leaving' : 'joining',
+		window: Number(payload.w),
+		signature: payload.s,
+		student_id: studentData?.id || studentData?.student_id || undefined,
+		faculty_number: studentData?.faculty_number || undefined,
+		email: studentData?.email || undefined
+	};
+
+	let response = null;
+	try {
+		response = await fetch(SERVER_BASE_URL + ENDPOINTS.liveAttendanceCheckin, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json'
+			},
+			body: JSON.stringify(body)
+		});
+	} catch (e) {
+		console.error('[Checkin] request failed', e);
+		return { ok: false, message: i18nText('checkin_network_error', 'Network error. Please try again.') };
+	}
+
+	let data = null;
+	try {
+		data = await response.json();
+	} catch (_) {
+		data = null;
+	}
+
+	if (response.ok) {
+		return { ok: true, className: String(data?.class_name || '').trim() };
+	}
+
+	const reason = String(data?.reason || data?.error || '').trim();
+	if (reason === 'not_enrolled' || response.status === 404) {
+		return { ok: false, message: i18nText('checkin_not_enrolled', 'You are not enrolled in this class.') };
+	}
+	if (reason === 'closed' || response.status === 409 || response.status === 410) {
+		return { ok: false, message: i18nText('checkin_session_closed', 'This class session has already finished.') };
+	}
+	if (reason === 'expired' || reason === 'forged' || response.status === 401 || response.status === 403) {
+		return { ok: false, message: i18nText('checkin_code_expired', 'This code has expired. Scan the current code on the projector.') };
+	}
+	console.error('[Checkin] check-in failed', response.status, response.statusText);
+	return { ok: false, message: i18nText('checkin_failed', 'Unable to check in right now. Please try again.') };
+}
+
+// End of Session Check-in Overlay functions =====================
+
+
+
+
 // View Classes Overlay function =================================
 
 function openViewClassesOverlay() {
@@ -368,6 +609,8 @@ function openClassDetailsOverlay(className, studentId, facultyNumber) {
 	if (classNameEl) classNameEl.textContent = className || '';
 
 	loadAttendedClassesCount(className, studentId, facultyNumber);
+	openJustificationSection(className, studentId, facultyNumber);
+	openCertificateSection(className, studentId, facultyNumber);
 
 }
 
@@ -390,6 +633,8 @@ async function loadAttendedClassesCount(className, studentId, facultyNumber){
 		console.error('[ClassDetails] loadAttendedClassesCount:getClassMetaByName failed', e);
 	}
 	const classId = classMeta?.class_id ?? classMeta?.id ?? null;
+	const requirement = normalizeAttendanceRequirement(classMeta);
+	renderAttendanceStanding(null, null);
 	let total_completed_classes_count = classMeta?.completed_classes_count
 		?? classMeta?.total_completed_classes_count
 		?? null;
@@ -406,6 +651,7 @@ async function loadAttendedClassesCount(className, studentId, facultyNumber){
 		const totalClassesCountElement = document.getElementById('totalClassesCount');
 		if (attendanceCountElement) attendanceCountElement.textContent = '0';
 		if (totalClassesCountElement) totalClassesCountElement.textContent = '0';
+		setExcusedClassesCount(0);
 		return;
 	}
 
@@ -440,6 +686,7 @@ async function loadAttendedClassesCount(className, studentId, facultyNumber){
 		const studentKey = String(studentId || '').trim();
 		const facultyKey = String(facultyNumber || '').trim();
 		let attendance_count = 0;
+		let excused_count = 0;
 
 		if (Array.isArray(list)) {
 			const row = list.find((item) => {
@@ -450,6 +697,8 @@ async function loadAttendedClassesCount(className, studentId, facultyNumber){
 			if (row) {
 				const countVal = Number(row.count ?? row.attendance_count ?? row.attended_classes_count ?? 0);
 				attendance_count = Number.isFinite(countVal) ? countVal : 0;
+				// Excused absences are counted apart: they are neither attended nor skipped.
+				excused_count = normalizeCount(row.excused_count ?? row.excused) ?? 0;
 			}
 		}
 
@@ -490,6 +739,12 @@ async function loadAttendedClassesCount(className, studentId, facultyNumber){
 		if (totalClassesCountElement) {
 			totalClassesCountElement.textContent = total_completed_classes_count ?? 0;
 		}
+		setExcusedClassesCount(excused_count);
+		renderAttendanceStanding(requirement, computeAttendanceStanding({
+			attended: attendance_count,
+			held: total_completed_classes_count,
+			excused: excused_count
+		}, requirement));
 
 	}else{
 		console.error("Error fetching attendance count:", response.status, response.statusText);
@@ -501,8 +756,521 @@ async function loadAttendedClassesCount(className, studentId, facultyNumber){
 
 }
 
+function setExcusedClassesCount(count) {
+	const excusedCountElement = document.getElementById('excusedClassesCount');
+	if (excusedCountElement) excusedCountElement.textContent = String(count ?? 0);
+}
+
+function renderAttendanceStanding(requirement, standing) {
+	const standingElement = document.getElementById('attendanceStanding');
+	if (!standingElement) return;
+	standingElement.innerHTML = '';
+	if (!requirement || !standing) {
+		standingElement.hidden = true;
+		return;
+	}
+
+	const minimum = requirement.type === 'percent'
+		? `${requirement.value}% ${i18nText('requirement_of_sessions', 'of sessions')}`
+		: `${requirement.value} ${i18nText('requirement_sessions', 'sessions')}`;
+	const text = document.createElement('span');
+	text.textContent = `${i18nText('attendance_requirement_label', 'Attendance requirement')}: ${minimum}`;
+
+	const badge = document.createElement('span');
+	badge.className = `attendance-standing-badge standing-${standing.status}`;
+	badge.textContent = i18nText(`standing_${standing.status}`, ATTENDANCE_STANDING_LABELS[standing.status]);
+
+	const details = document.createElement('span');
+	details.className = 'attendance-standing-details';
+	const parts = [`${i18nText('standing_attended', 'Attended')} ${standing.attended} / ${standing.required}`];
+	if (standing.remaining !== null) {
+		parts.push(`${i18nText('standing_sessions_left', 'Sessions left')}: ${standing.remaining}`);
+	}
+	details.textContent = parts.join(' · ');
+
+	standingElement.append(text, badge, details);
+	standingElement.dataset.status = standing.status;
+	standingElement.hidden = false;
+}
+
 // End of Class Details Overlay functions ========================
 
+
+
+
+// Absence Justification functions ===============================
+
+const JUSTIFICATION_MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const JUSTIFICATION_STATUS_LABELS = {
+	pending: 'Waiting for review',
+	approved: 'Approved',
+	rejected: 'Rejected'
+};
+
+let justificationContext = null;
+
+function setJustificationStatus(message, tone) {
+	const statusEl = document.getElementById('justificationStatus');
+	if (!statusEl) return;
+	statusEl.textContent = message || '';
+	if (tone) {
+		statusEl.dataset.tone = tone;
+	} else {
+		delete statusEl.dataset.tone;
+	}
+}
+
+function formatLocalDate(date) {
+	return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function toggleJustificationForm(open) {
+	const form = document.getElementById('justificationForm');
+	const openBtn = document.getElementById('openJustificationFormBtn');
+	if (!form) return;
+	form.hidden = !open;
+	if (openBtn) openBtn.hidden = open;
+	if (open) {
+		const dateInput = document.getElementById('justificationDate');
+		if (dateInput) {
+			dateInput.max = formatLocalDate(new Date());
+			if (!dateInput.value) dateInput.value = dateInput.max;
+		}
+		document.getElementById('justificationText')?.focus();
+	} else {
+		form.reset();
+	}
+}
+
+function applyJustificationTexts() {
+	const texts = {
+		excusedClassesLabel: i18nText('excused_absences_label', 'Excused absences:'),
+		justificationSectionTitle: i18nText('justification_section_title', 'Absence justifications'),
+		openJustificationFormBtn: i18nText('justification_open_form', 'Justify an absence'),
+		justificationDateLabel: i18nText('justification_date_label', 'Date of the missed class'),
+		justificationTextLabel: i18nText('justification_text_label', 'Reason'),
+		justificationAttachmentLabel: i18nText('justification_attachment_label', 'Document (PDF or image, optional)'),
+		cancelJustificationBtn: i18nText('cancel', 'Cancel'),
+		submitJustificationBtn: i18nText('justification_submit', 'Send')
+	};
+	Object.entries(texts).forEach(([id, text]) => {
+		const el = document.getElementById(id);
+		if (el) el.textContent = text;
+	});
+}
+
+function bindJustificationForm() {
+	const form = document.getElementById('justificationForm');
+	if (!form) return;
+
+	document.getElementById('openJustificationFormBtn')?.addEventListener('click', () => {
+		setJustificationStatus('');
+		toggleJustificationForm(true);
+	});
+	document.getElementById('cancelJustificationBtn')?.addEventListener('click', () => {
+		toggleJustificationForm(false);
+	});
+	form.addEventListener('submit', (e) => {
+		e.preventDefault();
+		submitJustification(form);
+	});
+}
+
+async function openJustificationSection(className, studentId, facultyNumber) {
+	applyJustificationTexts();
+	toggleJustificationForm(false);
+	setJustificationStatus('');
+	const list = document.getElementById('justificationList');
+	if (list) list.innerHTML = '';
+
+	const context = { className, studentId, facultyNumber, classId: null };
+	justificationContext = context;
+	try {
+		context.classId = await getClassIdByName(className);
+	} catch (e) {
+		console.error('[Justifications] getClassIdByName failed', e);
+	}
+	if (justificationContext !== context) return;
+	await loadStudentJustifications(context);
+}
+
+async function loadStudentJustifications(context) {
+	const list = document.getElementById('justificationList');
+	if (!list || !context.classId) return;
+
+	let response = null;
+	try {
+		response = await fetch(SERVER_BASE_URL + ENDPOINTS.attendanceJustifications({
+			classId: context.classId,
+			studentId: context.studentId,
+			facultyNumber: context.facultyNumber
+		}), {
+			method: 'GET',
+			headers: { 'Accept': 'application/json' }
+		});
+	} catch (e) {
+		console.error('[Justifications] list request failed', e);
+		return;
+	}
+	if (justificationContext !== context) return;
+	if (!response.ok) {
+		if (![404, 405, 501].includes(response.status)) {
+			console.error('[Justifications] list request failed', response.status, response.statusText);
+		}
+		return;
+	}
+
+	let data = null;
+	try {
+		data = await response.json();
+	} catch (_) {
+		data = null;
+	}
+	const items = Array.isArray(data) ? data : (data?.justifications || data?.items || []);
+	list.innerHTML = '';
+	items
+		.slice()
+		.sort((a, b) => String(b?.session_date || b?.date || '').localeCompare(String(a?.session_date || a?.date || '')))
+		.forEach((item) => list.appendChild(buildJustificationListItem(item)));
+}
+
+function buildJustificationListItem(item) {
+	const status = JUSTIFICATION_STATUS_LABELS[item?.status] ? item.status : 'pending';
+	const li = document.createElement('li');
+	li.className = 'justification-list-item';
+	li.dataset.status = status;
+
+	const date = document.createElement('span');
+	date.className = 'justification-list-date';
+	date.textContent = String(item?.session_date || item?.date || '').slice(0, 10);
+
+	const statusEl = document.createElement('span');
+	statusEl.className = 'justification-list-status';
+	statusEl.textContent = i18nText(`justification_status_${status}`, JUSTIFICATION_STATUS_LABELS[status]);
+
+	li.append(date, statusEl);
+
+	const reviewNote = String(item?.review_note || '').trim();
+	if (reviewNote) {
+		const note = document.createElement('p');
+		note.className = 'justification-list-note';
+		note.textContent = reviewNote;
+		li.appendChild(note);
+	}
+	return li;
+}
+
+async function submitJustification(form) {
+	const context = justificationContext;
+	if (!context) return;
+	if (!context.classId) {
+		setJustificationStatus(i18nText('justification_no_class', 'This class could not be found. Please try again later.'), 'error');
+		return;
+	}
+
+	const sessionDate = String(form.elements.session_date?.value || '').trim();
+	const text = String(form.elements.text?.value || '').trim();
+	const attachment = form.elements.attachment?.files?.[0] || null;
+	if (!sessionDate || !text) {
+		setJustificationStatus(i18nText('justification_missing_fields', 'Pick the date and describe the reason.'), 'error');
+		return;
+	}
+	if (attachment && attachment.size > JUSTIFICATION_MAX_ATTACHMENT_BYTES) {
+		setJustificationStatus(i18nText('justification_attachment_too_large', 'The document is too large (max 5 MB).'), 'error');
+		return;
+	}
+
+	const body = new FormData();
+	body.append('class_id', String(context.classId));
+	if (context.studentId) body.append('student_id', String(context.studentId));
+	if (context.facultyNumber) body.append('faculty_number', String(context.facultyNumber));
+	body.append('session_date', sessionDate);
+	body.append('text', text);
+	if (attachment) body.append('attachment', attachment, attachment.name);
+
+	const submitBtn = document.getElementById('submitJustificationBtn');
+	if (submitBtn) submitBtn.disabled = true;
+	setJustificationStatus(i18nText('justification_sending', 'Sending…'));
+
+	let response = null;
+	try {
+		// No Content-Type header: the browser sets the multipart boundary.
+		response = await fetch(SERVER_BASE_URL + ENDPOINTS.attendanceJustifications(), {
+			method: 'POST',
+			body
+		});
+	} catch (e) {
+		console.error('[Justifications] submit failed', e);
+		setJustificationStatus(i18nText('justification_network_error', 'Network error. Please try again.'), 'error');
+		return;
+	} finally {
+		if (submitBtn) submitBtn.disabled = false;
+	}
+
+	if (response.ok) {
+		toggleJustificationForm(false);
+		setJustificationStatus(i18nText('justification_sent', 'Sent. Your teacher will review it.'), 'success');
+		if (justificationContext === context) loadStudentJustifications(context);
+		return;
+	}
+
+	let message = i18nText('justification_failed', 'Could not send the justification. Please try again.');
+	if ([404, 405, 501].includes(response.status)) {
+		message = i18nText('justification_unavailable', 'Justifications are not available yet.');
+	} else if (response.status === 413) {
+		message = i18nText('justification_attachment_too_large', 'The document is too large (max 5 MB).');
+	} else if (response.status === 409) {
+		message = i18nText('justification_duplicate', 'You already sent a justification for this date.');
+	} else {
+		console.error('[Justifications] submit failed', response.status, response.statusText);
+	}
+	setJustificationStatus(message, 'error');
+}
+
+// End of Absence Justification functions ========================
+
+
+
+
+// Attendance Certificate functions ==============================
+
+let certificateContext = null;
+let certificateStudentName = '';
+
+function setCertificateStatus(message, tone) {
+	const statusEl = document.getElementById('certificateStatus');
+	if (!statusEl) return;
+	statusEl.textContent = message || '';
+	if (tone) {
+		statusEl.dataset.tone = tone;
+	} else {
+		delete statusEl.dataset.tone;
+	}
+}
+
+function bindCertificateButton() {
+	document.getElementById('downloadCertificateBtn')?.addEventListener('click', () => {
+		downloadAttendanceCertificate();
+	});
+}
+
+function openCertificateSection(className, studentId, facultyNumber) {
+	const title = document.getElementById('certificateSectionTitle');
+	if (title) title.textContent = i18nText('certificate_section_title', 'Attendance certificate');
+	const button = document.getElementById('downloadCertificateBtn');
+	if (button) {
+		button.textContent = i18nText('certificate_download', 'Download PDF');
+		button.disabled = false;
+	}
+	setCertificateStatus('');
+	certificateContext = { className, studentId, facultyNumber };
+}
+
+function parseCertificateTime(value) {
+	if (value === null || value === undefined || value === '') return null;
+	if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+	const text = String(value).trim();
+	if (/^\d+$/.test(text)) return Number(text);
+	const parsed = Date.parse(text);
+	return Number.isNaN(parsed) ? null : parsed;
+}
+
+function formatCertificateTime(ms) {
+	if (!Number.isFinite(ms)) return '';
+	const d = new Date(ms);
+	return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Read the attended sessions of an issued certificate, one per session, oldest first
+ * @param {Object} certificate - Certificate returned by the server
+ * @returns {Array<{joinedAt: number, leftAt: number|null, hasTimes: boolean}>} Attended sessions
+ */
+function readCertificateSessions(certificate) {
+	const raw = certificate?.sessions || certificate?.attended_sessions || certificate?.session_dates || [];
+	const sessions = new Map();
+	(Array.isArray(raw) ? raw : []).forEach((entry) => {
+		const row = entry && typeof entry === 'object' ? entry : { date: entry };
+		const joined = row.joined_at ?? row.joinedAt ?? null;
+		// Plain session dates ("YYYY-MM-DD") carry no join/leave times and are local days.
+		const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(row.date ?? row.session_date ?? '').trim());
+		const joinedAt = joined !== null
+			? parseCertificateTime(joined)
+			: (dateMatch ? new Date(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3])).getTime() : null);
+		if (joinedAt === null) return;
+		const key = String(row.session_id ?? row.sessionId ?? formatLocalDate(new Date(joinedAt)));
+		if (sessions.has(key)) return;
+		sessions.set(key, {
+			joinedAt,
+			leftAt: parseCertificateTime(row.left_at ?? row.leftAt),
+			hasTimes: joined !== null
+		});
+	});
+	return Array.from(sessions.values()).sort((a, b) => a.joinedAt - b.joinedAt);
+}
+
+/**
+ * Ask the server to issue a certificate. The server counts the attendance itself
+ * and stores the figures under a verification code; the browser only names the class and student.
+ * @param {number|string} classId - Class ID
+ * @param {Object} context - Certificate context (studentId, facultyNumber)
+ * @returns {Promise<Response>} Server response
+ */
+function requestAttendanceCertificate(classId, context) {
+	return fetch(SERVER_BASE_URL + ENDPOINTS.attendanceCertificates, {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+			'Accept': 'application/json'
+		},
+		body: JSON.stringify({
+			class_id: classId,
+			student_id: context.studentId ?? null,
+			faculty_number: context.facultyNumber ?? null
+		})
+	});
+}
+
+function buildCertificateDefinition({ className, facultyNumber, attended, held, percentage, sessions, issuedAt, code }) {
+	const name = certificateStudentName || '—';
+	const percentText = percentage !== null ? ` (${percentage}%)` : '';
+	const verifyUrl = SERVER_BASE_URL + ENDPOINTS.attendanceCertificate(code);
+	return {
+		pageSize: 'A4',
+		pageMargins: [56, 56, 56, 56],
+		info: { title: `${i18nText('certificate_title', 'Certificate of attendance')} ${className}` },
+		content: [
+			{ text: i18nText('certificate_title', 'Certificate of attendance'), style: 'title' },
+			{
+				text: [
+					`${i18nText('certificate_body_student', 'This certifies that')} `,
+					{ text: name, bold: true },
+					`, ${i18nText('certificate_body_faculty_number', 'faculty number')} `,
+					{ text: facultyNumber || '—', bold: true },
+					`, ${i18nText('certificate_body_attended', 'attended')} ${attended} ${i18nText('certificate_body_of', 'of')} ${held} `,
+					`${i18nText('certificate_body_sessions', 'sessions')}${percentText} ${i18nText('certificate_body_class', 'of the class')} `,
+					{ text: className, bold: true },
+					'.'
+				],
+				style: 'body'
+			},
+			{
+				table: {
+					headerRows: 1,
+					widths: ['auto', '*', 'auto', 'auto'],
+					body: [
+						['#', i18nText('certificate_col_date', 'Date'), i18nText('certificate_col_joined', 'Joined'), i18nText('certificate_col_left', 'Left')]
+							.map((text) => ({ text, bold: true })),
+						...sessions.map((session, index) => [
+							String(index + 1),
+							formatLocalDate(new Date(session.joinedAt)),
+							session.hasTimes ? formatCertificateTime(session.joinedAt) : '',
+							formatCertificateTime(session.leftAt)
+						])
+					]
+				},
+				layout: 'lightHorizontalLines',
+				margin: [0, 0, 0, 24]
+			},
+			{ text: `${i18nText('certificate_issued', 'Issued')}: ${formatLocalDate(new Date(issuedAt))}`, style: 'meta' },
+			{ text: `${i18nText('certificate_code', 'Verification code')}: ${code}`, style: 'meta', bold: true },
+			{ text: `${i18nText('certificate_verify_at', 'Verify at')}: ${verifyUrl}`, style: 'meta', link: verifyUrl }
+		],
+		styles: {
+			title: { fontSize: 20, bold: true, alignment: 'center', margin: [0, 0, 0, 24] },
+			body: { fontSize: 12, lineHeight: 1.3, margin: [0, 0, 0, 18] },
+			meta: { fontSize: 10, color: '#374151', margin: [0, 0, 0, 4] }
+		},
+		defaultStyle: { fontSize: 10 }
+	};
+}
+
+async function downloadAttendanceCertificate() {
+	const context = certificateContext;
+	if (!context) return;
+	const button = document.getElementById('downloadCertificateBtn');
+	const failedMessage = i18nText('certificate_failed', 'Could not create the certificate. Please try again.');
+	if (button) button.disabled = true;
+	setCertificateStatus(i18nText('certificate_preparing', 'Preparing certificate…'));
+	try {
+		const classId = await getClassIdByName(context.className);
+		if (certificateContext !== context) return;
+		if (!classId) {
+			setCertificateStatus(i18nText('justification_no_class', 'This class could not be found. Please try again later.'), 'error');
+			return;
+		}
+
+		let response = null;
+		try {
+			response = await requestAttendanceCertificate(classId, context);
+		} catch (e) {
+			console.error('[Certificate] request failed', e);
+			if (certificateContext === context) {
+				setCertificateStatus(i18nText('justification_network_error', 'Network error. Please try again.'), 'error');
+			}
+			return;
+		}
+		if (certificateContext !== context) return;
+		if (!response.ok) {
+			if ([404, 405, 501].includes(response.status)) {
+				setCertificateStatus(i18nText('certificate_unavailable', 'Certificates are not available on this server yet.'), 'error');
+			} else {
+				console.error('[Certificate] request failed', response.status, response.statusText);
+				setCertificateStatus(failedMessage, 'error');
+			}
+			return;
+		}
+		let data = null;
+		try {
+			data = await response.json();
+		} catch (_) {
+			data = null;
+		}
+		const certificate = data?.certificate || data || {};
+		const code = String(certificate.code ?? certificate.verification_code ?? '').trim();
+		// Without a stored code the certificate could not be checked, so none is issued.
+		if (!code) {
+			setCertificateStatus(failedMessage, 'error');
+			return;
+		}
+		const toCount = (value) => {
+			const num = Number(value);
+			return value !== null && value !== undefined && value !== '' && Number.isFinite(num) ? num : null;
+		};
+		const attended = toCount(certificate.attended_count);
+		const held = toCount(certificate.total_sessions);
+		// Only figures the server stored under the code may be printed.
+		if (attended === null || held === null) {
+			console.error('[Certificate] server response has no attendance figures', certificate);
+			setCertificateStatus(failedMessage, 'error');
+			return;
+		}
+
+		const pdfMake = await ensurePdfMakeLoaded();
+		if (certificateContext !== context) return;
+		const definition = buildCertificateDefinition({
+			className: context.className,
+			facultyNumber: context.facultyNumber,
+			attended,
+			held,
+			percentage: toCount(certificate.percentage),
+			sessions: readCertificateSessions(certificate),
+			issuedAt: parseCertificateTime(certificate.issued_at) ?? Date.now(),
+			code
+		});
+		const safeClass = String(context.className || 'class').replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '') || 'class';
+		pdfMake.createPdf(definition).download(`attendance_certificate_${safeClass}_${formatLocalDate(new Date())}.pdf`);
+		setCertificateStatus(i18nText('certificate_ready', 'Certificate downloaded.'), 'success');
+	} catch (e) {
+		console.error('[Certificate] download failed', e);
+		if (certificateContext === context) setCertificateStatus(failedMessage, 'error');
+	} finally {
+		if (button && certificateContext === context) button.disabled = false;
+	}
+}
+
+// End of Attendance Certificate functions =======================
+
 async function getClassMetaByName(className){
 	const url = SERVER_BASE_URL + ENDPOINTS.getClassIdByName + `?class_name=${encodeURIComponent(className)}`;
 	const response = await fetch(url, {
@@ -25,9 +25,25 @@ import {
     setClassId,
     getClassIdByName,
     getClassStudentAssignments,
-    ensureClassStudentAssignments
+    ensureClassStudentAssignments,
+    setClassSchedule,
+    setClassAttendanceRequirement,
+    setClassPresencePolicy,
+    setClassMeetings
 } from './state/appState.js';
-import { getStoredClassesMap, saveClassesMap, getClassIdByNameFromStorage } from './storage/classStorage.js';
+import {
+    getStoredClassesMap,
+    saveClassesMap,
+    getClassIdByNameFromStorage,
+    loadClassScheduleFromStorage,
+    loadClassAttendanceRequirementFromStorage,
+    loadClassPresencePolicyFromStorage,
+    loadClassMeetingsFromStorage
+} from './storage/classStorage.js';
+import { normalizeClassSchedule } from './utils/attendanceClassification.js';
+import { normalizeAttendanceRequirement } from './utils/attendanceRequirement.js';
+import { normalizePresencePolicy } from './utils/presencePolicy.js';
+import { normalizeClassMeetings } from './utils/classMeetings.js';
 import { loadClassStudentsFromStorage, addNewStudentsToStorage } from './storage/studentStorage.js';
 import { renderClassItem, updateClassStatusUI, attachNewClassButtonBehavior, ensureClassesContainerVisible } from './ui/classUI.js';
 import { openClassCreationWizard, closeClassCreationWizard } from './features/classCreation.js';
@@ -41,8 +57,17 @@ import {
     hasScannerDraftForClass,
     saveScannerDraftForClass
 } from './features/attendance.js';
+import { initAttendanceOutbox, getAttendanceOutboxStatus, retryAttendanceOutboxForClass } from './features/attendanceOutbox.js';
 import { renderAttendanceForClass } from './ui/attendanceUI.js';
-import { handleDownloadAttendanceTable } from './features/export.js';
+import { openAttendanceOverrideEditor, closeAttendanceOverrideEditor } from './features/attendanceOverride.js';
+import { openProjectorMode } from './features/projectorMode.js';
+import { openSessionHistory } from './features/sessionHistory.js';
+import { openAttendanceImport } from './features/attendanceImport.js';
+import { openJustificationReview, fetchPendingJustificationCount } from './features/justificationReview.js';
+import { openExportFormatPicker } from './features/exportFormatPicker.js';
+import { openClassesExport } from './features/classesExport.js';
+import { openDraftManager, countScannerDrafts } from './features/draftManager.js';
+import { openTimetable, findClassToStartNow, requestStartScheduledClass } from './features/timetable.js';
 import { showOverlay, hideOverlay, getOverlay, openConfirmOverlay } from './ui/overlays.js';
 import { getActiveClassName, getRawClassNameFromButton } from './utils/helpers.js';
 
@@ -56,6 +81,9 @@ function i18nText(key, fallback) {
     return fallback || key;
 }
 
+// Refreshes the "start now" button while the page is shown
+let startNowTimer = null;
+
 // ===== MAIN INITIALIZATION =====
 document.addEventListener('DOMContentLoaded', async () => {
     if (!bootstrapTeacherAuthState()) {
@@ -69,6 +97,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     const classList = document.getElementById('classList');
     const addBtn = document.getElementById('addClassBtn');
+    const draftManagerBtn = document.getElementById('draftManagerBtn');
     const teacherEmail = getTeacherEmail();
     const deletePopup = document.createElement('button');
     deletePopup.id = 'unreadyDeletePopup';
@@ -153,6 +182,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         const scannerBtn = readyPopupOverlay?.querySelector('#startScannerBtn');
         const downloadBtn = readyPopupOverlay?.querySelector('#downloadAttendanceTableBtn');
         const optionsBtn = readyPopupOverlay?.querySelector('#classOptionsBtn');
+        const historyBtn = readyPopupOverlay?.querySelector('#sessionHistoryBtn');
+        const importBtn = readyPopupOverlay?.querySelector('#importAttendanceBtn');
+        const justificationsBtn = readyPopupOverlay?.querySelector('#justificationsBtn');
         const closeBtn = readyPopupOverlay?.querySelector('#closeReadyPopupBtn');
 
         if (scannerBtn) {
@@ -165,6 +197,48 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         }
 
+        const syncStatusEl = readyPopupOverlay?.querySelector('#readyClassSyncStatus');
+        const syncTextEl = readyPopupOverlay?.querySelector('#readyClassSyncText');
+        const syncRetryBtn = readyPopupOverlay?.querySelector('#retryClassSyncBtn');
+
+        const resolveReadyPopupClassId = () => {
+            const current = getCurrentClass();
+            const className = (current.name || (current.button ? getRawClassNameFromButton(current.button) : '') || '').trim();
+            return current.id || current.button?.dataset?.classId || getClassIdByName(className) || null;
+        };
+
+        const updateClassSyncStatus = () => {
+            if (!syncStatusEl || !syncTextEl) return;
+            const status = getAttendanceOutboxStatus(resolveReadyPopupClassId());
+            if (status.pending === 0 && status.failed === 0) {
+                syncStatusEl.hidden = true;
+                return;
+            }
+            syncStatusEl.hidden = false;
+            syncStatusEl.dataset.state = status.failed > 0 ? 'failed' : 'pending';
+            const parts = [];
+            if (status.pending > 0) {
+                const label = status.syncing
+                    ? i18nText('sync_status_syncing', 'Syncing saved sessions…')
+                    : i18nText('sync_status_pending', 'Sessions waiting to sync');
+                parts.push(`${label}: ${status.pending}`);
+            }
+            if (status.failed > 0) {
+                parts.push(`${i18nText('sync_status_failed', 'Rejected by server')}: ${status.failed}`);
+            }
+            syncTextEl.textContent = parts.join(' · ');
+            if (syncRetryBtn) {
+                syncRetryBtn.textContent = i18nText('sync_retry_now', 'Retry now');
+                syncRetryBtn.disabled = status.syncing;
+            }
+        };
+
+        syncRetryBtn?.addEventListener('click', async () => {
+            syncRetryBtn.disabled = true;
+            await retryAttendanceOutboxForClass(resolveReadyPopupClassId());
+            updateClassSyncStatus();
+        });
+
         const updateScannerUnsavedDot = () => {
             if (!scannerBtn) return;
             const dot = scannerBtn.querySelector('.scanner-unsaved-dot');
@@ -190,7 +264,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         downloadBtn?.addEventListener('click', () => {
             try {
                 const resolved = getActiveClassName();
-                handleDownloadAttendanceTable(resolved);
+                openExportFormatPicker(resolved);
             } catch (e) {
                 console.error('Download Attendance Table failed unexpectedly:', e);
             }
@@ -201,6 +275,39 @@ document.addEventListener('DOMContentLoaded', async () => {
             openClassOptionsOverlay(name);
         });
 
+        if (historyBtn) historyBtn.textContent = i18nText('session_history_btn', 'Session history');
+        historyBtn?.addEventListener('click', () => {
+            openSessionHistory(getActiveClassName());
+        });
+
+        if (importBtn) importBtn.textContent = i18nText('import_attendance_btn', 'Import attendance');
+        importBtn?.addEventListener('click', () => {
+            openAttendanceImport(getActiveClassName());
+        });
+
+        const setJustificationBadge = (pending) => {
+            const badge = justificationsBtn?.querySelector('.justification-count-badge');
+            if (!badge) return;
+            badge.hidden = !(pending > 0);
+            badge.textContent = pending > 0 ? String(pending) : '';
+        };
+
+        let justificationCountSeq = 0;
+        const updateJustificationBadge = async () => {
+            const className = getActiveClassName();
+            const seq = ++justificationCountSeq;
+            setJustificationBadge(0);
+            if (!className) return;
+            const pending = await fetchPendingJustificationCount(className);
+            if (seq === justificationCountSeq) setJustificationBadge(pending);
+        };
+
+        const justificationsLabel = justificationsBtn?.querySelector('.justifications-btn-label');
+        if (justificationsLabel) justificationsLabel.textContent = i18nText('justifications_btn', 'Justifications');
+        justificationsBtn?.addEventListener('click', () => {
+            openJustificationReview(getActiveClassName());
+        });
+
         closeBtn?.addEventListener('click', () => closeAllClassOverlays());
         
         readyPopupOverlay?.addEventListener('click', (e) => {
@@ -217,8 +324,20 @@ document.addEventListener('DOMContentLoaded', async () => {
             updateScannerUnsavedDot();
         });
 
+        document.addEventListener('attendanceOutboxChanged', () => {
+            updateClassSyncStatus();
+        });
+
+        document.addEventListener('attendanceJustificationsChanged', (e) => {
+            if (e.detail?.className && e.detail.className !== getActiveClassName()) return;
+            justificationCountSeq += 1;
+            setJustificationBadge(e.detail?.pending ?? 0);
+        });
+
         readyPopupOverlay.dataset.updateScannerUnsavedDotBound = 'true';
         readyPopupOverlay.updateScannerUnsavedDot = updateScannerUnsavedDot;
+        readyPopupOverlay.updateClassSyncStatus = updateClassSyncStatus;
+        readyPopupOverlay.updateJustificationBadge = updateJustificationBadge;
     }
 
     function openReadyClassPopup(nameOptional) {
@@ -249,6 +368,12 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (typeof readyPopupOverlay.updateScannerUnsavedDot === 'function') {
                 readyPopupOverlay.updateScannerUnsavedDot();
             }
+            if (typeof readyPopupOverlay.updateClassSyncStatus === 'function') {
+                readyPopupOverlay.updateClassSyncStatus();
+            }
+            if (typeof readyPopupOverlay.updateJustificationBadge === 'function') {
+                readyPopupOverlay.updateJustificationBadge();
+            }
         }
     }
 
@@ -275,6 +400,21 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             document.getElementById('closeAttendanceBtn')?.addEventListener('click', () => closeAttendanceOverlay());
 
+            // Tap (or Enter on) a student row to set attendance manually
+            const attendanceListEl = document.getElementById('attendanceList');
+            const openOverrideForRow = (target) => {
+                const row = target?.closest?.('.attendance-item[data-faculty-number]');
+                if (!row || !attendanceListEl) return;
+                const activeClassName = attendanceListEl.dataset.className || getCurrentClass().name || '';
+                openAttendanceOverrideEditor(activeClassName, row.dataset.facultyNumber, attendanceListEl);
+            };
+            attendanceListEl?.addEventListener('click', (e) => openOverrideForRow(e.target));
+            attendanceListEl?.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                openOverrideForRow(e.target);
+            });
+
             document.addEventListener('keydown', (e) => {
                 if (e.key === 'Escape' && attendanceOverlay && isOverlayVisible(attendanceOverlay)) {
                     closeAttendanceOverlay();
@@ -292,6 +432,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         const listEl = document.getElementById('attendanceList');
         if (listEl) {
+            listEl.dataset.className = resolvedClassName;
             renderAttendanceForClass(resolvedClassName, listEl);
         }
 
@@ -301,6 +442,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     function closeAttendanceOverlay() {
+        closeAttendanceOverrideEditor();
         if (attendanceOverlay) {
             hideOverlay(attendanceOverlay, false);
         }
@@ -311,6 +453,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         openAttendanceOverlay(e.detail?.className);
     });
 
+    // Projector mode: students scan a rotating session code from their own phones
+    document.addEventListener('openProjectorModeRequested', (e) => {
+        openProjectorMode(e.detail?.className || getCurrentClass().name);
+    });
+
     // ===== SCANNER CLOSE HANDLER =====
     document.addEventListener('closeScannerRequested', async () => {
         const current = getCurrentClass();
@@ -359,8 +506,115 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
+    // ===== DRAFT MANAGER =====
+    function updateDraftManagerButton() {
+        if (!draftManagerBtn) return;
+        const count = countScannerDrafts();
+        draftManagerBtn.hidden = count === 0;
+        const label = draftManagerBtn.querySelector('.draft-manager-btn-label');
+        if (label) label.textContent = i18nText('draft_manager_title', 'Unsaved sessions');
+        const countEl = draftManagerBtn.querySelector('.draft-manager-count');
+        if (countEl) countEl.textContent = String(count);
+    }
+
+    draftManagerBtn?.addEventListener('click', () => {
+        openDraftManager();
+    });
+
+    // ===== EXPORT ALL CLASSES =====
+    const exportAllClassesBtn = document.getElementById('exportAllClassesBtn');
+    if (exportAllClassesBtn) exportAllClassesBtn.textContent = i18nText('classes_export_title', 'Export all classes');
+    exportAllClassesBtn?.addEventListener('click', () => {
+        openClassesExport();
+    });
+
+    // ===== TIMETABLE / START NOW =====
+    const timetableBtn = document.getElementById('timetableBtn');
+    const startNowBtn = document.getElementById('startNowBtn');
+    if (timetableBtn) timetableBtn.textContent = i18nText('timetable_title', 'Timetable');
+    timetableBtn?.addEventListener('click', () => {
+        openTimetable();
+    });
+
+    function updateStartNowButton() {
+        if (!startNowBtn) return;
+        const current = findClassToStartNow();
+        startNowBtn.hidden = !current;
+        if (!current) return;
+        startNowBtn.dataset.className = current.className;
+        startNowBtn.dataset.classId = String(current.classId);
+        startNowBtn.textContent = `${i18nText('start_now_btn', 'Start now')}: ${current.className}`;
+        startNowBtn.title = `${current.meeting.start}–${current.meeting.end}${current.meeting.room ? ` · ${current.meeting.room}` : ''}`;
+    }
+
+    startNowBtn?.addEventListener('click', () => {
+        const { className, classId } = startNowBtn.dataset;
+        if (className && classId) requestStartScheduledClass(className, classId);
+    });
+    document.addEventListener('classMeetingsChanged', updateStartNowButton);
+
+    function startStartNowTimer() {
+        if (startNowTimer !== null) return;
+        startNowTimer = setInterval(updateStartNowButton, 60000);
+    }
+
+    function stopStartNowTimer() {
+        if (startNowTimer === null) return;
+        clearInterval(startNowTimer);
+        startNowTimer = null;
+    }
+
+    startStartNowTimer();
+    // The page may be kept in the back/forward cache; pageshow restarts the timer.
+    window.addEventListener('pagehide', stopStartNowTimer);
+
+    // Opens the scanner for a class picked outside the class list (a saved draft or the timetable).
+    function openScannerForRequestedClass(e) {
+        const className = String(e.detail?.className || '').trim();
+        const classId = e.detail?.classId;
+        if (!className || !classId) return;
+        const btn = Array.from(document.querySelectorAll('.newClassBtn'))
+            .find((el) => String(el.dataset.classId || '') === String(classId)) || null;
+        setCurrentClass(className, classId, btn);
+        openScannerOverlay(className);
+    }
+
+    document.addEventListener('startScheduledClassRequested', openScannerForRequestedClass);
+    document.addEventListener('resumeScannerDraftRequested', openScannerForRequestedClass);
+
     document.addEventListener('scannerDraftChanged', () => {
         updateClassDraftBadges();
+        updateDraftManagerButton();
+    });
+
+    // ===== CLASS LIST SYNC BADGE =====
+    function updateClassSyncBadges() {
+        const buttons = document.querySelectorAll('.newClassBtn');
+        buttons.forEach(btn => {
+            const className = (btn.dataset.className || btn.dataset.originalLabel || '').trim();
+            const classId = btn.dataset.classId || (className ? getClassIdByName(className) : null);
+            const status = getAttendanceOutboxStatus(classId);
+            let badge = btn.querySelector('.class-sync-badge');
+            if (status.pending === 0 && status.failed === 0) {
+                if (badge) badge.remove();
+                return;
+            }
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'class-sync-badge';
+                btn.appendChild(badge);
+            }
+            const failed = status.failed > 0;
+            badge.dataset.state = failed ? 'failed' : (status.syncing ? 'syncing' : 'pending');
+            badge.textContent = String(status.pending + status.failed);
+            badge.title = failed
+                ? i18nText('sync_badge_failed', 'Some attendance sessions were not accepted by the server')
+                : i18nText('sync_badge_pending', 'Attendance sessions waiting to sync');
+        });
+    }
+
+    document.addEventListener('attendanceOutboxChanged', () => {
+        updateClassSyncBadges();
     });
 
     // ===== CLASS LOADING =====
@@ -405,11 +659,26 @@ document.addEventListener('DOMContentLoaded', async () => {
             classes.forEach(_class => {
                 classesMap.set(_class.id, _class.name);
                 setClassId(_class.name, _class.id);
+                setClassSchedule(_class.id, normalizeClassSchedule(_class) || normalizeClassSchedule(loadClassScheduleFromStorage(_class.id)));
+                setClassAttendanceRequirement(
+                    _class.id,
+                    normalizeAttendanceRequirement(_class)
+                        || normalizeAttendanceRequirement(loadClassAttendanceRequirementFromStorage(_class.id))
+                );
+                setClassPresencePolicy(
+                    _class.id,
+                    normalizePresencePolicy(_class) || normalizePresencePolicy(loadClassPresencePolicyFromStorage(_class.id))
+                );
+                setClassMeetings(
+                    _class.id,
+                    normalizeClassMeetings(_class) || normalizeClassMeetings(loadClassMeetingsFromStorage(_class.id))
+                );
                 renderClassItem(_class.name, _class.id, classList, handleClassButtonClickWrapper, loadClassStudents);
             });
 
             saveClassesMap(classesMap);
             ensureClassesContainerVisible();
+            updateStartNowButton();
         } catch (e) {
             console.error('Failed to load classes:', e);
         }
@@ -552,6 +821,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     classList?.querySelectorAll('.newClassBtn').forEach(b => updateClassStatusUI(b));
     classList?.querySelectorAll('.newClassBtn').forEach(attachUnreadyDeleteLongPress);
     updateClassDraftBadges();
+    updateDraftManagerButton();
+    initAttendanceOutbox().then(() => updateClassSyncBadges());
 
     if (classList) {
         const observer = new MutationObserver((mutations) => {
@@ -571,6 +842,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     // ===== PAGESHOW HANDLER (bfcache) =====
     window.addEventListener('pageshow', (ev) => {
         try {
+            startStartNowTimer();
+            updateStartNowButton();
             ensureClassesContainerVisible();
             const buttons = Array.from(classList?.querySelectorAll('.newClassBtn') || []);
             buttons.forEach(b => updateClassStatusUI(b));
@@ -4,24 +4,129 @@
  * Handles attendance overlay rendering and status dot updates.
  */
 
-import { ensureAttendanceState, getAttendanceState, getAttendanceDotIndex, setAttendanceDotIndex } from '../state/appState.js';
+import {
+    ensureAttendanceState,
+    getAttendanceState,
+    getAttendanceDotIndex,
+    setAttendanceDotIndex,
+    getClassIdByName,
+    getClassSchedule,
+    getStudentTimestamp,
+    getStudentTimestamps,
+    getAttendanceOverrides,
+    getClassPresencePolicy,
+    getClassMeetings
+} from '../state/appState.js';
 import { loadClassStudentsFromStorage, resolveStudentFacultyNumber } from '../storage/studentStorage.js';
+import { classifyAttendance, ATTENDANCE_CLASSIFICATION_LABELS } from '../utils/attendanceClassification.js';
+import { evaluatePresence, resolveSessionLengthMs } from '../utils/presencePolicy.js';
+import { resolveScheduleForDay } from '../utils/classMeetings.js';
+
+const TIMING_CLASSES = ['timing-on-time', 'timing-late', 'timing-left-early', 'timing-no-leave-scan'];
+const STATUS_CLASSES = ['status-none', 'status-joined', 'status-completed', 'status-partial', 'status-absent', 'status-excused'];
+
+// Class whose dots are currently indexed (used to classify live dot updates)
+let dotIndexClassName = '';
+
+function i18nText(key, fallback) {
+    try {
+        if (window.i18n && typeof window.i18n.t === 'function') {
+            const value = window.i18n.t(key);
+            if (value && value !== key) return value;
+        }
+    } catch (_) {}
+    return fallback || key;
+}
+
+/**
+ * Classify a student's live timestamps against the class schedule
+ * @param {string} className - Class name
+ * @param {string} facultyNumber - Student faculty number
+ * @returns {string|null} Classification or null if not applicable
+ */
+function resolveLiveClassification(className, facultyNumber) {
+    const classId = getClassIdByName(className);
+    const ts = getStudentTimestamp(facultyNumber);
+    // A class with a weekly timetable is held to today's meeting.
+    const schedule = resolveScheduleForDay(getClassSchedule(classId), getClassMeetings(classId), ts?.joined_at ?? Date.now());
+    if (!schedule) return null;
+    const result = classifyAttendance(
+        { joinedAt: ts?.joined_at ?? null, leftAt: ts?.left_at ?? null },
+        schedule
+    );
+    return result ? result.classification : null;
+}
+
+/**
+ * Check a completed student's stay against the class minimum presence
+ * @param {string} className - Class name
+ * @param {string} facultyNumber - Student faculty number
+ * @param {string} state - Attendance state
+ * @returns {{partial: boolean, presentMinutes: number, requiredMinutes: number}|null} Result or null if not applicable
+ */
+function resolveLivePresence(className, facultyNumber, state) {
+    // Manual marks are the teacher's call and are not held to the minimum.
+    if (state !== 'completed' || getAttendanceOverrides(className)?.get(facultyNumber)) return null;
+    const classId = getClassIdByName(className);
+    const policy = getClassPresencePolicy(classId);
+    if (!policy) return null;
+    const ts = getStudentTimestamp(facultyNumber);
+    return evaluatePresence(
+        { joinedAt: ts?.joined_at ?? null, leftAt: ts?.left_at ?? null },
+        policy,
+        resolveSessionLengthMs(
+            resolveScheduleForDay(getClassSchedule(classId), getClassMeetings(classId), ts?.joined_at ?? Date.now()),
+            getStudentTimestamps()
+        )
+    );
+}
 
 /**
  * Apply state class to attendance dot element
  * @param {HTMLElement} dotEl - Dot element
- * @param {string} state - State ('none'|'joined'|'completed')
+ * @param {string} state - State ('none'|'joined'|'completed'|'partial'|'absent'|'excused')
+ * @param {string|null} [classification] - Timing classification ('on_time'|'late'|'left_early'|'no_leave_scan')
+ * @param {{presentMinutes: number, requiredMinutes: number}|null} [presence] - Stay of a partial student
  */
-export function applyDotStateClass(dotEl, state) {
+export function applyDotStateClass(dotEl, state, classification = null, presence = null) {
     if (!dotEl) return;
-    dotEl.classList.remove('status-none', 'status-joined', 'status-completed');
-    if (state === 'completed') {
-        dotEl.classList.add('status-completed');
-    } else if (state === 'joined') {
-        dotEl.classList.add('status-joined');
+    dotEl.classList.remove(...STATUS_CLASSES, ...TIMING_CLASSES);
+    dotEl.classList.add(STATUS_CLASSES.includes(`status-${state}`) ? `status-${state}` : 'status-none');
+    if (state === 'partial') {
+        const label = i18nText('attendance_status_partial', 'Partial');
+        dotEl.title = presence
+            ? `${label}: ${presence.presentMinutes}/${presence.requiredMinutes} ${i18nText('minutes_short', 'min')}`
+            : label;
+    } else if (state === 'absent' || state === 'excused') {
+        dotEl.title = i18nText(`attendance_status_${state}`, state === 'absent' ? 'Absent' : 'Excused');
+    } else if (classification && state !== 'none') {
+        dotEl.classList.add(`timing-${classification.replace(/_/g, '-')}`);
+        dotEl.title = i18nText(`attendance_${classification}`, ATTENDANCE_CLASSIFICATION_LABELS[classification] || '');
     } else {
-        dotEl.classList.add('status-none');
+        dotEl.removeAttribute('title');
+    }
+}
+
+/**
+ * Show or hide the "Manual" tag on an attendance row
+ * @param {HTMLElement} rowEl - Attendance list item
+ * @param {{status: string, reason: string}|null} override - Manual override, if any
+ */
+function applyManualOverrideTag(rowEl, override) {
+    if (!rowEl) return;
+    let tag = rowEl.querySelector('.attendance-manual-tag');
+    if (!override) {
+        if (tag) tag.remove();
+        return;
     }
+    if (!tag) {
+        tag = document.createElement('span');
+        tag.className = 'attendance-manual-tag';
+        const dot = rowEl.querySelector('.status-dot');
+        rowEl.insertBefore(tag, dot || null);
+    }
+    tag.textContent = i18nText('attendance_manual_tag', 'Manual');
+    tag.title = override.reason || '';
 }
 
 /**
@@ -34,6 +139,7 @@ export function renderAttendanceForClass(className, container) {
 
     const students = loadClassStudentsFromStorage(className) || [];
     const stateMap = ensureAttendanceState(className);
+    const overrides = getAttendanceOverrides(className);
 
     // Initialize state for all students
     students.forEach(student => {
@@ -70,10 +176,23 @@ export function renderAttendanceForClass(className, container) {
         dot.className = 'status-dot';
 
         const state = (facultyNumber && stateMap.get(facultyNumber)) || 'none';
-        applyDotStateClass(dot, state);
+        const presence = facultyNumber ? resolveLivePresence(className, facultyNumber, state) : null;
+        applyDotStateClass(
+            dot,
+            presence?.partial ? 'partial' : state,
+            facultyNumber ? resolveLiveClassification(className, facultyNumber) : null,
+            presence
+        );
 
         li.appendChild(name);
         li.appendChild(dot);
+        if (facultyNumber) {
+            // Rows open the manual override editor (wired in teacherHomepage.js)
+            li.dataset.facultyNumber = facultyNumber;
+            li.setAttribute('role', 'button');
+            li.tabIndex = 0;
+            applyManualOverrideTag(li, overrides?.get(facultyNumber) || null);
+        }
         ul.appendChild(li);
 
         // Index by faculty_number for updates
@@ -83,18 +202,27 @@ export function renderAttendanceForClass(className, container) {
     });
 
     container.appendChild(ul);
+    dotIndexClassName = className;
     setAttendanceDotIndex(dotIndex);
 }
 
 /**
  * Update attendance dot for a student
  * @param {string} studentId - Student ID (faculty number)
- * @param {string} state - New state ('none'|'joined'|'completed')
+ * @param {string} state - New state ('none'|'joined'|'completed'|'absent'|'excused'); completed shows as partial below the class minimum presence
  */
 export function updateAttendanceDot(studentId, state) {
     const dotIndex = getAttendanceDotIndex();
     const dot = dotIndex.get(studentId);
     if (dot) {
-        applyDotStateClass(dot, state);
+        const presence = resolveLivePresence(dotIndexClassName, studentId, state);
+        applyDotStateClass(
+            dot,
+            presence?.partial ? 'partial' : state,
+            resolveLiveClassification(dotIndexClassName, studentId),
+            presence
+        );
+        const override = getAttendanceOverrides(dotIndexClassName)?.get(studentId) || null;
+        applyManualOverrideTag(dot.closest('.attendance-item'), override);
     }
 }
@@ -0,0 +1,115 @@
+/**
+ * Attendance Classification Module
+ *
+ * Classifies a student's join/leave timestamps against a class schedule
+ * (scheduled start/end with grace windows). Pure functions, no DOM access.
+ */
+
+export const DEFAULT_LATE_GRACE_MINUTES = 10;
+export const DEFAULT_EARLY_LEAVE_GRACE_MINUTES = 10;
+export const MAX_GRACE_MINUTES = 240;
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Classification labels used by the UI and the export (English fallbacks)
+ */
+export const ATTENDANCE_CLASSIFICATION_LABELS = {
+    on_time: 'On time',
+    late: 'Late',
+    left_early: 'Left early',
+    no_leave_scan: 'No leave scan'
+};
+
+/**
+ * Normalize a time of day
+ * @param {string} value - Time ("HH:MM", seconds are ignored)
+ * @returns {string|null} "HH:MM" or null if invalid
+ */
+export function normalizeTimeOfDay(value) {
+    const text = String(value || '').trim().slice(0, 5);
+    return TIME_OF_DAY_PATTERN.test(text) ? text : null;
+}
+
+function normalizeGrace(value, fallback) {
+    const num = Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(num)) return fallback;
+    return Math.min(MAX_GRACE_MINUTES, Math.max(0, Math.round(num)));
+}
+
+/**
+ * Normalize a class schedule from server or storage data
+ * @param {Object} raw - Raw schedule (snake_case server fields or camelCase)
+ * @returns {{start: string|null, end: string|null, lateGraceMinutes: number, earlyLeaveGraceMinutes: number}|null} Schedule or null if neither start nor end is set
+ */
+export function normalizeClassSchedule(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const start = normalizeTimeOfDay(raw.start ?? raw.scheduled_start ?? raw.scheduledStart);
+    const end = normalizeTimeOfDay(raw.end ?? raw.scheduled_end ?? raw.scheduledEnd);
+    if (!start && !end) return null;
+    return {
+        start,
+        end,
+        lateGraceMinutes: normalizeGrace(
+            raw.lateGraceMinutes ?? raw.late_grace_minutes,
+            DEFAULT_LATE_GRACE_MINUTES
+        ),
+        earlyLeaveGraceMinutes: normalizeGrace(
+            raw.earlyLeaveGraceMinutes ?? raw.early_leave_grace_minutes,
+            DEFAULT_EARLY_LEAVE_GRACE_MINUTES
+        )
+    };
+}
+
+/**
+ * Resolve a "HH:MM" time of day on the calendar day of a reference timestamp
+ * @param {string} timeOfDay - Time in "HH:MM"
+ * @param {number} referenceMs - Timestamp that selects the day (local time)
+ * @returns {number|null} Timestamp (ms) or null
+ */
+export function resolveScheduleTime(timeOfDay, referenceMs) {
+    const time = normalizeTimeOfDay(timeOfDay);
+    if (!time || !Number.isFinite(referenceMs)) return null;
+    const [hh, mm] = time.split(':').map(Number);
+    const d = new Date(referenceMs);
+    d.setHours(hh, mm, 0, 0);
+    return d.getTime();
+}
+
+/**
+ * Classify a student's attendance against the class schedule.
+ * Flags can combine (e.g. late and left early); `classification` is the most
+ * significant one: late, then left_early, then no_leave_scan, then on_time.
+ * @param {Object} timestamps - Student timestamps
+ * @param {number|null} timestamps.joinedAt - Join timestamp (ms)
+ * @param {number|null} timestamps.leftAt - Leave timestamp (ms)
+ * @param {Object|null} schedule - Normalized class schedule
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.final=false] - Session is finished (a missing leave scan counts)
+ * @param {number} [options.now] - Current time, used to flag missing leave scans after the end
+ * @returns {{classification: string, flags: Array<string>}|null} Result or null if the student never joined (or nothing is known without a schedule)
+ */
+export function classifyAttendance({ joinedAt, leftAt }, schedule, { final = false, now = Date.now() } = {}) {
+    if (!Number.isFinite(joinedAt)) return null;
+    const flags = [];
+    const start = schedule ? resolveScheduleTime(schedule.start, joinedAt) : null;
+    const end = schedule ? resolveScheduleTime(schedule.end, joinedAt) : null;
+
+    if (start !== null && joinedAt > start + schedule.lateGraceMinutes * 60000) {
+        flags.push('late');
+    }
+
+    if (Number.isFinite(leftAt)) {
+        if (end !== null && leftAt < end - schedule.earlyLeaveGraceMinutes * 60000) {
+            flags.push('left_early');
+        }
+    } else {
+        const endPassed = end !== null && now > end + schedule.earlyLeaveGraceMinutes * 60000;
+        if (final || endPassed) flags.push('no_leave_scan');
+    }
+
+    // Without a schedule punctuality is unknown; only a missing leave scan can be reported.
+    if (!schedule && flags.length === 0) return null;
+    const classification = ['late', 'left_early', 'no_leave_scan'].find((flag) => flags.includes(flag)) || 'on_time';
+    return { classification, flags };
+}
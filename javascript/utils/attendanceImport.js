@@ -0,0 +1,216 @@
+/**
+ * Attendance Import Module
+ *
+ * Reads paper sign-in sheets exported to spreadsheets: guesses the header row
+ * and which columns hold the faculty number, name, date and join/leave times,
+ * parses dates and times in the formats teachers type, and matches rows to
+ * the class roster. Pure functions, no DOM access.
+ */
+
+export const IMPORT_FIELDS = ['facultyNumber', 'name', 'date', 'joinedAt', 'leftAt'];
+
+// Header keywords per field (English and Bulgarian), checked in this order so
+// "Student number" is a faculty number column, not a name column.
+const HEADER_PATTERNS = [
+    ['facultyNumber', /faculty|fac\.?\s*(no|num)|^fn$|student\s*(id|no|num)|факултетен|фак\.?\s*(№|номер)|^фн$/i],
+    ['joinedAt', /join|arriv|check.?in|^in$|start|enter|влиза|пристиг|дошъл|начало/i],
+    ['leftAt', /leave|left|check.?out|^out$|depart|exit|^end|излиза|тръгн|напусна|край/i],
+    ['date', /date|^day$|дата|ден/i],
+    ['name', /name|student|име|студент/i]
+];
+const HEADER_SCAN_ROWS = 10;
+// Excel serial day 25569 is 1970-01-01.
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function toDateKey(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return '';
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).trim();
+}
+
+function isTimeOnlyDate(value) {
+    // Spreadsheets store a bare time as a date on 1899-12-30.
+    return value instanceof Date && value.getFullYear() < 1901;
+}
+
+/**
+ * Find the header row of a sheet (the first of the top rows naming at least two known columns)
+ * @param {Array<Array>} rows - Sheet rows
+ * @returns {number} Header row index, or -1 if the sheet has no header
+ */
+export function guessHeaderRow(rows) {
+    const limit = Math.min(rows.length, HEADER_SCAN_ROWS);
+    for (let r = 0; r < limit; r++) {
+        const row = Array.isArray(rows[r]) ? rows[r] : [];
+        const fields = new Set();
+        row.forEach((cell) => {
+            const text = cellText(cell);
+            const match = text ? HEADER_PATTERNS.find(([, pattern]) => pattern.test(text)) : null;
+            if (match) fields.add(match[0]);
+        });
+        if (fields.size >= 2) return r;
+    }
+    return -1;
+}
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {Array} headerRow - Header cells (empty array without a header)
+ * @returns {Object<string, number>} Column index per field of IMPORT_FIELDS (-1 if not found)
+ */
+export function guessColumnMapping(headerRow) {
+    const mapping = Object.fromEntries(IMPORT_FIELDS.map((field) => [field, -1]));
+    (Array.isArray(headerRow) ? headerRow : []).forEach((cell, index) => {
+        const text = cellText(cell);
+        if (!text) return;
+        const match = HEADER_PATTERNS.find(([field, pattern]) => mapping[field] === -1 && pattern.test(text));
+        if (match) mapping[match[0]] = index;
+    });
+    return mapping;
+}
+
+/**
+ * Parse a date cell ("2026-03-02", "02.03.2026", "02/03/2026", a spreadsheet date or serial number)
+ * @param {*} value - Cell value
+ * @returns {string} "YYYY-MM-DD", or an empty string if the cell holds no date
+ */
+export function parseImportDate(value) {
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime()) || isTimeOnlyDate(value)) return '';
+        return toDateKey(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value) || value < 1) return '';
+        const utc = new Date(Math.round((Math.floor(value) - EXCEL_EPOCH_OFFSET_DAYS) * MS_PER_DAY));
+        return toDateKey(utc.getUTCFullYear(), utc.getUTCMonth() + 1, utc.getUTCDate());
+    }
+    const text = cellText(value);
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+    if (match) return toDateKey(Number(match[1]), Number(match[2]), Number(match[3]));
+    // Day first, as written in Bulgaria ("02.03.2026 г.", "02/03/2026").
+    match = /^(\d{1,2})[./](\d{1,2})[./](\d{4})/.exec(text);
+    if (match) return toDateKey(Number(match[3]), Number(match[2]), Number(match[1]));
+    return '';
+}
+
+/**
+ * Parse a time cell ("9:05", "09:05:30", "9.05", a date-time, a spreadsheet time or day fraction)
+ * @param {*} value - Cell value
+ * @returns {{minutes: number, date: string}|null} Minutes after midnight and the date if the cell has one
+ */
+export function parseImportTime(value) {
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) return null;
+        return {
+            minutes: value.getHours() * 60 + value.getMinutes(),
+            date: parseImportDate(value)
+        };
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value) || value < 0) return null;
+        const fraction = value - Math.floor(value);
+        return {
+            minutes: Math.round(fraction * 24 * 60) % (24 * 60),
+            date: value >= 1 ? parseImportDate(value) : ''
+        };
+    }
+    const text = cellText(value);
+    if (!text) return null;
+    const match = /(?:^|[\sT,])(\d{1,2})[:.](\d{2})(?:[:.]\d{2})?\s*$/.exec(text)
+        || /^(\d{1,2})[:.](\d{2})(?:[:.]\d{2})?$/.exec(text);
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return { minutes: hours * 60 + minutes, date: parseImportDate(text) };
+}
+
+/**
+ * Build a timestamp from a session day and minutes after midnight
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes after midnight
+ * @returns {number|null} Timestamp (ms) or null
+ */
+export function combineImportDateTime(date, minutes) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date || ''));
+    if (!match || !Number.isFinite(minutes)) return null;
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 0, minutes).getTime();
+}
+
+/**
+ * Normalize a person's name for matching: case, accents, spacing and word order are ignored
+ * @param {string} name - Name
+ * @returns {string} Match key
+ */
+export function normalizePersonName(name) {
+    return nameTokens(name).sort().join(' ');
+}
+
+function nameTokens(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Index roster students for matching
+ * @param {Array<{facultyNumber: string, name: string}>} students - Roster students
+ * @returns {{students: Array<Object>, byFacultyNumber: Map<string, Object>, byName: Map<string, Array<Object>>}} Roster index
+ */
+export function buildRosterIndex(students) {
+    const byFacultyNumber = new Map();
+    const byName = new Map();
+    const list = (Array.isArray(students) ? students : []).filter((student) => student?.facultyNumber);
+    list.forEach((student) => {
+        byFacultyNumber.set(String(student.facultyNumber).trim().toLowerCase(), student);
+        const key = normalizePersonName(student.name);
+        if (!key) return;
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push(student);
+    });
+    return { students: list, byFacultyNumber, byName };
+}
+
+/**
+ * Match an imported row to roster students. The faculty number wins; the name
+ * is the fallback. A name that only partly matches (e.g. without the middle
+ * name) is never taken as certain.
+ * @param {{facultyNumber: string, name: string}} row - Imported row
+ * @param {Object} rosterIndex - Index from buildRosterIndex
+ * @returns {{status: 'matched'|'ambiguous'|'unmatched', by: 'faculty_number'|'name'|null, candidates: Array<Object>}} Match
+ */
+export function matchImportRow({ facultyNumber, name }, rosterIndex) {
+    const number = cellText(facultyNumber).toLowerCase();
+    if (number && rosterIndex.byFacultyNumber.has(number)) {
+        return { status: 'matched', by: 'faculty_number', candidates: [rosterIndex.byFacultyNumber.get(number)] };
+    }
+    const tokens = nameTokens(name);
+    if (tokens.length === 0) return { status: 'unmatched', by: null, candidates: [] };
+
+    const exact = rosterIndex.byName.get([...tokens].sort().join(' ')) || [];
+    if (exact.length === 1) return { status: 'matched', by: 'name', candidates: exact };
+    if (exact.length > 1) return { status: 'ambiguous', by: 'name', candidates: exact };
+
+    // "Ivan Ivanov" for "Ivan Petrov Ivanov": every written word is in the roster name.
+    if (tokens.length >= 2) {
+        const partial = rosterIndex.students.filter((student) => {
+            const studentTokens = nameTokens(student.name);
+            return tokens.every((token) => studentTokens.includes(token));
+        });
+        if (partial.length > 0) return { status: 'ambiguous', by: 'name', candidates: partial };
+    }
+    return { status: 'unmatched', by: null, candidates: [] };
+}
@@ -0,0 +1,128 @@
+/**
+ * Attendance Requirement Module
+ *
+ * Per-class minimum attendance (a percentage of the sessions or a number of
+ * sessions) and the standing it gives a student: on track, at risk, failed or
+ * met. Excused absences do not count against the student. Pure functions, no
+ * DOM access; shared by the teacher and student pages.
+ */
+
+export const MAX_REQUIRED_SESSIONS = 200;
+
+// A student is at risk once missing this many more sessions would fail them.
+const AT_RISK_SPARE_SESSIONS = 1;
+
+/**
+ * Standing labels used by the UI (English fallbacks)
+ */
+export const ATTENDANCE_STANDING_LABELS = {
+    on_track: 'On track',
+    at_risk: 'At risk',
+    failed: 'Requirement not met',
+    met: 'Requirement met'
+};
+
+function toWholeNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? Math.round(num) : null;
+}
+
+/**
+ * Normalize a class attendance requirement from server or storage data
+ * @param {Object} raw - Raw requirement (snake_case server fields or camelCase)
+ * @returns {{type: 'percent'|'sessions', value: number, plannedSessions: number|null}|null} Requirement or null if none is set
+ */
+export function normalizeAttendanceRequirement(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const type = String(raw.min_attendance_type ?? raw.minAttendanceType ?? raw.type ?? '').trim().toLowerCase();
+    if (type !== 'percent' && type !== 'sessions') return null;
+    const value = toWholeNumber(raw.min_attendance_value ?? raw.minAttendanceValue ?? raw.value);
+    if (value === null || value < 1) return null;
+    const planned = toWholeNumber(raw.planned_sessions ?? raw.plannedSessions);
+    const plannedSessions = planned !== null && planned >= 1 ? Math.min(MAX_REQUIRED_SESSIONS, planned) : null;
+    return {
+        type,
+        value: type === 'percent'
+            ? Math.min(100, value)
+            : Math.min(plannedSessions ?? MAX_REQUIRED_SESSIONS, value),
+        plannedSessions
+    };
+}
+
+/**
+ * Resolve the number of sessions held so far from an attendance summary response
+ * @param {Object} data - Summary response (fetchClassAttendance / class attendance summary)
+ * @returns {number|null} Sessions held, or null if the summary does not say
+ */
+export function resolveHeldSessionsCount(data) {
+    const candidates = [
+        data?.total_completed_classes_count,
+        data?.total_classes_count,
+        data?.completed_classes_count,
+        data?.total_sessions,
+        data?.total_sessions_count
+    ];
+    for (const candidate of candidates) {
+        const num = toWholeNumber(candidate);
+        if (num !== null && num >= 0) return num;
+    }
+    return null;
+}
+
+/**
+ * Compute a student's standing against a class requirement
+ * @param {Object} counts - Student counts
+ * @param {number} counts.attended - Sessions attended
+ * @param {number} counts.held - Sessions held so far
+ * @param {number} [counts.excused=0] - Excused absences
+ * @param {Object|null} requirement - Normalized requirement
+ * @returns {{status: 'on_track'|'at_risk'|'failed'|'met', attended: number, required: number, remaining: number|null, rate: number|null}|null}
+ *   Standing, or null without a requirement. remaining is null when the number of planned sessions is unknown.
+ */
+export function computeAttendanceStanding({ attended, held, excused = 0 }, requirement) {
+    if (!requirement) return null;
+    const attendedCount = Math.max(0, toWholeNumber(attended) ?? 0);
+    const heldCount = Math.max(attendedCount, toWholeNumber(held) ?? 0);
+    const excusedCount = Math.min(Math.max(0, toWholeNumber(excused) ?? 0), heldCount - attendedCount);
+    const planned = requirement.plannedSessions !== null && requirement.plannedSessions !== undefined
+        ? Math.max(requirement.plannedSessions, heldCount)
+        : null;
+    const countedHeld = heldCount - excusedCount;
+    const rate = countedHeld > 0 ? attendedCount / countedHeld : null;
+
+    // Without a planned total only the rate so far (percent) or the goal itself (sessions) is known.
+    if (planned === null) {
+        if (requirement.type === 'percent') {
+            const required = Math.ceil((requirement.value / 100) * countedHeld);
+            const status = rate === null || rate * 100 >= requirement.value ? 'on_track' : 'at_risk';
+            return { status, attended: attendedCount, required, remaining: null, rate };
+        }
+        const required = requirement.value;
+        return {
+            status: attendedCount >= required ? 'met' : 'on_track',
+            attended: attendedCount,
+            required,
+            remaining: null,
+            rate
+        };
+    }
+
+    const countedPlanned = planned - excusedCount;
+    const required = requirement.type === 'percent'
+        ? Math.ceil((requirement.value / 100) * countedPlanned)
+        : Math.min(requirement.value, countedPlanned);
+    const remaining = planned - heldCount;
+    const spare = attendedCount + remaining - required;
+
+    let status = 'on_track';
+    if (attendedCount >= required) {
+        status = 'met';
+    } else if (spare < 0) {
+        status = 'failed';
+    } else if (spare <= AT_RISK_SPARE_SESSIONS
+        || (requirement.type === 'percent' && rate !== null && rate * 100 < requirement.value)) {
+        status = 'at_risk';
+    }
+    return { status, attended: attendedCount, required, remaining, rate };
+}
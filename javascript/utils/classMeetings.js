@@ -0,0 +1,239 @@
+/**
+ * Class Meetings Module
+ *
+ * Recurring weekly meetings of a class (weekday, start/end time, room and the
+ * dates the course runs), the weekly timetable built from them, lookups of the
+ * meeting running now and the schedule a session on a given day is held to.
+ * Weekdays are ISO numbers: 1 is Monday, 7 is Sunday. Pure functions, no DOM
+ * access.
+ */
+
+import { normalizeTimeOfDay, resolveScheduleTime, normalizeClassSchedule } from './attendanceClassification.js';
+
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+export const MAX_CLASS_MEETINGS = 14;
+export const MEETING_ROOM_MAX_LENGTH = 60;
+// "Start now" offers a class this many minutes before it begins.
+export const START_NOW_LEAD_MINUTES = 15;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function normalizeDateKey(value) {
+    const text = String(value || '').trim().slice(0, 10);
+    return DATE_KEY_PATTERN.test(text) ? text : '';
+}
+
+/**
+ * Format a timestamp as a local "YYYY-MM-DD" date
+ * @param {number|Date} value - Timestamp (ms) or date
+ * @returns {string} Date key
+ */
+export function formatDateKey(value) {
+    const d = new Date(value);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Get the ISO weekday of a timestamp (local time)
+ * @param {number|Date} value - Timestamp (ms) or date
+ * @returns {number} 1 (Monday) to 7 (Sunday)
+ */
+export function isoWeekday(value) {
+    return new Date(value).getDay() || 7;
+}
+
+/**
+ * Get the Monday 00:00 of the week of a timestamp (local time)
+ * @param {number|Date} value - Timestamp (ms) or date
+ * @returns {Date} Start of the week
+ */
+export function startOfWeek(value) {
+    const d = new Date(value);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - (isoWeekday(d) - 1));
+    return d;
+}
+
+/**
+ * Format an ISO weekday name
+ * @param {number} weekday - 1 (Monday) to 7 (Sunday)
+ * @param {string} locale - Locale ("bg-BG", "en-US")
+ * @param {'long'|'short'} [style='long'] - Name length
+ * @returns {string} Weekday name
+ */
+export function formatWeekday(weekday, locale, style = 'long') {
+    // 2024-01-01 was a Monday.
+    const date = new Date(2024, 0, weekday);
+    try {
+        return new Intl.DateTimeFormat(locale, { weekday: style }).format(date);
+    } catch (_) {
+        return new Intl.DateTimeFormat('en-US', { weekday: style }).format(date);
+    }
+}
+
+function normalizeMeeting(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const weekday = Number(raw.weekday ?? raw.day_of_week ?? raw.dayOfWeek);
+    if (!WEEKDAYS.includes(weekday)) return null;
+    const start = normalizeTimeOfDay(raw.start ?? raw.start_time ?? raw.startTime);
+    const end = normalizeTimeOfDay(raw.end ?? raw.end_time ?? raw.endTime);
+    if (!start || !end || end <= start) return null;
+    const startDate = normalizeDateKey(raw.startDate ?? raw.start_date);
+    const endDate = normalizeDateKey(raw.endDate ?? raw.end_date);
+    if (startDate && endDate && endDate < startDate) return null;
+    return {
+        weekday,
+        start,
+        end,
+        room: String(raw.room || '').trim().slice(0, MEETING_ROOM_MAX_LENGTH),
+        startDate,
+        endDate
+    };
+}
+
+/**
+ * Normalize the recurring meetings of a class from server or storage data
+ * @param {Object|Array|string} raw - Class object (meetings / recurring_schedule field), meetings array or its JSON
+ * @returns {Array<{weekday: number, start: string, end: string, room: string, startDate: string, endDate: string}>|null}
+ *   Meetings sorted by weekday and start, or null if none is set
+ */
+export function normalizeClassMeetings(raw) {
+    let list = Array.isArray(raw) ? raw : (raw?.meetings ?? raw?.recurring_schedule ?? raw?.recurringSchedule ?? raw);
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch (_) {
+            return null;
+        }
+    }
+    if (!Array.isArray(list)) return null;
+    const meetings = list
+        .map(normalizeMeeting)
+        .filter(Boolean)
+        .slice(0, MAX_CLASS_MEETINGS)
+        .sort((a, b) => a.weekday - b.weekday || a.start.localeCompare(b.start));
+    return meetings.length > 0 ? meetings : null;
+}
+
+/**
+ * Check whether a meeting takes place on a day
+ * @param {Object} meeting - Normalized meeting
+ * @param {number|Date} day - Any time on the day
+ * @returns {boolean} True on the meeting's weekday within its start/end dates
+ */
+export function isMeetingOnDay(meeting, day) {
+    if (!meeting || isoWeekday(day) !== meeting.weekday) return false;
+    const key = formatDateKey(day);
+    if (meeting.startDate && key < meeting.startDate) return false;
+    if (meeting.endDate && key > meeting.endDate) return false;
+    return true;
+}
+
+/**
+ * Build the timetable of a week
+ * @param {Array<{classId: number|string, className: string, meetings: Array<Object>|null}>} classes - Classes with their meetings
+ * @param {number|Date} weekStart - Monday of the week (see startOfWeek)
+ * @returns {Array<{date: Date, dateKey: string, weekday: number, items: Array<{classId, className, meeting}>}>} Seven days, items sorted by start
+ */
+export function buildWeekTimetable(classes, weekStart) {
+    const monday = startOfWeek(weekStart);
+    return WEEKDAYS.map((weekday) => {
+        const date = new Date(monday);
+        date.setDate(monday.getDate() + weekday - 1);
+        const items = [];
+        (Array.isArray(classes) ? classes : []).forEach(({ classId, className, meetings }) => {
+            (meetings || []).forEach((meeting) => {
+                if (isMeetingOnDay(meeting, date)) items.push({ classId, className, meeting });
+            });
+        });
+        items.sort((a, b) => a.meeting.start.localeCompare(b.meeting.start) || a.className.localeCompare(b.className));
+        return { date, dateKey: formatDateKey(date), weekday, items };
+    });
+}
+
+function meetingsToday(classes, now) {
+    const items = [];
+    (Array.isArray(classes) ? classes : []).forEach(({ classId, className, meetings }) => {
+        (meetings || []).forEach((meeting) => {
+            if (!isMeetingOnDay(meeting, now)) return;
+            items.push({
+                classId,
+                className,
+                meeting,
+                startsAt: resolveScheduleTime(meeting.start, now),
+                endsAt: resolveScheduleTime(meeting.end, now)
+            });
+        });
+    });
+    return items;
+}
+
+/**
+ * Find the class to start now: a meeting that is running or begins within the lead time.
+ * When meetings overlap (one ending, the next starting), the one starting closest to now wins.
+ * @param {Array<{classId: number|string, className: string, meetings: Array<Object>|null}>} classes - Classes with their meetings
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @param {number} [leadMinutes=START_NOW_LEAD_MINUTES] - How early a meeting is offered
+ * @returns {{classId, className, meeting, startsAt: number, endsAt: number}|null} Meeting or null
+ */
+export function findCurrentMeeting(classes, now = Date.now(), leadMinutes = START_NOW_LEAD_MINUTES) {
+    const leadMs = leadMinutes * 60000;
+    return meetingsToday(classes, now)
+        .filter(({ startsAt, endsAt }) => startsAt - leadMs <= now && now < endsAt)
+        .sort((a, b) => Math.abs(a.startsAt - now) - Math.abs(b.startsAt - now))[0] || null;
+}
+
+/**
+ * Find the next meeting later today
+ * @param {Array<{classId: number|string, className: string, meetings: Array<Object>|null}>} classes - Classes with their meetings
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {{classId, className, meeting, startsAt: number, endsAt: number}|null} Meeting or null
+ */
+export function findNextMeetingToday(classes, now = Date.now()) {
+    return meetingsToday(classes, now)
+        .filter(({ startsAt }) => startsAt > now)
+        .sort((a, b) => a.startsAt - b.startsAt)[0] || null;
+}
+
+/**
+ * Find today's meeting of one class closest to now (e.g. to pre-fill the room of a session)
+ * @param {Array<Object>|null} meetings - Normalized meetings of the class
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {Object|null} Meeting or null if the class does not meet today
+ */
+export function findMeetingToday(meetings, now = Date.now()) {
+    const found = meetingsToday([{ classId: null, className: '', meetings }], now)
+        .sort((a, b) => Math.abs(a.startsAt - now) - Math.abs(b.startsAt - now))[0];
+    return found ? found.meeting : null;
+}
+
+/**
+ * Resolve the schedule a session on a given day is held to: the start and end of
+ * that day's meeting when the class has a timetable, with the grace windows of the
+ * class-wide schedule; otherwise the class-wide schedule itself.
+ * @param {Object|null} schedule - Normalized class schedule
+ * @param {Array<Object>|null} meetings - Normalized meetings of the class
+ * @param {number} dayMs - Any time on the session day (the meeting closest to it wins)
+ * @returns {Object|null} Normalized schedule or null
+ */
+export function resolveScheduleForDay(schedule, meetings, dayMs) {
+    const meeting = Number.isFinite(dayMs) ? findMeetingToday(meetings, dayMs) : null;
+    if (!meeting) return schedule || null;
+    return normalizeClassSchedule({ ...(schedule || {}), start: meeting.start, end: meeting.end });
+}
+
+/**
+ * Resolve the date of the latest meeting up to today (e.g. to pre-fill a backfilled session)
+ * @param {Array<Object>|null} meetings - Normalized meetings of the class
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {string} "YYYY-MM-DD", or an empty string if the class did not meet in the last week
+ */
+export function resolveLastMeetingDate(meetings, now = Date.now()) {
+    if (!Array.isArray(meetings) || meetings.length === 0) return '';
+    for (let back = 0; back < 7; back++) {
+        const day = new Date(now);
+        day.setDate(day.getDate() - back);
+        if (meetings.some((meeting) => isMeetingOnDay(meeting, day))) return formatDateKey(day);
+    }
+    return '';
+}
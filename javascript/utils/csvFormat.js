@@ -0,0 +1,83 @@
+/**
+ * CSV Format Module
+ *
+ * Builds CSV text from worksheet rows and encodes it for download: UTF-8
+ * (optionally with a byte order mark, which Excel needs to read Cyrillic) or
+ * Windows-1251 for older import tools. Pure functions, no DOM access.
+ */
+
+export const CSV_DELIMITERS = {
+    comma: ',',
+    semicolon: ';',
+    tab: '\t'
+};
+
+export const CSV_ENCODINGS = ['utf-8-bom', 'utf-8', 'windows-1251'];
+
+// Windows-1251 bytes 0x80-0xBF (0x98 is unassigned); 0xC0-0xFF are U+0410-U+044F.
+const CP1251_HIGH = [
+    0x0402, 0x0403, 0x201A, 0x0453, 0x201E, 0x2026, 0x2020, 0x2021,
+    0x20AC, 0x2030, 0x0409, 0x2039, 0x040A, 0x040C, 0x040B, 0x040F,
+    0x0452, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+    null, 0x2122, 0x0459, 0x203A, 0x045A, 0x045C, 0x045B, 0x045F,
+    0x00A0, 0x040E, 0x045E, 0x0408, 0x00A4, 0x0490, 0x00A6, 0x00A7,
+    0x0401, 0x00A9, 0x0404, 0x00AB, 0x00AC, 0x00AD, 0x00AE, 0x0407,
+    0x00B0, 0x00B1, 0x0406, 0x0456, 0x0491, 0x00B5, 0x00B6, 0x00B7,
+    0x0451, 0x2116, 0x0454, 0x00BB, 0x0458, 0x0405, 0x0455, 0x0457
+];
+
+let cp1251Map = null;
+
+function getCp1251Map() {
+    if (cp1251Map) return cp1251Map;
+    cp1251Map = new Map();
+    CP1251_HIGH.forEach((codePoint, index) => {
+        if (codePoint !== null) cp1251Map.set(codePoint, 0x80 + index);
+    });
+    for (let i = 0; i < 64; i++) cp1251Map.set(0x0410 + i, 0xC0 + i);
+    return cp1251Map;
+}
+
+function escapeCsvCell(value, delimiter) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    if (text.includes(delimiter) || /["\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+    return text;
+}
+
+/**
+ * Build CSV text from rows
+ * @param {Array<Array>} rows - Rows of cell values
+ * @param {string} [delimiter=','] - Cell delimiter
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export function buildCsv(rows, delimiter = ',') {
+    return rows
+        .map((row) => (Array.isArray(row) ? row : []).map((cell) => escapeCsvCell(cell, delimiter)).join(delimiter))
+        .join('\r\n');
+}
+
+/**
+ * Encode CSV text for a file download
+ * @param {string} text - CSV text
+ * @param {string} [encoding='utf-8-bom'] - One of CSV_ENCODINGS
+ * @returns {Uint8Array} Encoded bytes; characters Windows-1251 cannot hold become "?"
+ */
+export function encodeCsv(text, encoding = 'utf-8-bom') {
+    if (encoding === 'windows-1251') {
+        const map = getCp1251Map();
+        const chars = Array.from(String(text));
+        const bytes = new Uint8Array(chars.length);
+        chars.forEach((char, index) => {
+            const codePoint = char.codePointAt(0);
+            bytes[index] = codePoint < 0x80 ? codePoint : (map.get(codePoint) ?? 0x3F);
+        });
+        return bytes;
+    }
+    const encoded = new TextEncoder().encode(String(text));
+    if (encoding !== 'utf-8-bom') return encoded;
+    const withBom = new Uint8Array(encoded.length + 3);
+    withBom.set([0xEF, 0xBB, 0xBF]);
+    withBom.set(encoded, 3);
+    return withBom;
+}
@@ -100,6 +100,19 @@ export function isCameraError(error) {
            message.includes('notreadable');
 }
 
+/**
+ * Create a unique client-side identifier (used as idempotency key for saved sessions)
+ * @returns {string} Random identifier
+ */
+export function createClientId() {
+    try {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+    } catch (_) {}
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 /**
  * Serializes a timestamp to ISO 8601 string format for API requests.
  * Converts numbers (milliseconds) to ISO strings, handles null/undefined by returning undefined.
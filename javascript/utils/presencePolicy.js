@@ -0,0 +1,80 @@
+/**
+ * Presence Policy Module
+ *
+ * Per-class minimum time a student has to stay between the join and the leave
+ * scan (absolute minutes or a percentage of the session length). Students who
+ * leave sooner count as "partial" instead of completed. Pure functions, no
+ * DOM access.
+ */
+
+import { resolveScheduleTime } from './attendanceClassification.js';
+
+export const MAX_PRESENCE_MINUTES = 600;
+
+/**
+ * Normalize a class presence policy from server or storage data
+ * @param {Object} raw - Raw policy (snake_case server fields or camelCase)
+ * @returns {{type: 'minutes'|'percent', value: number}|null} Policy or null if none is set
+ */
+export function normalizePresencePolicy(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const type = String(raw.min_presence_type ?? raw.minPresenceType ?? raw.type ?? '').trim().toLowerCase();
+    if (type !== 'minutes' && type !== 'percent') return null;
+    const rawValue = raw.min_presence_value ?? raw.minPresenceValue ?? raw.value;
+    if (rawValue === null || rawValue === undefined || rawValue === '') return null;
+    const value = Math.round(Number(rawValue));
+    if (!Number.isFinite(value) || value < 1) return null;
+    return { type, value: Math.min(type === 'percent' ? 100 : MAX_PRESENCE_MINUTES, value) };
+}
+
+/**
+ * Resolve the length of a session: the scheduled start to end on the session
+ * day, otherwise the span from the first join to the last leave scan.
+ * @param {Object|null} schedule - Normalized class schedule
+ * @param {Map<string, {joined_at: number|null, left_at: number|null}>|null} timestamps - Timestamps of the session
+ * @returns {number|null} Session length (ms) or null if unknown
+ */
+export function resolveSessionLengthMs(schedule, timestamps) {
+    let firstJoin = null;
+    let lastLeave = null;
+    if (timestamps && typeof timestamps.forEach === 'function') {
+        timestamps.forEach((ts) => {
+            if (Number.isFinite(ts?.joined_at) && (firstJoin === null || ts.joined_at < firstJoin)) firstJoin = ts.joined_at;
+            if (Number.isFinite(ts?.left_at) && (lastLeave === null || ts.left_at > lastLeave)) lastLeave = ts.left_at;
+        });
+    }
+    const reference = firstJoin ?? lastLeave;
+    if (schedule && reference !== null) {
+        const start = resolveScheduleTime(schedule.start, reference);
+        const end = resolveScheduleTime(schedule.end, reference);
+        if (start !== null && end !== null && end > start) return end - start;
+    }
+    return firstJoin !== null && lastLeave !== null && lastLeave > firstJoin ? lastLeave - firstJoin : null;
+}
+
+/**
+ * Check a student's join/leave timestamps against a presence policy
+ * @param {Object} timestamps - Student timestamps
+ * @param {number|null} timestamps.joinedAt - Join timestamp (ms)
+ * @param {number|null} timestamps.leftAt - Leave timestamp (ms)
+ * @param {Object|null} policy - Normalized presence policy
+ * @param {number|null} sessionLengthMs - Session length, needed for percentage policies
+ * @returns {{partial: boolean, presentMinutes: number, requiredMinutes: number}|null}
+ *   Result, or null without a policy, without both scans or when the session length is unknown
+ */
+export function evaluatePresence({ joinedAt, leftAt }, policy, sessionLengthMs) {
+    if (!policy || !Number.isFinite(joinedAt) || !Number.isFinite(leftAt)) return null;
+    let requiredMs;
+    if (policy.type === 'minutes') {
+        requiredMs = policy.value * 60000;
+    } else {
+        if (!Number.isFinite(sessionLengthMs) || sessionLengthMs <= 0) return null;
+        requiredMs = (policy.value / 100) * sessionLengthMs;
+    }
+    const presentMs = Math.max(0, leftAt - joinedAt);
+    return {
+        partial: presentMs < requiredMs,
+        presentMinutes: Math.floor(presentMs / 60000),
+        requiredMinutes: Math.ceil(requiredMs / 60000)
+    };
+}
@@ -0,0 +1,211 @@
+/**
+ * QR Token Module
+ *
+ * Builds and verifies the short-lived, signed payload encoded in student QR codes.
+ * The token rotates every QR_TOKEN_PERIOD_MS and is signed with a per-student
+ * secret (HMAC-SHA256), so a screenshot stops being accepted once it is stale.
+ */
+
+export const QR_TOKEN_VERSION = 2;
+export const QR_TOKEN_PERIOD_MS = 30 * 1000;
+// Projected session codes rotate faster: a photo forwarded to an absent student goes stale quickly.
+export const SESSION_CHECKIN_PERIOD_MS = 10 * 1000;
+const SESSION_CHECKIN_TYPE = 'checkin';
+// Accept the previous/next window as well to tolerate scan delay and small clock drift.
+const QR_TOKEN_WINDOW_TOLERANCE = 1;
+
+const encoder = new TextEncoder();
+const keyCache = new Map();
+
+function toBase64Url(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    bytes.forEach((b) => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function getSubtleCrypto() {
+    const subtle = window.crypto && window.crypto.subtle;
+    if (!subtle) throw new Error('WebCrypto is not available in this context');
+    return subtle;
+}
+
+async function importSigningKey(secret) {
+    const cacheKey = String(secret);
+    if (keyCache.has(cacheKey)) return keyCache.get(cacheKey);
+    const keyPromise = getSubtleCrypto().importKey(
+        'raw',
+        encoder.encode(cacheKey),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    keyCache.set(cacheKey, keyPromise);
+    return keyPromise;
+}
+
+async function signMessage(secret, message) {
+    const key = await importSigningKey(secret);
+    const signature = await getSubtleCrypto().sign('HMAC', key, encoder.encode(message));
+    return toBase64Url(signature);
+}
+
+function signTokenParts(secret, facultyNumber, windowIndex) {
+    return signMessage(secret, `${QR_TOKEN_VERSION}.${facultyNumber}.${windowIndex}`);
+}
+
+function constantTimeEquals(a, b) {
+    const left = String(a || '');
+    const right = String(b || '');
+    if (left.length !== right.length) return false;
+    let diff = 0;
+    for (let i = 0; i < left.length; i++) {
+        diff |= left.charCodeAt(i) ^ right.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Get the rotation window index for a timestamp
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {number} Window index
+ */
+export function getQrTokenWindow(now = Date.now()) {
+    return Math.floor(now / QR_TOKEN_PERIOD_MS);
+}
+
+/**
+ * Milliseconds left until the current token rotates
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {number} Delay in ms
+ */
+export function msUntilNextQrTokenWindow(now = Date.now()) {
+    return QR_TOKEN_PERIOD_MS - (now % QR_TOKEN_PERIOD_MS);
+}
+
+/**
+ * Resolve the QR signing secret from a student record
+ * @param {Object} student - Student object (login payload or class roster entry)
+ * @returns {string} Secret or empty string if the server did not provide one
+ */
+export function resolveStudentQrSecret(student) {
+    if (!student || typeof student !== 'object') return '';
+    const secret = student.qr_secret || student.qrSecret || student.qr_signing_key || '';
+    return String(secret || '').trim();
+}
+
+/**
+ * Check if a parsed QR payload is a signed (rotating) token
+ * @param {Object} payload - Parsed QR payload
+ * @returns {boolean} True if the payload carries a signature
+ */
+export function isSignedQrPayload(payload) {
+    return Boolean(payload && typeof payload === 'object' && payload.v >= QR_TOKEN_VERSION && payload.s);
+}
+
+/**
+ * Build the signed QR token text for a student
+ * @param {Object} student - Student identity
+ * @param {string} student.facultyNumber - Faculty number
+ * @param {string} [student.name] - Display name
+ * @param {string} secret - Per-student signing secret
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {Promise<string>} JSON string to encode in the QR
+ */
+export async function createStudentQrToken({ facultyNumber, name }, secret, now = Date.now()) {
+    const fn = String(facultyNumber || '').trim();
+    if (!fn) throw new Error('Missing faculty number for QR token');
+    if (!secret) throw new Error('Missing QR signing secret');
+    const windowIndex = getQrTokenWindow(now);
+    const payload = {
+        v: QR_TOKEN_VERSION,
+        fn,
+        n: name || undefined,
+        w: windowIndex,
+        s: await signTokenParts(secret, fn, windowIndex)
+    };
+    return JSON.stringify(payload);
+}
+
+/**
+ * Verify a signed QR payload
+ * @param {Object} payload - Parsed QR payload
+ * @param {string} secret - Expected signing secret for the student
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {Promise<{ok: boolean, reason: 'valid'|'malformed'|'expired'|'forged'}>} Verification result
+ */
+export async function verifyStudentQrToken(payload, secret, now = Date.now()) {
+    if (!isSignedQrPayload(payload)) return { ok: false, reason: 'malformed' };
+    const fn = String(payload.fn || '').trim();
+    const windowIndex = Number(payload.w);
+    if (!fn || !Number.isInteger(windowIndex)) return { ok: false, reason: 'malformed' };
+
+    const expected = await signTokenParts(secret, fn, windowIndex);
+    if (!constantTimeEquals(expected, payload.s)) return { ok: false, reason: 'forged' };
+
+    if (Math.abs(getQrTokenWindow(now) - windowIndex) > QR_TOKEN_WINDOW_TOLERANCE) {
+        return { ok: false, reason: 'expired' };
+    }
+    return { ok: true, reason: 'valid' };
+}
+
+/**
+ * Get the rotation window index of projected session check-in codes
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {number} Window index
+ */
+export function getSessionCheckinWindow(now = Date.now()) {
+    return Math.floor(now / SESSION_CHECKIN_PERIOD_MS);
+}
+
+/**
+ * Milliseconds left until the projected session code rotates
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {number} Delay in ms
+ */
+export function msUntilNextSessionCheckinWindow(now = Date.now()) {
+    return SESSION_CHECKIN_PERIOD_MS - (now % SESSION_CHECKIN_PERIOD_MS);
+}
+
+/**
+ * Check if a parsed QR payload is a projected session check-in code
+ * @param {Object} payload - Parsed QR payload
+ * @returns {boolean} True if the payload is a session check-in code
+ */
+export function isSessionCheckinPayload(payload) {
+    return Boolean(
+        payload
+        && typeof payload === 'object'
+        && payload.t === SESSION_CHECKIN_TYPE
+        && payload.sid
+        && Number.isInteger(Number(payload.w))
+        && payload.s
+    );
+}
+
+/**
+ * Build the signed check-in code a teacher projects for students to scan.
+ * The server holds the same per-session secret and verifies the signature.
+ * @param {Object} session - Session identity
+ * @param {string} session.sessionId - Live session ID
+ * @param {'joining'|'leaving'} session.mode - Scan mode the check-in counts as
+ * @param {string} secret - Per-session check-in secret issued by the server
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {Promise<string>} JSON string to encode in the QR
+ */
+export async function createSessionCheckinToken({ sessionId, mode }, secret, now = Date.now()) {
+    const sid = String(sessionId || '').trim();
+    if (!sid) throw new Error('Missing session id for check-in code');
+    if (!secret) throw new Error('Missing check-in secret');
+    const m = mode === 'leaving' ? 'leaving' : 'joining';
+    const windowIndex = getSessionCheckinWindow(now);
+    const payload = {
+        v: QR_TOKEN_VERSION,
+        t: SESSION_CHECKIN_TYPE,
+        sid,
+        m,
+        w: windowIndex,
+        s: await signMessage(secret, `${QR_TOKEN_VERSION}.${SESSION_CHECKIN_TYPE}.${sid}.${m}.${windowIndex}`)
+    };
+    return JSON.stringify(payload);
+}
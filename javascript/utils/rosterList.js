@@ -0,0 +1,102 @@
+/**
+ * Roster List Module
+ *
+ * Reads student lists pasted by teachers or exported by the registrar (one
+ * student per line or spreadsheet row, identified by faculty number or email)
+ * and resolves them against the student directory. Pure functions, no DOM
+ * access.
+ */
+
+const EMAIL_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/;
+// Faculty numbers are 9 letters/digits with at least one digit, so names and group labels are ignored.
+const FACULTY_NUMBER_PATTERN = /^(?=.*\d)[A-Za-z0-9]{9}$/;
+
+function tokenize(text) {
+    return String(text || '')
+        .split(/[\s,;|<>()"']+/)
+        .map((token) => token.replace(/^mailto:/i, '').replace(/[.:]+$/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Split one line or spreadsheet row into roster entries. A row with one
+ * faculty number and one email is one student; several faculty numbers (or
+ * several emails) on one line are several students.
+ * @param {string} text - Line text (spreadsheet cells joined by tabs)
+ * @returns {Array<{facultyNumbers: Array<string>, emails: Array<string>}>} Entries, empty if the line holds no identifier
+ */
+function parseRosterLine(text) {
+    const facultyNumbers = [];
+    const emails = [];
+    tokenize(text).forEach((token) => {
+        if (EMAIL_PATTERN.test(token)) emails.push(token.toLowerCase());
+        else if (FACULTY_NUMBER_PATTERN.test(token)) facultyNumbers.push(token);
+    });
+    if (facultyNumbers.length <= 1 && emails.length <= 1) {
+        return facultyNumbers.length + emails.length > 0 ? [{ facultyNumbers, emails }] : [];
+    }
+    return [
+        ...facultyNumbers.map((facultyNumber) => ({ facultyNumbers: [facultyNumber], emails: [] })),
+        ...emails.map((email) => ({ facultyNumbers: [], emails: [email] }))
+    ];
+}
+
+/**
+ * Parse a pasted list or spreadsheet rows into roster entries
+ * @param {string|Array<Array>} source - Pasted text, or rows of cell values
+ * @returns {{entries: Array<{facultyNumbers: Array<string>, emails: Array<string>}>, skippedLines: number}}
+ *   Entries in list order and the number of non-empty lines without an identifier (headers, names only)
+ */
+export function parseRosterList(source) {
+    const lines = Array.isArray(source)
+        ? source.map((row) => (Array.isArray(row) ? row : []).map((cell) => String(cell ?? '')).join('\t'))
+        : String(source || '').split(/\r?\n/);
+    const entries = [];
+    let skippedLines = 0;
+    lines.forEach((line) => {
+        if (!line.trim()) return;
+        const lineEntries = parseRosterLine(line);
+        if (lineEntries.length === 0) skippedLines += 1;
+        entries.push(...lineEntries);
+    });
+    return { entries, skippedLines };
+}
+
+/**
+ * Resolve roster entries against the student directory
+ * @param {Array<{facultyNumbers: Array<string>, emails: Array<string>}>} entries - Entries from parseRosterList
+ * @param {Array<{id: string, facultyNumber: string, email: string}>} directory - Directory students
+ * @returns {{matched: Array<Object>, unmatched: Array<string>, duplicates: Array<{value: string, student: Object}>}}
+ *   Matched directory students (list order, each once), identifiers not in the directory,
+ *   and identifiers of students already listed
+ */
+export function resolveRosterList(entries, directory) {
+    const byFacultyNumber = new Map();
+    const byEmail = new Map();
+    (Array.isArray(directory) ? directory : []).forEach((student) => {
+        const facultyNumber = String(student?.facultyNumber || '').trim().toLowerCase();
+        const email = String(student?.email || '').trim().toLowerCase();
+        if (facultyNumber && !byFacultyNumber.has(facultyNumber)) byFacultyNumber.set(facultyNumber, student);
+        if (email && !byEmail.has(email)) byEmail.set(email, student);
+    });
+
+    const matched = [];
+    const unmatched = [];
+    const duplicates = [];
+    const seen = new Set();
+    (Array.isArray(entries) ? entries : []).forEach(({ facultyNumbers, emails }) => {
+        const student = facultyNumbers.map((value) => byFacultyNumber.get(value.toLowerCase())).find(Boolean)
+            || emails.map((value) => byEmail.get(value)).find(Boolean)
+            || null;
+        const value = facultyNumbers[0] || emails[0];
+        if (!student) {
+            unmatched.push(value);
+        } else if (seen.has(student.id)) {
+            duplicates.push({ value, student });
+        } else {
+            seen.add(student.id);
+            matched.push(student);
+        }
+    });
+    return { matched, unmatched, duplicates };
+}
@@ -0,0 +1,170 @@
+/**
+ * Scan Payload Parsers Module
+ *
+ * Turns the text decoded from a QR code or barcode into a student payload.
+ * Parsers are tried in registration order; the first one that recognizes the
+ * text wins. Built-in parsers cover app QR JSON, configured ID card formats
+ * (config/cardFormats.js), email addresses and bare faculty numbers.
+ */
+
+import { CARD_FORMATS } from '../config/cardFormats.js';
+import { resolveStudentFacultyNumber } from '../storage/studentStorage.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @typedef {Object} ScanParseContext
+ * @property {Array<Object>} students - Roster of the class being scanned
+ */
+
+/**
+ * @typedef {Object} ScanParseResult
+ * @property {Object} payload - Payload in the app QR shape (fn/facultyNumber/email, optional signature fields)
+ * @property {boolean} [trusted] - Static identifier that may be accepted without a signature (e.g. an ID card shown in person)
+ */
+
+/**
+ * @typedef {Object} ScanPayloadParser
+ * @property {string} id - Unique identifier
+ * @property {Array<string>} barcodeFormats - Barcode formats this parser reads (BarcodeDetector names)
+ * @property {function(string, ScanParseContext): (ScanParseResult|null)} parse - Parse decoded text, null if not recognized
+ */
+
+/** @type {Array<ScanPayloadParser>} */
+const parsers = [];
+
+function findRosterStudent(students, predicate) {
+    return (Array.isArray(students) ? students : []).find((student) => {
+        try {
+            return predicate(student);
+        } catch (_) {
+            return false;
+        }
+    }) || null;
+}
+
+function compileCardPattern(format) {
+    try {
+        return new RegExp(format.pattern, 'i');
+    } catch (e) {
+        console.warn(`[scanPayloadParsers] Invalid pattern for card format "${format.id}"`, e);
+        return null;
+    }
+}
+
+/**
+ * Register a payload parser
+ * @param {ScanPayloadParser} parser - Parser
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.prepend=false] - Try this parser before the already registered ones
+ */
+export function registerScanPayloadParser(parser, { prepend = false } = {}) {
+    if (!parser || !parser.id || typeof parser.parse !== 'function') {
+        throw new Error('Scan payload parser needs an id and a parse function');
+    }
+    const existing = parsers.findIndex((item) => item.id === parser.id);
+    if (existing !== -1) parsers.splice(existing, 1);
+    const entry = {
+        id: String(parser.id),
+        barcodeFormats: Array.isArray(parser.barcodeFormats) ? parser.barcodeFormats.slice() : ['qr_code'],
+        parse: parser.parse
+    };
+    if (prepend) {
+        parsers.unshift(entry);
+    } else {
+        parsers.push(entry);
+    }
+}
+
+/**
+ * Parse decoded scanner text into a student payload
+ * @param {string} text - Decoded text
+ * @param {ScanParseContext} [context] - Parse context
+ * @returns {{payload: Object, parserId: string, trusted: boolean}|null} Result or null if no parser recognized the text
+ */
+export function parseScannedPayload(text, context = {}) {
+    const raw = String(text ?? '').trim();
+    if (!raw) return null;
+    const ctx = { students: Array.isArray(context.students) ? context.students : [] };
+    for (const parser of parsers) {
+        let result = null;
+        try {
+            result = parser.parse(raw, ctx);
+        } catch (e) {
+            console.warn(`[scanPayloadParsers] Parser "${parser.id}" failed`, e);
+        }
+        if (result && result.payload && typeof result.payload === 'object') {
+            return { payload: result.payload, parserId: parser.id, trusted: Boolean(result.trusted) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Barcode formats the registered parsers can read (for the scanner engine)
+ * @returns {Array<string>} BarcodeDetector format names, QR first
+ */
+export function getScanBarcodeFormats() {
+    const formats = new Set(['qr_code']);
+    parsers.forEach((parser) => parser.barcodeFormats.forEach((format) => formats.add(format)));
+    return Array.from(formats);
+}
+
+// App QR codes: signed tokens and the legacy {facultyNumber, name, email} JSON.
+registerScanPayloadParser({
+    id: 'json',
+    barcodeFormats: ['qr_code'],
+    parse(text) {
+        if (!text.startsWith('{')) return null;
+        try {
+            const payload = JSON.parse(text);
+            return payload && typeof payload === 'object' && !Array.isArray(payload) ? { payload } : null;
+        } catch (_) {
+            return null;
+        }
+    }
+});
+
+CARD_FORMATS.forEach((format) => {
+    if (!format || !format.id || !format.pattern) return;
+    const pattern = compileCardPattern(format);
+    if (!pattern) return;
+    const group = format.group ?? 1;
+    registerScanPayloadParser({
+        id: `card:${format.id}`,
+        barcodeFormats: Array.isArray(format.barcodeFormats) ? format.barcodeFormats : ['code_128'],
+        parse(text) {
+            const match = pattern.exec(text);
+            if (!match) return null;
+            const value = typeof group === 'string' ? match.groups?.[group] : match[group];
+            const facultyNumber = String(value || '').trim();
+            if (!facultyNumber) return null;
+            return { payload: { facultyNumber }, trusted: format.trusted !== false };
+        }
+    });
+});
+
+registerScanPayloadParser({
+    id: 'email',
+    barcodeFormats: ['qr_code'],
+    parse(text, { students }) {
+        const email = text.replace(/^mailto:/i, '').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(email)) return null;
+        const student = findRosterStudent(students, (s) => String(s?.email || '').trim().toLowerCase() === email);
+        const facultyNumber = student ? String(resolveStudentFacultyNumber(student) || '').trim() : '';
+        return { payload: facultyNumber ? { facultyNumber, email } : { email } };
+    }
+});
+
+// Plain faculty numbers (QR text or a Code 128/39 card). Only roster numbers count,
+// so an unrelated barcode in view is not mistaken for a student.
+registerScanPayloadParser({
+    id: 'faculty_number',
+    barcodeFormats: ['qr_code', 'code_128', 'code_39'],
+    parse(text, { students }) {
+        const wanted = text.toLowerCase();
+        const student = findRosterStudent(students, (s) => String(resolveStudentFacultyNumber(s) || '').trim().toLowerCase() === wanted);
+        const facultyNumber = student ? String(resolveStudentFacultyNumber(student) || '').trim() : '';
+        return facultyNumber ? { payload: { facultyNumber } } : null;
+    }
+});
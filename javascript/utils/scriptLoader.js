@@ -0,0 +1,77 @@
+/**
+ * Script Loader Module
+ *
+ * Loads third-party browser libraries on demand (with fallback sources) so
+ * pages only pay for them when a feature needs them.
+ */
+
+// Cache for pdfmake load promise
+let pdfMakeLoadPromise = null;
+
+/**
+ * Load a script from the first source that works
+ * @param {Array<string>} sources - Script URLs, tried in order
+ * @param {function(): *} getLoaded - Returns the loaded library, or a falsy value if the script did not provide it
+ * @param {string} label - Library name for errors
+ * @returns {Promise<*>} Loaded library
+ */
+export function loadScriptFromSources(sources, getLoaded, label) {
+    return new Promise((resolve, reject) => {
+        let i = 0;
+        const tryNext = () => {
+            if (i >= sources.length) {
+                console.error(`[Script Loader] Failed to load ${label} library from all sources.`);
+                reject(new Error(`${label} load failure`));
+                return;
+            }
+            const src = sources[i++];
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = true;
+            script.onload = () => {
+                const loaded = getLoaded();
+                if (loaded) {
+                    resolve(loaded);
+                } else {
+                    tryNext();
+                }
+            };
+            script.onerror = () => {
+                script.remove();
+                tryNext();
+            };
+            document.head.appendChild(script);
+        };
+        tryNext();
+    });
+}
+
+/**
+ * Ensure pdfmake and its fonts are loaded. The bundled Roboto font covers
+ * Cyrillic, which the standard PDF fonts do not.
+ * @returns {Promise<Object>} pdfMake library object
+ */
+export function ensurePdfMakeLoaded() {
+    if (window.pdfMake && window.pdfMake.vfs && typeof window.pdfMake.createPdf === 'function') {
+        return Promise.resolve(window.pdfMake);
+    }
+    if (pdfMakeLoadPromise) return pdfMakeLoadPromise;
+    const librarySources = [
+        'https://cdn.jsdelivr.net/npm/pdfmake@0.2.10/build/pdfmake.min.js',
+        'https://cdnjs.cloudflare.com/ajax/libs/pdfmake/0.2.10/pdfmake.min.js',
+        'https://unpkg.com/pdfmake@0.2.10/build/pdfmake.min.js'
+    ];
+    const fontSources = [
+        'https://cdn.jsdelivr.net/npm/pdfmake@0.2.10/build/vfs_fonts.js',
+        'https://cdnjs.cloudflare.com/ajax/libs/pdfmake/0.2.10/vfs_fonts.js',
+        'https://unpkg.com/pdfmake@0.2.10/build/vfs_fonts.js'
+    ];
+    pdfMakeLoadPromise = loadScriptFromSources(librarySources, () => window.pdfMake?.createPdf && window.pdfMake, 'pdfmake')
+        .then(() => loadScriptFromSources(fontSources, () => window.pdfMake?.vfs && window.pdfMake, 'pdfmake fonts'))
+        .catch((err) => {
+            // Let a later call try again (e.g. after the connection is back).
+            pdfMakeLoadPromise = null;
+            throw err;
+        });
+    return pdfMakeLoadPromise;
+}